@@ -0,0 +1,221 @@
+/**
+ * Unit Tests for Backup Generations and the Lost Data Restore Flow
+ * Tests SafariITPHandler's rotating backup generations in localStorage and
+ * IndexedDB, and StorageManager detecting lost todo data on startup and
+ * restoring it from the newest valid backup
+ */
+
+const IndexedDBShim = require('./indexeddb-shim.js');
+
+function createWebStorage() {
+    const store = {};
+    return {
+        getItem: (key) => store[key] === undefined ? null : store[key],
+        setItem: (key, value) => { store[key] = String(value); },
+        removeItem: (key) => { delete store[key]; },
+        clear: () => { Object.keys(store).forEach(key => delete store[key]); }
+    };
+}
+
+// Mock browser globals for Node.js testing; the storage modules register themselves on window
+global.window = global;
+global.localStorage = createWebStorage();
+global.sessionStorage = createWebStorage();
+global.indexedDB = new IndexedDBShim();
+Object.defineProperty(global, 'navigator', {
+    value: { userAgent: 'Mozilla/5.0 (Node.js Test Environment)' },
+    configurable: true
+});
+global.crypto = {
+    randomUUID: () => 'test-uuid-' + Math.random().toString(36).substr(2, 9)
+};
+
+// Keep the storage modules' logging out of the test output
+const log = console.log;
+console.log = () => {};
+console.debug = () => {};
+console.info = () => {};
+console.warn = () => {};
+
+global.IndexedDBStorage = require('./js/IndexedDBStorage.js');
+require('./js/StorageDetector.js');
+require('./js/StorageFallbackHandler.js');
+require('./js/StorageOperations.js');
+require('./js/SafariITPHandler.js');
+require('./js/StorageManager.js');
+const StorageManager = window.storageManager.constructor;
+require('./test-helpers.js');
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Start from empty storage, as after the browser cleared everything
+ */
+function resetStorage() {
+    localStorage.clear();
+    sessionStorage.clear();
+    global.indexedDB = new IndexedDBShim();
+}
+
+/**
+ * Create a StorageManager the way a page load does
+ * @returns {Promise<StorageManager>} Initialized manager
+ */
+async function loadStorageManager() {
+    const storage = new StorageManager();
+    await storage.ready;
+    return storage;
+}
+
+async function runTests() {
+    log('🧪 Running Backup Restore Tests...');
+    log();
+
+    let testsPassed = 0;
+    let testsFailed = 0;
+
+    async function test(description, testFn) {
+        try {
+            await testFn();
+            log(`✅ ${description}`);
+            testsPassed++;
+        } catch (error) {
+            log(`❌ ${description}`);
+            log(`   Error: ${error.message}`);
+            testsFailed++;
+        }
+    }
+
+    function assert(condition, message) {
+        if (!condition) {
+            throw new Error(message || 'Assertion failed');
+        }
+    }
+
+    function assertEquals(actual, expected, message) {
+        if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+            throw new Error(message || `Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+        }
+    }
+
+    const snapshot = (...texts) => ({ todos: { schemaVersion: 2, todos: texts.map((text, i) => ({ id: `t${i}`, text })) } });
+
+    await test('should keep rotating backup generations, newest first', async () => {
+        resetStorage();
+        const handler = new SafariITPHandler();
+        const start = Date.UTC(2026, 2, 1);
+
+        handler.createDataBackup(snapshot('a'), start);
+        handler.createDataBackup(snapshot('a', 'b'), start + 10 * 60 * 1000);
+        assertEquals(handler.readLocalBackups().length, 1, 'Backups within the interval share a generation');
+        assertEquals(handler.readLocalBackups()[0].startedAt, start);
+
+        [2, 4, 6].forEach(hours => handler.createDataBackup(snapshot('x'.repeat(hours)), start + hours * HOUR));
+        const generations = handler.readLocalBackups();
+        assertEquals(generations.length, handler.MAX_BACKUP_GENERATIONS);
+        assertEquals(generations.map(g => g.timestamp), [6, 4, 2].map(hours => start + hours * HOUR));
+        assertEquals(handler.restoreFromBackup(), snapshot('xxxxxx'), 'restoreFromBackup returns the newest data');
+    });
+
+    await test('should count todos across lists and read the single backup of older versions', async () => {
+        resetStorage();
+        const data = { todos: [{ id: 'a' }], lists: { 'todos:work': { schemaVersion: 2, todos: [{ id: 'b' }, { id: 'c' }] }, 'todo-lists': [{ id: 'work' }] } };
+        assertEquals(SafariITPHandler.countTodos(data), 3);
+
+        const handler = new SafariITPHandler();
+        localStorage.setItem(handler.dataBackupKey, JSON.stringify({ timestamp: 5, data, version: '1.0' }));
+        assertEquals(handler.readLocalBackups().map(b => [b.timestamp, b.todoCount]), [[5, 3]]);
+    });
+
+    await test('should restore the newest valid backup from localStorage or IndexedDB', async () => {
+        resetStorage();
+        const handler = new SafariITPHandler();
+        handler.createDataBackup(snapshot('old'), 1000);
+        handler.createDataBackup(snapshot('new', 'newer'), 1000 + 2 * HOUR);
+        await handler.indexedDBBackupPromise;
+
+        localStorage.setItem(handler.dataBackupKey, JSON.stringify([{ timestamp: 1000 + 3 * HOUR, data: { todos: 'corrupt' } }]));
+        let newest = await handler.findNewestValidBackup();
+        assertEquals([newest.timestamp, newest.todoCount], [1000 + 2 * HOUR, 2], 'Invalid backups are skipped');
+
+        localStorage.clear();
+        newest = await handler.findNewestValidBackup();
+        assertEquals(newest.data, snapshot('new', 'newer'), 'The IndexedDB copy survives localStorage being cleared');
+        assertEquals((await handler.listBackups()).length, 2);
+    });
+
+    await test('should detect lost todo data on startup and restore every list', async () => {
+        resetStorage();
+        let storage = await loadStorageManager();
+        let lists = new ListManager(storage);
+        lists.getActiveModel().addTodo('Buy milk');
+        const work = lists.createList('Work');
+        lists.getModel(work.id).addTodo('Send report');
+        await storage.itpHandler.indexedDBBackupPromise;
+        assertEquals(await storage.findLostDataBackup(), null, 'Nothing is offered while the data is there');
+
+        // The browser clears localStorage; the next page load finds the IndexedDB backup
+        localStorage.clear();
+        storage = await loadStorageManager();
+        const backup = await storage.findLostDataBackup();
+        assert(backup, 'A backup is offered');
+        assertEquals(backup.todoCount, 2);
+        assert(backup.timestamp <= Date.now(), 'The backup time is shown to the user');
+
+        storage.restoreBackup(backup);
+        lists = new ListManager(storage);
+        assertEquals(lists.getLists().map(list => list.name), ['My Todos', 'Work']);
+        assertEquals(lists.getActiveModel().getAllTodos().map(t => t.text), ['Buy milk']);
+        assertEquals(lists.getModel(work.id).getAllTodos().map(t => t.text), ['Send report']);
+    });
+
+    await test('should reload lists in place after a restore', async () => {
+        resetStorage();
+        const storage = await loadStorageManager();
+        const lists = new ListManager(storage);
+        const model = lists.getActiveModel();
+        storage.restoreBackup({ timestamp: 1, data: { todos: [{ id: 'a', text: 'Restored', completed: false }] } });
+
+        assertEquals(model.getAllTodos(), [], 'Loaded models still show the lost state');
+        assertEquals(lists.reload().getAllTodos().map(t => t.text), ['Restored']);
+    });
+
+    await test('should keep a declined backup as an older generation', async () => {
+        resetStorage();
+        let storage = await loadStorageManager();
+        new ListManager(storage).getActiveModel().addTodo('Lost todo');
+        localStorage.removeItem('todos');
+
+        storage = await loadStorageManager();
+        assert(await storage.findLostDataBackup(), 'The lost todo is offered');
+        storage.discardBackupSnapshot();
+        new ListManager(storage).getActiveModel().addTodo('Fresh start');
+
+        const generations = await storage.itpHandler.listBackups();
+        assertEquals(generations.map(g => g.todoCount), [1, 1]);
+        assertEquals(generations[0].data.todos.todos[0].text, 'Fresh start');
+        assertEquals(generations[1].data.todos.todos[0].text, 'Lost todo');
+    });
+
+    log();
+    log('==================================================');
+    log(`📊 Test Summary:`);
+    log(`   Total: ${testsPassed + testsFailed}`);
+    log(`   Passed: ${testsPassed}`);
+    log(`   Failed: ${testsFailed}`);
+    log('==================================================');
+
+    if (testsFailed === 0) {
+        log('🎉 All backup restore tests passed!');
+    } else {
+        log(`❌ ${testsFailed} test(s) failed`);
+        process.exit(1);
+    }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    runTests();
+}
+
+module.exports = { runTests };
@@ -0,0 +1,330 @@
+/**
+ * Unit Tests for Multi-select and Bulk Actions
+ * Tests the bulk changes of TodoModel and ListManager (one save and one undo
+ * step each), the selection model of TodoView (click, Ctrl+click, Shift+click,
+ * Shift+Arrow, Ctrl+A) and the controller's bulk action bar handlers
+ */
+
+// Mock browser globals for Node.js testing
+const { createStorage } = require('./test-helpers.js');
+
+const TodoView = require('./js/TodoView.js');
+const TodoController = require('./js/TodoController.js');
+const KeyboardHandlers = require('./js/KeyboardHandlers.js');
+
+/**
+ * Set up a controller on real lists and a view with the real selection model
+ * @returns {Object} { storage, lists, model, view, controller }
+ */
+function createApp() {
+    const storage = createStorage();
+    const lists = new ListManager(storage);
+    const model = lists.getActiveModel();
+    const view = Object.assign(Object.create(TodoView.prototype), {
+        editingId: null,
+        moveTargets: [],
+        selectedIds: new Set(),
+        selectionAnchor: null,
+        selectionLead: null,
+        visibleIds: [],
+        messages: [],
+        confirmations: [],
+        answer: true,
+        text: null,
+        showMessage(message, type, options = {}) {
+            this.messages.push({ message, type });
+            this.lastAction = options.action || null;
+        },
+        showConfirmation(message) {
+            this.confirmations.push(message);
+            return Promise.resolve(this.answer);
+        },
+        promptForText() {
+            return Promise.resolve(this.text);
+        }
+    });
+    // The controller's constructor wires up the DOM, so only its state is set up here
+    const controller = Object.assign(Object.create(TodoController.prototype), {
+        model, view, lists, searchTerm: '', statusFilter: 'all', sortMode: 'manual', autoCompleteParents: true
+    });
+    controller.render = function () {
+        view.subtasksByParent = view.groupSubtasks(this.model.getAllTodos());
+        view.setVisibleTodos(view.flattenSubtasks(this.getCurrentTodos()));
+    };
+    return { storage, lists, model, view, controller };
+}
+
+/**
+ * Fake click on a part of a todo row
+ * @param {string} id - Todo ID of the row
+ * @param {Object} [modifiers] - { ctrlKey, metaKey, shiftKey }
+ * @param {boolean} [onButton] - Click one of the row's buttons instead
+ * @returns {Object} Click event
+ */
+function clickRow(id, modifiers = {}, onButton = false) {
+    const row = { dataset: { id } };
+    return {
+        ...modifiers,
+        target: {
+            dataset: {},
+            closest: (selector) => {
+                if (selector === '.todo-item') return row;
+                return onButton ? {} : null;
+            }
+        }
+    };
+}
+
+async function runTests() {
+    console.log('🧪 Running Bulk Action Tests...');
+    console.log();
+
+    let testsPassed = 0;
+    let testsFailed = 0;
+
+    async function test(description, testFn) {
+        try {
+            await testFn();
+            console.log(`✅ ${description}`);
+            testsPassed++;
+        } catch (error) {
+            console.log(`❌ ${description}`);
+            console.log(`   Error: ${error.message}`);
+            testsFailed++;
+        }
+    }
+
+    function assert(condition, message) {
+        if (!condition) {
+            throw new Error(message || 'Assertion failed');
+        }
+    }
+
+    function assertEquals(actual, expected, message) {
+        if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+            throw new Error(message || `Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+        }
+    }
+
+    await test('should complete, tag and prioritize several todos with one save and one undo step each', () => {
+        const storage = createStorage();
+        const model = new TodoModel(storage);
+        const a = model.addTodo('A');
+        const b = model.addTodo('B', { priority: 'high' });
+        const c = model.addTodo('C');
+        const ids = [a.id, b.id, c.id];
+
+        const changes = [
+            () => assertEquals(model.setTodosCompleted(ids, true), 3),
+            () => assertEquals(model.addTagToTodos(ids, '#Work'), 3),
+            () => assertEquals(model.setTodosPriority(ids, 'high'), 2, 'B already has high priority')
+        ];
+        changes.forEach(change => {
+            const writes = storage.writes.todos;
+            const undoSteps = model.undoStack.length;
+            change();
+            assertEquals(storage.writes.todos, writes + 1, 'One save per bulk change');
+            assertEquals(model.undoStack.length, undoSteps + 1, 'One undo step per bulk change');
+        });
+        assert(model.getAllTodos().every(todo => todo.completed && todo.tags.includes('work') && todo.priority === 'high'));
+
+        model.undo();
+        model.undo();
+        assertEquals(model.getAllTodos().map(todo => todo.priority), ['none', 'high', 'none']);
+        model.undo();
+        assert(model.getAllTodos().every(todo => !todo.completed && todo.tags.length === 0), 'Each change is undone in one step');
+    });
+
+    await test('should leave unchanged todos alone and follow parents, subtasks and repeats', () => {
+        const storage = createStorage();
+        const model = new TodoModel(storage);
+        const parent = model.addTodo('Trip');
+        const flights = model.addTodo('Book flights', { parentId: parent.id });
+        const hotel = model.addTodo('Book hotel', { parentId: parent.id });
+        const weekly = model.addTodo('Water plants', { dueDate: '2024-03-04', recurrence: 'weekly' });
+
+        assertEquals(model.setTodosCompleted([flights.id, hotel.id, weekly.id], true, { now: new Date('2024-03-04T10:00:00') }), 3);
+        assert(model.getTodo(parent.id).completed, 'The parent is completed with its last subtask');
+        assertEquals(model.getAllTodos().filter(todo => todo.text === 'Water plants').length, 2, 'The next occurrence is created');
+
+        const writes = storage.writes.todos;
+        assertEquals(model.setTodosCompleted([flights.id, hotel.id], true), 0);
+        assertEquals(storage.writes.todos, writes, 'Nothing to change, nothing saved');
+
+        model.setTodosCompleted([hotel.id], false);
+        assertEquals(model.getTodo(parent.id).completed, false, 'Reopening a subtask reopens the parent');
+        assertEquals(model.setTodosPriority([flights.id], 'urgent'), 0, 'Subtasks have no priority of their own');
+    });
+
+    await test('should move several todos to another list with one save per list', () => {
+        const storage = createStorage();
+        const lists = new ListManager(storage);
+        const home = lists.getActiveModel();
+        const work = lists.createList('Work');
+        const first = home.addTodo('First');
+        const second = home.addTodo('Second');
+        const sub = home.addTodo('Second, step 1', { parentId: second.id });
+        const stays = home.addTodo('Stays');
+        lists.getModel(work.id).addTodo('Already there');
+
+        const workKey = ListManager.getTodoListKey(work.id);
+        const writes = { home: storage.writes.todos, work: storage.writes[workKey] };
+        const moved = lists.moveTodos([second.id, sub.id, first.id], lists.activeListId, work.id);
+
+        assertEquals(moved.map(todo => todo.text), ['Second', 'First'], 'The subtask goes along with its parent');
+        assertEquals(storage.writes.todos, writes.home + 1);
+        assertEquals(storage.writes[workKey], writes.work + 1);
+        assertEquals(home.getAllTodos().map(todo => todo.id), [stays.id]);
+        assertEquals(lists.getModel(work.id).getRootTodos(lists.getModel(work.id).getAllTodos()).map(todo => todo.text),
+            ['Second', 'First', 'Already there'], 'Moved todos go to the top in the given order');
+        assertEquals(lists.getModel(work.id).getTodo(sub.id).parentId, second.id);
+    });
+
+    await test('should select with click, Ctrl+click, Shift+click and Shift+Arrow', () => {
+        const { model, view, controller } = createApp();
+        const [a, b, c, d] = ['A', 'B', 'C', 'D'].map(text => model.addTodo(text));
+        controller.render();
+        assertEquals(view.visibleIds, [d.id, c.id, b.id, a.id]);
+
+        controller.handleTodoListClick(clickRow(c.id));
+        assertEquals(view.getSelectedIds(), [c.id]);
+        controller.handleTodoListClick(clickRow(a.id, { shiftKey: true }));
+        assertEquals(view.getSelectedIds(), [c.id, b.id, a.id], 'Shift+click selects the range from the anchor');
+        controller.handleTodoListClick(clickRow(b.id, { ctrlKey: true }));
+        assertEquals(view.getSelectedIds(), [c.id, a.id], 'Ctrl+click removes a selected todo');
+        controller.handleTodoListClick(clickRow(d.id, { metaKey: true }));
+        assertEquals(view.getSelectedIds(), [d.id, c.id, a.id], 'Cmd+click adds one');
+        controller.handleTodoListClick(clickRow(a.id, {}, true));
+        assertEquals(view.getSelectedIds(), [d.id, c.id, a.id], 'Clicking a button of the row does not select it');
+
+        controller.handleTodoListClick(clickRow(b.id));
+        controller.handleExtendSelection(1);
+        assertEquals(view.getSelectedIds(), [b.id, a.id]);
+        assertEquals(controller.handleExtendSelection(1), false, 'The selection stops at the last todo');
+        controller.handleExtendSelection(-1);
+        controller.handleExtendSelection(-1);
+        assertEquals(view.getSelectedIds(), [c.id, b.id], 'Shift+Up from the anchor selects upwards');
+
+        assertEquals(controller.handleClearSelection(), true);
+        assertEquals(view.hasSelection(), false);
+        controller.handleExtendSelection(1);
+        assertEquals(view.getSelectedIds(), [d.id], 'With nothing selected, Shift+Down starts at the top');
+    });
+
+    await test('should select every shown todo with Ctrl+A and drop todos that are no longer shown', () => {
+        const { model, view, controller } = createApp();
+        const a = model.addTodo('A');
+        const b = model.addTodo('B');
+        const c = model.addTodo('C');
+        model.toggleTodo(b.id);
+        controller.statusFilter = 'active';
+        controller.render();
+
+        const handlers = new KeyboardHandlers(controller);
+        assertEquals(handlers.getAllHandlers().selectAll(), 2);
+        assertEquals(view.getSelectedIds(), [c.id, a.id], 'Hidden todos are not selected');
+
+        controller.statusFilter = 'all';
+        model.deleteTodo(c.id);
+        controller.render();
+        assertEquals(view.getSelectedIds(), [a.id], 'A deleted todo leaves the selection');
+        assertEquals(view.selectTodo(c.id), false);
+    });
+
+    await test('should run the bulk action bar on the selection and undo it in one step', async () => {
+        const { model, view, controller } = createApp();
+        const [a, b, c] = ['A', 'B', 'C'].map(text => model.addTodo(text));
+        controller.render();
+        view.selectAll();
+
+        assertEquals(controller.handleBulkAction('complete'), 3);
+        assertEquals(view.messages.pop(), { message: 'Completed 3 todos', type: 'success' });
+        assertEquals(controller.handleBulkAction('priority', 'urgent'), 3);
+        view.text = null;
+        assertEquals(await controller.handleBulkAction('tag'), 0, 'Nothing is tagged when the dialog is cancelled');
+        view.text = 'errands';
+        assertEquals(await controller.handleBulkAction('tag'), 3);
+        assert(model.getAllTodos().every(todo => todo.tags.includes('errands')));
+
+        view.answer = false;
+        assertEquals(await controller.handleBulkAction('delete'), 0);
+        assertEquals(model.getAllTodos().length, 3, 'Nothing is deleted without confirmation');
+
+        view.answer = true;
+        controller.handleSelectTodo(a.id);
+        controller.handleSelectTodo(b.id, { toggle: true });
+        assertEquals(await controller.handleBulkAction('delete'), 2);
+        assertEquals(view.confirmations.pop(), 'Are you sure you want to delete the 2 selected todos?');
+        assertEquals(model.getAllTodos().map(todo => todo.id), [c.id]);
+        assertEquals(view.hasSelection(), false);
+
+        controller.handleUndo();
+        assertEquals(model.getAllTodos().map(todo => todo.text), ['C', 'B', 'A'], 'One undo brings both back');
+        assert(model.getAllTodos().every(todo => todo.priority === 'urgent'));
+    });
+
+    await test('should move the selection to another list from the bulk action bar', () => {
+        const { lists, model, view, controller } = createApp();
+        const work = lists.createList('Work');
+        const a = model.addTodo('A');
+        const b = model.addTodo('B');
+        controller.render();
+        view.selectAll();
+
+        assertEquals(controller.handleBulkAction('move', 'missing'), 0);
+        assertEquals(controller.handleBulkAction('move', work.id), 2);
+        assertEquals(view.messages.pop(), { message: 'Moved 2 todos to Work', type: 'success' });
+        assertEquals(model.getAllTodos(), []);
+        assertEquals(lists.getModel(work.id).getAllTodos().map(todo => todo.id), [b.id, a.id]);
+        assertEquals(view.hasSelection(), false);
+    });
+
+    await test('should undo moving the selection to another list in one step', () => {
+        const { lists, model, view, controller } = createApp();
+        const work = lists.createList('Work');
+        const target = lists.getModel(work.id);
+        const a = model.addTodo('A');
+        const b = model.addTodo('B');
+        const sub = model.addTodo('B, step 1', { parentId: b.id });
+        const before = model.getAllTodos().map(todo => todo.id);
+        const listsHolding = () => before.map(id => [model, target].filter(list => list.getTodo(id)).length);
+        controller.render();
+        view.selectAll();
+
+        assertEquals(controller.handleBulkAction('move', work.id), 2);
+        assertEquals(view.lastAction.label, 'Undo');
+        view.lastAction.onClick();
+        assertEquals(listsHolding(), [1, 1, 1], 'Every todo is in exactly one list');
+        assertEquals(model.getAllTodos().map(todo => todo.id), before, 'The todos are back in their places');
+        assertEquals(target.getAllTodos(), []);
+
+        assertEquals(controller.handleRedo(), true);
+        assertEquals(listsHolding(), [1, 1, 1]);
+        assertEquals(target.getAllTodos().map(todo => todo.id).sort(), [a.id, b.id, sub.id].sort());
+        assertEquals(controller.handleUndo(), true);
+        assertEquals(model.getAllTodos().map(todo => todo.id), before);
+        assertEquals(model.getLastChange().type, 'addTodo', 'Both lists changed back in one step');
+    });
+
+    console.log();
+    console.log('==================================================');
+    console.log(`📊 Test Summary:`);
+    console.log(`   Total: ${testsPassed + testsFailed}`);
+    console.log(`   Passed: ${testsPassed}`);
+    console.log(`   Failed: ${testsFailed}`);
+    console.log('==================================================');
+
+    if (testsFailed === 0) {
+        console.log('🎉 All bulk action tests passed!');
+    } else {
+        console.log(`❌ ${testsFailed} test(s) failed`);
+        process.exit(1);
+    }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    runTests();
+}
+
+module.exports = { runTests };
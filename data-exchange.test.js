@@ -0,0 +1,243 @@
+/**
+ * Unit Tests for JSON Export and Import
+ * Tests DataExchange export, schema validation, import preview and
+ * merge/replace imports through ListManager and TodoModel
+ */
+
+// Mock browser globals for Node.js testing
+const { createStorage } = require('./test-helpers.js');
+
+const DataExchange = require('./js/DataExchange.js');
+
+/**
+ * Create a list manager with a "Work" list next to the default list
+ * @returns {Object} { storage, lists, work }
+ */
+function createLists() {
+    const storage = createStorage();
+    const lists = new ListManager(storage);
+    const work = lists.createList('Work');
+    return { storage, lists, work };
+}
+
+/**
+ * Export lists and read the file back, as the UI does
+ * @param {ListManager} lists - Lists to export
+ * @param {Object} storage - Preference storage
+ * @returns {Object} Parsed export data
+ */
+function roundTrip(lists, storage) {
+    const text = JSON.stringify(DataExchange.createExport(lists, storage, new Date('2026-03-10T12:00:00Z')));
+    const { data, errors } = DataExchange.parseImport(text);
+    if (!data) {
+        throw new Error(`Export did not validate: ${errors.join('; ')}`);
+    }
+    return data;
+}
+
+function runTests() {
+    console.log('🧪 Running Data Exchange Tests...');
+    console.log();
+
+    let testsPassed = 0;
+    let testsFailed = 0;
+
+    function test(description, testFn) {
+        try {
+            testFn();
+            console.log(`✅ ${description}`);
+            testsPassed++;
+        } catch (error) {
+            console.log(`❌ ${description}`);
+            console.log(`   Error: ${error.message}`);
+            testsFailed++;
+        }
+    }
+
+    function assert(condition, message) {
+        if (!condition) {
+            throw new Error(message || 'Assertion failed');
+        }
+    }
+
+    function assertEquals(actual, expected, message) {
+        if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+            throw new Error(message || `Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+        }
+    }
+
+    function assertThrows(fn, expectedMessage) {
+        let error = null;
+        try {
+            fn();
+        } catch (e) {
+            error = e;
+        }
+        assert(error, 'Expected function to throw');
+        if (expectedMessage) {
+            assert(error.message.includes(expectedMessage), `Unexpected error: ${error.message}`);
+        }
+    }
+
+    test('should export every list with schema version, metadata and preferences', () => {
+        const { storage, lists, work } = createLists();
+        storage.setItem('todo-theme', 'dark');
+        lists.getModel('default').addTodo('Buy milk #home');
+        lists.getModel(work.id).addTodo('Write report', { dueDate: '2026-03-12', recurrence: 'weekly' });
+
+        const data = DataExchange.createExport(lists, storage, new Date('2026-03-10T12:00:00Z'));
+        assertEquals([data.format, data.schemaVersion], ['autotodo', DataExchange.SCHEMA_VERSION]);
+        assertEquals(data.metadata, { app: 'AutoToDo', exportedAt: '2026-03-10T12:00:00.000Z', listCount: 2, todoCount: 2 });
+        assertEquals(data.preferences, { theme: 'dark', sortMode: null });
+        assertEquals(data.lists.map(list => [list.name, list.todos.map(t => t.text)]),
+            [['My Todos', ['Buy milk']], ['Work', ['Write report']]]);
+        assertEquals(data.lists[0].todos[0].tags, ['home']);
+        assertEquals(DataExchange.getExportFileName(new Date(2026, 2, 10)), 'autotodo-export-2026-03-10.json');
+    });
+
+    test('should reject files that are not valid exports', () => {
+        assert(DataExchange.parseImport('{ nope').errors[0].includes('not valid JSON'));
+        assert(DataExchange.parseImport('{"lists": []}').errors[0].includes('not an AutoToDo export'));
+        assert(DataExchange.parseImport('{"format": "autotodo", "schemaVersion": 99, "lists": []}').errors[0].includes('schema version 99'));
+        assert(DataExchange.parseImport('{"format": "autotodo", "schemaVersion": 1, "lists": []}').errors[0].includes('non-empty'));
+    });
+
+    test('should report every invalid field with its path', () => {
+        const text = JSON.stringify({
+            format: 'autotodo',
+            schemaVersion: 1,
+            lists: [{
+                id: 'default',
+                name: 'My Todos',
+                todos: [
+                    { id: 'a', text: 'Fine', completed: false },
+                    { id: 'a', text: '', completed: 'yes', dueDate: '2026-13-40', priority: 'critical', recurrence: 'sometimes' }
+                ]
+            }]
+        });
+        const { data, errors } = DataExchange.parseImport(text);
+        assert(data === null, 'Invalid data must not be returned');
+        [
+            'lists[0].todos[1].text', 'lists[0].todos[1].completed', 'lists[0].todos[1].dueDate',
+            'lists[0].todos[1].priority', 'lists[0].todos[1].recurrence', 'lists[0].todos[1].id "a"'
+        ].forEach(path => assert(errors.some(error => error.startsWith(path)), `Missing error for ${path}: ${errors.join('; ')}`));
+    });
+
+    test('should accept a bare array of todos as the default list', () => {
+        const { data } = DataExchange.parseImport(JSON.stringify([{ id: 'x', text: 'Legacy', completed: true }]));
+        assertEquals(data.lists.map(list => [list.id, list.todos.length]), [['default', 1]]);
+    });
+
+    test('should preview new lists, new todos and conflicts', () => {
+        const source = createLists();
+        const shared = source.lists.getModel('default').addTodo('Shared');
+        const changed = source.lists.getModel('default').addTodo('Original text');
+        source.lists.getModel(source.work.id).addTodo('Only in export');
+        const data = roundTrip(source.lists, source.storage);
+
+        const targetStorage = createStorage();
+        const target = new ListManager(targetStorage);
+        target.getModel('default').replaceTodos([shared, { ...changed, text: 'Edited here' }]);
+
+        const preview = DataExchange.previewImport(target, data);
+        assertEquals(preview.lists.map(list => [list.name, list.exists, list.newTodos, list.conflicts, list.unchanged]),
+            [['My Todos', true, 0, 1, 1], ['Work', false, 1, 0, 0]]);
+        assertEquals(preview.conflicts, [{ listName: 'My Todos', todoId: changed.id, existingText: 'Edited here', importedText: 'Original text' }]);
+        assertEquals(preview.todoCount, 3);
+    });
+
+    test('should merge, preferring imported todos on conflicts', () => {
+        const source = createLists();
+        const todo = source.lists.getModel('default').addTodo('From laptop');
+        const data = roundTrip(source.lists, source.storage);
+
+        const target = new ListManager(createStorage());
+        const model = target.getModel('default');
+        model.addTodo('Local only');
+        model.replaceTodos([...model.getAllTodos(), { ...todo, text: 'Local edit', completed: true }]);
+
+        const result = DataExchange.applyImport(target, data, { mode: 'merge', conflict: 'use-imported' });
+        assertEquals([result.added, result.updated, result.kept, result.lists], [0, 1, 0, 2]);
+        assertEquals(model.getAllTodos().map(t => [t.text, t.completed]), [['Local only', false], ['From laptop', false]],
+            'Updated todos keep their position');
+        assertEquals(target.getLists().map(list => list.name), ['My Todos', 'Work']);
+    });
+
+    test('should merge, keeping existing todos on conflicts and appending new ones', () => {
+        const source = createLists();
+        const sourceModel = source.lists.getModel('default');
+        const todo = sourceModel.addTodo('Shared');
+        sourceModel.addTodo('New second');
+        sourceModel.addTodo('New first');
+        const data = roundTrip(source.lists, source.storage);
+
+        const target = new ListManager(createStorage());
+        const model = target.getModel('default');
+        model.replaceTodos([{ ...todo, text: 'Mine' }]);
+
+        const result = DataExchange.applyImport(target, data, { mode: 'merge', conflict: 'keep-existing' });
+        assertEquals([result.added, result.updated, result.kept], [2, 0, 1]);
+        assertEquals(model.getAllTodos().map(t => t.text), ['Mine', 'New first', 'New second']);
+    });
+
+    test('should give new imported lists a unique name', () => {
+        const source = createLists();
+        const data = roundTrip(source.lists, source.storage);
+
+        const target = new ListManager(createStorage());
+        target.createList('Work'); // Same name, different id
+        DataExchange.applyImport(target, data);
+        assertEquals(target.getLists().map(list => list.name), ['My Todos', 'Work', 'Work (2)']);
+    });
+
+    test('should replace all lists and todos, restoring the active list', () => {
+        const source = createLists();
+        source.lists.getModel(source.work.id).addTodo('Parent');
+        const parent = source.lists.getModel(source.work.id).getAllTodos()[0];
+        source.lists.getModel(source.work.id).addTodo('Child', { parentId: parent.id });
+        source.lists.switchList(source.work.id);
+        const data = roundTrip(source.lists, source.storage);
+
+        const targetStorage = createStorage();
+        const target = new ListManager(targetStorage);
+        const stale = target.createList('Stale');
+        target.getModel('default').addTodo('Will be removed');
+
+        DataExchange.applyImport(target, data, { mode: 'replace' });
+        assertEquals(target.getLists().map(list => list.name), ['My Todos', 'Work']);
+        assert(target.getList(stale.id) === null, 'Lists missing from the import are deleted');
+        assert(targetStorage.getItem(`todos:${stale.id}`) === null, 'Their todos are removed from storage');
+        assertEquals(target.getModel('default').getAllTodos(), []);
+        assertEquals(target.activeListId, source.work.id);
+        assertEquals(target.getActiveModel().getSubtasks(parent.id).map(t => t.text), ['Child']);
+    });
+
+    test('should reject unknown import options', () => {
+        const source = createLists();
+        const data = roundTrip(source.lists, source.storage);
+        assertThrows(() => DataExchange.applyImport(source.lists, data, { mode: 'append' }), 'Import mode');
+        assertThrows(() => DataExchange.applyImport(source.lists, data, { conflict: 'newest' }), 'Conflict strategy');
+    });
+
+    console.log();
+    console.log('==================================================');
+    console.log(`📊 Test Summary:`);
+    console.log(`   Total: ${testsPassed + testsFailed}`);
+    console.log(`   Passed: ${testsPassed}`);
+    console.log(`   Failed: ${testsFailed}`);
+    console.log('==================================================');
+
+    if (testsFailed === 0) {
+        console.log('🎉 All data exchange tests passed!');
+    } else {
+        console.log(`❌ ${testsFailed} test(s) failed`);
+        process.exit(1);
+    }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    runTests();
+}
+
+module.exports = { runTests };
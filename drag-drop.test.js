@@ -1,6 +1,6 @@
 /**
  * Unit Tests for Drag and Drop (Reorder) Functionality
- * Tests the reorderTodo method in TodoModel
+ * Tests the reorderTodo method and the persistent order ranks in TodoModel
  */
 
 // Mock DOM and localStorage for testing
@@ -28,81 +28,11 @@ if (typeof window === 'undefined') {
             return true;
         }
     };
+    global.window.storageManager = global.storageManager;
 }
 
-// Inline TodoModel class for testing (simplified version with reorderTodo method)
-class TodoModel {
-    constructor(storageManager = global.storageManager) {
-        this.storage = storageManager;
-        this.todos = this.loadTodos();
-    }
-
-    loadTodos() {
-        try {
-            const saved = this.storage.getItem('todos');
-            return saved ? JSON.parse(saved) : [];
-        } catch (error) {
-            return [];
-        }
-    }
-
-    saveTodos() {
-        try {
-            this.storage.setItem('todos', JSON.stringify(this.todos));
-        } catch (e) {
-            console.warn('Failed to save todos:', e);
-        }
-    }
-
-    generateId() {
-        return crypto.randomUUID ? crypto.randomUUID() : Math.random().toString(36).substr(2, 9);
-    }
-
-    addTodo(text) {
-        const todo = {
-            id: this.generateId(),
-            text: text.trim(),
-            completed: false,
-            createdAt: new Date().toISOString()
-        };
-        this.todos.unshift(todo); // Add to beginning like the actual TodoModel
-        this.saveTodos();
-        return todo;
-    }
-
-    getAllTodos() {
-        return this.todos;
-    }
-
-    reorderTodo(todoId, targetIndex) {
-        const sourceIndex = this.todos.findIndex(todo => todo.id === todoId);
-        
-        if (sourceIndex === -1) {
-            console.warn('Todo not found:', todoId);
-            return false;
-        }
-        
-        if (targetIndex < 0 || targetIndex >= this.todos.length) {
-            console.warn('Invalid target index:', targetIndex);
-            return false;
-        }
-        
-        if (sourceIndex === targetIndex) {
-            return true; // No change needed
-        }
-        
-        // Remove the todo from its current position
-        const [todoToMove] = this.todos.splice(sourceIndex, 1);
-        
-        // Insert it at the target position
-        this.todos.splice(targetIndex, 0, todoToMove);
-        
-        // Save changes
-        this.saveTodos();
-        
-        return true;
-    }
-}
+// Load the actual TodoModel so these tests exercise the shipped ordering logic
+require('./test-helpers.js');
 
 function runTests() {
     console.log('🧪 Running Drag and Drop (Reorder) Functionality Tests...');
@@ -135,6 +65,14 @@ function runTests() {
         }
     }
 
+    function createIsolatedStorage() {
+        const data = {};
+        return {
+            getItem: (key) => data[key] || null,
+            setItem: (key, value) => { data[key] = value; return true; }
+        };
+    }
+
     // Test reorderTodo functionality
     test('should reorder todo from first to last position', () => {
         const model = new TodoModel();
@@ -274,6 +212,94 @@ function runTests() {
         assertArrayEquals(newOrder, originalOrder, 'Order should remain the same when moving to same position');
     });
 
+    test('should assign order ranks that keep new todos on top', () => {
+        const model = new TodoModel(createIsolatedStorage());
+        const first = model.addTodo('First task');
+        const second = model.addTodo('Second task');
+
+        assert(typeof first.order === 'number', 'New todos should get a numeric order rank');
+        assert(second.order < first.order, 'Newer todos should rank above older ones');
+        assertArrayEquals(model.getAllTodos().map(t => t.id), [second.id, first.id]);
+    });
+
+    test('should keep manual order stable when new todos are added', () => {
+        const model = new TodoModel(createIsolatedStorage());
+        const a = model.addTodo('A');
+        const b = model.addTodo('B');
+        const c = model.addTodo('C'); // Order: C, B, A
+
+        model.reorderTodo(c.id, 2); // Order: B, A, C
+        const d = model.addTodo('D');
+
+        assertArrayEquals(
+            model.getAllTodos().map(t => t.id),
+            [d.id, b.id, a.id, c.id],
+            'New todo should go on top without disturbing the manual order'
+        );
+    });
+
+    test('should restore manual order from ranks after reload', () => {
+        const storage = createIsolatedStorage();
+        const model = new TodoModel(storage);
+        model.addTodo('A');
+        model.addTodo('B');
+        const c = model.addTodo('C');
+        model.reorderTodo(c.id, 1);
+        const expectedOrder = model.getAllTodos().map(t => t.id);
+
+        // Shuffle the saved array; ranks alone must determine the order
+        const saved = JSON.parse(storage.getItem('todos'));
+        saved.todos.reverse();
+        storage.setItem('todos', JSON.stringify(saved));
+
+        const reloaded = new TodoModel(storage);
+        assertArrayEquals(reloaded.getAllTodos().map(t => t.id), expectedOrder);
+    });
+
+    test('should assign ranks to todos saved before ranks existed', () => {
+        const storage = createIsolatedStorage();
+        storage.setItem('todos', JSON.stringify([
+            { id: 'x', text: 'X', completed: false, createdAt: '2024-01-02T00:00:00.000Z' },
+            { id: 'y', text: 'Y', completed: false, createdAt: '2024-01-01T00:00:00.000Z' }
+        ]));
+
+        const model = new TodoModel(storage);
+        const todos = model.getAllTodos();
+
+        assertArrayEquals(todos.map(t => t.id), ['x', 'y'], 'Legacy array order should be preserved');
+        assert(todos.every(t => typeof t.order === 'number'), 'Legacy todos should get order ranks');
+    });
+
+    test('should reorder within a filtered view without moving hidden todos', () => {
+        const model = new TodoModel(createIsolatedStorage());
+        const a = model.addTodo('work A');
+        const b = model.addTodo('home B');
+        const c = model.addTodo('work C');
+        const d = model.addTodo('home D');
+        const e = model.addTodo('work E'); // Order: E, D, C, B, A
+
+        const visibleIds = model.filterTodos('work').map(t => t.id); // E, C, A
+        const result = model.reorderTodo(e.id, 2, visibleIds);
+
+        assert(result === true, 'reorderTodo should succeed within a scope');
+        assertArrayEquals(
+            model.getAllTodos().map(t => t.id),
+            [c.id, d.id, a.id, b.id, e.id],
+            'Visible todos should swap slots while hidden todos stay put'
+        );
+        assertArrayEquals(model.filterTodos('work').map(t => t.id), [c.id, a.id, e.id]);
+    });
+
+    test('should reject target indexes outside the filtered scope', () => {
+        const model = new TodoModel(createIsolatedStorage());
+        const a = model.addTodo('work A');
+        model.addTodo('home B');
+        model.addTodo('home C');
+
+        const visibleIds = model.filterTodos('work').map(t => t.id);
+        assert(model.reorderTodo(a.id, 1, visibleIds) === false, 'Index beyond the scope should be rejected');
+    });
+
     console.log();
     console.log('==================================================');
     console.log(`📊 Test Summary:`);
@@ -0,0 +1,171 @@
+/**
+ * Unit Tests for Due Dates and Overdue Tracking
+ * Tests DateUtils and the due date support in TodoModel
+ */
+
+// Mock browser globals for Node.js testing
+const { createStorage } = require('./test-helpers.js');
+
+function runTests() {
+    console.log('🧪 Running Due Date Tests...');
+    console.log();
+
+    let testsPassed = 0;
+    let testsFailed = 0;
+
+    function test(description, testFn) {
+        try {
+            testFn();
+            console.log(`✅ ${description}`);
+            testsPassed++;
+        } catch (error) {
+            console.log(`❌ ${description}`);
+            console.log(`   Error: ${error.message}`);
+            testsFailed++;
+        }
+    }
+
+    function assert(condition, message) {
+        if (!condition) {
+            throw new Error(message || 'Assertion failed');
+        }
+    }
+
+    function assertThrows(fn, message) {
+        let threw = false;
+        try {
+            fn();
+        } catch (error) {
+            threw = true;
+        }
+        assert(threw, message || 'Expected function to throw');
+    }
+
+    // Fixed reference time: 2026-03-10 at 12:00 local time
+    const now = new Date(2026, 2, 10, 12, 0);
+
+    // DateUtils tests
+    test('should validate calendar date keys', () => {
+        assert(DateUtils.isValidDateKey('2026-03-10'), 'Valid date should pass');
+        assert(!DateUtils.isValidDateKey('2026-02-30'), 'Overflowing date should fail');
+        assert(!DateUtils.isValidDateKey('03/10/2026'), 'Wrong format should fail');
+        assert(!DateUtils.isValidDateKey(''), 'Empty string should fail');
+    });
+
+    test('should validate 24-hour times', () => {
+        assert(DateUtils.isValidTime('09:30'), 'Valid time should pass');
+        assert(DateUtils.isValidTime('23:59'), 'End of day should pass');
+        assert(!DateUtils.isValidTime('24:00'), 'Hour 24 should fail');
+        assert(!DateUtils.isValidTime('9:30'), 'Unpadded hour should fail');
+    });
+
+    test('should shift date keys across month boundaries', () => {
+        assert(DateUtils.addDays('2026-02-28', 1) === '2026-03-01', 'Should roll into March');
+        assert(DateUtils.addDays('2026-01-01', -1) === '2025-12-31', 'Should roll back a year');
+    });
+
+    test('should classify due status relative to now', () => {
+        assert(DateUtils.getDueStatus({ dueDate: '2026-03-09' }, now) === 'overdue', 'Yesterday is overdue');
+        assert(DateUtils.getDueStatus({ dueDate: '2026-03-10' }, now) === 'today', 'Today without time is due today');
+        assert(DateUtils.getDueStatus({ dueDate: '2026-03-11' }, now) === 'upcoming', 'Tomorrow is upcoming');
+        assert(DateUtils.getDueStatus({ dueDate: '2026-03-10', dueTime: '09:00' }, now) === 'overdue',
+            'Earlier today with a time is overdue');
+        assert(DateUtils.getDueStatus({ dueDate: '2026-03-10', dueTime: '18:00' }, now) === 'today',
+            'Later today with a time is due today');
+    });
+
+    test('should not classify completed todos or todos without due dates', () => {
+        assert(DateUtils.getDueStatus({ dueDate: '2026-03-01', completed: true }, now) === null,
+            'Completed todos are never overdue');
+        assert(DateUtils.getDueStatus({ dueDate: null }, now) === null, 'No due date means no status');
+    });
+
+    test('should format due dates for display', () => {
+        assert(DateUtils.formatDueDate({ dueDate: '2026-03-10' }, now) === 'Mar 10', 'Same year omits the year');
+        assert(DateUtils.formatDueDate({ dueDate: '2027-01-05', dueTime: '08:15' }, now) === 'Jan 5, 2027 08:15',
+            'Other years and times are shown');
+        assert(DateUtils.formatDueDate({}, now) === '', 'Missing due date formats as empty');
+    });
+
+    // TodoModel tests
+    test('should add todos with an optional due date and time', () => {
+        const model = new TodoModel(createStorage());
+        const plain = model.addTodo('No deadline');
+        const dated = model.addTodo('Ship release', { dueDate: '2026-03-12', dueTime: '17:00' });
+
+        assert(plain.dueDate === null && plain.dueTime === null, 'Due fields default to null');
+        assert(dated.dueDate === '2026-03-12', 'Due date should be stored');
+        assert(dated.dueTime === '17:00', 'Due time should be stored');
+    });
+
+    test('should reject invalid due dates and times', () => {
+        const model = new TodoModel(createStorage());
+        assertThrows(() => model.addTodo('Bad date', { dueDate: '2026-13-01' }), 'Invalid date should throw');
+        assertThrows(() => model.addTodo('Bad time', { dueDate: '2026-03-12', dueTime: '25:00' }), 'Invalid time should throw');
+        assertThrows(() => model.addTodo('Time only', { dueTime: '10:00' }), 'Time without date should throw');
+        assert(model.getAllTodos().length === 0, 'Rejected todos should not be added');
+    });
+
+    test('should update and clear due dates through updateTodo', () => {
+        const model = new TodoModel(createStorage());
+        const todo = model.addTodo('Write report');
+
+        model.updateTodo(todo.id, 'Write report', { dueDate: '2026-03-15', dueTime: '09:00' });
+        assert(model.getTodo(todo.id).dueDate === '2026-03-15', 'Due date should be set');
+
+        model.updateTodo(todo.id, 'Write final report');
+        assert(model.getTodo(todo.id).dueDate === '2026-03-15', 'Text-only updates keep the due date');
+
+        model.updateTodo(todo.id, 'Write final report', { dueDate: '', dueTime: '' });
+        assert(model.getTodo(todo.id).dueDate === null, 'Empty due date should clear it');
+        assert(model.getTodo(todo.id).dueTime === null, 'Empty due time should clear it');
+    });
+
+    test('should persist due dates across reloads', () => {
+        const storage = createStorage();
+        const model = new TodoModel(storage);
+        const todo = model.addTodo('Renew passport', { dueDate: '2026-06-01' });
+
+        const reloaded = new TodoModel(storage);
+        assert(reloaded.getTodo(todo.id).dueDate === '2026-06-01', 'Due date should survive a reload');
+    });
+
+    test('should report overdue, due today and upcoming counts in stats', () => {
+        const model = new TodoModel(createStorage());
+        model.addTodo('Late', { dueDate: '2026-03-01' });
+        model.addTodo('Also late', { dueDate: '2026-03-10', dueTime: '08:00' });
+        model.addTodo('Today', { dueDate: '2026-03-10' });
+        model.addTodo('Soon', { dueDate: '2026-03-20' });
+        model.addTodo('Someday');
+        const done = model.addTodo('Done late', { dueDate: '2026-02-01' });
+        model.toggleTodo(done.id);
+
+        const stats = model.getStats(now);
+        assert(stats.total === 6, 'Total should count all todos');
+        assert(stats.overdue === 2, `Expected 2 overdue, got ${stats.overdue}`);
+        assert(stats.dueToday === 1, `Expected 1 due today, got ${stats.dueToday}`);
+        assert(stats.upcoming === 1, `Expected 1 upcoming, got ${stats.upcoming}`);
+    });
+
+    console.log();
+    console.log('==================================================');
+    console.log(`📊 Test Summary:`);
+    console.log(`   Total: ${testsPassed + testsFailed}`);
+    console.log(`   Passed: ${testsPassed}`);
+    console.log(`   Failed: ${testsFailed}`);
+    console.log('==================================================');
+
+    if (testsFailed === 0) {
+        console.log('🎉 All due date tests passed!');
+    } else {
+        console.log(`❌ ${testsFailed} test(s) failed`);
+        process.exit(1);
+    }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    runTests();
+}
+
+module.exports = { runTests };
@@ -0,0 +1,206 @@
+/**
+ * Unit Tests for CSV and Markdown Checklist Formats
+ * Tests TodoFormats export, parsing, round-trips and bulk-creating todos
+ * from a Markdown checklist through TodoModel.addTodo
+ */
+
+// Mock browser globals for Node.js testing
+const { createStorage } = require('./test-helpers.js');
+
+global.DataExchange = require('./js/DataExchange.js');
+const TodoFormats = require('./js/TodoFormats.js');
+
+function runTests() {
+    console.log('🧪 Running CSV and Markdown Format Tests...');
+    console.log();
+
+    let testsPassed = 0;
+    let testsFailed = 0;
+
+    function test(description, testFn) {
+        try {
+            testFn();
+            console.log(`✅ ${description}`);
+            testsPassed++;
+        } catch (error) {
+            console.log(`❌ ${description}`);
+            console.log(`   Error: ${error.message}`);
+            testsFailed++;
+        }
+    }
+
+    function assert(condition, message) {
+        if (!condition) {
+            throw new Error(message || 'Assertion failed');
+        }
+    }
+
+    function assertEquals(actual, expected, message) {
+        if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+            throw new Error(message || `Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+        }
+    }
+
+    function assertThrows(fn, expectedMessage) {
+        let error = null;
+        try {
+            fn();
+        } catch (e) {
+            error = e;
+        }
+        assert(error, 'Expected function to throw');
+        if (expectedMessage) {
+            assert(error.message.includes(expectedMessage), `Unexpected error: ${error.message}`);
+        }
+    }
+
+    test('should export CSV with the base columns first and quote special characters', () => {
+        const csv = TodoFormats.toCsv([
+            { id: 'a', text: 'Plain', completed: false, createdAt: '2026-03-10T09:00:00.000Z', priority: 'high', tags: ['work', 'q1'] },
+            { id: 'b', text: 'Say "hi", then\nleave', completed: true, createdAt: '2026-03-10T10:00:00.000Z', zeta: 1 }
+        ]);
+        const lines = csv.split('\r\n');
+        assertEquals(lines[0], 'id,text,completed,createdAt,priority,tags,zeta');
+        assertEquals(lines[1], 'a,Plain,false,2026-03-10T09:00:00.000Z,high,work q1,');
+        assert(csv.includes('"Say ""hi"", then\nleave",true'), 'Quotes, commas and newlines are quoted');
+    });
+
+    test('should parse quoted fields, CRLF line endings and a byte order mark', () => {
+        const rows = TodoFormats.parseCsvRows('\uFEFFa,"b ""c""","d\r\ne"\r\n\r\n1,,3');
+        assertEquals(rows, [['a', 'b "c"', 'd\r\ne'], ['1', '', '3']]);
+        assertThrows(() => TodoFormats.parseCsvRows('a,"open'), 'never closed');
+    });
+
+    test('should round-trip every todo field through CSV', () => {
+        const model = new TodoModel(createStorage());
+        const parent = model.addTodo('Plan trip #travel', {
+            dueDate: '2026-04-01', dueTime: '18:30', priority: 'urgent',
+            notes: 'Line one\n  "quoted", indented', recurrence: 'monthly on the 1st'
+        });
+        model.addTodo('Book, hotel', { parentId: parent.id });
+        model.toggleTodo(parent.id, { now: new Date(2026, 3, 1, 12) });
+        model.getTodo(parent.id).custom = '{"looks": "like json"}';
+
+        const copy = new TodoModel(createStorage());
+        TodoFormats.importCsv(copy, TodoFormats.toCsv(model.getAllTodos()));
+        // Order ranks are renumbered and updatedAt is set on import; the order itself is kept
+        const sorted = (todo) => Object.keys(todo).filter(key => key !== 'order' && key !== 'updatedAt').sort().map(key => [key, todo[key]]);
+        assertEquals(copy.getAllTodos().map(sorted), model.getAllTodos().map(sorted));
+    });
+
+    test('should import hand-written CSV with only a text column', () => {
+        const model = new TodoModel(createStorage());
+        model.addTodo('Existing');
+        const result = TodoFormats.importCsv(model, 'text,completed,tags\nFirst,,#home\n"Second",yes,\n',
+            new Date('2026-03-10T08:00:00Z'));
+
+        assertEquals(result, { added: 2, updated: 0, kept: 0 });
+        assertEquals(model.getAllTodos().map(t => [t.text, t.completed, t.tags]),
+            [['Existing', false, []], ['First', false, ['home']], ['Second', true, []]]);
+        assertEquals(model.getAllTodos()[1].createdAt, '2026-03-10T08:00:00.000Z');
+    });
+
+    test('should update todos whose id is already in the list', () => {
+        const model = new TodoModel(createStorage());
+        const todo = model.addTodo('Before', { priority: 'high', dueDate: '2026-03-20' });
+        const result = TodoFormats.importCsv(model, `id,text,completed\n${todo.id},After,true\n`);
+        assertEquals(result, { added: 0, updated: 1, kept: 0 });
+        const updated = model.getTodo(todo.id);
+        assertEquals([updated.text, updated.completed], ['After', true]);
+        assertEquals([updated.priority, updated.dueDate, updated.createdAt], ['high', '2026-03-20', todo.createdAt],
+            'Columns missing from the file keep their current values');
+    });
+
+    test('should report invalid CSV rows by line', () => {
+        const { todos, errors } = TodoFormats.parseCsv('text,priority,dueDate,recurrence\nOk,low,,\n,critical,2026-02-30,whenever\n');
+        assert(todos === null, 'Invalid CSV must not be returned');
+        ['line 3.text', 'line 3.priority', 'line 3.dueDate', 'line 3.recurrence'].forEach(path =>
+            assert(errors.some(error => error.startsWith(path)), `Missing error for ${path}: ${errors.join('; ')}`));
+        assert(TodoFormats.parseCsv('title\nx\n').errors[0].includes('"text" column'));
+    });
+
+    test('should export a Markdown checklist with subtasks and tags', () => {
+        const model = new TodoModel(createStorage());
+        const trip = model.addTodo('Plan trip #travel');
+        model.addTodo('Book hotel', { parentId: trip.id });
+        model.addTodo('Pack');
+        model.toggleTodo(model.getSubtasks(trip.id)[0].id);
+
+        assertEquals(TodoFormats.toMarkdown(model.getAllTodos(), 'Holiday'),
+            '# Holiday\n\n- [ ] Pack\n- [x] Plan trip #travel\n  - [x] Book hotel\n');
+    });
+
+    test('should detect and parse pasted Markdown checklists', () => {
+        const text = '## Groceries\r\n- [ ] Milk\n* [X] Bread\n    - [ ] Sourdough\n\t- [x] Rye\nnot an item\n1. [ ] Eggs';
+        assert(TodoFormats.isMarkdownChecklist(text));
+        assert(!TodoFormats.isMarkdownChecklist('Buy milk'), 'Plain text is not a checklist');
+        assert(!TodoFormats.isMarkdownChecklist('- Buy milk'), 'Bullets without boxes are not a checklist');
+
+        const { items, skipped } = TodoFormats.parseMarkdown(text);
+        assertEquals(items, [
+            { text: 'Milk', completed: false, subtasks: [] },
+            { text: 'Bread', completed: true, subtasks: [{ text: 'Sourdough', completed: false }, { text: 'Rye', completed: true }] },
+            { text: 'Eggs', completed: false, subtasks: [] }
+        ]);
+        assertEquals(skipped, 1);
+    });
+
+    test('should bulk-create checklist todos in order as one change', () => {
+        const storage = createStorage();
+        const model = new TodoModel(storage);
+        model.addTodo('Already here');
+        const writes = storage.writes.todos;
+        const created = TodoFormats.addChecklist(model, '- [ ] Milk #shop\n- [x] Bread\n  - [ ] Sourdough\n');
+
+        assertEquals(created.map(t => [t.text, t.completed]), [['Milk', false], ['Bread', true], ['Sourdough', false]]);
+        assertEquals(model.getRootTodos(model.getAllTodos()).map(t => t.text), ['Milk', 'Bread', 'Already here']);
+        assertEquals(model.getTodo(created[0].id).tags, ['shop'], 'Hashtags become tags');
+        assertEquals(model.getSubtasks(created[1].id).map(t => t.text), ['Sourdough']);
+        assertEquals(storage.writes.todos, writes + 1, 'The checklist is saved once');
+        assertEquals(model.getHistory().map(op => op.type), ['addTodo', 'insertTodos'], 'It is logged as one operation');
+
+        model.undo();
+        assertEquals(model.getAllTodos().map(t => t.text), ['Already here'], 'One undo removes the whole checklist');
+    });
+
+    test('should round-trip a list through a Markdown checklist', () => {
+        const source = new TodoModel(createStorage());
+        const parent = source.addTodo('Release #work');
+        source.addTodo('Tag build', { parentId: parent.id });
+        source.addTodo('Write notes');
+        source.toggleTodo(source.getSubtasks(parent.id)[0].id);
+
+        const target = new TodoModel(createStorage());
+        TodoFormats.addChecklist(target, TodoFormats.toMarkdown(source.getAllTodos()));
+        const shape = (model) => model.getAllTodos().map(t => [t.text, t.completed, t.tags, Boolean(t.parentId)]);
+        assertEquals(shape(target), shape(source));
+    });
+
+    test('should pick formats and file names for downloads and uploads', () => {
+        assertEquals(['a.CSV', 'b.md', 'c.markdown', 'd.json', 'e.txt', 'f.doc'].map(name => TodoFormats.getFormatForFile(name)),
+            ['csv', 'markdown', 'markdown', 'json', 'todotxt', null]);
+        assertEquals(TodoFormats.getExportFileName('Work: Q1 plans!', 'csv', new Date(2026, 2, 10)), 'work-q1-plans-2026-03-10.csv');
+    });
+
+    console.log();
+    console.log('==================================================');
+    console.log(`📊 Test Summary:`);
+    console.log(`   Total: ${testsPassed + testsFailed}`);
+    console.log(`   Passed: ${testsPassed}`);
+    console.log(`   Failed: ${testsFailed}`);
+    console.log('==================================================');
+
+    if (testsFailed === 0) {
+        console.log('🎉 All format tests passed!');
+    } else {
+        console.log(`❌ ${testsFailed} test(s) failed`);
+        process.exit(1);
+    }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    runTests();
+}
+
+module.exports = { runTests };
@@ -0,0 +1,301 @@
+/**
+ * In-memory IndexedDB shim for Node.js tests
+ *
+ * Implements the part of the IndexedDB API the app uses: opening versioned
+ * databases with onupgradeneeded, object stores with in-line (including
+ * compound) or out-of-line keys, single-field indexes, and get, getAll,
+ * getAllKeys, put, delete and clear requests. Requests and transactions
+ * complete asynchronously like the real API; aborted transactions skip their
+ * remaining requests but are not rolled back.
+ *
+ * Usage:
+ *   const IndexedDBShim = require('./indexeddb-shim.js');
+ *   global.window.indexedDB = new IndexedDBShim();
+ *   // new IndexedDBShim({ failOpen: true }) simulates a browser that blocks IndexedDB
+ */
+
+class ShimRequest {
+    constructor(transaction = null) {
+        this.transaction = transaction;
+        this.result = undefined;
+        this.error = null;
+        this.readyState = 'pending';
+        this.onsuccess = null;
+        this.onerror = null;
+    }
+
+    succeed(result, type = 'success') {
+        this.result = result;
+        this.readyState = 'done';
+        const handler = this[`on${type}`];
+        if (handler) {
+            handler({ target: this, type });
+        }
+    }
+
+    fail(error) {
+        this.error = error;
+        this.readyState = 'done';
+        if (this.onerror) {
+            this.onerror({ target: this, type: 'error' });
+        }
+    }
+}
+
+function shimError(name, message) {
+    const error = new Error(message);
+    error.name = name;
+    return error;
+}
+
+function compareKeys(a, b) {
+    if (Array.isArray(a) && Array.isArray(b)) {
+        for (let i = 0; i < Math.min(a.length, b.length); i++) {
+            const result = compareKeys(a[i], b[i]);
+            if (result !== 0) {
+                return result;
+            }
+        }
+        return a.length - b.length;
+    }
+    if (a === b) {
+        return 0;
+    }
+    return a < b ? -1 : 1;
+}
+
+function keyFromPath(value, keyPath) {
+    return Array.isArray(keyPath) ? keyPath.map(path => value[path]) : value[keyPath];
+}
+
+class ShimObjectStore {
+    constructor(transaction, name, data) {
+        this.transaction = transaction;
+        this.name = name;
+        this.data = data;
+        this.keyPath = data.keyPath;
+    }
+
+    sortedRecords() {
+        return Array.from(this.data.records.values()).sort((a, b) => compareKeys(a.key, b.key));
+    }
+
+    checkWritable() {
+        if (this.transaction.mode === 'readonly') {
+            throw shimError('ReadOnlyError', 'The transaction is read-only');
+        }
+    }
+
+    createIndex(name, keyPath) {
+        this.data.indexes.set(name, keyPath);
+        return this.index(name);
+    }
+
+    index(name) {
+        if (!this.data.indexes.has(name)) {
+            throw shimError('NotFoundError', `No index named ${name}`);
+        }
+        const keyPath = this.data.indexes.get(name);
+        return {
+            getAll: (query) => this.transaction.request(() => this.sortedRecords()
+                .filter(record => query === undefined || compareKeys(keyFromPath(record.value, keyPath), query) === 0)
+                .map(record => structuredClone(record.value)))
+        };
+    }
+
+    get(key) {
+        return this.transaction.request(() => {
+            const record = this.data.records.get(JSON.stringify(key));
+            return record ? structuredClone(record.value) : undefined;
+        });
+    }
+
+    getAll() {
+        return this.transaction.request(() => this.sortedRecords().map(record => structuredClone(record.value)));
+    }
+
+    getAllKeys() {
+        return this.transaction.request(() => this.sortedRecords().map(record => record.key));
+    }
+
+    put(value, key) {
+        this.checkWritable();
+        const recordKey = this.keyPath ? keyFromPath(value, this.keyPath) : key;
+        const copy = structuredClone(value);
+        return this.transaction.request(() => {
+            this.data.records.set(JSON.stringify(recordKey), { key: recordKey, value: copy });
+            return recordKey;
+        });
+    }
+
+    delete(key) {
+        this.checkWritable();
+        return this.transaction.request(() => {
+            this.data.records.delete(JSON.stringify(key));
+        });
+    }
+
+    clear() {
+        this.checkWritable();
+        return this.transaction.request(() => {
+            this.data.records.clear();
+        });
+    }
+}
+
+class ShimTransaction {
+    constructor(database, storeNames, mode) {
+        this.database = database;
+        this.storeNames = storeNames;
+        this.mode = mode;
+        this.pending = 0;
+        this.finished = false;
+        this.error = null;
+        this.oncomplete = null;
+        this.onerror = null;
+        this.onabort = null;
+        this.scheduleCompletion();
+    }
+
+    objectStore(name) {
+        if (!this.storeNames.includes(name) || !this.database.data.stores.has(name)) {
+            throw shimError('NotFoundError', `No object store named ${name} in this transaction`);
+        }
+        return new ShimObjectStore(this, name, this.database.data.stores.get(name));
+    }
+
+    request(operation) {
+        if (this.finished) {
+            throw shimError('TransactionInactiveError', 'The transaction has finished');
+        }
+        const request = new ShimRequest(this);
+        this.pending++;
+        setTimeout(() => {
+            this.pending--;
+            if (this.finished) {
+                return;
+            }
+            try {
+                request.succeed(operation());
+            } catch (error) {
+                request.fail(error);
+                this.abort(error);
+                return;
+            }
+            this.scheduleCompletion();
+        });
+        return request;
+    }
+
+    scheduleCompletion() {
+        setTimeout(() => {
+            if (this.pending === 0 && !this.finished) {
+                this.finished = true;
+                if (this.oncomplete) {
+                    this.oncomplete({ target: this, type: 'complete' });
+                }
+            }
+        });
+    }
+
+    abort(error = null) {
+        if (this.finished) {
+            return;
+        }
+        this.finished = true;
+        this.error = error || shimError('AbortError', 'The transaction was aborted');
+        if (error && this.onerror) {
+            this.onerror({ target: this, type: 'error' });
+        }
+        if (this.onabort) {
+            this.onabort({ target: this, type: 'abort' });
+        }
+    }
+}
+
+class ShimDatabase {
+    constructor(name, data) {
+        this.name = name;
+        this.data = data;
+        this.version = data.version;
+        this.closed = false;
+        this.objectStoreNames = {
+            contains: (storeName) => data.stores.has(storeName),
+            get length() {
+                return data.stores.size;
+            }
+        };
+    }
+
+    createObjectStore(name, { keyPath = null } = {}) {
+        if (this.data.stores.has(name)) {
+            throw shimError('ConstraintError', `Object store ${name} already exists`);
+        }
+        this.data.stores.set(name, { keyPath, indexes: new Map(), records: new Map() });
+        const upgrade = { mode: 'versionchange', request: () => { throw shimError('InvalidStateError', 'Not supported during upgrade'); } };
+        return new ShimObjectStore(upgrade, name, this.data.stores.get(name));
+    }
+
+    transaction(storeNames, mode = 'readonly') {
+        if (this.closed) {
+            throw shimError('InvalidStateError', 'The database connection is closed');
+        }
+        return new ShimTransaction(this, [].concat(storeNames), mode);
+    }
+
+    close() {
+        this.closed = true;
+    }
+}
+
+class IndexedDBShim {
+    /**
+     * @param {Object} [options] - Shim options
+     * @param {boolean} [options.failOpen] - Make every open() fail
+     */
+    constructor({ failOpen = false } = {}) {
+        this.failOpen = failOpen;
+        this.databases = new Map();
+    }
+
+    open(name, version = 1) {
+        const request = new ShimRequest();
+        request.onupgradeneeded = null;
+        request.onblocked = null;
+
+        setTimeout(() => {
+            if (this.failOpen) {
+                request.fail(shimError('UnknownError', 'IndexedDB is not available'));
+                return;
+            }
+
+            const existing = this.databases.get(name);
+            if (existing && version < existing.version) {
+                request.fail(shimError('VersionError', `Database ${name} is already at version ${existing.version}`));
+                return;
+            }
+
+            const data = existing || { version: 0, stores: new Map() };
+            this.databases.set(name, data);
+            const oldVersion = data.version;
+            data.version = version;
+            request.result = new ShimDatabase(name, data);
+            if (version > oldVersion && request.onupgradeneeded) {
+                request.onupgradeneeded({ target: request, type: 'upgradeneeded', oldVersion, newVersion: version });
+            }
+            request.succeed(request.result);
+        });
+        return request;
+    }
+
+    deleteDatabase(name) {
+        const request = new ShimRequest();
+        setTimeout(() => {
+            this.databases.delete(name);
+            request.succeed(undefined);
+        });
+        return request;
+    }
+}
+
+module.exports = IndexedDBShim;
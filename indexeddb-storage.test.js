@@ -0,0 +1,216 @@
+/**
+ * Unit Tests for the IndexedDB Storage Backend
+ * Tests IndexedDBStorage (key/value API and per-todo records) and the async
+ * IndexedDB fallback chain in StorageDetector, StorageFallbackHandler and
+ * StorageOperations, using the in-memory IndexedDB shim
+ */
+
+const IndexedDBShim = require('./indexeddb-shim.js');
+
+function createWebStorage() {
+    return {
+        store: {},
+        getItem: function(key) { return this.store[key] === undefined ? null : this.store[key]; },
+        setItem: function(key, value) { this.store[key] = String(value); },
+        removeItem: function(key) { delete this.store[key]; },
+        clear: function() { this.store = {}; }
+    };
+}
+
+// Mock browser globals for Node.js testing
+global.window = {
+    localStorage: createWebStorage(),
+    sessionStorage: createWebStorage(),
+    indexedDB: new IndexedDBShim()
+};
+global.navigator = { userAgent: 'Mozilla/5.0 (Node.js Test Environment)' };
+
+global.IndexedDBStorage = require('./js/IndexedDBStorage.js');
+require('./test-helpers.js');
+require('./js/StorageDetector.js');
+require('./js/StorageFallbackHandler.js');
+require('./js/StorageOperations.js');
+
+const LIST = [
+    { id: 'a', text: 'First', completed: false, order: 0 },
+    { id: 'b', text: 'Second', completed: true, order: 1 },
+    { id: 'c', text: 'Third', completed: false, order: 2 }
+];
+
+/**
+ * Give every test an empty localStorage, sessionStorage and IndexedDB
+ * @param {Object} [options] - IndexedDBShim options
+ * @returns {Object} { shim, storage, operations } wired like StorageManager
+ */
+function createEnvironment(options = {}) {
+    window.localStorage = createWebStorage();
+    window.sessionStorage = createWebStorage();
+    window.indexedDB = new IndexedDBShim(options);
+
+    const detector = new window.StorageDetector();
+    const storage = new IndexedDBStorage(window.indexedDB);
+    const handler = new window.StorageFallbackHandler(detector, storage);
+    return { shim: window.indexedDB, storage, handler, operations: new window.StorageOperations(handler) };
+}
+
+function countRecords(shim) {
+    return shim.databases.get(IndexedDBStorage.DB_NAME).stores.get(IndexedDBStorage.TODO_STORE).records.size;
+}
+
+async function runTests() {
+    console.log('🧪 Running IndexedDB Storage Tests...');
+    console.log();
+
+    let testsPassed = 0;
+    let testsFailed = 0;
+
+    async function test(description, testFn) {
+        try {
+            await testFn();
+            console.log(`✅ ${description}`);
+            testsPassed++;
+        } catch (error) {
+            console.log(`❌ ${description}`);
+            console.log(`   Error: ${error.message}`);
+            testsFailed++;
+        }
+    }
+
+    function assert(condition, message) {
+        if (!condition) {
+            throw new Error(message || 'Assertion failed');
+        }
+    }
+
+    function assertEquals(actual, expected, message) {
+        if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+            throw new Error(message || `Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+        }
+    }
+
+    await test('should store, list and remove plain values', async () => {
+        const { storage } = createEnvironment();
+        await storage.setItem('todo-theme', 'dark');
+        await storage.setItem('todo-lists', '[{"id":"default"}]');
+
+        assertEquals(await storage.getItem('todo-theme'), 'dark');
+        assertEquals(await storage.keys(), ['todo-lists', 'todo-theme']);
+
+        await storage.removeItem('todo-theme');
+        assertEquals(await storage.getItem('todo-theme'), null);
+        await storage.clear();
+        assertEquals(await storage.keys(), []);
+    });
+
+    await test('should save a todo list as one record per todo and read it back unchanged', async () => {
+        const { shim, storage } = createEnvironment();
+        const saved = StorageSchema.serialize(LIST);
+        await storage.setItem('todos:work', saved);
+        await storage.setItem('todos', JSON.stringify(LIST.slice(0, 1)));
+
+        assertEquals(countRecords(shim), 4);
+        assertEquals(await storage.getItem('todos:work'), saved, 'The payload is reassembled in list order');
+        assertEquals(await storage.getItem('todos'), JSON.stringify(LIST.slice(0, 1)), 'Bare arrays stay arrays');
+        assertEquals((await storage.getTodos('todos:work')).map(t => t.id), ['a', 'b', 'c']);
+    });
+
+    await test('should only write the records of changed, moved or removed todos', async () => {
+        const { shim, storage } = createEnvironment();
+        await storage.setItem('todos', StorageSchema.serialize(LIST));
+
+        const edited = LIST.map(todo => todo.id === 'b' ? { ...todo, text: 'Edited' } : todo);
+        assertEquals(await storage.putTodos('todos', edited), { written: 1, deleted: 0 });
+        assertEquals(await storage.putTodos('todos', [edited[2], edited[0]]), { written: 2, deleted: 1 });
+        assertEquals(countRecords(shim), 2);
+        assertEquals((await storage.getTodos('todos')).map(t => t.id), ['c', 'a']);
+    });
+
+    await test('should store values that are not todo lists as given, even under todo keys', async () => {
+        const { shim, storage } = createEnvironment();
+        await storage.setItem('todos', StorageSchema.serialize(LIST));
+        await storage.setItem('todos', 'not json');
+        assertEquals(await storage.getItem('todos'), 'not json');
+        assertEquals(countRecords(shim), 0, 'Records of the previous list are removed');
+
+        await storage.setItem('todos', '[{"text":"no id"}]');
+        assertEquals(await storage.getItem('todos'), '[{"text":"no id"}]');
+    });
+
+    await test('should detect IndexedDB and prefer it for large datasets', async () => {
+        createEnvironment();
+        const detector = new window.StorageDetector();
+        assert(detector.hasIndexedDB() && detector.getStorageCapabilities().indexedDB);
+        assertEquals(await detector.testIndexedDB(), true);
+        assertEquals(detector.detectBestStorage(), 'localStorage');
+        assertEquals(detector.detectBestStorage(window.StorageDetector.LARGE_DATASET_BYTES), 'indexedDB');
+
+        createEnvironment({ failOpen: true });
+        const blocked = new window.StorageDetector();
+        assertEquals(await blocked.testIndexedDB(), false);
+        assert(!blocked.hasIndexedDB(), 'A failed test disables IndexedDB');
+        assertEquals(blocked.detectBestStorage(window.StorageDetector.LARGE_DATASET_BYTES), 'localStorage');
+    });
+
+    await test('should put large values in IndexedDB and small ones in localStorage without stale copies', async () => {
+        const { handler } = createEnvironment();
+        const big = LIST.map(todo => ({ ...todo, notes: 'x'.repeat(window.StorageDetector.LARGE_DATASET_BYTES / 2) }));
+        assertEquals(handler.getAsyncFallbackSequence(), ['localStorage', 'indexedDB', 'sessionStorage']);
+
+        window.localStorage.setItem('todos', 'old');
+        const large = await handler.executeWithFallbackAsync('set', 'todos', StorageSchema.serialize(big));
+        assertEquals(large.storageUsed, 'indexedDB');
+        assertEquals(window.localStorage.getItem('todos'), null, 'The localStorage copy is removed');
+        assertEquals(JSON.parse((await handler.executeWithFallbackAsync('get', 'todos')).value).todos.length, 3);
+
+        const small = await handler.executeWithFallbackAsync('set', 'todos', StorageSchema.serialize(LIST));
+        assertEquals(small.storageUsed, 'localStorage');
+        assertEquals(await handler.getIndexedDBStorage().getItem('todos'), null, 'The IndexedDB copy is removed');
+    });
+
+    await test('should fall back to web storage when IndexedDB fails', async () => {
+        const { handler } = createEnvironment({ failOpen: true });
+        const big = 'x'.repeat(window.StorageDetector.LARGE_DATASET_BYTES);
+        const result = await handler.executeWithFallbackAsync('set', 'blob', big);
+
+        assertEquals(result.storageUsed, 'localStorage');
+        assertEquals(result.fallbacksUsed.map(f => f.type), ['indexedDB']);
+        assert(handler.errorStats.indexedDB > 0, 'IndexedDB failures are counted');
+        assertEquals(window.localStorage.getItem('blob').length, big.length);
+    });
+
+    await test('should expose the async chain through StorageOperations', async () => {
+        const { operations, storage } = createEnvironment();
+        await storage.setItem('todos:big', StorageSchema.serialize(LIST));
+
+        assertEquals(JSON.parse(await operations.getItemAsync('todos:big')).todos, LIST, 'Values only in IndexedDB are found');
+        assertEquals(await operations.setItemAsync('todo-theme', 'dark'), true);
+        assertEquals(await operations.getItemAsync('todo-theme'), 'dark');
+
+        await operations.removeItemAsync('todos:big');
+        assertEquals(await operations.getItemAsync('todos:big'), null);
+        assertEquals(operations.operationStats.gets.total, 3);
+        assertEquals(await operations.setItemAsync('', 'x'), false, 'Keys are validated like setItem');
+    });
+
+    console.log();
+    console.log('==================================================');
+    console.log(`📊 Test Summary:`);
+    console.log(`   Total: ${testsPassed + testsFailed}`);
+    console.log(`   Passed: ${testsPassed}`);
+    console.log(`   Failed: ${testsFailed}`);
+    console.log('==================================================');
+
+    if (testsFailed === 0) {
+        console.log('🎉 All IndexedDB storage tests passed!');
+    } else {
+        console.log(`❌ ${testsFailed} test(s) failed`);
+        process.exit(1);
+    }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    runTests();
+}
+
+module.exports = { runTests };
@@ -0,0 +1,173 @@
+/**
+ * ConfirmDialog - Accessible modal replacement for window.confirm() and window.prompt()
+ *
+ * confirm() and prompt() resolve a Promise with the user's answer instead of
+ * blocking the page. While the dialog is open, focus stays inside it (Tab
+ * cycles through its text field and buttons), Escape or a click outside
+ * cancels, and key presses do not reach the app's keyboard shortcuts. Focus
+ * returns to where it was when the dialog closes. A dialog asked for while
+ * another is open waits its turn.
+ */
+class ConfirmDialog {
+    /**
+     * @param {Document} [doc] - Document to show the dialog in
+     */
+    constructor(doc = document) {
+        this.document = doc;
+        this.pending = Promise.resolve();
+        this.nextId = 1;
+    }
+
+    /**
+     * Ask the user to confirm something
+     * @param {string} message - Question to ask
+     * @param {Object} [options] - Options
+     * @param {string} [options.title] - Dialog title (default: 'Please confirm')
+     * @param {string} [options.confirmLabel] - Confirm button text (default: 'OK')
+     * @param {string} [options.cancelLabel] - Cancel button text (default: 'Cancel')
+     * @param {boolean} [options.danger] - Style the confirm button as destructive
+     * @returns {Promise<boolean>} True if the user confirmed
+     */
+    confirm(message, options = {}) {
+        const answer = this.pending.then(() => this.open(message, options));
+        this.pending = answer;
+        return answer;
+    }
+
+    /**
+     * Ask the user for a line of text
+     * Enter in the text field confirms.
+     * @param {string} message - Label of the text field
+     * @param {Object} [options] - Same options as confirm(), and:
+     * @param {string} [options.defaultValue] - Initial text (default: '')
+     * @returns {Promise<string|null>} The text entered, or null if cancelled
+     */
+    prompt(message, options = {}) {
+        const answer = this.pending.then(() => this.open(message, options, true));
+        this.pending = answer;
+        return answer;
+    }
+
+    /**
+     * Show the dialog and wait for an answer
+     * @param {string} message - Question to ask
+     * @param {Object} options - Options from confirm() or prompt()
+     * @param {boolean} [withInput] - Ask for text, as prompt() does
+     * @returns {Promise<boolean|string|null>} True if the user confirmed, or for
+     *   prompt() the text entered or null
+     * @private
+     */
+    open(message, options, withInput = false) {
+        const doc = this.document;
+        const id = `confirm-dialog-${this.nextId++}`;
+        const previousFocus = doc.activeElement;
+
+        const overlay = doc.createElement('div');
+        overlay.className = 'confirm-overlay';
+
+        const dialog = doc.createElement('div');
+        dialog.className = 'confirm-dialog';
+        dialog.setAttribute('role', withInput ? 'dialog' : 'alertdialog');
+        dialog.setAttribute('aria-modal', 'true');
+        dialog.setAttribute('aria-labelledby', `${id}-title`);
+        dialog.setAttribute('aria-describedby', `${id}-message`);
+
+        const title = doc.createElement('h2');
+        title.id = `${id}-title`;
+        title.className = 'confirm-title';
+        title.textContent = options.title || 'Please confirm';
+
+        const text = doc.createElement('p');
+        text.id = `${id}-message`;
+        text.className = 'confirm-message';
+        text.textContent = message;
+
+        let input = null;
+        if (withInput) {
+            input = doc.createElement('input');
+            input.type = 'text';
+            input.className = 'confirm-input';
+            input.value = options.defaultValue || '';
+            input.setAttribute('aria-labelledby', `${id}-message`);
+        }
+
+        const cancelButton = doc.createElement('button');
+        cancelButton.type = 'button';
+        cancelButton.className = 'cancel-btn';
+        cancelButton.textContent = options.cancelLabel || 'Cancel';
+
+        const confirmButton = doc.createElement('button');
+        confirmButton.type = 'button';
+        confirmButton.className = options.danger ? 'confirm-btn confirm-btn-danger' : 'confirm-btn';
+        confirmButton.textContent = options.confirmLabel || 'OK';
+
+        const actions = doc.createElement('div');
+        actions.className = 'confirm-actions';
+        actions.appendChild(cancelButton);
+        actions.appendChild(confirmButton);
+
+        dialog.appendChild(title);
+        dialog.appendChild(text);
+        if (input) {
+            dialog.appendChild(input);
+        }
+        dialog.appendChild(actions);
+        overlay.appendChild(dialog);
+
+        const focusable = [input, cancelButton, confirmButton].filter(Boolean);
+
+        return new Promise(resolve => {
+            const close = (confirmed) => {
+                overlay.remove();
+                if (previousFocus && typeof previousFocus.focus === 'function') {
+                    previousFocus.focus();
+                }
+                if (input) {
+                    resolve(confirmed ? input.value : null);
+                } else {
+                    resolve(confirmed);
+                }
+            };
+
+            confirmButton.addEventListener('click', () => close(true));
+            cancelButton.addEventListener('click', () => close(false));
+            overlay.addEventListener('click', (e) => {
+                if (e.target === overlay) {
+                    close(false);
+                }
+            });
+            overlay.addEventListener('keydown', (e) => {
+                // Keep shortcuts such as Ctrl+Z from acting on the page behind the dialog
+                e.stopPropagation();
+                if (e.key === 'Escape') {
+                    e.preventDefault();
+                    close(false);
+                } else if (e.key === 'Enter' && input && e.target === input) {
+                    e.preventDefault();
+                    close(true);
+                } else if (e.key === 'Tab') {
+                    e.preventDefault();
+                    const index = focusable.indexOf(doc.activeElement);
+                    const step = e.shiftKey ? -1 : 1;
+                    focusable[(index + step + focusable.length) % focusable.length].focus();
+                }
+            });
+
+            doc.body.appendChild(overlay);
+            if (input) {
+                input.focus();
+                if (typeof input.select === 'function') {
+                    input.select();
+                }
+            } else {
+                // For destructive actions Cancel has focus, so Enter alone never deletes anything
+                (options.danger ? cancelButton : confirmButton).focus();
+            }
+        });
+    }
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ConfirmDialog;
+}
@@ -0,0 +1,345 @@
+/**
+ * DataExchange - JSON export and import of every list, todo and preference
+ *
+ * Export file layout (schemaVersion 1):
+ *   {
+ *     format: 'autotodo',
+ *     schemaVersion: 1,
+ *     metadata: { app, exportedAt, listCount, todoCount },
+ *     preferences: { theme, sortMode },
+ *     activeListId: '...',
+ *     lists: [{ id, name, createdAt, todos: [...] }]
+ *   }
+ *
+ * Import is two-step: parseImport() validates a file and reports every
+ * problem with its path, previewImport() describes what would change, and
+ * applyImport() merges into or replaces the current data. Todos are matched
+ * by id within lists matched by id; on a conflict either the existing or the
+ * imported todo wins. A bare array of todos (e.g. a copy of the 'todos'
+ * storage key) is accepted as the default list.
+ */
+
+const EXPORT_FORMAT = 'autotodo';
+const EXPORT_PREFERENCE_KEYS = { theme: 'todo-theme', sortMode: 'todo-sort-mode' };
+const EXPORT_MAX_ERRORS = 20;
+
+class DataExchange {
+    static SCHEMA_VERSION = 1;
+    static IMPORT_MODES = ['merge', 'replace'];
+    static CONFLICT_STRATEGIES = ['keep-existing', 'use-imported'];
+
+    /**
+     * Build an export of all lists and preferences
+     * @param {ListManager} listManager - Lists to export
+     * @param {Object} storage - Storage holding the preferences
+     * @param {Date} [now] - Export time
+     * @returns {Object} Export data (see file layout above)
+     */
+    static createExport(listManager, storage, now = new Date()) {
+        const lists = listManager.getLists().map(list => ({
+            ...list,
+            todos: listManager.getModel(list.id).getAllTodos()
+        }));
+
+        const preferences = {};
+        Object.entries(EXPORT_PREFERENCE_KEYS).forEach(([name, key]) => {
+            try {
+                preferences[name] = storage.getItem(key) || null;
+            } catch (e) {
+                preferences[name] = null;
+            }
+        });
+
+        return {
+            format: EXPORT_FORMAT,
+            schemaVersion: this.SCHEMA_VERSION,
+            metadata: {
+                app: 'AutoToDo',
+                exportedAt: now.toISOString(),
+                listCount: lists.length,
+                todoCount: lists.reduce((count, list) => count + list.todos.length, 0)
+            },
+            preferences,
+            activeListId: listManager.activeListId,
+            lists
+        };
+    }
+
+    /**
+     * Get the download file name for an export
+     * @param {Date} [now] - Export time
+     * @returns {string} e.g. 'autotodo-export-2026-03-10.json'
+     */
+    static getExportFileName(now = new Date()) {
+        return `autotodo-export-${DateUtils.toDateKey(now)}.json`;
+    }
+
+    /**
+     * Parse and validate an import file
+     * @param {string} text - File contents
+     * @returns {Object} { data, errors } where data is null if there are errors
+     */
+    static parseImport(text) {
+        let raw;
+        try {
+            raw = JSON.parse(text);
+        } catch (e) {
+            return { data: null, errors: [`The file is not valid JSON: ${e.message}`] };
+        }
+
+        // A list's saved value ({ schemaVersion, todos }, see StorageSchema) imports like a bare array
+        if (raw && typeof raw === 'object' && !raw.format && Number.isInteger(raw.schemaVersion) && Array.isArray(raw.todos)) {
+            raw = raw.todos;
+        }
+        if (Array.isArray(raw)) {
+            raw = {
+                format: EXPORT_FORMAT,
+                schemaVersion: this.SCHEMA_VERSION,
+                metadata: {},
+                preferences: {},
+                activeListId: ListManager.DEFAULT_LIST_ID,
+                lists: [{ id: ListManager.DEFAULT_LIST_ID, name: ListManager.DEFAULT_LIST_NAME, todos: raw }]
+            };
+        }
+
+        const errors = this.validateExport(raw);
+        if (errors.length > EXPORT_MAX_ERRORS) {
+            const hidden = errors.length - EXPORT_MAX_ERRORS;
+            errors.splice(EXPORT_MAX_ERRORS, hidden, `...and ${hidden} more problem${hidden !== 1 ? 's' : ''}`);
+        }
+        return { data: errors.length === 0 ? raw : null, errors };
+    }
+
+    /**
+     * Validate the structure of parsed export data
+     * @param {*} data - Parsed JSON
+     * @returns {Array<string>} Problems, each prefixed with its path
+     */
+    static validateExport(data) {
+        if (!data || typeof data !== 'object') {
+            return ['The file does not contain an AutoToDo export'];
+        }
+        if (data.format !== EXPORT_FORMAT) {
+            return ['The file is not an AutoToDo export (missing "format": "autotodo")'];
+        }
+        if (!Number.isInteger(data.schemaVersion) || data.schemaVersion < 1) {
+            return ['schemaVersion must be a positive whole number'];
+        }
+        if (data.schemaVersion > this.SCHEMA_VERSION) {
+            return [`The file uses schema version ${data.schemaVersion}, but this app only reads up to version ${this.SCHEMA_VERSION}. Update the app and try again.`];
+        }
+        if (!Array.isArray(data.lists) || data.lists.length === 0) {
+            return ['lists must be a non-empty array'];
+        }
+
+        const errors = [];
+        const preferences = data.preferences || {};
+        if (preferences.theme && !['light', 'dark'].includes(preferences.theme)) {
+            errors.push('preferences.theme must be "light" or "dark"');
+        }
+        if (preferences.sortMode && !TodoModel.SORT_MODES.includes(preferences.sortMode)) {
+            errors.push(`preferences.sortMode must be one of ${TodoModel.SORT_MODES.join(', ')}`);
+        }
+
+        const listIds = new Set();
+        const listNames = new Set();
+        data.lists.forEach((list, listIndex) => {
+            const path = `lists[${listIndex}]`;
+            if (!list || typeof list !== 'object') {
+                errors.push(`${path} must be an object`);
+                return;
+            }
+            if (typeof list.id !== 'string' || !list.id) {
+                errors.push(`${path}.id must be a non-empty string`);
+            } else if (listIds.has(list.id)) {
+                errors.push(`${path}.id "${list.id}" is used by more than one list`);
+            }
+            listIds.add(list.id);
+
+            const name = typeof list.name === 'string' ? list.name.trim() : '';
+            if (!name || name.length > ListManager.MAX_NAME_LENGTH) {
+                errors.push(`${path}.name must be 1-${ListManager.MAX_NAME_LENGTH} characters`);
+            } else if (listNames.has(name.toLowerCase())) {
+                errors.push(`${path}.name "${name}" is used by more than one list`);
+            }
+            listNames.add(name.toLowerCase());
+
+            if (!Array.isArray(list.todos)) {
+                errors.push(`${path}.todos must be an array`);
+                return;
+            }
+            const todoIds = new Set();
+            list.todos.forEach((todo, todoIndex) => {
+                const todoPath = `${path}.todos[${todoIndex}]`;
+                errors.push(...this.validateTodo(todo, todoPath));
+                if (todo && typeof todo.id === 'string') {
+                    if (todoIds.has(todo.id)) {
+                        errors.push(`${todoPath}.id "${todo.id}" is used by more than one todo`);
+                    }
+                    todoIds.add(todo.id);
+                }
+            });
+        });
+
+        if (data.activeListId !== undefined && !listIds.has(data.activeListId)) {
+            errors.push('activeListId must be the id of one of the lists');
+        }
+        return errors;
+    }
+
+    /**
+     * Validate a single todo
+     * Unknown fields are kept so files from newer minor versions still import.
+     * @param {*} todo - Todo from the file
+     * @param {string} path - Path used in messages
+     * @returns {Array<string>} Problems
+     */
+    static validateTodo(todo, path) {
+        if (!todo || typeof todo !== 'object' || Array.isArray(todo)) {
+            return [`${path} must be an object`];
+        }
+
+        const errors = [];
+        const check = (condition, message) => {
+            if (!condition) {
+                errors.push(`${path}.${message}`);
+            }
+        };
+        const optional = (field) => todo[field] === undefined || todo[field] === null;
+
+        check(typeof todo.id === 'string' && todo.id.length > 0, 'id must be a non-empty string');
+        check(typeof todo.text === 'string' && todo.text.trim().length > 0, 'text must be a non-empty string');
+        check(typeof todo.completed === 'boolean', 'completed must be true or false');
+        check(optional('order') || (typeof todo.order === 'number' && isFinite(todo.order)), 'order must be a number');
+        check(optional('createdAt') || !isNaN(new Date(todo.createdAt).getTime()), 'createdAt must be a date');
+        check(optional('dueDate') || DateUtils.isValidDateKey(todo.dueDate), 'dueDate must be a YYYY-MM-DD date');
+        check(optional('dueTime') || DateUtils.isValidTime(todo.dueTime), 'dueTime must be an HH:MM time');
+        check(optional('priority') || TodoModel.PRIORITY_LEVELS.includes(todo.priority),
+            `priority must be one of ${TodoModel.PRIORITY_LEVELS.join(', ')}`);
+        check(optional('tags') || (Array.isArray(todo.tags) && todo.tags.every(tag => typeof tag === 'string')),
+            'tags must be an array of strings');
+        check(optional('parentId') || typeof todo.parentId === 'string', 'parentId must be a string');
+        check(optional('notes') || (typeof todo.notes === 'string' && todo.notes.length <= TodoModel.MAX_NOTES_LENGTH),
+            `notes must be a string of at most ${TodoModel.MAX_NOTES_LENGTH} characters`);
+
+        if (!optional('recurrence')) {
+            try {
+                RecurrenceRule.normalize(todo.recurrence);
+            } catch (error) {
+                errors.push(`${path}.recurrence: ${error.message}`);
+            }
+        }
+        return errors;
+    }
+
+    /**
+     * Describe what importing validated data would change
+     * @param {ListManager} listManager - Current lists
+     * @param {Object} data - Data returned by parseImport()
+     * @returns {Object} { exportedAt, theme, todoCount, lists: [...], conflicts: [...] }
+     *   where each list has { id, name, todoCount, exists, newTodos, conflicts, unchanged }
+     *   and each conflict has { listName, todoId, existingText, importedText }
+     */
+    static previewImport(listManager, data) {
+        const conflicts = [];
+        const lists = data.lists.map(list => {
+            const model = listManager.getModel(list.id);
+            const summary = { id: list.id, name: list.name.trim(), todoCount: list.todos.length, exists: Boolean(model), newTodos: 0, conflicts: 0, unchanged: 0 };
+
+            list.todos.forEach(todo => {
+                const existing = model ? model.getTodo(todo.id) : null;
+                if (!existing) {
+                    summary.newTodos++;
+                } else if (this.isSameTodo(existing, todo)) {
+                    summary.unchanged++;
+                } else {
+                    summary.conflicts++;
+                    conflicts.push({ listName: summary.name, todoId: todo.id, existingText: existing.text, importedText: todo.text });
+                }
+            });
+            return summary;
+        });
+
+        return {
+            exportedAt: (data.metadata && data.metadata.exportedAt) || null,
+            theme: (data.preferences && data.preferences.theme) || null,
+            todoCount: lists.reduce((count, list) => count + list.todoCount, 0),
+            lists,
+            conflicts
+        };
+    }
+
+    /**
+     * Check whether two todos have the same content, ignoring their list position
+     * and when they were last changed
+     * @param {Object} a - Todo
+     * @param {Object} b - Todo
+     * @returns {boolean} True if every field but order and updatedAt matches
+     */
+    static isSameTodo(a, b) {
+        const content = (todo) => {
+            const { order, updatedAt, ...fields } = todo;
+            return JSON.stringify(Object.keys(fields).sort().map(key => [key, fields[key]]));
+        };
+        return content(a) === content(b);
+    }
+
+    /**
+     * Import validated data
+     * 'merge' adds imported lists and todos to the current data; 'replace'
+     * makes the current data exactly the imported lists and todos.
+     * @param {ListManager} listManager - Lists to import into
+     * @param {Object} data - Data returned by parseImport()
+     * @param {Object} [options] - Import options
+     * @param {string} [options.mode] - One of IMPORT_MODES (default: 'merge')
+     * @param {string} [options.conflict] - One of CONFLICT_STRATEGIES (default: 'use-imported')
+     * @returns {Object} { added, updated, kept, lists } counts
+     */
+    static applyImport(listManager, data, { mode = 'merge', conflict = 'use-imported' } = {}) {
+        if (!this.IMPORT_MODES.includes(mode)) {
+            throw new Error(`Import mode must be one of ${this.IMPORT_MODES.join(', ')}`);
+        }
+        if (!this.CONFLICT_STRATEGIES.includes(conflict)) {
+            throw new Error(`Conflict strategy must be one of ${this.CONFLICT_STRATEGIES.join(', ')}`);
+        }
+
+        const result = { added: 0, updated: 0, kept: 0, lists: data.lists.length };
+        data.lists.forEach(list => listManager.restoreList(list));
+
+        if (mode === 'replace') {
+            const importedIds = new Set(data.lists.map(list => list.id));
+            listManager.getLists()
+                .filter(list => !importedIds.has(list.id))
+                .forEach(list => listManager.deleteList(list.id));
+        }
+
+        data.lists.forEach(list => {
+            const model = listManager.getModel(list.id);
+            if (mode === 'replace') {
+                try {
+                    listManager.renameList(list.id, list.name);
+                } catch (error) {
+                    // Another imported list still has this name; it keeps its current one
+                    console.warn(`Kept the name of list "${list.id}":`, error.message);
+                }
+                model.replaceTodos(list.todos);
+                result.added += list.todos.length;
+            } else {
+                const counts = model.mergeTodos(list.todos, { preferImported: conflict === 'use-imported' });
+                result.added += counts.added;
+                result.updated += counts.updated;
+                result.kept += counts.kept;
+            }
+        });
+
+        if (mode === 'replace' && listManager.getList(data.activeListId)) {
+            listManager.switchList(data.activeListId);
+        }
+        return result;
+    }
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DataExchange;
+}
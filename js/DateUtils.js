@@ -0,0 +1,147 @@
+/**
+ * DateUtils - Calendar date helpers for due dates
+ *
+ * Due dates are stored as local calendar keys ('YYYY-MM-DD') with an optional
+ * 'HH:MM' time, never as timestamps, so a todo due "Friday" stays due on Friday
+ * regardless of the timezone the data is opened in.
+ */
+
+const DUE_DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const DUE_TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+class DateUtils {
+    /**
+     * Format a Date as a local calendar key
+     * @param {Date} date - Date to format
+     * @returns {string} Date in 'YYYY-MM-DD' form
+     */
+    static toDateKey(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    /**
+     * Parse a calendar key into a Date at local midnight
+     * @param {string} dateKey - Date in 'YYYY-MM-DD' form
+     * @returns {Date|null} Parsed date, or null if the key is not a real date
+     */
+    static parseDateKey(dateKey) {
+        const match = typeof dateKey === 'string' ? dateKey.match(DUE_DATE_PATTERN) : null;
+        if (!match) {
+            return null;
+        }
+
+        const [, year, month, day] = match.map(Number);
+        const date = new Date(year, month - 1, day);
+
+        // Reject overflowing dates such as 2024-02-31
+        if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+            return null;
+        }
+        return date;
+    }
+
+    /**
+     * Check whether a value is a valid 'YYYY-MM-DD' calendar key
+     * @param {string} dateKey - Value to check
+     * @returns {boolean} True if valid
+     */
+    static isValidDateKey(dateKey) {
+        return this.parseDateKey(dateKey) !== null;
+    }
+
+    /**
+     * Check whether a value is a valid 24-hour 'HH:MM' time
+     * @param {string} time - Value to check
+     * @returns {boolean} True if valid
+     */
+    static isValidTime(time) {
+        return typeof time === 'string' && DUE_TIME_PATTERN.test(time);
+    }
+
+    /**
+     * Shift a calendar key by a number of days
+     * @param {string} dateKey - Date in 'YYYY-MM-DD' form
+     * @param {number} days - Days to add (negative to subtract)
+     * @returns {string} Shifted date key
+     */
+    static addDays(dateKey, days) {
+        const date = this.parseDateKey(dateKey);
+        date.setDate(date.getDate() + days);
+        return this.toDateKey(date);
+    }
+
+    /**
+     * Get the moment a todo becomes overdue
+     * Todos without a time are due at the end of their day.
+     * @param {Object} todo - Todo with dueDate and optional dueTime
+     * @returns {Date|null} Due moment, or null if the todo has no due date
+     */
+    static getDueMoment(todo) {
+        const date = this.parseDateKey(todo.dueDate);
+        if (!date) {
+            return null;
+        }
+
+        if (todo.dueTime) {
+            const [hours, minutes] = todo.dueTime.split(':').map(Number);
+            date.setHours(hours, minutes, 0, 0);
+        } else {
+            date.setDate(date.getDate() + 1);
+        }
+        return date;
+    }
+
+    /**
+     * Classify an open todo's due date relative to now
+     * @param {Object} todo - Todo object
+     * @param {Date} [now] - Reference time (defaults to the current time)
+     * @returns {string|null} 'overdue', 'today', 'upcoming', or null for
+     *   todos that are completed or have no due date
+     */
+    static getDueStatus(todo, now = new Date()) {
+        if (!todo || todo.completed || !todo.dueDate) {
+            return null;
+        }
+
+        const dueMoment = this.getDueMoment(todo);
+        if (!dueMoment) {
+            return null;
+        }
+
+        if (now >= dueMoment) {
+            return 'overdue';
+        }
+        return todo.dueDate === this.toDateKey(now) ? 'today' : 'upcoming';
+    }
+
+    /**
+     * Format a todo's due date for display, e.g. "Oct 19" or "Oct 19, 2027 09:30"
+     * The year is only shown when it differs from the reference year.
+     * @param {Object} todo - Todo object
+     * @param {Date} [now] - Reference time (defaults to the current time)
+     * @returns {string} Human-readable due date, or '' if there is none
+     */
+    static formatDueDate(todo, now = new Date()) {
+        const date = this.parseDateKey(todo.dueDate);
+        if (!date) {
+            return '';
+        }
+
+        let label = `${MONTH_NAMES[date.getMonth()]} ${date.getDate()}`;
+        if (date.getFullYear() !== now.getFullYear()) {
+            label += `, ${date.getFullYear()}`;
+        }
+        if (todo.dueTime) {
+            label += ` ${todo.dueTime}`;
+        }
+        return label;
+    }
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DateUtils;
+}
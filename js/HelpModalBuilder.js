@@ -8,9 +8,10 @@ class HelpModalBuilder {
     /**
      * Create the keyboard shortcuts help modal
      * @param {KeyboardShortcutManager} keyboardManager - The keyboard shortcut manager instance
+     * @param {Function} [onCustomize] - Opens the shortcut settings; without it there is no Customize button
      * @returns {HTMLElement} The created modal element
      */
-    static createKeyboardHelpModal(keyboardManager) {
+    static createKeyboardHelpModal(keyboardManager, onCustomize = null) {
         const modal = document.createElement('div');
         modal.id = 'keyboardHelpModal';
         modal.className = 'help-modal';
@@ -19,10 +20,10 @@ class HelpModalBuilder {
         const allShortcuts = keyboardManager.getAllShortcuts();
         const groupedShortcuts = ShortcutsConfig.groupByCategory(allShortcuts);
         
-        modal.innerHTML = this.generateHelpModalContent(groupedShortcuts);
+        modal.innerHTML = this.generateHelpModalContent(groupedShortcuts, Boolean(onCustomize));
         
         // Add event listeners
-        this.addHelpModalEventListeners(modal);
+        this.addHelpModalEventListeners(modal, onCustomize);
         
         return modal;
     }
@@ -30,12 +31,13 @@ class HelpModalBuilder {
     /**
      * Generate the HTML content for the help modal
      * @param {Object} groupedShortcuts - Shortcuts grouped by category
+     * @param {boolean} [customizable] - Show the Customize shortcuts button
      * @returns {string} HTML content string
      */
-    static generateHelpModalContent(groupedShortcuts) {
+    static generateHelpModalContent(groupedShortcuts, customizable = false) {
         const header = this.generateModalHeader();
         const body = this.generateModalBody(groupedShortcuts);
-        const footer = this.generateModalFooter();
+        const footer = this.generateModalFooter(customizable);
 
         return `
             <div class="help-modal-content">
@@ -132,12 +134,17 @@ class HelpModalBuilder {
 
     /**
      * Generate the modal footer
+     * @param {boolean} [customizable] - Show the Customize shortcuts button
      * @returns {string} Footer HTML
      */
-    static generateModalFooter() {
+    static generateModalFooter(customizable = false) {
+        const customizeButton = customizable
+            ? '<button type="button" class="help-customize-btn">Customize shortcuts</button>'
+            : '';
         return `
             <div class="help-footer">
                 <p>Press <kbd>Escape</kbd> or click outside to close this help dialog.</p>
+                ${customizeButton}
             </div>
         `;
     }
@@ -145,8 +152,9 @@ class HelpModalBuilder {
     /**
      * Add event listeners to the help modal
      * @param {HTMLElement} modal - The modal element
+     * @param {Function} [onCustomize] - Called when the Customize shortcuts button is clicked
      */
-    static addHelpModalEventListeners(modal) {
+    static addHelpModalEventListeners(modal, onCustomize = null) {
         // Click outside to close
         modal.addEventListener('click', (e) => {
             if (e.target === modal) {
@@ -160,17 +168,26 @@ class HelpModalBuilder {
                 modal.style.display = 'none';
             }
         });
+        
+        const customizeButton = modal.querySelector('.help-customize-btn');
+        if (customizeButton && onCustomize) {
+            customizeButton.addEventListener('click', () => {
+                modal.style.display = 'none';
+                onCustomize();
+            });
+        }
     }
 
     /**
      * Show existing help modal or create and show new one
      * @param {KeyboardShortcutManager} keyboardManager - The keyboard shortcut manager instance
+     * @param {Function} [onCustomize] - Opens the shortcut settings
      */
-    static showHelpModal(keyboardManager) {
+    static showHelpModal(keyboardManager, onCustomize = null) {
         let helpModal = document.getElementById('keyboardHelpModal');
         
         if (!helpModal) {
-            helpModal = this.createKeyboardHelpModal(keyboardManager);
+            helpModal = this.createKeyboardHelpModal(keyboardManager, onCustomize);
             document.body.appendChild(helpModal);
         }
         
@@ -195,15 +212,22 @@ class HelpModalBuilder {
 
     /**
      * Update help modal content (useful when shortcuts change)
+     * The modal is rebuilt rather than re-rendered in place, so its event
+     * listeners are not added a second time.
      * @param {KeyboardShortcutManager} keyboardManager - The keyboard shortcut manager instance
+     * @param {Function} [onCustomize] - Opens the shortcut settings
      */
-    static updateHelpModal(keyboardManager) {
+    static updateHelpModal(keyboardManager, onCustomize = null) {
         const helpModal = document.getElementById('keyboardHelpModal');
         if (helpModal) {
-            const allShortcuts = keyboardManager.getAllShortcuts();
-            const groupedShortcuts = ShortcutsConfig.groupByCategory(allShortcuts);
-            helpModal.innerHTML = this.generateHelpModalContent(groupedShortcuts);
-            this.addHelpModalEventListeners(helpModal);
+            const updatedModal = this.createKeyboardHelpModal(keyboardManager, onCustomize);
+            updatedModal.style.display = helpModal.style.display;
+            helpModal.replaceWith(updatedModal);
         }
     }
-}
\ No newline at end of file
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HelpModalBuilder;
+}
@@ -0,0 +1,320 @@
+/**
+ * IndexedDBStorage - Asynchronous IndexedDB backend for the storage system
+ *
+ * This module provides:
+ * - A promise-based key/value API (getItem, setItem, removeItem, clear, keys)
+ *   matching the string values used by the other storage backends
+ * - Per-todo records for todo lists: a list saved under 'todos' or
+ *   'todos:<id>' is split into one record per todo, so saving a list only
+ *   writes the todos that changed instead of one large JSON blob
+ * - No size limit beyond the browser's IndexedDB quota, which makes it the
+ *   preferred backend for large datasets (see StorageDetector.LARGE_DATASET_BYTES)
+ *
+ * Database layout (IndexedDBStorage.DB_NAME):
+ * - 'keyval': plain values by key; for todo lists, the list payload without
+ *   its todos plus a marker saying the todos live in the 'todos' store
+ * - 'todos': { listKey, id, position, todo } records keyed by [listKey, id]
+ *   with a 'listKey' index
+ *
+ * The IDBFactory is injected, so Node tests can pass an in-memory shim.
+ */
+class IndexedDBStorage {
+    static DB_NAME = 'autotodo';
+    static DB_VERSION = 1;
+    static KEYVAL_STORE = 'keyval';
+    static TODO_STORE = 'todos';
+
+    /**
+     * Check whether a key holds a todo list that is stored as per-todo records
+     * @param {string} key - Storage key
+     * @returns {boolean} True for 'todos' and 'todos:<id>'
+     */
+    static isRecordKey(key) {
+        return key === 'todos' || key.startsWith('todos:');
+    }
+
+    /**
+     * @param {IDBFactory} [factory] - IndexedDB implementation (default: window.indexedDB)
+     * @param {string} [dbName] - Database name
+     */
+    constructor(factory = typeof window !== 'undefined' ? window.indexedDB : undefined, dbName = IndexedDBStorage.DB_NAME) {
+        this.factory = factory;
+        this.dbName = dbName;
+        this.dbPromise = null;
+    }
+
+    /**
+     * Open the database, creating its object stores on first use
+     * The connection is shared by all operations.
+     * @returns {Promise<IDBDatabase>} Open database
+     */
+    open() {
+        if (this.dbPromise) {
+            return this.dbPromise;
+        }
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            if (!this.factory) {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+
+            const request = this.factory.open(this.dbName, IndexedDBStorage.DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(IndexedDBStorage.KEYVAL_STORE)) {
+                    db.createObjectStore(IndexedDBStorage.KEYVAL_STORE);
+                }
+                if (!db.objectStoreNames.contains(IndexedDBStorage.TODO_STORE)) {
+                    const todos = db.createObjectStore(IndexedDBStorage.TODO_STORE, { keyPath: ['listKey', 'id'] });
+                    todos.createIndex('listKey', 'listKey');
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error || new Error('Failed to open IndexedDB'));
+            request.onblocked = () => reject(new Error('IndexedDB is blocked by another open connection'));
+        });
+
+        // A failed open may succeed later (e.g. after a blocked upgrade), so don't cache it
+        this.dbPromise.catch(() => {
+            this.dbPromise = null;
+        });
+        return this.dbPromise;
+    }
+
+    /**
+     * Run work in a transaction and resolve once it has committed
+     * @param {string[]} storeNames - Object stores to use
+     * @param {'readonly'|'readwrite'} mode - Transaction mode
+     * @param {Function} work - Receives the stores by name; its return value
+     *   (or the value of a returned request) is the result
+     * @returns {Promise<*>} Result of the work
+     */
+    async transaction(storeNames, mode, work) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            const stores = {};
+            storeNames.forEach(name => {
+                stores[name] = tx.objectStore(name);
+            });
+
+            let result;
+            try {
+                result = work(stores, tx);
+            } catch (error) {
+                tx.abort();
+                reject(error);
+                return;
+            }
+
+            tx.oncomplete = () => resolve(result && typeof result === 'object' && 'onsuccess' in result ? result.result : result);
+            tx.onerror = () => reject(tx.error || new Error('IndexedDB transaction failed'));
+            tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+        });
+    }
+
+    /**
+     * Retrieve a value
+     * Todo lists stored as records are reassembled into their saved JSON.
+     * @param {string} key - Storage key
+     * @returns {Promise<string|null>} Stored value or null if not found
+     */
+    async getItem(key) {
+        const { KEYVAL_STORE, TODO_STORE } = IndexedDBStorage;
+        const [entry, records] = await this.transaction([KEYVAL_STORE, TODO_STORE], 'readonly', (stores) => {
+            const found = [null, []];
+            stores[KEYVAL_STORE].get(key).onsuccess = (event) => {
+                found[0] = event.target.result === undefined ? null : event.target.result;
+                if (found[0] && found[0].records) {
+                    stores[TODO_STORE].index('listKey').getAll(key).onsuccess = (e) => {
+                        found[1] = e.target.result;
+                    };
+                }
+            };
+            return found;
+        });
+
+        if (entry === null || typeof entry === 'string') {
+            return entry;
+        }
+
+        const todos = records.sort((a, b) => a.position - b.position).map(record => record.todo);
+        return JSON.stringify(entry.array ? todos : { ...entry.payload, todos });
+    }
+
+    /**
+     * Store a value
+     * A todo list payload (a todo array, or an object with a todos array) is
+     * saved as per-todo records; anything else is stored as given.
+     * @param {string} key - Storage key
+     * @param {string} value - Value to store
+     * @returns {Promise<boolean>} True once the write has committed
+     */
+    async setItem(key, value) {
+        const parsed = IndexedDBStorage.isRecordKey(key) ? this.parseTodoPayload(value) : null;
+        if (!parsed) {
+            await this.transaction([IndexedDBStorage.KEYVAL_STORE, IndexedDBStorage.TODO_STORE], 'readwrite', (stores) => {
+                stores[IndexedDBStorage.KEYVAL_STORE].put(value, key);
+                this.deleteRecords(stores[IndexedDBStorage.TODO_STORE], key, new Set());
+            });
+            return true;
+        }
+
+        await this.putTodos(key, parsed.todos, parsed.array ? { records: true, array: true } : { records: true, payload: parsed.payload });
+        return true;
+    }
+
+    /**
+     * Split a saved todo list into its todos and the rest of its payload
+     * @param {string} value - Saved JSON
+     * @returns {Object|null} { todos, payload, array }, or null if it is not a
+     *   todo list with an id on every todo
+     */
+    parseTodoPayload(value) {
+        let data;
+        try {
+            data = JSON.parse(value);
+        } catch (e) {
+            return null;
+        }
+
+        const todos = Array.isArray(data) ? data : (data && Array.isArray(data.todos) ? data.todos : null);
+        const hasIds = todos && todos.every(todo => todo && typeof todo.id === 'string');
+        if (!hasIds || new Set(todos.map(todo => todo.id)).size !== todos.length) {
+            return null;
+        }
+
+        if (Array.isArray(data)) {
+            return { todos, payload: null, array: true };
+        }
+        const { todos: omitted, ...payload } = data;
+        return { todos, payload, array: false };
+    }
+
+    /**
+     * Save a todo list as per-todo records
+     * Only todos that are new, changed or moved are written, and records of
+     * todos that are no longer in the list are deleted, all in one transaction.
+     * @param {string} listKey - Key the list is saved under
+     * @param {Array<Object>} todos - Todos in list order
+     * @param {Object} [entry] - 'keyval' entry describing the list
+     * @returns {Promise<Object>} { written, deleted } record counts
+     */
+    async putTodos(listKey, todos, entry = { records: true, array: true }) {
+        const { KEYVAL_STORE, TODO_STORE } = IndexedDBStorage;
+        return this.transaction([KEYVAL_STORE, TODO_STORE], 'readwrite', (stores) => {
+            const counts = { written: 0, deleted: 0 };
+            const todoStore = stores[TODO_STORE];
+            stores[KEYVAL_STORE].put(entry, listKey);
+
+            todoStore.index('listKey').getAll(listKey).onsuccess = (event) => {
+                const existing = new Map(event.target.result.map(record => [record.id, record]));
+                todos.forEach((todo, position) => {
+                    const record = existing.get(todo.id);
+                    if (!record || record.position !== position || JSON.stringify(record.todo) !== JSON.stringify(todo)) {
+                        todoStore.put({ listKey, id: todo.id, position, todo });
+                        counts.written++;
+                    }
+                });
+                const kept = new Set(todos.map(todo => todo.id));
+                counts.deleted = this.deleteRecords(todoStore, listKey, kept, event.target.result);
+            };
+            return counts;
+        });
+    }
+
+    /**
+     * Delete a list's todo records, except the given ids
+     * @param {IDBObjectStore} todoStore - The 'todos' store in a readwrite transaction
+     * @param {string} listKey - List key
+     * @param {Set<string>} keep - Ids to keep
+     * @param {Array<Object>} [records] - The list's records, if already read
+     * @returns {number} Number of records deleted (0 if they still had to be read)
+     */
+    deleteRecords(todoStore, listKey, keep, records = null) {
+        const remove = (list) => list.filter(record => !keep.has(record.id)).map(record => {
+            todoStore.delete([listKey, record.id]);
+            return record;
+        }).length;
+
+        if (records) {
+            return remove(records);
+        }
+        todoStore.index('listKey').getAll(listKey).onsuccess = (event) => remove(event.target.result);
+        return 0;
+    }
+
+    /**
+     * Read a todo list's records
+     * @param {string} listKey - Key the list is saved under
+     * @returns {Promise<Array<Object>>} Todos in list order
+     */
+    async getTodos(listKey) {
+        const records = await this.transaction([IndexedDBStorage.TODO_STORE], 'readonly', (stores) =>
+            stores[IndexedDBStorage.TODO_STORE].index('listKey').getAll(listKey));
+        return records.sort((a, b) => a.position - b.position).map(record => record.todo);
+    }
+
+    /**
+     * Remove a value, including a todo list's records
+     * @param {string} key - Storage key
+     * @returns {Promise<boolean>} True once the removal has committed
+     */
+    async removeItem(key) {
+        await this.transaction([IndexedDBStorage.KEYVAL_STORE, IndexedDBStorage.TODO_STORE], 'readwrite', (stores) => {
+            stores[IndexedDBStorage.KEYVAL_STORE].delete(key);
+            this.deleteRecords(stores[IndexedDBStorage.TODO_STORE], key, new Set());
+        });
+        return true;
+    }
+
+    /**
+     * List every stored key
+     * @returns {Promise<string[]>} Keys
+     */
+    async keys() {
+        return this.transaction([IndexedDBStorage.KEYVAL_STORE], 'readonly', (stores) =>
+            stores[IndexedDBStorage.KEYVAL_STORE].getAllKeys());
+    }
+
+    /**
+     * Remove every value and record
+     * @returns {Promise<boolean>} True once cleared
+     */
+    async clear() {
+        await this.transaction([IndexedDBStorage.KEYVAL_STORE, IndexedDBStorage.TODO_STORE], 'readwrite', (stores) => {
+            stores[IndexedDBStorage.KEYVAL_STORE].clear();
+            stores[IndexedDBStorage.TODO_STORE].clear();
+        });
+        return true;
+    }
+
+    /**
+     * Close the database connection
+     * The next operation opens it again.
+     */
+    async close() {
+        if (!this.dbPromise) {
+            return;
+        }
+        const pending = this.dbPromise;
+        this.dbPromise = null;
+        try {
+            (await pending).close();
+        } catch (error) {
+            // Nothing to close if the open failed
+        }
+    }
+}
+
+// Export for use by StorageManager
+if (typeof window !== 'undefined') {
+    window.IndexedDBStorage = IndexedDBStorage;
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = IndexedDBStorage;
+}
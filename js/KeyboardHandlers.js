@@ -8,7 +8,6 @@
 class KeyboardHandlers {
     constructor(controller) {
         this.controller = controller;
-        this.model = controller.model;
         this.view = controller.view;
         
         // Initialize handler categorization maps for better organization
@@ -25,16 +24,29 @@ class KeyboardHandlers {
         }
     }
 
+    /**
+     * The active list's model (it changes when the user switches lists)
+     * @returns {TodoModel} Current model
+     */
+    get model() {
+        return this.controller.model;
+    }
+
     /**
      * Initialize handler categorization maps for better organization
      * @private
      */
     _initializeHandlerMaps() {
         this.handlerCategories = {
-            navigation: ['focusNewTodo', 'focusSearch'],
-            todoManagement: ['addTodo', 'toggleFirstTodo', 'deleteFirstTodo', 'selectAll', 'clearCompleted'],
+            navigation: ['focusNewTodo', 'focusSearch', 'showAllTodos', 'showActiveTodos', 'showCompletedTodos',
+                'focusNextTodo', 'focusPreviousTodo'],
+            todoManagement: ['addTodo', 'toggleFirstTodo', 'deleteFirstTodo', 'selectAll', 'extendSelectionUp',
+                'extendSelectionDown', 'clearSelection', 'deleteSelected', 'toggleFocusedTodo', 'editFocusedTodo',
+                'deleteFocusedTodo', 'moveFocusedTodoUp', 'moveFocusedTodoDown', 'clearCompleted',
+                'setPriorityNone', 'setPriorityLow', 'setPriorityMedium', 'setPriorityHigh', 'setPriorityUrgent',
+                'togglePrioritySort'],
             editing: ['cancelEdit', 'saveEdit'],
-            general: ['showHelp', 'toggleTheme']
+            general: ['showHelp', 'openShortcutSettings', 'toggleTheme', 'undo', 'redo']
         };
     }
 
@@ -137,18 +149,32 @@ class KeyboardHandlers {
                 this.navigationModule.createFocusAction('search') : 
                 (event) => this._safeExecute('focusSearchInput', 'focusing search input', event),
             
-            // Todo management shortcuts with undo support when available
+            // Status filter shortcuts
+            showAllTodos: () => this._safeExecute(() => this.controller.handleStatusFilterChange('all'), 'showing all todos'),
+            showActiveTodos: () => this._safeExecute(() => this.controller.handleStatusFilterChange('active'), 'showing active todos'),
+            showCompletedTodos: () => this._safeExecute(() => this.controller.handleStatusFilterChange('completed'), 'showing completed todos'),
+            
+            // Keyboard cursor in the todo list (the "list" context: a todo row has focus)
+            focusNextTodo: () => this._safeExecute(() => this.controller.handleMoveFocus(1), 'moving to the next todo'),
+            focusPreviousTodo: () => this._safeExecute(() => this.controller.handleMoveFocus(-1), 'moving to the previous todo'),
+            toggleFocusedTodo: () => this._safeExecute(() => this.controller.handleToggleFocusedTodo(), 'toggling the focused todo'),
+            editFocusedTodo: () => this._safeExecute(() => this.controller.handleEditFocusedTodo(), 'editing the focused todo'),
+            deleteFocusedTodo: () => this._safeExecute(() => this.controller.handleDeleteFocusedTodo(), 'deleting the focused todo'),
+            moveFocusedTodoUp: () => this._safeExecute(() => this.controller.handleMoveFocusedTodo(-1), 'moving the focused todo'),
+            moveFocusedTodoDown: () => this._safeExecute(() => this.controller.handleMoveFocusedTodo(1), 'moving the focused todo'),
+            
+            // Todo management shortcuts; their changes are undone through the model history (see undo)
             addTodo: this.actionModule ? 
                 this.actionModule.createUndoableAction(
                     () => this.handleAddTodoFromShortcut(),
-                    null, // No undo for add todo (would need to track the added todo)
+                    null,
                     'Add Todo'
                 ) : 
                 () => this._safeExecute('handleAddTodoFromShortcut', 'adding todo from shortcut'),
             toggleFirstTodo: this.actionModule ? 
                 this.actionModule.createUndoableAction(
                     () => this.handleToggleFirstTodo(),
-                    () => this.handleToggleFirstTodo(), // Toggle is its own undo
+                    null,
                     'Toggle First Todo'
                 ) : 
                 () => this._safeExecute('handleToggleFirstTodo', 'toggling first todo'),
@@ -156,9 +182,19 @@ class KeyboardHandlers {
                 this.createDeleteAction() : 
                 () => this._safeExecute('handleDeleteFirstTodo', 'deleting first todo'),
             selectAll: () => this._safeExecute('handleSelectAllTodos', 'selecting all todos'),
+            extendSelectionUp: () => this._safeExecute(() => this.controller.handleExtendSelection(-1), 'extending the selection'),
+            extendSelectionDown: () => this._safeExecute(() => this.controller.handleExtendSelection(1), 'extending the selection'),
+            clearSelection: () => this._safeExecute(() => this.controller.handleClearSelection(), 'clearing the selection'),
+            deleteSelected: () => this._safeExecute(() => this.controller.handleBulkDelete(), 'deleting the selected todos'),
             clearCompleted: this.actionModule ? 
                 this.createClearCompletedAction() : 
                 () => this._safeExecute('handleClearCompleted', 'clearing completed todos'),
+            setPriorityNone: () => this._safeExecute('handleSetFirstTodoPriority', 'clearing priority', 'none'),
+            setPriorityLow: () => this._safeExecute('handleSetFirstTodoPriority', 'setting priority', 'low'),
+            setPriorityMedium: () => this._safeExecute('handleSetFirstTodoPriority', 'setting priority', 'medium'),
+            setPriorityHigh: () => this._safeExecute('handleSetFirstTodoPriority', 'setting priority', 'high'),
+            setPriorityUrgent: () => this._safeExecute('handleSetFirstTodoPriority', 'setting priority', 'urgent'),
+            togglePrioritySort: () => this._safeExecute('handleTogglePrioritySort', 'toggling priority sort'),
             
             // Editing shortcuts with context awareness when available
             cancelEdit: this.contextModule ? 
@@ -176,10 +212,12 @@ class KeyboardHandlers {
             
             // General shortcuts
             showHelp: () => this._safeExecute('showKeyboardHelp', 'showing keyboard help'),
+            openShortcutSettings: () => this._safeExecute(() => this.controller.showShortcutSettings(), 'opening the shortcut settings'),
             toggleTheme: () => this._safeExecute(() => this.controller.toggleTheme(), 'toggling theme'),
+            undo: () => this._safeExecute('handleUndo', 'undoing the last change'),
+            redo: () => this._safeExecute('handleRedo', 'redoing the last undone change'),
             
             // New enhanced shortcuts (only available when modules are loaded)
-            undo: this.actionModule ? () => this.handleUndo() : undefined,
             showStats: this.moduleManager ? () => this.showShortcutStats() : undefined
         };
 
@@ -214,16 +252,38 @@ class KeyboardHandlers {
         const descriptions = {
             focusNewTodo: 'Focus new todo input',
             focusSearch: 'Focus search input',
+            showAllTodos: 'Show all todos',
+            showActiveTodos: 'Show active todos',
+            showCompletedTodos: 'Show completed todos',
+            focusNextTodo: 'Move to the next todo',
+            focusPreviousTodo: 'Move to the previous todo',
+            toggleFocusedTodo: 'Toggle the focused todo',
+            editFocusedTodo: 'Edit the focused todo',
+            deleteFocusedTodo: 'Delete the focused todo',
+            moveFocusedTodoUp: 'Move the focused todo up',
+            moveFocusedTodoDown: 'Move the focused todo down',
             addTodo: 'Add new todo',
             toggleFirstTodo: 'Toggle first todo',
             deleteFirstTodo: 'Delete first todo',
             selectAll: 'Select all todos',
+            extendSelectionUp: 'Extend selection up',
+            extendSelectionDown: 'Extend selection down',
+            clearSelection: 'Clear selection',
+            deleteSelected: 'Delete selected todos',
             clearCompleted: 'Clear completed todos',
+            setPriorityNone: 'Clear first todo priority',
+            setPriorityLow: 'Set first todo priority to low',
+            setPriorityMedium: 'Set first todo priority to medium',
+            setPriorityHigh: 'Set first todo priority to high',
+            setPriorityUrgent: 'Set first todo priority to urgent',
+            togglePrioritySort: 'Toggle sorting by priority',
             cancelEdit: 'Cancel editing',
             saveEdit: 'Save edit',
             showHelp: 'Show help',
+            openShortcutSettings: 'Customize keyboard shortcuts',
             toggleTheme: 'Toggle theme',
-            undo: 'Undo last action',
+            undo: 'Undo last change',
+            redo: 'Redo last undone change',
             showStats: 'Show shortcut statistics'
         };
         
@@ -297,105 +357,63 @@ class KeyboardHandlers {
     // =================
 
     /**
-     * Create enhanced delete action with undo support
+     * Create enhanced delete action
+     * The deletion is undone through the model history, which restores the todo exactly.
      */
     createDeleteAction() {
         return this.actionModule.createUndoableAction(
             () => {
-                const allTodos = this.model.getAllTodos();
+                const allTodos = this.model.getAllTodos().filter(todo => !todo.parentId);
                 if (allTodos.length === 0) {
                     this.view.showMessage('No todos to delete', 'info');
                     return false;
                 }
                 
-                const firstTodo = allTodos[0];
-                const todoData = { ...firstTodo }; // Store for potential undo
-                
-                this.controller.handleDeleteTodo(firstTodo.id);
-                return { deletedTodo: todoData };
-            },
-            (result) => {
-                if (result && result.deletedTodo) {
-                    // Re-add the deleted todo (simplified undo)
-                    this.model.addTodo(result.deletedTodo.text);
-                    this.controller.render();
-                }
+                this.controller.handleDeleteTodo(allTodos[0].id);
+                return true;
             },
+            null,
             'Delete First Todo'
         );
     }
 
     /**
-     * Create enhanced clear completed action with undo support
+     * Create enhanced clear completed action
+     * All completed todos are deleted as one change, so a single undo restores them.
      */
     createClearCompletedAction() {
         return this.actionModule.createUndoableAction(
-            () => {
+            async () => {
                 const completedTodos = this.model.getAllTodos().filter(todo => todo.completed);
                 if (completedTodos.length === 0) {
                     this.view.showMessage('No completed todos to clear', 'info');
                     return false;
                 }
 
-                const confirmMessage = `Are you sure you want to delete ${completedTodos.length} completed todo${completedTodos.length !== 1 ? 's' : ''}?`;
-                if (!this.view.showConfirmation(confirmMessage)) {
+                if (!(await this.confirmClearCompleted(completedTodos))) {
                     return false;
                 }
                 
-                // Store completed todos for undo
-                const deletedTodos = [...completedTodos];
-                
-                let deletedCount = 0;
-                completedTodos.forEach(todo => {
-                    if (this.model.deleteTodo(todo.id)) {
-                        deletedCount++;
-                    }
-                });
-                
-                // If we were editing a deleted todo, cancel the edit
-                const editingId = this.view.getEditingId();
-                if (editingId && completedTodos.some(todo => todo.id === editingId)) {
-                    this.view.cancelEdit();
-                }
-                
-                this.controller.render();
-                this.view.showMessage(`Cleared ${deletedCount} completed todo${deletedCount !== 1 ? 's' : ''}`, 'success');
-                
-                return { deletedTodos, deletedCount };
-            },
-            (result) => {
-                if (result && result.deletedTodos) {
-                    // Re-add all cleared todos
-                    result.deletedTodos.forEach(todo => {
-                        const newTodo = this.model.addTodo(todo.text);
-                        if (todo.completed) {
-                            this.model.toggleTodo(newTodo.id);
-                        }
-                    });
-                    this.controller.render();
-                    this.view.showMessage(`Restored ${result.deletedCount} todo${result.deletedCount !== 1 ? 's' : ''}`, 'info');
-                }
+                const deletedCount = this.clearCompletedTodos(completedTodos);
+                return { deletedCount };
             },
+            null,
             'Clear Completed Todos'
         );
     }
 
     /**
-     * Handle undo action
+     * Undo the last change to the active list (see TodoModel.undo)
      */
     handleUndo() {
-        try {
-            const success = this.actionModule.undo();
-            if (success) {
-                this.view.showMessage('Action undone', 'success');
-            } else {
-                this.view.showMessage('Nothing to undo', 'info');
-            }
-            return success;
-        } catch (error) {
-            this.view.showMessage(`Undo failed: ${error.message}`, 'error');
-            return false;
-        }
+        return this.controller.handleUndo();
+    }
+
+    /**
+     * Redo the last undone change to the active list
+     */
+    handleRedo() {
+        return this.controller.handleRedo();
     }
 
     /**
@@ -520,7 +538,7 @@ class KeyboardHandlers {
      * Toggle the first (topmost) todo item
      */
     handleToggleFirstTodo() {
-        const allTodos = this.model.getAllTodos();
+        const allTodos = this.model.getAllTodos().filter(todo => !todo.parentId);
         if (allTodos.length > 0) {
             const firstTodo = allTodos[0];
             this.controller.handleToggleTodo(firstTodo.id);
@@ -534,7 +552,7 @@ class KeyboardHandlers {
      * Delete the first (topmost) todo item
      */
     handleDeleteFirstTodo() {
-        const allTodos = this.model.getAllTodos();
+        const allTodos = this.model.getAllTodos().filter(todo => !todo.parentId);
         if (allTodos.length > 0) {
             const firstTodo = allTodos[0];
             this.controller.handleDeleteTodo(firstTodo.id);
@@ -544,53 +562,86 @@ class KeyboardHandlers {
     }
 
     /**
-     * Handle select all todos (visual feedback only)
+     * Set the priority of the first (topmost) visible todo
+     * @param {string} priority - Priority level to apply
+     */
+    handleSetFirstTodoPriority(priority) {
+        const visibleTodos = this.controller.getCurrentTodos();
+        if (visibleTodos.length === 0) {
+            this.view.showMessage('No todos to prioritize', 'info');
+            return;
+        }
+
+        const firstTodo = visibleTodos[0];
+        this.controller.handleSetPriority(firstTodo.id, priority);
+        const label = priority === 'none' ? 'Cleared priority of' : `Set ${priority} priority on`;
+        this.view.showMessage(`${label} "${firstTodo.text}"`, 'success');
+    }
+
+    /**
+     * Switch between manual order and priority sorting
+     */
+    handleTogglePrioritySort() {
+        const newMode = this.controller.sortMode === 'priority' ? 'manual' : 'priority';
+        this.controller.handleSortChange(newMode);
+        this.view.showMessage(newMode === 'priority' ? 'Sorted by priority' : 'Sorted by manual order', 'info');
+    }
+
+    /**
+     * Select every shown todo for the bulk action bar
+     * @returns {number} Number of todos selected
      */
     handleSelectAllTodos() {
-        const todoItems = document.querySelectorAll('.todo-item');
-        todoItems.forEach(item => {
-            item.classList.add('selected');
-        });
-        
-        // Remove selection after a short delay
-        setTimeout(() => {
-            todoItems.forEach(item => {
-                item.classList.remove('selected');
-            });
-        }, 1000);
-        
-        const todoCount = this.model.getAllTodos().length;
-        this.view.showMessage(`Selected ${todoCount} todo${todoCount !== 1 ? 's' : ''}`, 'info');
+        const count = this.controller.handleSelectAll();
+        if (count === 0) {
+            this.view.showMessage('No todos to select', 'info');
+        }
+        return count;
     }
 
     /**
      * Clear all completed todos
      */
-    handleClearCompleted() {
+    async handleClearCompleted() {
         const completedTodos = this.model.getAllTodos().filter(todo => todo.completed);
         if (completedTodos.length === 0) {
             this.view.showMessage('No completed todos to clear', 'info');
             return;
         }
 
+        if (await this.confirmClearCompleted(completedTodos)) {
+            this.clearCompletedTodos(completedTodos);
+        }
+    }
+
+    /**
+     * Ask before clearing completed todos
+     * @param {Array} completedTodos - Completed todos that would be deleted
+     * @returns {Promise<boolean>} True if confirmed
+     */
+    confirmClearCompleted(completedTodos) {
         const confirmMessage = `Are you sure you want to delete ${completedTodos.length} completed todo${completedTodos.length !== 1 ? 's' : ''}?`;
-        if (this.view.showConfirmation(confirmMessage)) {
-            let deletedCount = 0;
-            completedTodos.forEach(todo => {
-                if (this.model.deleteTodo(todo.id)) {
-                    deletedCount++;
-                }
-            });
-            
-            // If we were editing a deleted todo, cancel the edit
-            const editingId = this.view.getEditingId();
-            if (editingId && completedTodos.some(todo => todo.id === editingId)) {
-                this.view.cancelEdit();
-            }
-            
-            this.controller.render();
-            this.view.showMessage(`Cleared ${deletedCount} completed todo${deletedCount !== 1 ? 's' : ''}`, 'success');
+        return this.view.showConfirmation(confirmMessage, { title: 'Clear completed', confirmLabel: 'Delete', danger: true });
+    }
+
+    /**
+     * Delete completed todos as one change and show the result
+     * @param {Array} completedTodos - Completed todos to delete
+     * @returns {number} Number of todos deleted
+     */
+    clearCompletedTodos(completedTodos) {
+        const deletedCount = this.model.deleteTodos(completedTodos.map(todo => todo.id));
+
+        // If we were editing a deleted todo, cancel the edit
+        const editingId = this.view.getEditingId();
+        if (editingId && !this.model.getTodo(editingId)) {
+            this.view.cancelEdit();
         }
+
+        this.controller.render();
+        this.view.showMessage(`Cleared ${deletedCount} completed todo${deletedCount !== 1 ? 's' : ''}`, 'success',
+            { action: this.controller.createUndoAction() });
+        return deletedCount;
     }
 
     // =================
@@ -639,4 +690,9 @@ class KeyboardHandlers {
             closeButton.focus();
         }
     }
-}
\ No newline at end of file
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = KeyboardHandlers;
+}
@@ -15,7 +15,8 @@
 const DEFAULT_CONFIG = {
     MAX_SHORTCUTS_PER_CONTEXT: 50,
     MAX_ERRORS_PER_SHORTCUT: 10,
-    PERFORMANCE_LOG_THRESHOLD: 10 // ms
+    PERFORMANCE_LOG_THRESHOLD: 10, // ms
+    SEQUENCE_TIMEOUT: 1500 // ms to press the next key of a sequence like "g a"
 };
 
 const SYSTEM_SHORTCUTS = [
@@ -27,6 +28,10 @@ const MODIFIER_KEYS = {
     ALT: 'alt',
     SHIFT: 'shift'
 };
+
+// Keys that are only held down as part of a combination
+const MODIFIER_KEY_NAMES = ['Control', 'Alt', 'Shift', 'Meta', 'AltGraph'];
+
 class KeyboardShortcutManager {
     constructor(options = {}) {
         this.shortcuts = new Map();
@@ -37,6 +42,7 @@ class KeyboardShortcutManager {
         this.globalShortcuts = new Map();
         this.contextShortcuts = new Map();
         this.shortcutsByPriority = new Map(); // High, medium, low priority shortcuts
+        this.sequenceShortcuts = new Map(); // Shortcuts of more than one key press, like "g a"
         
         // Configuration options
         this.options = {
@@ -48,7 +54,9 @@ class KeyboardShortcutManager {
             problematicKeys: options.problematicKeys || SYSTEM_SHORTCUTS,
             enableCaching: options.enableCaching !== false, // true by default
             enablePriority: options.enablePriority !== false, // Enable priority system by default
-            cacheContexts: options.cacheContexts !== false // Enable context caching for performance
+            cacheContexts: options.cacheContexts !== false, // Enable context caching for performance
+            sequenceTimeout: options.sequenceTimeout || DEFAULT_CONFIG.SEQUENCE_TIMEOUT,
+            onSequenceChange: options.onSequenceChange || null // Called with the pending keys, or null when none are
         };
         
         // Backward compatibility for debugMode
@@ -66,6 +74,10 @@ class KeyboardShortcutManager {
         this.lastContextCheck = 0;
         this.contextCacheTimeout = 50; // ms
         
+        // Keys pressed so far of a sequence shortcut, and the timer that drops them
+        this.pendingSequence = [];
+        this.sequenceTimer = null;
+        
         // Initialize utility classes for specialized functionality
         this.validator = new ShortcutValidator(this.options);
         this.cache = new ShortcutCache(this.options);
@@ -90,6 +102,8 @@ class KeyboardShortcutManager {
      * @param {boolean} [config.ctrlKey] - Whether Ctrl key is required
      * @param {boolean} [config.altKey] - Whether Alt key is required
      * @param {boolean} [config.shiftKey] - Whether Shift key is required
+     * @param {Array<Object>} [config.prefix] - Keys to press first for a sequence shortcut, each
+     *     { key, ctrlKey, altKey, shiftKey }; e.g. [{ key: 'g' }] with key 'a' is "g a"
      * @param {string} [config.context] - Context where shortcut is active (optional)
      * @param {Function} config.action - Function to execute when shortcut is triggered
      * @param {boolean} [config.preventDefault] - Whether to prevent default browser behavior
@@ -104,16 +118,11 @@ class KeyboardShortcutManager {
         // Use validator for enhanced validation
         this.validator.validateShortcutConfig(normalizedConfig);
 
-        const shortcutKey = this.cache.generateShortcutKey(
-            normalizedConfig.key, 
-            normalizedConfig.ctrlKey, 
-            normalizedConfig.altKey, 
-            normalizedConfig.shiftKey, 
-            normalizedConfig.context
-        );
+        const shortcutKey = this.getShortcutKey(normalizedConfig);
         
         // Check for conflicts and context limits using validator
         this.validator.checkForConflicts(shortcutKey, normalizedConfig, this.shortcuts);
+        this.validator.checkSequenceConflicts(normalizedConfig, this.shortcuts);
         const contextShortcuts = this.getShortcutsForContext(normalizedConfig.context);
         this.validator.checkContextLimits(normalizedConfig.context, contextShortcuts);
 
@@ -143,6 +152,12 @@ class KeyboardShortcutManager {
             ctrlKey: config.ctrlKey || false,
             altKey: config.altKey || false,
             shiftKey: config.shiftKey || false,
+            prefix: Array.isArray(config.prefix) ? config.prefix.map(step => ({
+                key: step.key,
+                ctrlKey: step.ctrlKey || false,
+                altKey: step.altKey || false,
+                shiftKey: step.shiftKey || false
+            })) : [],
             context: config.context || 'global',
             action: config.action,
             preventDefault: config.preventDefault || false,
@@ -176,6 +191,10 @@ class KeyboardShortcutManager {
             this.shortcutsByPriority.get(shortcutConfig.priority).set(shortcutKey, shortcutConfig);
         }
         
+        if (shortcutConfig.prefix.length > 0) {
+            this.sequenceShortcuts.set(shortcutKey, shortcutConfig);
+        }
+        
         // Clear context cache when shortcuts change
         this._clearContextCache();
     }
@@ -223,6 +242,34 @@ class KeyboardShortcutManager {
         return this.cache.generateShortcutKey(key, ctrlKey, altKey, shiftKey, context);
     }
 
+    /**
+     * Generate the unique key for a sequence of key presses
+     * A single key press gives the same key as generateShortcutKey; the key
+     * presses of a longer sequence are separated by spaces, e.g. 'global:ctrl+k ctrl+s'.
+     * @param {Array<Object>} steps - Key presses, each { key, ctrlKey, altKey, shiftKey }
+     * @param {string} context - The context
+     * @returns {string} Unique shortcut key identifier
+     */
+    generateSequenceKey(steps, context) {
+        if (steps.length === 1) {
+            const [step] = steps;
+            return this.generateShortcutKey(step.key, step.ctrlKey, step.altKey, step.shiftKey, context);
+        }
+        const sequence = steps.map(step =>
+            `${this.createModifierString(step.ctrlKey, step.altKey, step.shiftKey)}${step.key.toLowerCase()}`
+        ).join(' ');
+        return `${context}:${sequence}`;
+    }
+
+    /**
+     * Get the key a shortcut is registered under, including the keys of its prefix
+     * @param {Object} shortcut - The shortcut configuration
+     * @returns {string} Unique shortcut key identifier
+     */
+    getShortcutKey(shortcut) {
+        return this.generateSequenceKey([...(shortcut.prefix || []), shortcut], shortcut.context || 'global');
+    }
+
     /**
      * Create a modifier string for shortcut key generation
      * @param {boolean} ctrlKey - Whether Ctrl key is required
@@ -248,7 +295,15 @@ class KeyboardShortcutManager {
         const debugSession = this.logger.startDebugSession();
         this.logger.logKeyEventProcessing(event);
         
-        const matchingShortcut = this.findMatchingShortcut(event);
+        const sequenceMatch = this._handleSequenceStep(event);
+        if (sequenceMatch === true) {
+            // The key continued a sequence that needs more keys
+            this._updatePerformanceMetrics(performance.now() - startTime);
+            this.logger.endDebugSession(debugSession);
+            return true;
+        }
+        
+        const matchingShortcut = sequenceMatch || this.findMatchingShortcut(event);
         
         if (matchingShortcut) {
             const result = this.executeShortcut(matchingShortcut, event);
@@ -282,6 +337,124 @@ class KeyboardShortcutManager {
     }
 
     /**
+     * Follow a key press through the registered sequence shortcuts
+     * A key press that starts or continues a sequence is kept until the next
+     * key press, or until the sequence timeout drops it. A key press that does
+     * not continue the pending sequence ends it and is handled as a first key.
+     * Escape only ends a pending sequence.
+     * @param {KeyboardEvent} event - The keyboard event
+     * @returns {Object|boolean} The completed sequence shortcut, true if the key press
+     *     is waiting for more keys, or false if it is not part of a sequence
+     * @private
+     */
+    _handleSequenceStep(event) {
+        if (this.sequenceShortcuts.size === 0 || MODIFIER_KEY_NAMES.includes(event.key)) {
+            // Holding Ctrl down for the "Ctrl+S" of "Ctrl+K Ctrl+S" keeps the sequence
+            return false;
+        }
+
+        const step = {
+            key: String(event.key),
+            ctrlKey: Boolean(event.ctrlKey),
+            altKey: Boolean(event.altKey),
+            shiftKey: Boolean(event.shiftKey)
+        };
+        const hadPending = this.pendingSequence.length > 0;
+        if (hadPending && step.key === 'Escape' && !step.ctrlKey && !step.altKey && !step.shiftKey) {
+            event.preventDefault();
+            this.cancelPendingSequence();
+            return true;
+        }
+
+        const steps = [...this.pendingSequence, step];
+        const contextOrder = [...this.getActiveContexts(), 'global'];
+        for (const context of contextOrder) {
+            const sequenceKey = this.generateSequenceKey(steps, context);
+            const shortcut = this.sequenceShortcuts.get(sequenceKey);
+            if (shortcut && shortcut.enabled !== false) {
+                this.cancelPendingSequence();
+                this._updateShortcutStats(sequenceKey);
+                return shortcut;
+            }
+        }
+
+        if (this._isSequencePrefix(steps, contextOrder)) {
+            event.preventDefault();
+            this._setPendingSequence(steps);
+            return true;
+        }
+
+        if (hadPending) {
+            this.cancelPendingSequence();
+            return this._handleSequenceStep(event);
+        }
+        return false;
+    }
+
+    /**
+     * Check if key presses are the start of an enabled sequence shortcut
+     * @param {Array<Object>} steps - Key presses so far
+     * @param {Array<string>} contextOrder - Contexts to look in
+     * @returns {boolean} True if more keys can complete a sequence
+     * @private
+     */
+    _isSequencePrefix(steps, contextOrder) {
+        const prefixes = contextOrder.map(context => `${this.generateSequenceKey(steps, context)} `);
+        for (const [sequenceKey, shortcut] of this.sequenceShortcuts.entries()) {
+            if (shortcut.enabled !== false && prefixes.some(prefix => sequenceKey.startsWith(prefix))) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Wait for the next key of a sequence, for at most the sequence timeout
+     * @param {Array<Object>} steps - Key presses so far
+     * @private
+     */
+    _setPendingSequence(steps) {
+        clearTimeout(this.sequenceTimer);
+        this.pendingSequence = steps;
+        this.sequenceTimer = setTimeout(() => this.cancelPendingSequence(), this.options.sequenceTimeout);
+        this._notifySequenceChange();
+    }
+
+    /**
+     * Drop the keys pressed so far of a sequence shortcut
+     */
+    cancelPendingSequence() {
+        if (this.pendingSequence.length === 0) return;
+
+        clearTimeout(this.sequenceTimer);
+        this.sequenceTimer = null;
+        this.pendingSequence = [];
+        this._notifySequenceChange();
+    }
+
+    /**
+     * Get the keys pressed so far of a sequence shortcut
+     * @returns {string|null} The keys as shown in help, e.g. 'Ctrl+k', or null if no sequence is pending
+     */
+    getPendingSequence() {
+        if (this.pendingSequence.length === 0) return null;
+        return this.pendingSequence.map(step => this.createKeyComboString(step)).join(' ');
+    }
+
+    /**
+     * Tell the onSequenceChange option about the pending keys
+     * @private
+     */
+    _notifySequenceChange() {
+        if (typeof this.options.onSequenceChange !== 'function') return;
+
+        try {
+            this.options.onSequenceChange(this.getPendingSequence());
+        } catch (error) {
+            console.error('KeyboardShortcutManager: Error in onSequenceChange:', error.message || error);
+        }
+    }
+
     /**
      * Find the first matching shortcut for the given keyboard event using optimized lookup
      * @param {KeyboardEvent} event - The keyboard event
@@ -398,9 +571,7 @@ class KeyboardShortcutManager {
      * @private
      */
     _logShortcutExecution(shortcut, event) {
-        const shortcutKey = this.generateShortcutKey(
-            event.key, event.ctrlKey, event.altKey, event.shiftKey, shortcut.context
-        );
+        const shortcutKey = this.getShortcutKey(shortcut);
         this.logger.logShortcutExecution(shortcutKey);
     }
 
@@ -421,9 +592,7 @@ class KeyboardShortcutManager {
         this.logger.logShortcutError(error, shortcut, 
             (ctrl, alt, shift) => this.createModifierString(ctrl, alt, shift));
         
-        const shortcutKey = this.generateShortcutKey(
-            event.key, event.ctrlKey, event.altKey, event.shiftKey, shortcut.context
-        );
+        const shortcutKey = this.getShortcutKey(shortcut);
         this.statistics.recordShortcutError(error, shortcut, shortcutKey);
     }
 
@@ -519,6 +688,8 @@ class KeyboardShortcutManager {
                 }
             }
             
+            this.sequenceShortcuts.delete(shortcutKey);
+            
             // Remove from priority table
             if (this.options.enablePriority && shortcut.priority) {
                 const priorityMap = this.shortcutsByPriority.get(shortcut.priority);
@@ -554,6 +725,8 @@ class KeyboardShortcutManager {
         this.globalShortcuts.clear();
         this.contextShortcuts.clear();
         this.shortcutsByPriority.clear();
+        this.sequenceShortcuts.clear();
+        this.cancelPendingSequence();
         this.statistics.clearStatistics();
         this.cache.clearCaches();
         this._clearContextCache();
@@ -562,7 +735,6 @@ class KeyboardShortcutManager {
             console.log('All shortcuts cleared');
         }
     }
-    }
 
     /**
      * Get a formatted list of shortcuts for display
@@ -600,16 +772,19 @@ class KeyboardShortcutManager {
 
     /**
      * Create a formatted key combination string
+     * The keys of a sequence are separated by spaces, e.g. 'g a' or 'Ctrl+k Ctrl+s'.
      * @param {Object} shortcut - The shortcut configuration
      * @returns {string} Formatted key combination string
      * @private
      */
     createKeyComboString(shortcut) {
-        const modifiers = this.getModifierStrings(shortcut);
-        
-        return modifiers.length > 0 
-            ? `${modifiers.join('+')}+${shortcut.key}`
-            : shortcut.key;
+        return [...(shortcut.prefix || []), shortcut].map(step => {
+            const modifiers = this.getModifierStrings(step);
+            
+            return modifiers.length > 0 
+                ? `${modifiers.join('+')}+${step.key}`
+                : step.key;
+        }).join(' ');
     }
 
     /**
@@ -843,4 +1018,11 @@ class KeyboardShortcutManager {
         this.statistics.resetStatistics(this.shortcuts);
         this.logger.logStatisticsReset();
     }
-}
\ No newline at end of file
+}
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = KeyboardShortcutManager;
+} else {
+    window.KeyboardShortcutManager = KeyboardShortcutManager;
+}
@@ -0,0 +1,511 @@
+/**
+ * ListManager - Manages multiple named todo lists, each backed by its own TodoModel
+ *
+ * Storage layout (all keys go through StorageManager):
+ *   'todo-lists'        JSON index of lists: [{ id, name, createdAt }]
+ *   'todo-active-list'  id of the list shown on startup
+ *   'todos'             todos of the default list (the original single-list key)
+ *   'todos:<id>'        todos of every other list
+ *
+ * Each list keeps its own manual order and stats because each has its own
+ * TodoModel; ListManager only handles the index and moves between lists.
+ */
+class ListManager {
+    static LIST_INDEX_KEY = 'todo-lists';
+    static ACTIVE_LIST_KEY = 'todo-active-list';
+    static DEFAULT_LIST_ID = 'default';
+    static DEFAULT_LIST_NAME = 'My Todos';
+    static MAX_NAME_LENGTH = 50;
+
+    /**
+     * Get the storage key holding a list's todos
+     * @param {string} listId - List id
+     * @returns {string} 'todos' for the default list, 'todos:<id>' otherwise
+     */
+    static getTodoListKey(listId) {
+        return listId === ListManager.DEFAULT_LIST_ID ? 'todos' : `todos:${listId}`;
+    }
+
+    /**
+     * Get where todos are in a list
+     * @param {TodoModel} model - List model
+     * @param {Array<string>} ids - Todo ids
+     * @returns {Array<Object>} { id, order, parentId } of each todo found, in the given order
+     * @private
+     */
+    static getPlaces(model, ids) {
+        return ids.map(id => model.getTodo(id)).filter(Boolean)
+            .map(({ id, order, parentId }) => ({ id, order, parentId: parentId || null }));
+    }
+
+    /**
+     * Get the operations that move todos, as they are now, to given places in another list
+     * Todos no longer in the list they come from are left out. A subtask
+     * whose parent does not move with it becomes top-level.
+     * @param {TodoModel} from - Model of the list they leave
+     * @param {Array<Object>} places - Places in the list they join (see getPlaces())
+     * @returns {Array<Object>} [operation for the list they leave, operation for the list they join]
+     * @private
+     */
+    static getTransfer(from, places) {
+        const moving = places.map(place => ({ place, todo: from.getTodo(place.id) })).filter(({ todo }) => todo);
+        const ids = new Set(moving.map(({ todo }) => todo.id));
+        return [
+            { changes: moving.map(({ todo }) => ({ id: todo.id, before: todo, after: null })) },
+            {
+                changes: moving.map(({ todo, place }) => ({
+                    id: todo.id,
+                    before: null,
+                    after: { ...todo, order: place.order, parentId: ids.has(place.parentId) ? place.parentId : null }
+                }))
+            }
+        ];
+    }
+
+    constructor(storageManager = window.storageManager) {
+        this.storage = storageManager;
+        this.models = new Map();
+        this.lists = this.loadLists();
+        this.activeListId = this.loadActiveListId();
+    }
+
+    /**
+     * Load the list index, creating the default list if there is none
+     * @returns {Array} Array of list records
+     */
+    loadLists() {
+        return this.parseLists(this.storage.getItem(ListManager.LIST_INDEX_KEY));
+    }
+
+    /**
+     * Read a saved list index, falling back to just the default list
+     * @param {string|null} savedText - Saved 'todo-lists' value
+     * @returns {Array} Array of list records
+     */
+    parseLists(savedText) {
+        try {
+            const saved = JSON.parse(savedText);
+            const lists = Array.isArray(saved)
+                ? saved.filter(list => list && typeof list.id === 'string' && typeof list.name === 'string')
+                : [];
+            if (lists.length > 0) {
+                return lists;
+            }
+        } catch (e) {
+            console.warn('Failed to load todo lists from storage:', e);
+        }
+
+        return [{
+            id: ListManager.DEFAULT_LIST_ID,
+            name: ListManager.DEFAULT_LIST_NAME,
+            createdAt: new Date().toISOString()
+        }];
+    }
+
+    /**
+     * Load the id of the list that was active last time
+     * @returns {string} A valid list id
+     */
+    loadActiveListId() {
+        try {
+            const saved = this.storage.getItem(ListManager.ACTIVE_LIST_KEY);
+            if (this.getList(saved)) {
+                return saved;
+            }
+        } catch (e) {
+            console.warn('Failed to load active list, using the first list:', e);
+        }
+        return this.lists[0].id;
+    }
+
+    /**
+     * Save the list index to storage
+     * @returns {boolean} True if saved
+     */
+    saveLists() {
+        try {
+            return this.storage.setItem(ListManager.LIST_INDEX_KEY, JSON.stringify(this.lists));
+        } catch (error) {
+            console.error('Failed to save todo lists to storage:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Read every list from storage again, e.g. after a backup was restored
+     * Models loaded so far are dropped and reloaded on next use.
+     * @returns {TodoModel} Model of the active list
+     */
+    reload() {
+        this.models.clear();
+        this.lists = this.loadLists();
+        this.activeListId = this.loadActiveListId();
+        return this.getActiveModel();
+    }
+
+    /**
+     * Take over a list index saved by another tab (see TabSync)
+     * Models of lists that were deleted are dropped. The active list stays
+     * active unless it was deleted; the new active list is not saved, so the
+     * other tab's choice of active list is kept.
+     * @param {string|null} saved - Saved 'todo-lists' value
+     * @returns {boolean} True if the active list was deleted and another one activated
+     */
+    syncLists(saved) {
+        this.lists = this.parseLists(saved);
+        [...this.models.keys()].forEach(id => {
+            if (!this.getList(id)) {
+                this.dropModel(id);
+            }
+        });
+
+        if (this.getList(this.activeListId)) {
+            return false;
+        }
+        this.activeListId = this.lists[0].id;
+        return true;
+    }
+
+    /**
+     * Find the list whose todos are stored under a key
+     * @param {string} key - Storage key
+     * @returns {string|null} List id, or null if no list uses the key
+     */
+    getListIdForKey(key) {
+        const list = this.lists.find(l => ListManager.getTodoListKey(l.id) === key);
+        return list ? list.id : null;
+    }
+
+    /**
+     * Generate a unique list id
+     * @returns {string} New list id
+     */
+    generateId() {
+        let id;
+        do {
+            id = typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function'
+                ? crypto.randomUUID()
+                : Date.now().toString(36) + Math.random().toString(36).slice(2, 10);
+        } while (this.getList(id) || id === ListManager.DEFAULT_LIST_ID);
+        return id;
+    }
+
+    /**
+     * Validate and normalize a list name
+     * @param {string} name - Proposed name
+     * @param {string} [ignoreId] - List being renamed (may keep its own name)
+     * @returns {string} Trimmed name
+     */
+    normalizeListName(name, ignoreId = null) {
+        const trimmed = typeof name === 'string' ? name.trim().replace(/\s+/g, ' ') : '';
+        if (!trimmed) {
+            throw new Error('List name cannot be empty');
+        }
+        if (trimmed.length > ListManager.MAX_NAME_LENGTH) {
+            throw new Error(`List name cannot be longer than ${ListManager.MAX_NAME_LENGTH} characters`);
+        }
+
+        const duplicate = this.lists.find(list =>
+            list.id !== ignoreId && list.name.toLowerCase() === trimmed.toLowerCase()
+        );
+        if (duplicate) {
+            throw new Error(`A list named "${duplicate.name}" already exists`);
+        }
+        return trimmed;
+    }
+
+    /**
+     * Get all lists in display order
+     * @returns {Array} Copies of the list records
+     */
+    getLists() {
+        return this.lists.map(list => ({ ...list }));
+    }
+
+    /**
+     * Get a list by id
+     * @param {string} id - List id
+     * @returns {Object|null} List record or null if not found
+     */
+    getList(id) {
+        return this.lists.find(list => list.id === id) || null;
+    }
+
+    /**
+     * Get the active list
+     * @returns {Object} Active list record
+     */
+    getActiveList() {
+        return this.getList(this.activeListId);
+    }
+
+    /**
+     * Get the TodoModel for a list, loading it on first use
+     * @param {string} listId - List id
+     * @returns {TodoModel|null} Model, or null if the list does not exist
+     */
+    getModel(listId) {
+        if (!this.getList(listId)) {
+            return null;
+        }
+        if (!this.models.has(listId)) {
+            this.models.set(listId, new TodoModel(this.storage, ListManager.getTodoListKey(listId)));
+        }
+        return this.models.get(listId);
+    }
+
+    /**
+     * Drop the model of a deleted list, and the moves to or from the list in
+     * the undo history of the other lists
+     * @param {string} id - List id
+     * @private
+     */
+    dropModel(id) {
+        const model = this.models.get(id);
+        this.models.delete(id);
+        if (model) {
+            this.models.forEach(other => other.forgetSteps(step => Boolean(step.models) && step.models.includes(model)));
+        }
+    }
+
+    /**
+     * Get the TodoModel of the active list
+     * @returns {TodoModel} Active model
+     */
+    getActiveModel() {
+        return this.getModel(this.activeListId);
+    }
+
+    /**
+     * Create a new, empty list
+     * @param {string} name - List name
+     * @returns {Object} The created list
+     */
+    createList(name) {
+        const list = {
+            id: this.generateId(),
+            name: this.normalizeListName(name),
+            createdAt: new Date().toISOString()
+        };
+        this.lists.push(list);
+        this.saveLists();
+        return { ...list };
+    }
+
+    /**
+     * Make sure a list with a given id exists, e.g. one read from an export
+     * An existing list is left as it is. A new list gets the given name, with
+     * a number appended if another list already uses it.
+     * @param {Object} list - List record ({ id, name, createdAt })
+     * @returns {Object} The existing or created list
+     */
+    restoreList({ id, name, createdAt }) {
+        const existing = this.getList(id);
+        if (existing) {
+            return { ...existing };
+        }
+
+        const baseName = String(name).trim().replace(/\s+/g, ' ').slice(0, ListManager.MAX_NAME_LENGTH);
+        let uniqueName = baseName;
+        for (let copy = 2; this.lists.some(list => list.name.toLowerCase() === uniqueName.toLowerCase()); copy++) {
+            const suffix = ` (${copy})`;
+            uniqueName = baseName.slice(0, ListManager.MAX_NAME_LENGTH - suffix.length) + suffix;
+        }
+
+        const list = {
+            id,
+            name: this.normalizeListName(uniqueName),
+            createdAt: createdAt || new Date().toISOString()
+        };
+        this.lists.push(list);
+        this.saveLists();
+        return { ...list };
+    }
+
+    /**
+     * Rename a list
+     * @param {string} id - List id
+     * @param {string} name - New name
+     * @returns {Object|null} Updated list or null if not found
+     */
+    renameList(id, name) {
+        const list = this.getList(id);
+        if (!list) {
+            return null;
+        }
+        list.name = this.normalizeListName(name, id);
+        this.saveLists();
+        return { ...list };
+    }
+
+    /**
+     * Delete a list and all of its todos
+     * The last remaining list cannot be deleted. Deleting the active list
+     * activates the first remaining one.
+     * @param {string} id - List id
+     * @returns {boolean} True if deleted, false if not found
+     */
+    deleteList(id) {
+        if (!this.getList(id)) {
+            return false;
+        }
+        if (this.lists.length === 1) {
+            throw new Error('Cannot delete the last list');
+        }
+
+        this.lists = this.lists.filter(list => list.id !== id);
+        this.dropModel(id);
+        this.storage.removeItem(ListManager.getTodoListKey(id));
+        new OperationLog(this.storage, ListManager.getTodoListKey(id)).clear();
+        this.saveLists();
+
+        if (this.activeListId === id) {
+            this.switchList(this.lists[0].id);
+        }
+        return true;
+    }
+
+    /**
+     * Make a list the active one
+     * @param {string} id - List id
+     * @returns {TodoModel|null} Model of the new active list, or null if not found
+     */
+    switchList(id) {
+        if (!this.getList(id)) {
+            return null;
+        }
+        this.activeListId = id;
+        try {
+            this.storage.setItem(ListManager.ACTIVE_LIST_KEY, id);
+        } catch (error) {
+            console.warn('Failed to save active list:', error);
+        }
+        return this.getActiveModel();
+    }
+
+    /**
+     * Move a todo to another list, placing it at the top of the target list
+     * Its subtasks move with it; a subtask moved on its own becomes top-level.
+     * The move is one undo step in both lists (see recordMove()).
+     * @param {string} todoId - Todo id
+     * @param {string} fromListId - Source list id
+     * @param {string} toListId - Target list id
+     * @param {Object} [options] - Move options
+     * @param {Object|null} [options.since] - Undo step of the source list (see
+     *   TodoModel.getLastChange()) after which its changes, such as an edit
+     *   saved together with the move, are undone with the move
+     * @returns {Object|null} The moved todo, or null if the todo or a list was not found
+     */
+    moveTodo(todoId, fromListId, toListId, { since } = {}) {
+        const source = this.getModel(fromListId);
+        const target = this.getModel(toListId);
+        const todo = source ? source.getTodo(todoId) : null;
+        if (!todo || !target) {
+            return null;
+        }
+        if (source === target) {
+            return todo;
+        }
+
+        const subtasks = source.getSubtasks(todoId);
+        return this.recordMove(source, target, [todo, ...subtasks].map(item => item.id), since, () => {
+            const moved = target.insertTodo(todo, subtasks);
+            source.deleteTodo(todoId);
+            return moved;
+        });
+    }
+
+    /**
+     * Move several todos to another list, one save per list
+     * They go to the top of the target list in the given order, with their
+     * subtasks. A subtask whose parent moves too goes along with the parent.
+     * The move is one undo step in both lists (see recordMove()).
+     * @param {Array<string>} todoIds - Todo ids
+     * @param {string} fromListId - Source list id
+     * @param {string} toListId - Target list id
+     * @returns {Array<Object>} The moved todos (empty if a list was not found)
+     */
+    moveTodos(todoIds, fromListId, toListId) {
+        const source = this.getModel(fromListId);
+        const target = this.getModel(toListId);
+        if (!source || !target) {
+            return [];
+        }
+
+        const ids = new Set(todoIds);
+        const todos = todoIds.map(id => source.getTodo(id))
+            .filter(todo => todo && !ids.has(todo.parentId));
+        if (source === target || todos.length === 0) {
+            return todos;
+        }
+
+        const entries = todos.map(todo => ({ todo, subtasks: source.getSubtasks(todo.id) }));
+        const movedIds = entries.flatMap(({ todo, subtasks }) => [todo, ...subtasks]).map(item => item.id);
+        return this.recordMove(source, target, movedIds, undefined, () => {
+            const moved = target.insertTodos(entries);
+            source.deleteTodos(todos.map(todo => todo.id));
+            return moved;
+        });
+    }
+
+    /**
+     * Move todos between lists as one undo step in both lists
+     * The move itself is made through the models' own methods; the undo steps
+     * they save are then replaced by one step shared by both lists (see
+     * TodoModel.addSharedStep()). Undoing it moves the todos back to their
+     * places in the source list and redoing it moves them to the target list
+     * again, as they are at that time, so later edits to them are kept.
+     * @param {TodoModel} source - Source list model
+     * @param {TodoModel} target - Target list model
+     * @param {Array<string>} ids - Ids of every todo that moves, subtasks included
+     * @param {Object|null|undefined} since - Source list's undo step after which
+     *   its changes are part of the move (undefined: only the move itself)
+     * @param {Function} move - Makes the move and returns its result
+     * @returns {*} The result of move()
+     * @private
+     */
+    recordMove(source, target, ids, since, move) {
+        const sourcePlaces = ListManager.getPlaces(source, ids);
+        const sourceMark = source.getLastChange();
+        const targetMark = target.getLastChange();
+        const result = move();
+        const targetPlaces = ListManager.getPlaces(target, ids);
+
+        let edits = [];
+        const step = {
+            type: 'moveTodos',
+            changes: ids.map(id => ({ id })),
+            models: [source, target],
+            undo: () => {
+                const [leave, join] = ListManager.getTransfer(target, sourcePlaces);
+                target.applyOperations([leave], 'undo');
+                source.applyOperations([join, ...edits.map(edit => OperationLog.invert(edit)).reverse()], 'undo');
+            },
+            redo: () => {
+                if (edits.length > 0) {
+                    source.applyOperations(edits, 'redo');
+                }
+                const [leave, join] = ListManager.getTransfer(source, targetPlaces);
+                source.applyOperations([leave], 'redo');
+                target.applyOperations([join], 'redo');
+            }
+        };
+        const replaced = source.addSharedStep(step, since === undefined ? sourceMark : since);
+        edits = replaced.slice(0, replaced.indexOf(sourceMark) + 1);
+        target.addSharedStep(step, targetMark);
+        return result;
+    }
+
+    /**
+     * Get every list together with its todo stats
+     * @returns {Array} List records with a `stats` property from TodoModel.getStats()
+     */
+    getListSummaries() {
+        return this.lists.map(list => ({ ...list, stats: this.getModel(list.id).getStats() }));
+    }
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ListManager;
+}
@@ -0,0 +1,152 @@
+/**
+ * MarkdownRenderer - Renders todo notes as a safe subset of Markdown
+ *
+ * Supported syntax:
+ *   paragraphs            separated by blank lines; single newlines become <br>
+ *   - item / * item       bulleted lists (1. item for numbered lists)
+ *   ```                   fenced code blocks
+ *   `code`                inline code
+ *   **bold**, *italic*    emphasis (also _italic_)
+ *   [label](https://...)  links; bare http(s) URLs are linked too
+ *
+ * Everything else is shown as text. All text goes through an escapeHtml
+ * function before any markup is added, so notes can never inject HTML, and
+ * links are only created for http:, https: and mailto: URLs.
+ */
+
+const MARKDOWN_SAFE_URL = /^(https?:\/\/|mailto:)/i;
+const MARKDOWN_LIST_ITEM = {
+    ul: /^\s*[-*+]\s+(.*)$/,
+    ol: /^\s*\d+[.)]\s+(.*)$/
+};
+// Private-use characters mark spans that are already rendered HTML
+const MARKDOWN_TOKEN = /\uE000(\d+)\uE001/g;
+
+class MarkdownRenderer {
+    /**
+     * Escape text for use in HTML content and attribute values
+     * TodoView passes its own escapeHtml; this is the fallback for Node.
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    static escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Render Markdown notes to HTML
+     * @param {string} markdown - Notes text
+     * @param {Function} [escapeHtml] - Escapes text, including quotes
+     * @returns {string} HTML ('' for empty notes)
+     */
+    static render(markdown, escapeHtml = (text) => MarkdownRenderer.escapeHtml(text)) {
+        const lines = String(markdown || '').replace(/\r\n?/g, '\n').split('\n');
+        const blocks = [];
+        let index = 0;
+
+        while (index < lines.length) {
+            const line = lines[index];
+
+            if (line.trim().startsWith('```')) {
+                const code = [];
+                index++;
+                while (index < lines.length && !lines[index].trim().startsWith('```')) {
+                    code.push(lines[index]);
+                    index++;
+                }
+                index++; // Skip the closing fence (or run past the end if it is missing)
+                blocks.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+                continue;
+            }
+
+            if (!line.trim()) {
+                index++;
+                continue;
+            }
+
+            const listType = this.getListType(line);
+            if (listType) {
+                const items = [];
+                while (index < lines.length && this.getListType(lines[index]) === listType) {
+                    const [, content] = lines[index].match(MARKDOWN_LIST_ITEM[listType]);
+                    items.push(`<li>${this.renderInline(content, escapeHtml)}</li>`);
+                    index++;
+                }
+                blocks.push(`<${listType}>${items.join('')}</${listType}>`);
+                continue;
+            }
+
+            const paragraph = [];
+            while (index < lines.length && lines[index].trim() &&
+                   !lines[index].trim().startsWith('```') && !this.getListType(lines[index])) {
+                paragraph.push(this.renderInline(lines[index].trim(), escapeHtml));
+                index++;
+            }
+            blocks.push(`<p>${paragraph.join('<br>')}</p>`);
+        }
+
+        return blocks.join('');
+    }
+
+    /**
+     * Get the list type a line starts
+     * @param {string} line - Source line
+     * @returns {string|null} 'ul', 'ol' or null
+     */
+    static getListType(line) {
+        if (MARKDOWN_LIST_ITEM.ul.test(line)) {
+            return 'ul';
+        }
+        return MARKDOWN_LIST_ITEM.ol.test(line) ? 'ol' : null;
+    }
+
+    /**
+     * Render inline code, links and emphasis within one line
+     * @param {string} text - Source text
+     * @param {Function} escapeHtml - Escapes text, including quotes
+     * @returns {string} HTML
+     */
+    static renderInline(text, escapeHtml) {
+        const tokens = [];
+        const keep = (html) => {
+            tokens.push(html);
+            return `\uE000${tokens.length - 1}\uE001`;
+        };
+
+        // Code spans are extracted before escaping so their content is left as typed
+        let html = text.replace(/`([^`]+)`/g, (match, code) => keep(`<code>${escapeHtml(code)}</code>`));
+        html = escapeHtml(html);
+
+        html = html.replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) =>
+            MARKDOWN_SAFE_URL.test(url) ? keep(this.createLinkHtml(url, label)) : label
+        );
+        html = html.replace(/\bhttps?:\/\/[^\s<\uE000]+[^\s<\uE000.,;:!?)]/g, url => keep(this.createLinkHtml(url, url)));
+
+        html = html
+            .replace(/\*\*(?=\S)([^*]+?)\*\*/g, '<strong>$1</strong>')
+            .replace(/\*(?=\S)([^*]+?)\*/g, '<em>$1</em>')
+            .replace(/(^|[^\w])_(?=\S)([^_]+?)_(?!\w)/g, '$1<em>$2</em>');
+
+        return html.replace(MARKDOWN_TOKEN, (match, tokenIndex) => tokens[Number(tokenIndex)]);
+    }
+
+    /**
+     * Build a link that opens in a new tab without access to this page
+     * @param {string} href - Escaped, already validated URL
+     * @param {string} label - Escaped link text
+     * @returns {string} Anchor HTML
+     */
+    static createLinkHtml(href, label) {
+        return `<a href="${href}" target="_blank" rel="noopener noreferrer">${label}</a>`;
+    }
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MarkdownRenderer;
+}
@@ -0,0 +1,284 @@
+/**
+ * OperationLog - Append-only history of the changes made to one todo list
+ *
+ * Every TodoModel mutation is recorded as one operation:
+ *   { seq, type, at, actor, changes: [{ id, before, after }] }
+ * - type: the TodoModel method that made the change (e.g. 'toggleTodo')
+ * - at: ISO time of the change; actor: who made it ('user', 'remote' for
+ *   another tab or the sync server, 'storage' for data found changed on load)
+ * - changes: every todo the operation touched. An added todo is kept whole
+ *   in after (before is null) and a deleted one in before (after is null);
+ *   for any other change only the fields that changed are kept, with their
+ *   values before and after (a field missing from after was removed).
+ *
+ * A list can be rebuilt from the snapshot plus the operations after it, and
+ * because each change keeps both states an operation can also be undone.
+ * Once the log holds MAX_OPERATIONS or more than MAX_LOG_BYTES, the oldest
+ * operations are compacted: they are folded into the snapshot and only the
+ * newest ones are kept, at most KEEP_OPERATIONS taking up KEEP_LOG_BYTES.
+ *
+ * Storage layout, next to the list's own key (see ListManager):
+ *   'oplog:<key>'           JSON array of operations, oldest first
+ *   'oplog-snapshot:<key>'  { seq, at, todos } - the list after operation seq
+ * Only the operations key is written on every change; the snapshot is
+ * written when the log is compacted. The list's own key still holds the
+ * current todos, for everything else that reads it (other tabs, sync,
+ * backups, export).
+ */
+class OperationLog {
+    static LOG_KEY_PREFIX = 'oplog:';
+    static SNAPSHOT_KEY_PREFIX = 'oplog-snapshot:';
+    static MAX_OPERATIONS = 200;
+    static KEEP_OPERATIONS = 100;
+
+    // Size budget of the saved operations, counted in characters of JSON as
+    // storage quotas count them
+    static MAX_LOG_BYTES = 100 * 1024;
+    static KEEP_LOG_BYTES = 50 * 1024;
+
+    /**
+     * Find the changes between two versions of a list
+     * @param {Array<Object>} before - Todos before
+     * @param {Array<Object>} after - Todos after
+     * @returns {Array<Object>} Changes ({ id, before, after }) for every todo that
+     *   differs, holding copies of the added and deleted todos and of the
+     *   changed fields of the others
+     */
+    static diff(before, after) {
+        const previous = new Map(before.map(todo => [todo.id, JSON.parse(JSON.stringify(todo))]));
+        const changes = [];
+        after.forEach(todo => {
+            const old = previous.get(todo.id);
+            const current = JSON.parse(JSON.stringify(todo));
+            if (!old) {
+                changes.push({ id: todo.id, before: null, after: current });
+            } else {
+                const fields = OperationLog.diffFields(old, current);
+                if (fields) {
+                    changes.push({ id: todo.id, ...fields });
+                }
+            }
+            previous.delete(todo.id);
+        });
+        previous.forEach((old, id) => changes.push({ id, before: old, after: null }));
+        return changes;
+    }
+
+    /**
+     * Find the fields that differ between two versions of a todo
+     * @param {Object} before - Todo before (plain JSON data)
+     * @param {Object} after - Todo after (plain JSON data)
+     * @returns {Object|null} { before, after } holding the changed fields, or
+     *   null if nothing changed
+     */
+    static diffFields(before, after) {
+        const fields = { before: {}, after: {} };
+        let changed = false;
+        new Set([...Object.keys(before), ...Object.keys(after)]).forEach(field => {
+            if (JSON.stringify(before[field]) === JSON.stringify(after[field])) {
+                return;
+            }
+            if (field in before) {
+                fields.before[field] = before[field];
+            }
+            if (field in after) {
+                fields.after[field] = after[field];
+            }
+            changed = true;
+        });
+        return changed ? fields : null;
+    }
+
+    /**
+     * Apply an operation to a list
+     * A change to the fields of a todo that is not in the list is skipped.
+     * @param {Array<Object>} todos - Todos to apply it to (not modified)
+     * @param {Object} operation - Operation
+     * @returns {Array<Object>} Todos after the operation, sorted by order
+     */
+    static apply(todos, operation) {
+        const byId = new Map(todos.map(todo => [todo.id, todo]));
+        operation.changes.forEach(({ id, before, after }) => {
+            const copy = JSON.parse(JSON.stringify(after));
+            if (!after) {
+                byId.delete(id);
+            } else if (!before) {
+                byId.set(id, copy);
+            } else if (byId.has(id)) {
+                const todo = { ...byId.get(id), ...copy };
+                Object.keys(before).filter(field => !(field in after)).forEach(field => delete todo[field]);
+                byId.set(id, todo);
+            }
+        });
+        return [...byId.values()].sort((a, b) => a.order - b.order);
+    }
+
+    /**
+     * Get the operation that undoes another one
+     * @param {Object} operation - Operation to undo
+     * @returns {Object} Operation with every change reversed
+     */
+    static invert(operation) {
+        return {
+            ...operation,
+            changes: operation.changes.map(({ id, before, after }) => ({ id, before: after, after: before })).reverse()
+        };
+    }
+
+    /**
+     * Count the newest operations a compaction keeps: at most KEEP_OPERATIONS,
+     * taking up at most KEEP_LOG_BYTES
+     * @param {Array<Object>} operations - Operations, oldest first
+     * @returns {number} Number of operations to keep
+     */
+    static countToKeep(operations) {
+        let keep = 0;
+        let size = 0;
+        for (let i = operations.length - 1; i >= 0 && keep < OperationLog.KEEP_OPERATIONS; i--) {
+            size += JSON.stringify(operations[i]).length + 1;
+            if (size > OperationLog.KEEP_LOG_BYTES) {
+                break;
+            }
+            keep++;
+        }
+        return keep;
+    }
+
+    /**
+     * @param {StorageManager} storageManager - Storage backend
+     * @param {string} storageKey - Key of the list the log belongs to
+     */
+    constructor(storageManager, storageKey) {
+        this.storage = storageManager;
+        this.storageKey = storageKey;
+        this.logKey = `${OperationLog.LOG_KEY_PREFIX}${storageKey}`;
+        this.snapshotKey = `${OperationLog.SNAPSHOT_KEY_PREFIX}${storageKey}`;
+    }
+
+    /**
+     * Load the operations after the snapshot
+     * Always read from storage, so operations logged by other tabs are kept.
+     * @returns {Array<Object>} Operations, oldest first
+     */
+    getOperations() {
+        try {
+            const operations = JSON.parse(this.storage.getItem(this.logKey));
+            return Array.isArray(operations) ? operations : [];
+        } catch (e) {
+            console.warn('Failed to read the operation log, starting a new one:', e);
+            return [];
+        }
+    }
+
+    /**
+     * Load the snapshot the operations start from
+     * @returns {Object|null} { seq, at, todos }, or null if the log was never started
+     */
+    getSnapshot() {
+        try {
+            const snapshot = JSON.parse(this.storage.getItem(this.snapshotKey));
+            return snapshot && Array.isArray(snapshot.todos) ? snapshot : null;
+        } catch (e) {
+            console.warn('Failed to read the operation log snapshot:', e);
+            return null;
+        }
+    }
+
+    /**
+     * Start the log from the current todos
+     * @param {Array<Object>} todos - Current todos
+     * @param {Date} [now] - Snapshot time
+     */
+    start(todos, now = new Date()) {
+        this.storage.setItem(this.snapshotKey, JSON.stringify({ seq: 0, at: now.toISOString(), todos }));
+        if (this.storage.getItem(this.logKey) !== null) {
+            this.storage.removeItem(this.logKey);
+        }
+    }
+
+    /**
+     * Append an operation
+     * @param {string} type - TodoModel method that made the change
+     * @param {Array<Object>} changes - Changes from diff()
+     * @param {Object} [options] - Options
+     * @param {string} [options.actor] - Who made the change (default: 'user')
+     * @param {Date} [options.now] - Change time
+     * @returns {Object|null} The recorded operation, or null if nothing changed
+     */
+    record(type, changes, { actor = 'user', now = new Date() } = {}) {
+        if (changes.length === 0) {
+            return null;
+        }
+
+        const operations = this.getOperations();
+        const last = operations.length > 0 ? operations[operations.length - 1].seq : (this.getSnapshot() || { seq: 0 }).seq;
+        const operation = { seq: last + 1, type, at: now.toISOString(), actor, changes };
+        operations.push(operation);
+
+        const json = JSON.stringify(operations);
+        if (operations.length >= OperationLog.MAX_OPERATIONS || json.length > OperationLog.MAX_LOG_BYTES) {
+            this.compact(operations);
+        } else {
+            this.storage.setItem(this.logKey, json);
+        }
+        return operation;
+    }
+
+    /**
+     * Fold the oldest operations into the snapshot
+     * @param {Array<Object>} [operations] - Current operations (read from storage if omitted)
+     * @param {number} [keep] - Number of newest operations to keep (see countToKeep())
+     */
+    compact(operations = this.getOperations(), keep = OperationLog.countToKeep(operations)) {
+        const folded = operations.slice(0, Math.max(0, operations.length - keep));
+        if (folded.length === 0) {
+            return;
+        }
+
+        const snapshot = this.getSnapshot() || { todos: [] };
+        const todos = folded.reduce((state, operation) => OperationLog.apply(state, operation), snapshot.todos);
+        const lastFolded = folded[folded.length - 1];
+        this.storage.setItem(this.snapshotKey, JSON.stringify({ seq: lastFolded.seq, at: lastFolded.at, todos }));
+        this.storage.setItem(this.logKey, JSON.stringify(operations.slice(folded.length)));
+    }
+
+    /**
+     * Rebuild the list from the snapshot and the operations
+     * @param {number} [untilSeq] - Stop after this operation (default: all of them)
+     * @returns {Array<Object>|null} Todos, or null if the log was never started
+     */
+    rebuild(untilSeq = Infinity) {
+        const snapshot = this.getSnapshot();
+        if (!snapshot) {
+            return null;
+        }
+        return this.getOperations()
+            .filter(operation => operation.seq <= untilSeq)
+            .reduce((todos, operation) => OperationLog.apply(todos, operation), snapshot.todos);
+    }
+
+    /**
+     * Get the recorded operations, optionally only those touching one todo
+     * @param {string} [todoId] - Todo id
+     * @returns {Array<Object>} Operations, oldest first
+     */
+    getHistory(todoId = null) {
+        const operations = this.getOperations();
+        return todoId === null
+            ? operations
+            : operations.filter(operation => operation.changes.some(change => change.id === todoId));
+    }
+
+    /**
+     * Remove the log, e.g. when its list is deleted
+     */
+    clear() {
+        this.storage.removeItem(this.logKey);
+        this.storage.removeItem(this.snapshotKey);
+    }
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OperationLog;
+}
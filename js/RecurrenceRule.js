@@ -0,0 +1,264 @@
+/**
+ * RecurrenceRule - Repeat rules for recurring todos
+ *
+ * A rule is a plain object stored on the todo:
+ *   { type: 'daily', interval }                      every N days
+ *   { type: 'weekly', interval, weekdays }           every N weeks on weekdays (0 = Sunday)
+ *   { type: 'monthly', interval, dayOfMonth }        every N months on day D
+ *   { type: 'after-completion', interval }           N days after the todo is completed
+ *
+ * Calendar rules keep their schedule: the next due date follows the previous
+ * one, skipping occurrences missed while the todo was overdue. Days past the
+ * end of a month (e.g. the 31st) fall on the month's last day.
+ *
+ * All dates are 'YYYY-MM-DD' keys (see DateUtils), and nothing reads the
+ * clock, so the same input always yields the same next date.
+ */
+
+const RECURRENCE_WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const RECURRENCE_PATTERNS = {
+    daily: /^(?:daily|every day|every (\d+) days?)$/,
+    afterCompletion: /^(?:every )?(\d+) days? after (?:completion|done)$/,
+    weekly: /^(?:weekly|every week|every (\d+) weeks?)(?: on (.+))?$/,
+    weekdays: /^every ([a-z, ]+)$/,
+    monthly: /^(?:monthly|every month|every (\d+) months?)(?: on (?:the )?(\d{1,2})(?:st|nd|rd|th)?)?$/
+};
+
+class RecurrenceRule {
+    static TYPES = ['daily', 'weekly', 'monthly', 'after-completion'];
+    static MAX_INTERVAL = 365;
+
+    /**
+     * Parse a repeat rule typed by the user
+     * Accepts e.g. "daily", "every 3 days", "weekly on mon, thu",
+     * "every 2 weeks on fri", "every weekday", "monthly on the 15th",
+     * "every 3 months on 1" and "every 10 days after completion".
+     * @param {string} text - Rule text (case-insensitive)
+     * @returns {Object|null} Rule, or null for blank input
+     */
+    static parse(text) {
+        const input = String(text || '').trim().toLowerCase().replace(/\s+/g, ' ');
+        if (!input) {
+            return null;
+        }
+
+        let match = input.match(RECURRENCE_PATTERNS.daily);
+        if (match) {
+            return this.normalize({ type: 'daily', interval: match[1] || 1 });
+        }
+
+        match = input.match(RECURRENCE_PATTERNS.afterCompletion);
+        if (match) {
+            return this.normalize({ type: 'after-completion', interval: match[1] });
+        }
+
+        match = input.match(RECURRENCE_PATTERNS.weekly);
+        if (match) {
+            const weekdays = match[2] ? this.parseWeekdays(match[2]) : [];
+            return this.normalize({ type: 'weekly', interval: match[1] || 1, weekdays });
+        }
+
+        match = input.match(RECURRENCE_PATTERNS.monthly);
+        if (match) {
+            const dayOfMonth = match[2] ? Number(match[2]) : null;
+            return this.normalize({ type: 'monthly', interval: match[1] || 1, dayOfMonth });
+        }
+
+        match = input.match(RECURRENCE_PATTERNS.weekdays);
+        if (match) {
+            return this.normalize({ type: 'weekly', interval: 1, weekdays: this.parseWeekdays(match[1]) });
+        }
+
+        throw new Error(`Unknown repeat rule "${text}". Try daily, weekly on mon, monthly on the 15th or every 3 days after completion`);
+    }
+
+    /**
+     * Parse a list of weekday names
+     * "weekday" and "weekend" expand to Mon-Fri and Sat-Sun.
+     * @param {string} text - e.g. "mon, wed and fri"
+     * @returns {Array<number>} Sorted, unique weekday numbers (0 = Sunday)
+     */
+    static parseWeekdays(text) {
+        const days = new Set();
+        text.split(/[\s,]+/).filter(word => word && word !== 'and').forEach(word => {
+            if (word === 'weekday' || word === 'weekdays') {
+                [1, 2, 3, 4, 5].forEach(day => days.add(day));
+            } else if (word === 'weekend' || word === 'weekends') {
+                [0, 6].forEach(day => days.add(day));
+            } else {
+                const day = RECURRENCE_WEEKDAYS.indexOf(word.slice(0, 3));
+                if (day === -1) {
+                    throw new Error(`Unknown weekday "${word}"`);
+                }
+                days.add(day);
+            }
+        });
+        return Array.from(days).sort((a, b) => a - b);
+    }
+
+    /**
+     * Validate a rule object (e.g. one loaded from storage) or rule text
+     * @param {Object|string|null} rule - Rule to validate
+     * @returns {Object|null} A clean copy of the rule, or null for no rule
+     */
+    static normalize(rule) {
+        if (rule === null || rule === undefined || rule === '') {
+            return null;
+        }
+        if (typeof rule === 'string') {
+            return this.parse(rule);
+        }
+        if (typeof rule !== 'object' || !this.TYPES.includes(rule.type)) {
+            throw new Error('Repeat rule must be daily, weekly, monthly or after-completion');
+        }
+
+        const interval = Number(rule.interval === undefined ? 1 : rule.interval);
+        if (!Number.isInteger(interval) || interval < 1 || interval > this.MAX_INTERVAL) {
+            throw new Error(`Repeat interval must be a whole number from 1 to ${this.MAX_INTERVAL}`);
+        }
+
+        const normalized = { type: rule.type, interval };
+        if (rule.type === 'weekly') {
+            const weekdays = Array.isArray(rule.weekdays) ? rule.weekdays : [];
+            if (weekdays.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+                throw new Error('Weekdays must be numbers from 0 (Sunday) to 6 (Saturday)');
+            }
+            normalized.weekdays = Array.from(new Set(weekdays)).sort((a, b) => a - b);
+        }
+        if (rule.type === 'monthly') {
+            const day = rule.dayOfMonth === null || rule.dayOfMonth === undefined ? null : Number(rule.dayOfMonth);
+            if (day !== null && (!Number.isInteger(day) || day < 1 || day > 31)) {
+                throw new Error('Day of month must be from 1 to 31');
+            }
+            normalized.dayOfMonth = day;
+        }
+        return normalized;
+    }
+
+    /**
+     * Fill in the parts of a rule left to the start date
+     * "weekly" repeats on the start date's weekday and "monthly" on its day.
+     * @param {Object|null} rule - Normalized rule
+     * @param {string} dateKey - First due date (or creation date)
+     * @returns {Object|null} Rule with weekdays / dayOfMonth set
+     */
+    static anchor(rule, dateKey) {
+        if (!rule) {
+            return null;
+        }
+        const date = DateUtils.parseDateKey(dateKey);
+        if (rule.type === 'weekly' && rule.weekdays.length === 0) {
+            return { ...rule, weekdays: [date.getDay()] };
+        }
+        if (rule.type === 'monthly' && rule.dayOfMonth === null) {
+            return { ...rule, dayOfMonth: date.getDate() };
+        }
+        return rule;
+    }
+
+    /**
+     * Get the due date of the occurrence after the one just completed
+     * @param {Object} rule - Normalized rule
+     * @param {Object} occurrence - The completed occurrence
+     * @param {string|null} occurrence.dueDate - Its due date, if any
+     * @param {string} occurrence.completedOn - Date key it was completed on
+     * @returns {string} Next due date key, always after completedOn
+     */
+    static getNextDueDate(rule, { dueDate, completedOn }) {
+        if (rule.type === 'after-completion') {
+            return DateUtils.addDays(completedOn, rule.interval);
+        }
+
+        const anchored = this.anchor(rule, dueDate || completedOn);
+        let next = this.getNextCalendarDate(anchored, dueDate || completedOn);
+        while (next <= completedOn) {
+            next = this.getNextCalendarDate(anchored, next);
+        }
+        return next;
+    }
+
+    /**
+     * Get the first date strictly after a date that matches a calendar rule
+     * @param {Object} rule - Anchored daily, weekly or monthly rule
+     * @param {string} fromKey - Date key of the current occurrence
+     * @returns {string} Date key of the following occurrence
+     */
+    static getNextCalendarDate(rule, fromKey) {
+        switch (rule.type) {
+            case 'daily':
+                return DateUtils.addDays(fromKey, rule.interval);
+            case 'weekly': {
+                // Weeks start on Sunday; only the current week and the week
+                // `interval` weeks later can contain the next occurrence
+                const offsetInWeek = DateUtils.parseDateKey(fromKey).getDay();
+                for (let days = 1; days <= 7 * rule.interval + 6; days++) {
+                    const week = Math.floor((offsetInWeek + days) / 7);
+                    const weekday = (offsetInWeek + days) % 7;
+                    if ((week === 0 || week === rule.interval) && rule.weekdays.includes(weekday)) {
+                        return DateUtils.addDays(fromKey, days);
+                    }
+                }
+                return DateUtils.addDays(fromKey, 7 * rule.interval);
+            }
+            case 'monthly': {
+                const from = DateUtils.parseDateKey(fromKey);
+                for (let step = 0; ; step += rule.interval) {
+                    const firstOfMonth = new Date(from.getFullYear(), from.getMonth() + step, 1);
+                    const daysInMonth = new Date(firstOfMonth.getFullYear(), firstOfMonth.getMonth() + 1, 0).getDate();
+                    firstOfMonth.setDate(Math.min(rule.dayOfMonth, daysInMonth));
+                    const candidate = DateUtils.toDateKey(firstOfMonth);
+                    if (candidate > fromKey) {
+                        return candidate;
+                    }
+                }
+            }
+            default:
+                throw new Error(`Cannot schedule repeat rule of type "${rule.type}"`);
+        }
+    }
+
+    /**
+     * Format a rule as text that parse() reads back to the same rule
+     * @param {Object|null} rule - Normalized rule
+     * @returns {string} e.g. "weekly on mon, thu", or '' for no rule
+     */
+    static format(rule) {
+        if (!rule) {
+            return '';
+        }
+
+        const every = (unit, plural) => rule.interval === 1 ? unit : `every ${rule.interval} ${plural}`;
+        switch (rule.type) {
+            case 'daily':
+                return every('daily', 'days');
+            case 'weekly': {
+                const days = rule.weekdays.map(day => RECURRENCE_WEEKDAYS[day]).join(', ');
+                return days ? `${every('weekly', 'weeks')} on ${days}` : every('weekly', 'weeks');
+            }
+            case 'monthly':
+                return rule.dayOfMonth ? `${every('monthly', 'months')} on the ${this.formatOrdinal(rule.dayOfMonth)}` : every('monthly', 'months');
+            case 'after-completion':
+                return `every ${rule.interval} day${rule.interval === 1 ? '' : 's'} after completion`;
+            default:
+                return '';
+        }
+    }
+
+    /**
+     * Format a day of the month as an ordinal
+     * @param {number} day - 1-31
+     * @returns {string} e.g. "1st", "22nd", "13th"
+     */
+    static formatOrdinal(day) {
+        const lastTwo = day % 100;
+        if (lastTwo >= 11 && lastTwo <= 13) {
+            return `${day}th`;
+        }
+        return `${day}${['th', 'st', 'nd', 'rd'][day % 10] || 'th'}`;
+    }
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RecurrenceRule;
+}
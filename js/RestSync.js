@@ -0,0 +1,483 @@
+/**
+ * RestSync - Optional sync of todos with a self-hosted HTTP endpoint
+ *
+ * RestSync sits next to StorageManager: todos are still saved locally first,
+ * and RestSync watches those writes (StorageManager.addChangeListener) to
+ * find what changed, queues the changes and sends them to the server. Changes
+ * from other devices come back in the same request and are written to
+ * storage; the listener given to start() is then told about them, exactly
+ * like changes from another tab (see TabSync).
+ *
+ * Synced data is the same as TabSync's: each list's todos and the list
+ * index, as records matched by id. The JSON contract is documented in
+ * REST_SYNC.md; rest-sync-mock-server.js implements it for tests.
+ *
+ * Offline: changes wait in a queue saved under QUEUE_KEY, so they survive a
+ * reload, and are sent when the browser comes back online.
+ *
+ * Conflicts: every change carries the updatedAt time of the record (todos get
+ * theirs from TodoModel). When a todo changed both here and on the server
+ * since the last sync, the change with the newer updatedAt wins, here and on
+ * the server.
+ */
+class RestSync {
+    static ENDPOINT_KEY = 'todo-sync-endpoint';
+    static STATE_KEY = 'todo-sync-state';
+    static QUEUE_KEY = 'todo-sync-queue';
+    static LIST_INDEX_KEY = 'todo-lists';
+    static FLUSH_DELAY_MS = 1000;
+    static RETRY_DELAY_MS = 30000;
+    static PULL_INTERVAL_MS = 60000;
+
+    /**
+     * Get a short fingerprint of a record, to tell whether it changed
+     * @param {Object} record - Todo or list record
+     * @returns {string} FNV-1a hash of the record's JSON
+     */
+    static fingerprint(record) {
+        const json = JSON.stringify(record);
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < json.length; i++) {
+            hash ^= json.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return hash.toString(36);
+    }
+
+    /**
+     * Read the records saved under a synced key
+     * @param {string} key - 'todo-lists' or a list's todos key
+     * @param {string|null} value - Saved value
+     * @returns {Array<Object>} Records with an id
+     * @throws {Error} If the saved value cannot be read
+     */
+    static readRecords(key, value) {
+        if (!value) {
+            return [];
+        }
+        if (key === RestSync.LIST_INDEX_KEY) {
+            const lists = JSON.parse(value);
+            return Array.isArray(lists) ? lists.filter(list => list && typeof list.id === 'string') : [];
+        }
+        return StorageSchema.parse(value).todos;
+    }
+
+    /**
+     * Create the value to save for a synced key
+     * @param {string} key - 'todo-lists' or a list's todos key
+     * @param {Array<Object>} records - Records to save
+     * @returns {string} Saved value
+     */
+    static writeRecords(key, records) {
+        return key === RestSync.LIST_INDEX_KEY ? JSON.stringify(records) : StorageSchema.serialize(records);
+    }
+
+    /**
+     * @param {StorageManager} storageManager - Local storage whose data is synced
+     * @param {Object} options - Options
+     * @param {string} options.endpoint - Base URL of the sync server
+     * @param {Function} [options.fetch] - fetch implementation (default: global fetch)
+     * @param {Window} [options.target] - Object receiving 'online' events (default: window)
+     * @param {number} [options.flushDelay] - Delay (ms) before sending local changes
+     * @param {number} [options.retryDelay] - Delay (ms) before retrying a failed sync
+     * @param {number} [options.pullInterval] - Interval (ms) for fetching remote changes; 0 to disable
+     */
+    constructor(storageManager = window.storageManager, options = {}) {
+        if (!options.endpoint || typeof options.endpoint !== 'string') {
+            throw new Error('A sync endpoint URL is required');
+        }
+
+        this.storage = storageManager;
+        this.endpoint = options.endpoint.replace(/\/+$/, '');
+        this.fetch = options.fetch || (typeof fetch === 'function' ? fetch.bind(globalThis) : null);
+        this.target = options.target || (typeof window !== 'undefined' ? window : null);
+        this.flushDelay = options.flushDelay ?? RestSync.FLUSH_DELAY_MS;
+        this.retryDelay = options.retryDelay ?? RestSync.RETRY_DELAY_MS;
+        this.pullInterval = options.pullInterval ?? RestSync.PULL_INTERVAL_MS;
+
+        this.listener = null;
+        this.removeChangeListener = null;
+        this.flushTimer = null;
+        this.pullTimer = null;
+        this.syncing = null; // Promise of the request in flight
+        this.applying = false; // True while writing changes from the server
+        this.status = 'idle'; // 'idle' | 'syncing' | 'synced' | 'offline' | 'error'
+        this.lastError = null;
+        this.lastSyncedAt = null;
+
+        this.handleLocalChange = this.handleLocalChange.bind(this);
+        this.handleOnline = this.handleOnline.bind(this);
+    }
+
+    /**
+     * Start syncing: queue local data the server has not seen and sync now
+     * @param {Function} [listener] - Called with (key, value) after changes from
+     *   the server were saved, like TabSync's listener
+     * @returns {RestSync} This instance
+     */
+    start(listener = null) {
+        this.stop();
+        this.listener = listener;
+
+        if (this.storage && typeof this.storage.addChangeListener === 'function') {
+            this.removeChangeListener = this.storage.addChangeListener(this.handleLocalChange);
+        }
+        if (this.target && typeof this.target.addEventListener === 'function') {
+            this.target.addEventListener('online', this.handleOnline);
+        }
+        if (this.pullInterval > 0) {
+            this.pullTimer = setInterval(() => this.sync(), this.pullInterval);
+        }
+
+        this.getSyncedKeys().forEach(key => this.recordChanges(key, this.storage.getItem(key)));
+        this.sync();
+        return this;
+    }
+
+    /**
+     * Stop syncing; queued changes stay saved for the next start
+     */
+    stop() {
+        if (this.removeChangeListener) {
+            this.removeChangeListener();
+            this.removeChangeListener = null;
+        }
+        if (this.target && typeof this.target.removeEventListener === 'function') {
+            this.target.removeEventListener('online', this.handleOnline);
+        }
+        clearTimeout(this.flushTimer);
+        clearInterval(this.pullTimer);
+        this.flushTimer = null;
+        this.pullTimer = null;
+        this.listener = null;
+    }
+
+    /**
+     * Get every key holding synced data: the list index and each list's todos
+     * @returns {string[]} Storage keys
+     */
+    getSyncedKeys() {
+        let lists = [];
+        try {
+            lists = RestSync.readRecords(RestSync.LIST_INDEX_KEY, this.storage.getItem(RestSync.LIST_INDEX_KEY));
+        } catch (e) {
+            console.warn('RestSync: Could not read the list index:', e);
+        }
+        const todoKeys = lists.map(list => ListManager.getTodoListKey(list.id));
+        return [RestSync.LIST_INDEX_KEY, ...new Set(['todos', ...todoKeys])];
+    }
+
+    /**
+     * Load the sync state: this device's id, the server cursor and the
+     * fingerprint of every record as last synced or queued
+     * @returns {Object} { clientId, cursor, shadow: { [key]: { [id]: fingerprint } } }
+     */
+    loadState() {
+        let state = null;
+        try {
+            state = JSON.parse(this.storage.getItem(RestSync.STATE_KEY));
+        } catch (e) {
+            state = null;
+        }
+        if (!state || typeof state !== 'object' || typeof state.clientId !== 'string') {
+            state = {
+                clientId: Date.now().toString(36) + Math.random().toString(36).slice(2, 10),
+                cursor: null,
+                shadow: {}
+            };
+            this.saveState(state);
+        }
+        state.shadow = state.shadow || {};
+        return state;
+    }
+
+    /**
+     * Save the sync state
+     * @param {Object} state - State from loadState()
+     */
+    saveState(state) {
+        this.storage.setItem(RestSync.STATE_KEY, JSON.stringify(state));
+    }
+
+    /**
+     * Load the changes waiting to be sent
+     * @returns {Array<Object>} Queued changes, oldest first
+     */
+    loadQueue() {
+        try {
+            const queue = JSON.parse(this.storage.getItem(RestSync.QUEUE_KEY));
+            return Array.isArray(queue) ? queue : [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    /**
+     * Save the changes waiting to be sent
+     * @param {Array<Object>} queue - Queued changes
+     */
+    saveQueue(queue) {
+        this.storage.setItem(RestSync.QUEUE_KEY, JSON.stringify(queue));
+    }
+
+    /**
+     * Get the number of changes waiting to be sent
+     * @returns {number} Queue length
+     */
+    getPendingCount() {
+        return this.loadQueue().length;
+    }
+
+    /**
+     * Handle a write made through StorageManager
+     * @param {string} key - Storage key that was written
+     * @param {string|null} value - New value, or null if the key was removed
+     */
+    handleLocalChange(key, value) {
+        if (this.applying || !TabSync.isSyncedKey(key)) {
+            return;
+        }
+        if (this.recordChanges(key, value) > 0) {
+            this.scheduleSync(this.flushDelay);
+        }
+    }
+
+    /**
+     * Handle the browser coming back online
+     */
+    handleOnline() {
+        this.sync();
+    }
+
+    /**
+     * Queue a change for every record of a key that changed since it was last synced or queued
+     * @param {string} key - Synced storage key
+     * @param {string|null} value - Saved value, or null if the key was removed
+     * @param {Date} [now] - Time of changes to records without an updatedAt
+     * @returns {number} Number of changes queued
+     */
+    recordChanges(key, value, now = new Date()) {
+        let records;
+        try {
+            records = RestSync.readRecords(key, value);
+        } catch (e) {
+            console.warn(`RestSync: Not syncing unreadable data under "${key}":`, e);
+            return 0;
+        }
+
+        const state = this.loadState();
+        const queue = this.loadQueue();
+        const shadow = state.shadow[key] || {};
+        const next = {};
+        let queued = 0;
+
+        records.forEach(record => {
+            next[record.id] = RestSync.fingerprint(record);
+            if (shadow[record.id] !== next[record.id]) {
+                this.queueChange(queue, { collection: key, id: record.id, updatedAt: record.updatedAt || now.toISOString(), deleted: false, record });
+                queued++;
+            }
+        });
+        Object.keys(shadow).filter(id => !(id in next)).forEach(id => {
+            this.queueChange(queue, { collection: key, id, updatedAt: now.toISOString(), deleted: true, record: null });
+            queued++;
+        });
+
+        if (queued > 0) {
+            state.shadow[key] = next;
+            this.saveState(state);
+            this.saveQueue(queue);
+        }
+        return queued;
+    }
+
+    /**
+     * Add a change to the queue, replacing an unsent change to the same record
+     * @param {Array<Object>} queue - Queue to add to
+     * @param {Object} change - Change without a seq number
+     */
+    queueChange(queue, change) {
+        const seq = queue.reduce((max, queued) => Math.max(max, queued.seq), 0) + 1;
+        const index = queue.findIndex(queued => queued.collection === change.collection && queued.id === change.id);
+        if (index !== -1) {
+            queue.splice(index, 1);
+        }
+        queue.push({ ...change, seq });
+    }
+
+    /**
+     * Sync soon, replacing an earlier scheduled sync
+     * @param {number} delay - Delay in ms
+     */
+    scheduleSync(delay) {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = setTimeout(() => {
+            this.flushTimer = null;
+            this.sync();
+        }, delay);
+    }
+
+    /**
+     * Check whether the browser is online
+     * @returns {boolean} False only if the browser reports being offline
+     */
+    isOnline() {
+        return typeof navigator === 'undefined' || navigator.onLine !== false;
+    }
+
+    /**
+     * Send queued changes and save the changes the server sends back
+     * Never rejects: it is called from timers and event handlers, so an
+     * unexpected error is logged and reported through status and lastError.
+     * @returns {Promise<boolean>} True if the server was reached
+     */
+    sync() {
+        if (!this.syncing) {
+            this.syncing = this.runSync().catch(error => {
+                console.warn('RestSync: Sync failed:', error);
+                this.status = 'error';
+                this.lastError = error.message;
+                return false;
+            }).finally(() => {
+                this.syncing = null;
+            });
+        }
+        return this.syncing;
+    }
+
+    /**
+     * Make one sync request
+     * @returns {Promise<boolean>} True if the server was reached
+     * @private
+     */
+    async runSync() {
+        if (!this.isOnline()) {
+            this.status = 'offline';
+            return false;
+        }
+
+        const { clientId, cursor } = this.loadState();
+        const sent = this.loadQueue();
+        let response;
+        this.status = 'syncing';
+        try {
+            const res = await this.fetch(`${this.endpoint}/sync`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ clientId, cursor, changes: sent.map(({ seq, ...change }) => change) })
+            });
+            if (!res.ok) {
+                throw new Error(`Sync server responded with ${res.status}`);
+            }
+            response = await res.json();
+            if (!response || !Array.isArray(response.changes)) {
+                throw new Error('Sync server sent an invalid response');
+            }
+        } catch (error) {
+            console.warn('RestSync: Sync failed, changes stay queued:', error);
+            this.status = this.isOnline() ? 'error' : 'offline';
+            this.lastError = error.message;
+            this.scheduleSync(this.retryDelay);
+            return false;
+        }
+
+        // Changes queued while the request was in flight are sent next time
+        const sentSeqs = new Set(sent.map(change => change.seq));
+        const queue = this.loadQueue().filter(change => !sentSeqs.has(change.seq));
+        this.applyServerChanges(response.changes, queue);
+        this.saveQueue(queue);
+
+        const state = this.loadState();
+        state.cursor = response.cursor === undefined ? state.cursor : response.cursor;
+        this.saveState(state);
+
+        this.status = 'synced';
+        this.lastError = null;
+        this.lastSyncedAt = new Date();
+        if (queue.length > 0) {
+            this.scheduleSync(this.flushDelay);
+        }
+        return true;
+    }
+
+    /**
+     * Save changes from the server
+     * A change to a record that also has an unsent local change only wins if
+     * it is newer; the losing change is dropped.
+     * @param {Array<Object>} changes - Changes from the server response
+     * @param {Array<Object>} queue - Unsent local changes; losing ones are removed
+     */
+    applyServerChanges(changes, queue) {
+        const byKey = new Map();
+        changes
+            .filter(change => change && TabSync.isSyncedKey(change.collection) && typeof change.id === 'string')
+            .forEach(change => {
+                if (!byKey.has(change.collection)) {
+                    byKey.set(change.collection, []);
+                }
+                byKey.get(change.collection).push(change);
+            });
+
+        // New lists are added to the index before their todos arrive
+        const keys = [...byKey.keys()].sort((a, b) => (b === RestSync.LIST_INDEX_KEY) - (a === RestSync.LIST_INDEX_KEY));
+        keys.forEach(key => {
+            let records;
+            try {
+                records = RestSync.readRecords(key, this.storage.getItem(key));
+            } catch (e) {
+                console.warn(`RestSync: Not applying server changes to unreadable data under "${key}":`, e);
+                return;
+            }
+
+            const byId = new Map(records.map(record => [record.id, record]));
+            let changed = false;
+            byKey.get(key).forEach(change => {
+                const localIndex = queue.findIndex(queued => queued.collection === key && queued.id === change.id);
+                if (localIndex !== -1) {
+                    if (Date.parse(queue[localIndex].updatedAt) > Date.parse(change.updatedAt)) {
+                        return;
+                    }
+                    queue.splice(localIndex, 1);
+                }
+                if (change.deleted) {
+                    changed = byId.delete(change.id) || changed;
+                } else if (change.record && change.record.id === change.id) {
+                    byId.set(change.id, change.record);
+                    changed = true;
+                }
+            });
+            if (!changed) {
+                return;
+            }
+
+            const merged = [...byId.values()];
+            const state = this.loadState();
+            state.shadow[key] = Object.fromEntries(merged.map(record => [record.id, RestSync.fingerprint(record)]));
+            this.saveState(state);
+
+            const value = merged.length === 0 && key !== 'todos' ? null : RestSync.writeRecords(key, merged);
+            this.applying = true;
+            try {
+                if (value === null) {
+                    this.storage.removeItem(key);
+                } else {
+                    this.storage.setItem(key, value);
+                }
+            } finally {
+                this.applying = false;
+            }
+            if (this.listener) {
+                try {
+                    this.listener(key, value);
+                } catch (error) {
+                    console.warn('RestSync: Failed to apply a change from the server:', error);
+                }
+            }
+        });
+    }
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RestSync;
+}
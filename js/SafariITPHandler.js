@@ -10,6 +10,11 @@
  * - Providing user notifications about data persistence status
  * - Offering backup/restore functionality for user data protection
  * - Detecting when data might be at risk of clearing
+ * 
+ * Backups are kept as rotating generations (newest first) in localStorage and,
+ * when available, in IndexedDB. A generation collects every backup made within
+ * BACKUP_GENERATION_INTERVAL_MS; after that a new one starts and the oldest
+ * beyond MAX_BACKUP_GENERATIONS is dropped, so an older copy survives a bad save.
  */
 class SafariITPHandler {
     constructor() {
@@ -24,6 +29,14 @@ class SafariITPHandler {
         this.WARNING_THRESHOLD_DAYS = 6;
         this.ITP_CLEARING_DAYS = 7;
         
+        // Keep three backup generations, starting a new one at most every hour
+        this.MAX_BACKUP_GENERATIONS = 3;
+        this.BACKUP_GENERATION_INTERVAL_MS = 60 * 60 * 1000;
+        this.backupDatabaseName = 'autotodo-backups';
+        this.backupStorage = null;
+        this.indexedDBBackupPromise = Promise.resolve();
+        this.forceNewGeneration = false;
+        
         this.init();
     }
 
@@ -248,23 +261,38 @@ class SafariITPHandler {
 
     /**
      * Create a backup of important data
-     * @param {Object} data - Data to backup
+     * Replaces the newest generation if it was started less than
+     * BACKUP_GENERATION_INTERVAL_MS ago, otherwise starts a new generation.
+     * @param {Object} data - Data to backup ({ todos, lists } from StorageManager)
+     * @param {number} [now] - Backup time
+     * @returns {boolean} True if the localStorage backup was written
      */
-    createDataBackup(data) {
+    createDataBackup(data, now = Date.now()) {
         try {
             const backup = {
-                timestamp: Date.now(),
+                timestamp: now,
+                startedAt: now,
+                todoCount: SafariITPHandler.countTodos(data),
                 data: data,
-                version: '1.0'
+                version: '2.0'
             };
             
-            const backupString = JSON.stringify(backup);
+            const generations = this.readLocalBackups();
+            const newest = generations[0];
+            const isRecent = newest && now - (newest.startedAt || newest.timestamp) < this.BACKUP_GENERATION_INTERVAL_MS;
+            if (isRecent && !this.forceNewGeneration) {
+                backup.startedAt = newest.startedAt || newest.timestamp;
+                generations.shift();
+            }
+            generations.unshift(backup);
+            generations.splice(this.MAX_BACKUP_GENERATIONS);
+            this.forceNewGeneration = false;
             
             // Store backup in localStorage with different key
-            localStorage.setItem(this.dataBackupKey, backupString);
+            localStorage.setItem(this.dataBackupKey, JSON.stringify(generations));
             
-            // Also try to store in IndexedDB if available for additional protection
-            this.storeBackupInIndexedDB(backup);
+            // Also store in IndexedDB if available for additional protection
+            this.storeBackupInIndexedDB(generations);
             
             console.log('SafariITPHandler: Data backup created');
             return true;
@@ -276,20 +304,27 @@ class SafariITPHandler {
     }
 
     /**
-     * Restore data from backup if main data is lost
+     * Make the next backup start a new generation
+     * Used when the current backup must survive the next save, e.g. after
+     * the user declined to restore it.
+     */
+    startNewBackupGeneration() {
+        this.forceNewGeneration = true;
+    }
+
+    /**
+     * Restore data from the newest valid localStorage backup
+     * Synchronous; use findNewestValidBackup() to also search IndexedDB.
      * @returns {Object|null} Restored data or null if no backup available
      */
     restoreFromBackup() {
         try {
-            // Try localStorage backup first
-            const backupString = localStorage.getItem(this.dataBackupKey);
-            if (backupString) {
-                const backup = JSON.parse(backupString);
+            const [newest] = this.readLocalBackups();
+            if (newest) {
                 console.log('SafariITPHandler: Data restored from localStorage backup');
-                return backup.data;
+                return newest.data;
             }
             
-            // Could also try IndexedDB backup here
             console.warn('SafariITPHandler: No backup data found');
             return null;
             
@@ -300,41 +335,139 @@ class SafariITPHandler {
     }
 
     /**
-     * Store backup in IndexedDB for additional protection
-     * @param {Object} backup - Backup data to store
+     * Read the backup generations stored in localStorage
+     * @returns {Array<Object>} Valid backups, newest first
+     */
+    readLocalBackups() {
+        try {
+            return this.parseBackups(localStorage.getItem(this.dataBackupKey));
+        } catch (error) {
+            console.warn('SafariITPHandler: Could not read localStorage backups:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Parse stored backup generations
+     * Accepts the single backup object written before generations existed.
+     * @param {string|null} backupString - Stored JSON
+     * @returns {Array<Object>} Valid backups, newest first
+     */
+    parseBackups(backupString) {
+        if (!backupString) {
+            return [];
+        }
+        try {
+            const parsed = JSON.parse(backupString);
+            const backups = Array.isArray(parsed) ? parsed : [parsed];
+            return backups
+                .filter(backup => this.isValidBackup(backup))
+                .map(backup => ({ ...backup, todoCount: SafariITPHandler.countTodos(backup.data) }))
+                .sort((a, b) => b.timestamp - a.timestamp);
+        } catch (error) {
+            console.warn('SafariITPHandler: Ignoring unreadable backup:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Check that a backup has a timestamp and readable todo data
+     * @param {*} backup - Parsed backup
+     * @returns {boolean} True if it can be restored
+     */
+    isValidBackup(backup) {
+        if (!backup || typeof backup !== 'object' || !Number.isFinite(backup.timestamp)) {
+            return false;
+        }
+        const data = backup.data;
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            return false;
+        }
+        const isTodoList = (value) => Array.isArray(value) || (value && typeof value === 'object' && Array.isArray(value.todos));
+        const lists = data.lists && typeof data.lists === 'object' ? Object.entries(data.lists) : [];
+        return (data.todos === undefined || isTodoList(data.todos)) &&
+            lists.every(([key, value]) => !key.startsWith('todos:') || isTodoList(value));
+    }
+
+    /**
+     * Count the todos in backed up data
+     * @param {Object} data - { todos, lists } where each list is a saved todo
+     *   array or a { schemaVersion, todos } payload
+     * @returns {number} Todos across every list
      */
-    async storeBackupInIndexedDB(backup) {
+    static countTodos(data) {
+        if (!data || typeof data !== 'object') {
+            return 0;
+        }
+        const count = (value) => Array.isArray(value) ? value.length : (value && Array.isArray(value.todos) ? value.todos.length : 0);
+        const lists = data.lists && typeof data.lists === 'object' ? data.lists : {};
+        return Object.keys(lists)
+            .filter(key => key.startsWith('todos:'))
+            .reduce((total, key) => total + count(lists[key]), count(data.todos));
+    }
+
+    /**
+     * List every valid backup generation in localStorage and IndexedDB
+     * @returns {Promise<Array<Object>>} Backups, newest first, without duplicates
+     */
+    async listBackups() {
+        const backups = this.readLocalBackups();
+        
         try {
-            if (!('indexedDB' in window)) {
-                console.warn('SafariITPHandler: IndexedDB not available for backup');
-                return;
+            await this.indexedDBBackupPromise;
+            const storage = this.getBackupStorage();
+            if (storage) {
+                backups.push(...this.parseBackups(await storage.getItem(this.dataBackupKey)));
             }
-            
-            // This is a simplified IndexedDB backup - could be enhanced
-            const request = indexedDB.open('AutoTodoBackup', 1);
-            
-            request.onerror = () => {
-                console.warn('SafariITPHandler: IndexedDB backup failed');
-            };
-            
-            request.onsuccess = (event) => {
-                const db = event.target.result;
-                const transaction = db.transaction(['backups'], 'readwrite');
-                const store = transaction.objectStore('backups');
-                store.put(backup, 'latest');
-                console.log('SafariITPHandler: Data backup stored in IndexedDB');
-            };
-            
-            request.onupgradeneeded = (event) => {
-                const db = event.target.result;
-                if (!db.objectStoreNames.contains('backups')) {
-                    db.createObjectStore('backups');
-                }
-            };
-            
         } catch (error) {
-            console.warn('SafariITPHandler: IndexedDB backup error:', error);
+            console.warn('SafariITPHandler: Could not read IndexedDB backups:', error);
         }
+        
+        const seen = new Set();
+        return backups
+            .sort((a, b) => b.timestamp - a.timestamp)
+            .filter(backup => !seen.has(backup.timestamp) && seen.add(backup.timestamp));
+    }
+
+    /**
+     * Find the newest backup that can be restored
+     * @returns {Promise<Object|null>} { timestamp, todoCount, data, ... } or null
+     */
+    async findNewestValidBackup() {
+        const [newest] = await this.listBackups();
+        return newest || null;
+    }
+
+    /**
+     * Get the IndexedDB database backups are kept in
+     * @returns {IndexedDBStorage|null} Backup storage, or null without IndexedDB
+     */
+    getBackupStorage() {
+        if (!this.backupStorage && typeof IndexedDBStorage !== 'undefined' &&
+            typeof window !== 'undefined' && window.indexedDB) {
+            this.backupStorage = new IndexedDBStorage(window.indexedDB, this.backupDatabaseName);
+        }
+        return this.backupStorage;
+    }
+
+    /**
+     * Store backup generations in IndexedDB for additional protection
+     * Writes are queued so they land in the order the backups were made.
+     * @param {Array<Object>} generations - Backups, newest first
+     * @returns {Promise<void>} Resolves when this write has finished
+     */
+    storeBackupInIndexedDB(generations) {
+        const storage = this.getBackupStorage();
+        if (!storage) {
+            return this.indexedDBBackupPromise;
+        }
+        
+        const backupString = JSON.stringify(generations);
+        this.indexedDBBackupPromise = this.indexedDBBackupPromise
+            .then(() => storage.setItem(this.dataBackupKey, backupString))
+            .then(() => console.debug('SafariITPHandler: Data backup stored in IndexedDB'))
+            .catch(error => console.warn('SafariITPHandler: IndexedDB backup error:', error));
+        return this.indexedDBBackupPromise;
     }
 
     /**
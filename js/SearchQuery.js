@@ -0,0 +1,258 @@
+/**
+ * SearchQuery - Parser and matcher for the search box query language
+ *
+ * Supported syntax:
+ *   groceries milk        all words must match (text or #tags, optionally notes)
+ *   "buy milk"            quoted phrase matched as a whole
+ *   -milk, -tag:home      exclude todos matching the term
+ *   is:done, is:open      completion status (also is:overdue)
+ *   tag:work              exact tag match
+ *   due:<today            due date comparison (<, <=, >, >=, = or none)
+ *   created:>2026-01-01   creation date comparison
+ *   work OR home          either side may match (OR must be uppercase)
+ *
+ * Dates are 'YYYY-MM-DD' keys or one of today, tomorrow, yesterday.
+ * Parsing never throws: invalid terms are dropped and reported in `errors`
+ * so a half-typed query still filters on everything that does parse.
+ */
+
+const QUERY_OPERATOR_PATTERN = /^(<=|>=|<|>|=)?(.*)$/;
+const QUERY_STATUS_VALUES = ['done', 'open', 'overdue'];
+const QUERY_RELATIVE_DAYS = { yesterday: -1, today: 0, tomorrow: 1 };
+
+class SearchQuery {
+    /**
+     * Parse a query string into OR-groups of AND-ed terms
+     * @param {string} query - Raw search input
+     * @param {Date} [now] - Reference time for relative dates
+     * @returns {Object} { groups: Array<Array<Object>>, errors: Array<{message, position}> }
+     */
+    static parse(query, now = new Date()) {
+        const errors = [];
+        const groups = [[]];
+        const tokens = this.tokenize(query || '', errors);
+
+        tokens.forEach((token, index) => {
+            if (token.type === 'or') {
+                const isDangling = groups[groups.length - 1].length === 0 ||
+                    index === tokens.length - 1 || tokens[index + 1].type === 'or';
+                if (isDangling) {
+                    errors.push({ message: 'OR needs a search term on both sides', position: token.position });
+                } else {
+                    groups.push([]);
+                }
+                return;
+            }
+
+            const term = this.parseTerm(token, now, errors);
+            if (term) {
+                groups[groups.length - 1].push(term);
+            }
+        });
+
+        return { groups: groups.filter(group => group.length > 0), errors };
+    }
+
+    /**
+     * Split a query into word, phrase and OR tokens
+     * @param {string} query - Raw search input
+     * @param {Array} errors - Collector for syntax errors
+     * @returns {Array<Object>} Tokens with type, value, negated and position
+     */
+    static tokenize(query, errors) {
+        const tokens = [];
+        let index = 0;
+
+        while (index < query.length) {
+            if (/\s/.test(query[index])) {
+                index++;
+                continue;
+            }
+
+            const position = index;
+            const negated = query[index] === '-' && index + 1 < query.length && !/\s/.test(query[index + 1]);
+            if (negated) {
+                index++;
+            }
+
+            if (query[index] === '"') {
+                const closing = query.indexOf('"', index + 1);
+                if (closing === -1) {
+                    errors.push({ message: 'Missing closing quote', position: index });
+                }
+                const end = closing === -1 ? query.length : closing;
+                const value = query.slice(index + 1, end).trim().replace(/\s+/g, ' ');
+                if (value) {
+                    tokens.push({ type: 'phrase', value, negated, position });
+                }
+                index = end + 1;
+                continue;
+            }
+
+            let end = index;
+            while (end < query.length && !/\s/.test(query[end])) {
+                end++;
+            }
+            const value = query.slice(index, end);
+            const isOr = value === 'OR' && !negated;
+            tokens.push(isOr ? { type: 'or', position } : { type: 'word', value, negated, position });
+            index = end;
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Turn a token into a matchable term
+     * Words with an unknown prefix (e.g. "note:" or a URL) stay plain text.
+     * @param {Object} token - Token from tokenize()
+     * @param {Date} now - Reference time for relative dates
+     * @param {Array} errors - Collector for syntax errors
+     * @returns {Object|null} Term, or null if the token is invalid
+     */
+    static parseTerm(token, now, errors) {
+        const { negated, position } = token;
+        if (token.type === 'phrase') {
+            return { type: 'text', value: token.value.toLowerCase(), negated };
+        }
+
+        const separator = token.value.indexOf(':');
+        const key = separator > 0 ? token.value.slice(0, separator).toLowerCase() : '';
+        const rawValue = token.value.slice(separator + 1);
+        const reportError = (message) => {
+            errors.push({ message, position });
+            return null;
+        };
+
+        switch (key) {
+            case 'is': {
+                const status = rawValue.toLowerCase();
+                if (!QUERY_STATUS_VALUES.includes(status)) {
+                    return reportError(`Unknown status "${rawValue}". Use is:${QUERY_STATUS_VALUES.join(', is:')}`);
+                }
+                return { type: 'status', value: status, negated };
+            }
+            case 'tag': {
+                const tag = rawValue.replace(/^#/, '').toLowerCase();
+                if (!tag) {
+                    return reportError('tag: needs a tag name');
+                }
+                return { type: 'tag', value: tag, negated };
+            }
+            case 'due':
+            case 'created': {
+                const [, operator = '=', dateText] = rawValue.match(QUERY_OPERATOR_PATTERN);
+                if (key === 'due' && operator === '=' && dateText.toLowerCase() === 'none') {
+                    return { type: 'due', operator: 'none', value: null, negated };
+                }
+                const dateKey = this.resolveDate(dateText, now);
+                if (!dateKey) {
+                    return reportError(`Invalid date "${dateText}" in ${key}:. Use YYYY-MM-DD, today, tomorrow or yesterday`);
+                }
+                return { type: key, operator, value: dateKey, negated };
+            }
+            default:
+                return { type: 'text', value: token.value.toLowerCase(), negated };
+        }
+    }
+
+    /**
+     * Resolve a date literal to a calendar key
+     * @param {string} text - 'YYYY-MM-DD' or today/tomorrow/yesterday
+     * @param {Date} now - Reference time
+     * @returns {string|null} Date key, or null if the literal is invalid
+     */
+    static resolveDate(text, now) {
+        const keyword = text.toLowerCase();
+        if (Object.prototype.hasOwnProperty.call(QUERY_RELATIVE_DAYS, keyword)) {
+            return DateUtils.addDays(DateUtils.toDateKey(now), QUERY_RELATIVE_DAYS[keyword]);
+        }
+        return DateUtils.isValidDateKey(text) ? text : null;
+    }
+
+    /**
+     * Check whether a todo matches a parsed query
+     * An empty query (no groups) matches everything.
+     * @param {Object} todo - Todo object
+     * @param {Object} parsed - Result of parse()
+     * @param {Date} [now] - Reference time for is:overdue
+     * @param {Object} [options] - Match options
+     * @param {boolean} [options.includeNotes] - Let words and phrases match the notes too
+     * @returns {boolean} True if any OR-group matches in full
+     */
+    static matches(todo, parsed, now = new Date(), options = {}) {
+        if (parsed.groups.length === 0) {
+            return true;
+        }
+        return parsed.groups.some(group =>
+            group.every(term => this.matchesTerm(todo, term, now, options) !== term.negated)
+        );
+    }
+
+    /**
+     * Check a single term against a todo, ignoring negation
+     * @param {Object} todo - Todo object
+     * @param {Object} term - Term from parse()
+     * @param {Date} now - Reference time
+     * @param {Object} [options] - Match options (see matches())
+     * @returns {boolean} True if the term matches
+     */
+    static matchesTerm(todo, term, now, options = {}) {
+        const tags = todo.tags || [];
+
+        switch (term.type) {
+            case 'status':
+                if (term.value === 'overdue') {
+                    return DateUtils.getDueStatus(todo, now) === 'overdue';
+                }
+                return todo.completed === (term.value === 'done');
+            case 'tag':
+                return tags.includes(term.value);
+            case 'due':
+                if (term.operator === 'none') {
+                    return !todo.dueDate;
+                }
+                return Boolean(todo.dueDate) && this.compareDateKeys(todo.dueDate, term.operator, term.value);
+            case 'created': {
+                const created = todo.createdAt ? new Date(todo.createdAt) : null;
+                if (!created || isNaN(created.getTime())) {
+                    return false;
+                }
+                return this.compareDateKeys(DateUtils.toDateKey(created), term.operator, term.value);
+            }
+            default: {
+                const searchableText = tags.length > 0
+                    ? `${todo.text.toLowerCase()} ${tags.map(tag => '#' + tag).join(' ')}`
+                    : todo.text.toLowerCase();
+                if (searchableText.includes(term.value)) {
+                    return true;
+                }
+                // Notes are multi-line; collapse whitespace so phrases match across line breaks
+                return Boolean(options.includeNotes && todo.notes) &&
+                    todo.notes.toLowerCase().replace(/\s+/g, ' ').includes(term.value);
+            }
+        }
+    }
+
+    /**
+     * Compare two 'YYYY-MM-DD' keys (lexical order equals date order)
+     * @param {string} left - Left-hand date key
+     * @param {string} operator - One of <, <=, >, >=, =
+     * @param {string} right - Right-hand date key
+     * @returns {boolean} Comparison result
+     */
+    static compareDateKeys(left, operator, right) {
+        switch (operator) {
+            case '<': return left < right;
+            case '<=': return left <= right;
+            case '>': return left > right;
+            case '>=': return left >= right;
+            default: return left === right;
+        }
+    }
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SearchQuery;
+}
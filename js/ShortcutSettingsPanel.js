@@ -0,0 +1,433 @@
+/**
+ * ShortcutSettingsPanel - Dialog for rebinding keyboard shortcuts
+ *
+ * Lists every shortcut by category with its current key combination. After
+ * "Change", the keys pressed are collected until Enter or a pause, so a
+ * shortcut can be bound to one key combination or to a sequence such as
+ * "g a" or "Ctrl+K Ctrl+S". The keys are then checked: ones already used in
+ * the same context, or ones that fail validation, are rejected with a
+ * message and the panel keeps listening. Escape stops listening (or closes
+ * the panel). Key presses never reach the app's shortcuts while the panel
+ * is open.
+ *
+ * The panel only shows bindings; checking and saving them is left to the
+ * callbacks it is given (see TodoController.showShortcutSettings).
+ */
+class ShortcutSettingsPanel {
+    // Same order as the help modal, with uncategorized shortcuts last
+    static CATEGORY_ORDER = ['Navigation', 'Todo Management', 'Editing', 'General', 'Other'];
+
+    // Same pause as KeyboardShortcutManager allows between the keys of a sequence
+    static SEQUENCE_TIMEOUT = 1500;
+
+    // Longest sequence that can be recorded
+    static MAX_SEQUENCE_STEPS = 3;
+
+    /**
+     * @param {Object} options - Callbacks
+     * @param {Function} options.getShortcuts - Returns the shortcuts with their bindings
+     *     (see ShortcutsConfig.applyBindings)
+     * @param {Function} options.checkBinding - (shortcut, binding) => { conflict, errors, warnings }
+     * @param {Function} options.onChange - (bindingId, binding) saves a binding; null binding restores the default
+     * @param {Function} options.onReset - Restores every default binding
+     * @param {Function} [options.onClose] - Called after the panel is closed
+     * @param {number} [options.sequenceTimeout] - ms to wait for the next key of a sequence
+     * @param {Document} [doc] - Document to show the panel in
+     */
+    constructor(options, doc = document) {
+        this.options = options;
+        this.document = doc;
+        this.overlay = null;
+        this.list = null;
+        this.status = null;
+        this.recording = null; // { shortcut, keys, steps, timer } while recording keys
+    }
+
+    /**
+     * Check if the panel is shown
+     * @returns {boolean} True while open
+     */
+    isOpen() {
+        return this.overlay !== null;
+    }
+
+    /**
+     * Show the panel
+     */
+    open() {
+        if (this.isOpen()) return;
+        const doc = this.document;
+
+        const overlay = doc.createElement('div');
+        overlay.className = 'shortcut-settings-overlay';
+
+        const dialog = doc.createElement('div');
+        dialog.className = 'shortcut-settings';
+        dialog.setAttribute('role', 'dialog');
+        dialog.setAttribute('aria-modal', 'true');
+        dialog.setAttribute('aria-labelledby', 'shortcutSettingsTitle');
+
+        const title = doc.createElement('h2');
+        title.id = 'shortcutSettingsTitle';
+        title.className = 'shortcut-settings-title';
+        title.textContent = 'Customize Shortcuts';
+
+        const hint = doc.createElement('p');
+        hint.className = 'shortcut-settings-hint';
+        hint.textContent = 'Choose Change, then press the new keys. For a sequence like "g a", press each key in turn, then Enter or wait. Escape keeps the current keys.';
+
+        this.list = doc.createElement('div');
+        this.list.className = 'shortcut-settings-list';
+
+        this.status = doc.createElement('p');
+        this.status.className = 'shortcut-settings-status';
+        this.status.setAttribute('role', 'status');
+        this.status.setAttribute('aria-live', 'polite');
+
+        const resetButton = doc.createElement('button');
+        resetButton.type = 'button';
+        resetButton.className = 'cancel-btn';
+        resetButton.textContent = 'Reset to defaults';
+        resetButton.addEventListener('click', () => this.resetAll());
+
+        const doneButton = doc.createElement('button');
+        doneButton.type = 'button';
+        doneButton.className = 'confirm-btn';
+        doneButton.textContent = 'Done';
+        doneButton.addEventListener('click', () => this.close());
+
+        const actions = doc.createElement('div');
+        actions.className = 'confirm-actions';
+        actions.appendChild(resetButton);
+        actions.appendChild(doneButton);
+
+        dialog.appendChild(title);
+        dialog.appendChild(hint);
+        dialog.appendChild(this.list);
+        dialog.appendChild(this.status);
+        dialog.appendChild(actions);
+        overlay.appendChild(dialog);
+
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) {
+                this.close();
+            }
+        });
+        overlay.addEventListener('keydown', (e) => this.handleKeydown(e));
+
+        this.overlay = overlay;
+        this.renderList();
+        doc.body.appendChild(overlay);
+        doneButton.focus();
+    }
+
+    /**
+     * Close the panel, dropping a binding that was being recorded
+     */
+    close() {
+        if (!this.isOpen()) return;
+
+        this.stopRecording();
+        this.overlay.remove();
+        this.overlay = null;
+        if (this.options.onClose) {
+            this.options.onClose();
+        }
+    }
+
+    /**
+     * Show the shortcuts, grouped by category, with their current keys
+     * @private
+     */
+    renderList() {
+        const doc = this.document;
+        const grouped = ShortcutsConfig.groupByCategory(this.options.getShortcuts());
+        this.list.textContent = '';
+
+        ShortcutSettingsPanel.CATEGORY_ORDER.filter(category => grouped[category]).forEach(category => {
+            const heading = doc.createElement('h3');
+            heading.textContent = category;
+            this.list.appendChild(heading);
+
+            grouped[category].forEach(shortcut => {
+                this.list.appendChild(this.createRow(shortcut));
+            });
+        });
+    }
+
+    /**
+     * Create the row for one shortcut
+     * @param {Object} shortcut - Shortcut with bindingId and defaultBinding
+     * @returns {HTMLElement} Row element
+     * @private
+     */
+    createRow(shortcut) {
+        const doc = this.document;
+        const description = HelpModalBuilder.cleanDescription(shortcut.description);
+
+        const row = doc.createElement('div');
+        row.className = 'shortcut-setting';
+        row.dataset.bindingId = shortcut.bindingId;
+
+        const label = doc.createElement('span');
+        label.className = 'shortcut-description';
+        label.textContent = description;
+
+        const keys = doc.createElement('kbd');
+        keys.className = 'shortcut-keys';
+        keys.textContent = ShortcutsConfig.formatKeyCombo(shortcut);
+
+        const changeButton = doc.createElement('button');
+        changeButton.type = 'button';
+        changeButton.className = 'shortcut-change-btn';
+        changeButton.textContent = 'Change';
+        changeButton.setAttribute('aria-label', `Change shortcut for ${description}`);
+        changeButton.addEventListener('click', () => this.startRecording(shortcut, keys));
+
+        row.appendChild(label);
+        row.appendChild(keys);
+        row.appendChild(changeButton);
+
+        if (this.isCustomized(shortcut)) {
+            row.classList.add('customized');
+            const defaultButton = doc.createElement('button');
+            defaultButton.type = 'button';
+            defaultButton.className = 'shortcut-default-btn';
+            defaultButton.textContent = 'Default';
+            defaultButton.setAttribute('aria-label', `Use the default shortcut ${ShortcutsConfig.formatKeyCombo(shortcut.defaultBinding)} for ${description}`);
+            defaultButton.addEventListener('click', () => {
+                this.stopRecording();
+                this.tryBinding(shortcut, shortcut.defaultBinding);
+            });
+            row.appendChild(defaultButton);
+        }
+        return row;
+    }
+
+    /**
+     * Check if a shortcut is bound to other keys than its default
+     * @param {Object} shortcut - Shortcut with defaultBinding
+     * @returns {boolean} True if the user rebound it
+     * @private
+     */
+    isCustomized(shortcut) {
+        return ShortcutsConfig.formatKeyCombo(shortcut) !== ShortcutsConfig.formatKeyCombo(shortcut.defaultBinding);
+    }
+
+    /**
+     * Wait for the keys to bind a shortcut to
+     * @param {Object} shortcut - Shortcut to rebind
+     * @param {HTMLElement} keys - Element showing its keys
+     */
+    startRecording(shortcut, keys) {
+        this.stopRecording();
+        this.recording = { shortcut, keys, steps: [], timer: null };
+        keys.textContent = 'Press keys…';
+        keys.classList.add('recording');
+        this.setStatus(`Press the new shortcut for ${HelpModalBuilder.cleanDescription(shortcut.description)}`);
+    }
+
+    /**
+     * Stop recording and show the current keys again
+     * @private
+     */
+    stopRecording() {
+        if (!this.recording) return;
+
+        const { shortcut, keys, timer } = this.recording;
+        clearTimeout(timer);
+        keys.textContent = ShortcutsConfig.formatKeyCombo(shortcut);
+        keys.classList.remove('recording');
+        this.recording = null;
+    }
+
+    /**
+     * Handle a key press in the panel
+     * @param {KeyboardEvent} e - The keyboard event
+     * @private
+     */
+    handleKeydown(e) {
+        // Keep the app's shortcuts from acting on the page behind the panel
+        e.stopPropagation();
+
+        if (this.recording) {
+            e.preventDefault();
+            this.recordKey(e);
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            this.close();
+        } else if (e.key === 'Tab') {
+            this.trapFocus(e);
+        }
+    }
+
+    /**
+     * Add a key combination pressed while recording to the keys being recorded
+     * Enter (after at least one key) or a pause ends the recording; so does
+     * reaching the longest sequence allowed.
+     * @param {KeyboardEvent} e - The keyboard event
+     * @private
+     */
+    recordKey(e) {
+        const recording = this.recording;
+        const step = ShortcutsConfig.getBindingFromEvent(e);
+        if (!step) return; // Only a modifier so far
+
+        const noModifiers = !step.ctrlKey && !step.altKey && !step.shiftKey;
+        if (step.key === 'Escape' && noModifiers) {
+            this.stopRecording();
+            this.setStatus('Shortcut unchanged');
+            return;
+        }
+        if (step.key === 'Enter' && noModifiers && recording.steps.length > 0) {
+            this.finishRecording();
+            return;
+        }
+
+        clearTimeout(recording.timer);
+        recording.steps.push(step);
+        if (recording.steps.length >= ShortcutSettingsPanel.MAX_SEQUENCE_STEPS) {
+            this.finishRecording();
+            return;
+        }
+
+        const combo = recording.steps.map(key => ShortcutsConfig.formatKeyCombo(key)).join(' ');
+        recording.keys.textContent = `${combo} …`;
+        this.setStatus(`${combo}: press the next key of a sequence, or Enter to use these keys`);
+        const timeout = this.options.sequenceTimeout || ShortcutSettingsPanel.SEQUENCE_TIMEOUT;
+        recording.timer = setTimeout(() => this.finishRecording(), timeout);
+    }
+
+    /**
+     * Check the recorded keys and save them if they are free
+     * Rejected keys are dropped and the panel listens for new ones.
+     * @private
+     */
+    finishRecording() {
+        const recording = this.recording;
+        if (!recording || recording.steps.length === 0) return;
+
+        clearTimeout(recording.timer);
+        const steps = recording.steps;
+        const binding = { ...steps[steps.length - 1] };
+        if (steps.length > 1) {
+            binding.prefix = steps.slice(0, -1);
+        }
+        recording.steps = [];
+        recording.timer = null;
+        recording.keys.textContent = 'Press keys…';
+
+        const { shortcut } = recording;
+        const combo = ShortcutsConfig.formatKeyCombo(binding);
+        if (combo === ShortcutsConfig.formatKeyCombo(shortcut)) {
+            this.stopRecording();
+            this.setStatus(`${combo} is already the shortcut`);
+            return;
+        }
+
+        this.tryBinding(shortcut, binding);
+    }
+
+    /**
+     * Save a binding unless its keys are taken or invalid
+     * While recording, a rejected binding leaves the panel listening for another one.
+     * @param {Object} shortcut - Shortcut to rebind
+     * @param {Object} binding - New keys: { key, ctrlKey, altKey, shiftKey, prefix }
+     * @returns {boolean} True if the binding was saved
+     * @private
+     */
+    tryBinding(shortcut, binding) {
+        const combo = ShortcutsConfig.formatKeyCombo(binding);
+        const retry = this.recording ? ' Press other keys.' : '';
+        const result = this.options.checkBinding(shortcut, binding);
+        if (result.conflict) {
+            this.setStatus(`${combo} is already used for "${HelpModalBuilder.cleanDescription(result.conflict.description)}".${retry}`);
+            return false;
+        }
+        if (result.errors.length > 0) {
+            this.setStatus(`${result.errors[0]}.${retry}`);
+            return false;
+        }
+
+        const isDefault = combo === ShortcutsConfig.formatKeyCombo(shortcut.defaultBinding);
+        this.saveBinding(shortcut, isDefault ? null : binding, result.warnings);
+        return true;
+    }
+
+    /**
+     * Save a binding and show the updated list
+     * @param {Object} shortcut - Shortcut to rebind
+     * @param {Object|null} binding - New keys, or null for the default ones
+     * @param {Array<string>} [warnings] - Validation warnings to show
+     * @private
+     */
+    saveBinding(shortcut, binding, warnings = []) {
+        if (this.recording) {
+            clearTimeout(this.recording.timer);
+            this.recording = null;
+        }
+        this.options.onChange(shortcut.bindingId, binding);
+        this.renderList();
+
+        const combo = ShortcutsConfig.formatKeyCombo(binding || shortcut.defaultBinding);
+        this.setStatus([`${HelpModalBuilder.cleanDescription(shortcut.description)}: ${combo}`, ...warnings].join('. '));
+        this.focusChangeButton(shortcut.bindingId);
+    }
+
+    /**
+     * Restore every default binding
+     */
+    resetAll() {
+        this.stopRecording();
+        this.options.onReset();
+        this.renderList();
+        this.setStatus('All shortcuts are back to their defaults');
+    }
+
+    /**
+     * Give focus to a shortcut's Change button after the list was rebuilt
+     * @param {string} bindingId - Shortcut binding id
+     * @private
+     */
+    focusChangeButton(bindingId) {
+        const row = Array.from(this.list.querySelectorAll('.shortcut-setting'))
+            .find(element => element.dataset.bindingId === bindingId);
+        const button = row && row.querySelector('.shortcut-change-btn');
+        if (button) {
+            button.focus();
+        }
+    }
+
+    /**
+     * Keep Tab and Shift+Tab within the panel's buttons
+     * @param {KeyboardEvent} e - The Tab key event
+     * @private
+     */
+    trapFocus(e) {
+        const buttons = Array.from(this.overlay.querySelectorAll('button'));
+        const first = buttons[0];
+        const last = buttons[buttons.length - 1];
+        const active = this.document.activeElement;
+        if (e.shiftKey && active === first) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && active === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+
+    /**
+     * Show a message in the panel's live region
+     * @param {string} message - Message
+     * @private
+     */
+    setStatus(message) {
+        this.status.textContent = message;
+    }
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ShortcutSettingsPanel;
+}
@@ -31,17 +31,32 @@ class ShortcutValidator {
      * @private
      */
     _validateRequiredFields(config) {
-        const { key, action } = config;
+        const { key, prefix = [], action } = config;
 
-        if (!key || typeof key !== 'string' || key.trim() === '') {
+        if (!this._isValidKey(key)) {
             throw new Error('Shortcut must have a non-empty key string');
         }
 
+        if (!Array.isArray(prefix) || !prefix.every(step => step && this._isValidKey(step.key))) {
+            throw new Error('Shortcut prefix must be a list of keys with non-empty key strings');
+        }
+
         if (!action || typeof action !== 'function') {
             throw new Error('Shortcut must have a valid action function');
         }
     }
 
+    /**
+     * Check if a key name can be listened for
+     * @param {*} key - Key name
+     * @returns {boolean} True for a non-empty key string
+     * @private
+     */
+    _isValidKey(key) {
+        // ' ' is the Space key, the only key whose name is blank
+        return Boolean(key) && typeof key === 'string' && (key.trim() !== '' || key === ' ');
+    }
+
     /**
      * Validate modifier key usage
      * @param {Object} config - Shortcut configuration
@@ -69,9 +84,10 @@ class ShortcutValidator {
      * @param {string} shortcutKey - The shortcut key identifier
      * @param {Object} config - New shortcut configuration
      * @param {Map} existingShortcuts - Existing shortcuts map
+     * @returns {Object|null} The shortcut already registered under shortcutKey, or null
      */
     checkForConflicts(shortcutKey, config, existingShortcuts) {
-        if (!this.options.validateConflicts) return;
+        if (!this.options.validateConflicts) return null;
 
         if (existingShortcuts.has(shortcutKey)) {
             const existing = existingShortcuts.get(shortcutKey);
@@ -79,7 +95,62 @@ class ShortcutValidator {
                 existing: existing.description || 'No description',
                 new: config.description || 'No description'
             });
+            return existing;
         }
+        return null;
+    }
+
+    /**
+     * Check for shortcuts whose keys are the start of another shortcut's keys
+     * With "g a" registered, a standalone "g" would never run: pressing g waits
+     * for the rest of the sequence. This applies in the same context, and
+     * between the global context and any other.
+     * @param {Object} config - New shortcut configuration
+     * @param {Map|Array} existingShortcuts - Existing shortcut configurations
+     * @returns {Array<Object>} The existing shortcuts that conflict with the new one
+     */
+    checkSequenceConflicts(config, existingShortcuts) {
+        if (!this.options.validateConflicts) return [];
+
+        const steps = this._getSequenceSteps(config);
+        const context = config.context || 'global';
+        const conflicts = [];
+
+        for (const existing of existingShortcuts.values()) {
+            const existingContext = existing.context || 'global';
+            if (existing === config ||
+                (existingContext !== context && existingContext !== 'global' && context !== 'global')) {
+                continue;
+            }
+
+            const existingSteps = this._getSequenceSteps(existing);
+            const [shorter, longer] = steps.length < existingSteps.length ? [steps, existingSteps] : [existingSteps, steps];
+            if (shorter.length < longer.length && shorter.every((step, index) => step === longer[index])) {
+                console.warn(`Shortcut conflict detected: "${shorter.join(' ')}" is the start of the sequence "${longer.join(' ')}"`, {
+                    existing: existing.description || 'No description',
+                    new: config.description || 'No description'
+                });
+                conflicts.push(existing);
+            }
+        }
+        return conflicts;
+    }
+
+    /**
+     * Get the key presses of a shortcut as comparable strings, e.g. ['ctrl+k', 'ctrl+s']
+     * @param {Object} config - Shortcut configuration
+     * @returns {Array<string>} One string per key press
+     * @private
+     */
+    _getSequenceSteps(config) {
+        return [...(config.prefix || []), config].map(step => {
+            const modifiers = [
+                step.ctrlKey && 'ctrl',
+                step.altKey && 'alt',
+                step.shiftKey && 'shift'
+            ].filter(Boolean);
+            return [...modifiers, step.key.toLowerCase()].join('+');
+        });
     }
 
     /**
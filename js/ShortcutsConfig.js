@@ -27,7 +27,7 @@ const KEYBOARD_MAPPINGS = {
 };
 
 const VALIDATION_LIMITS = {
-    MAX_SHORTCUTS_PER_CONTEXT: 20
+    MAX_SHORTCUTS_PER_CONTEXT: 50
 };
 
 class ShortcutsConfig {
@@ -46,6 +46,11 @@ class ShortcutsConfig {
             focusNewTodo,
             focusSearch,
             
+            // Status filter shortcuts
+            showAllTodos,
+            showActiveTodos,
+            showCompletedTodos,
+            
             // Todo management shortcuts  
             addTodo,
             toggleFirstTodo,
@@ -57,12 +62,39 @@ class ShortcutsConfig {
             
             // General shortcuts
             showHelp,
+            openShortcutSettings,
             toggleTheme,
             selectAll,
             clearCompleted,
             
-            // Enhanced functionality
+            // Priority shortcuts
+            setPriorityNone,
+            setPriorityLow,
+            setPriorityMedium,
+            setPriorityHigh,
+            setPriorityUrgent,
+            togglePrioritySort,
+            
+            // Undo history
             undo,
+            redo,
+            
+            // Todo list cursor shortcuts
+            focusNextTodo,
+            focusPreviousTodo,
+            toggleFocusedTodo,
+            editFocusedTodo,
+            deleteFocusedTodo,
+            moveFocusedTodoUp,
+            moveFocusedTodoDown,
+            
+            // Selection shortcuts
+            extendSelectionUp,
+            extendSelectionDown,
+            clearSelection,
+            deleteSelected,
+            
+            // Enhanced functionality
             showStats
         } = handlers;
 
@@ -98,6 +130,80 @@ class ShortcutsConfig {
                 priority: 'high'
             },
             
+            // Status filter shortcuts
+            {
+                key: 'a',
+                altKey: true,
+                context: 'global',
+                action: showAllTodos,
+                preventDefault: true,
+                description: 'Show all todos (Alt+A)',
+                category: SHORTCUT_CATEGORIES.NAVIGATION,
+                priority: 'medium'
+            },
+            {
+                key: 'o',
+                altKey: true,
+                context: 'global',
+                action: showActiveTodos,
+                preventDefault: true,
+                description: 'Show active todos (Alt+O)',
+                category: SHORTCUT_CATEGORIES.NAVIGATION,
+                priority: 'medium'
+            },
+            {
+                key: 'c',
+                altKey: true,
+                context: 'global',
+                action: showCompletedTodos,
+                preventDefault: true,
+                description: 'Show completed todos (Alt+C)',
+                category: SHORTCUT_CATEGORIES.NAVIGATION,
+                priority: 'medium'
+            },
+            
+            // "Go to" sequences: press g, then the key of the filter
+            {
+                prefix: [{ key: 'g' }],
+                key: 'a',
+                context: 'global',
+                action: showAllTodos,
+                preventDefault: true,
+                description: 'Go to all todos (g a)',
+                category: SHORTCUT_CATEGORIES.NAVIGATION,
+                priority: 'medium'
+            },
+            {
+                prefix: [{ key: 'g' }],
+                key: 'i',
+                context: 'global',
+                action: showActiveTodos,
+                preventDefault: true,
+                description: 'Go to active todos (g i)',
+                category: SHORTCUT_CATEGORIES.NAVIGATION,
+                priority: 'medium'
+            },
+            {
+                prefix: [{ key: 'g' }],
+                key: 'c',
+                context: 'global',
+                action: showCompletedTodos,
+                preventDefault: true,
+                description: 'Go to completed todos (g c)',
+                category: SHORTCUT_CATEGORIES.NAVIGATION,
+                priority: 'medium'
+            },
+            {
+                prefix: [{ key: 'g' }],
+                key: 'd',
+                context: 'global',
+                action: showCompletedTodos,
+                preventDefault: true,
+                description: 'Go to done todos (g d)',
+                category: SHORTCUT_CATEGORIES.NAVIGATION,
+                priority: 'medium'
+            },
+            
             // Todo management shortcuts
             {
                 key: 'Enter',
@@ -139,6 +245,43 @@ class ShortcutsConfig {
                 category: SHORTCUT_CATEGORIES.TODO_MANAGEMENT,
                 priority: 'medium'
             },
+            {
+                key: 'ArrowDown',
+                shiftKey: true,
+                context: 'global',
+                action: extendSelectionDown,
+                preventDefault: true,
+                description: 'Extend selection down (Shift+↓)',
+                category: SHORTCUT_CATEGORIES.TODO_MANAGEMENT,
+                priority: 'medium'
+            },
+            {
+                key: 'ArrowUp',
+                shiftKey: true,
+                context: 'global',
+                action: extendSelectionUp,
+                preventDefault: true,
+                description: 'Extend selection up (Shift+↑)',
+                category: SHORTCUT_CATEGORIES.TODO_MANAGEMENT,
+                priority: 'medium'
+            },
+            {
+                key: 'Escape',
+                context: 'selection',
+                action: clearSelection,
+                description: 'Clear selection (Escape)',
+                category: SHORTCUT_CATEGORIES.TODO_MANAGEMENT,
+                priority: 'medium'
+            },
+            {
+                key: 'Delete',
+                context: 'selection',
+                action: deleteSelected,
+                preventDefault: true,
+                description: 'Delete selected todos (Delete)',
+                category: SHORTCUT_CATEGORIES.TODO_MANAGEMENT,
+                priority: 'medium'
+            },
             {
                 key: 'd',
                 ctrlKey: true,
@@ -151,6 +294,162 @@ class ShortcutsConfig {
                 priority: 'low'
             },
             
+            // Priority shortcuts (act on the first visible todo)
+            {
+                key: '0',
+                altKey: true,
+                context: 'global',
+                action: setPriorityNone,
+                preventDefault: true,
+                description: 'Clear first todo priority (Alt+0)',
+                category: SHORTCUT_CATEGORIES.TODO_MANAGEMENT,
+                priority: 'medium'
+            },
+            {
+                key: '1',
+                altKey: true,
+                context: 'global',
+                action: setPriorityLow,
+                preventDefault: true,
+                description: 'Set first todo priority to low (Alt+1)',
+                category: SHORTCUT_CATEGORIES.TODO_MANAGEMENT,
+                priority: 'medium'
+            },
+            {
+                key: '2',
+                altKey: true,
+                context: 'global',
+                action: setPriorityMedium,
+                preventDefault: true,
+                description: 'Set first todo priority to medium (Alt+2)',
+                category: SHORTCUT_CATEGORIES.TODO_MANAGEMENT,
+                priority: 'medium'
+            },
+            {
+                key: '3',
+                altKey: true,
+                context: 'global',
+                action: setPriorityHigh,
+                preventDefault: true,
+                description: 'Set first todo priority to high (Alt+3)',
+                category: SHORTCUT_CATEGORIES.TODO_MANAGEMENT,
+                priority: 'medium'
+            },
+            {
+                key: '4',
+                altKey: true,
+                context: 'global',
+                action: setPriorityUrgent,
+                preventDefault: true,
+                description: 'Set first todo priority to urgent (Alt+4)',
+                category: SHORTCUT_CATEGORIES.TODO_MANAGEMENT,
+                priority: 'medium'
+            },
+            {
+                key: 'p',
+                altKey: true,
+                context: 'global',
+                action: togglePrioritySort,
+                preventDefault: true,
+                description: 'Toggle sorting by priority (Alt+P)',
+                category: SHORTCUT_CATEGORIES.TODO_MANAGEMENT,
+                priority: 'medium'
+            },
+            
+            // Todo list shortcuts (while a todo row has keyboard focus)
+            {
+                key: 'j',
+                context: 'list',
+                action: focusNextTodo,
+                preventDefault: true,
+                description: 'Move to the next todo (J)',
+                category: SHORTCUT_CATEGORIES.NAVIGATION,
+                priority: 'high'
+            },
+            {
+                key: 'ArrowDown',
+                context: 'list',
+                action: focusNextTodo,
+                preventDefault: true,
+                description: 'Move to the next todo (↓)',
+                category: SHORTCUT_CATEGORIES.NAVIGATION,
+                priority: 'high'
+            },
+            {
+                key: 'k',
+                context: 'list',
+                action: focusPreviousTodo,
+                preventDefault: true,
+                description: 'Move to the previous todo (K)',
+                category: SHORTCUT_CATEGORIES.NAVIGATION,
+                priority: 'high'
+            },
+            {
+                key: 'ArrowUp',
+                context: 'list',
+                action: focusPreviousTodo,
+                preventDefault: true,
+                description: 'Move to the previous todo (↑)',
+                category: SHORTCUT_CATEGORIES.NAVIGATION,
+                priority: 'high'
+            },
+            {
+                key: ' ',
+                context: 'list',
+                action: toggleFocusedTodo,
+                preventDefault: true,
+                description: 'Toggle the focused todo (Space)',
+                category: SHORTCUT_CATEGORIES.TODO_MANAGEMENT,
+                priority: 'high'
+            },
+            {
+                key: 'e',
+                context: 'list',
+                action: editFocusedTodo,
+                preventDefault: true,
+                description: 'Edit the focused todo (E)',
+                category: SHORTCUT_CATEGORIES.TODO_MANAGEMENT,
+                priority: 'high'
+            },
+            {
+                key: 'Enter',
+                context: 'list',
+                action: editFocusedTodo,
+                preventDefault: true,
+                description: 'Edit the focused todo (Enter)',
+                category: SHORTCUT_CATEGORIES.TODO_MANAGEMENT,
+                priority: 'high'
+            },
+            {
+                key: 'Delete',
+                context: 'list',
+                action: deleteFocusedTodo,
+                preventDefault: true,
+                description: 'Delete the focused todo (Delete)',
+                category: SHORTCUT_CATEGORIES.TODO_MANAGEMENT,
+                priority: 'high'
+            },
+            {
+                key: 'ArrowUp',
+                altKey: true,
+                context: 'list',
+                action: moveFocusedTodoUp,
+                preventDefault: true,
+                description: 'Move the focused todo up (Alt+↑)',
+                category: SHORTCUT_CATEGORIES.TODO_MANAGEMENT,
+                priority: 'high'
+            },
+            {
+                key: 'ArrowDown',
+                altKey: true,
+                context: 'list',
+                action: moveFocusedTodoDown,
+                preventDefault: true,
+                description: 'Move the focused todo down (Alt+↓)',
+                category: SHORTCUT_CATEGORIES.TODO_MANAGEMENT,
+                priority: 'high'
+            },
+            
             // Editing mode shortcuts
             {
                 key: 'Escape',
@@ -209,6 +508,17 @@ class ShortcutsConfig {
                 category: SHORTCUT_CATEGORIES.GENERAL,
                 priority: 'medium'
             },
+            {
+                prefix: [{ key: 'k', ctrlKey: true }],
+                key: 's',
+                ctrlKey: true,
+                context: 'global',
+                action: openShortcutSettings,
+                preventDefault: true,
+                description: 'Customize keyboard shortcuts (Ctrl+K Ctrl+S)',
+                category: SHORTCUT_CATEGORIES.GENERAL,
+                priority: 'medium'
+            },
             {
                 key: 'm',
                 ctrlKey: true,
@@ -220,17 +530,40 @@ class ShortcutsConfig {
                 priority: 'medium'
             },
             
-            // Enhanced functionality shortcuts
+            // Undo history shortcuts
             {
                 key: 'z',
                 ctrlKey: true,
                 context: 'global',
                 action: undo,
                 preventDefault: true,
-                description: 'Undo last action (Ctrl+Z)',
+                description: 'Undo last change (Ctrl+Z)',
                 category: SHORTCUT_CATEGORIES.GENERAL,
                 priority: 'high'
             },
+            {
+                key: 'y',
+                ctrlKey: true,
+                context: 'global',
+                action: redo,
+                preventDefault: true,
+                description: 'Redo last undone change (Ctrl+Y)',
+                category: SHORTCUT_CATEGORIES.GENERAL,
+                priority: 'high'
+            },
+            {
+                key: 'z',
+                ctrlKey: true,
+                shiftKey: true,
+                context: 'global',
+                action: redo,
+                preventDefault: true,
+                description: 'Redo last undone change (Ctrl+Shift+Z)',
+                category: SHORTCUT_CATEGORIES.GENERAL,
+                priority: 'high'
+            },
+            
+            // Enhanced functionality shortcuts
             {
                 key: 'i',
                 ctrlKey: true,
@@ -266,10 +599,15 @@ class ShortcutsConfig {
 
     /**
      * Format shortcut key combination for display
+     * The keys of a sequence are separated by spaces, e.g. 'g a' or 'Ctrl+k Ctrl+s'.
      * @param {Object} shortcut - Shortcut configuration
      * @returns {string} Formatted key combination
      */
     static formatKeyCombo(shortcut) {
+        if (Array.isArray(shortcut.prefix) && shortcut.prefix.length > 0) {
+            return [...shortcut.prefix, { ...shortcut, prefix: [] }].map(step => this.formatKeyCombo(step)).join(' ');
+        }
+
         const modifiers = [];
         if (shortcut.ctrlKey) modifiers.push('Ctrl');
         if (shortcut.altKey) modifiers.push('Alt');
@@ -287,6 +625,116 @@ class ShortcutsConfig {
             : key;
     }
 
+    /**
+     * Get the id under which a user's binding for a shortcut is saved
+     * The id is the shortcut's context and default key combination, which
+     * stays the same however the shortcut is rebound.
+     * @param {Object} shortcut - Shortcut configuration as returned by getShortcuts
+     * @returns {string} Binding id, e.g. 'global:Ctrl+n', 'list:Space' or 'global:g a'
+     */
+    static getBindingId(shortcut) {
+        return `${shortcut.context || 'global'}:${this.formatKeyCombo(shortcut)}`;
+    }
+
+    /**
+     * Apply the user's key bindings to the default shortcuts
+     * Each returned shortcut has a bindingId, and defaultBinding with the keys
+     * of its default binding.
+     * @param {Array} shortcuts - Shortcuts from getShortcuts
+     * @param {Object} [bindings] - Map of binding id to { key, ctrlKey, altKey, shiftKey, prefix }
+     * @returns {Array} New array of shortcut configurations
+     */
+    static applyBindings(shortcuts, bindings = {}) {
+        return shortcuts.map(shortcut => {
+            const bindingId = this.getBindingId(shortcut);
+            const defaultBinding = this.getBinding(shortcut);
+            const binding = bindings[bindingId];
+            if (!binding) {
+                return { ...shortcut, bindingId, defaultBinding };
+            }
+
+            const rebound = { ...this.withBinding(shortcut, binding), bindingId, defaultBinding };
+            // Descriptions end with the key combination, e.g. 'Focus search input (Ctrl+F)'
+            rebound.description = shortcut.description.replace(/\([^)]*\)\s*$/, `(${this.formatKeyCombo(rebound)})`);
+            return rebound;
+        });
+    }
+
+    /**
+     * Put a shortcut on other keys
+     * The shortcut takes the binding's prefix, so a sequence bound to a single
+     * key combination loses its prefix and a single key bound to a sequence gains one.
+     * @param {Object} shortcut - Shortcut configuration
+     * @param {Object} binding - New keys: { key, ctrlKey, altKey, shiftKey, prefix }
+     * @returns {Object} New shortcut configuration
+     */
+    static withBinding(shortcut, binding) {
+        const { prefix, ...rest } = shortcut;
+        return { ...rest, ...this.getBinding(binding) };
+    }
+
+    /**
+     * Get the keys of a shortcut or binding
+     * @param {Object} shortcut - Shortcut configuration or binding
+     * @returns {Object} { key, ctrlKey, altKey, shiftKey }, with prefix for a sequence
+     */
+    static getBinding(shortcut) {
+        const binding = {
+            key: shortcut.key,
+            ctrlKey: Boolean(shortcut.ctrlKey),
+            altKey: Boolean(shortcut.altKey),
+            shiftKey: Boolean(shortcut.shiftKey)
+        };
+        if (Array.isArray(shortcut.prefix) && shortcut.prefix.length > 0) {
+            binding.prefix = shortcut.prefix.map(step => this.getBinding(step));
+        }
+        return binding;
+    }
+
+    /**
+     * Get the binding a key press stands for, as recorded in the settings panel
+     * @param {KeyboardEvent} event - The keyboard event
+     * @returns {Object|null} { key, ctrlKey, altKey, shiftKey }, or null while only modifiers are held
+     */
+    static getBindingFromEvent(event) {
+        if (!event.key || ['Control', 'Alt', 'Shift', 'Meta', 'AltGraph', 'CapsLock'].includes(event.key)) {
+            return null;
+        }
+        return {
+            // Shortcut matching ignores case, so Shift+N is saved as Shift+n
+            key: event.key.length === 1 ? event.key.toLowerCase() : event.key,
+            ctrlKey: Boolean(event.ctrlKey),
+            altKey: Boolean(event.altKey),
+            shiftKey: Boolean(event.shiftKey)
+        };
+    }
+
+    /**
+     * Read saved key bindings, dropping any entry that is not a usable binding
+     * @param {string|null} json - Bindings as saved by the settings panel
+     * @returns {Object} Map of binding id to { key, ctrlKey, altKey, shiftKey, prefix }
+     */
+    static parseBindings(json) {
+        let saved;
+        try {
+            saved = JSON.parse(json);
+        } catch (e) {
+            return {};
+        }
+        if (!saved || typeof saved !== 'object' || Array.isArray(saved)) {
+            return {};
+        }
+
+        const bindings = {};
+        Object.entries(saved).forEach(([bindingId, binding]) => {
+            const steps = binding && Array.isArray(binding.prefix) ? [...binding.prefix, binding] : [binding];
+            if (steps.every(step => step && typeof step.key === 'string' && step.key !== '')) {
+                bindings[bindingId] = this.getBinding(binding);
+            }
+        });
+        return bindings;
+    }
+
     /**
      * Get shortcut validation rules
      * @returns {Object} Enhanced validation configuration
@@ -380,7 +828,8 @@ class ShortcutsConfig {
      * @private
      */
     static _createValidationCacheKey(shortcut) {
-        return `${shortcut.key || ''}:${shortcut.ctrlKey || false}:${shortcut.altKey || false}:${shortcut.shiftKey || false}:${shortcut.context || 'global'}`;
+        const prefix = Array.isArray(shortcut.prefix) ? shortcut.prefix.map(step => `${this.formatKeyCombo(step)} `).join('') : '';
+        return `${prefix}${shortcut.key || ''}:${shortcut.ctrlKey || false}:${shortcut.altKey || false}:${shortcut.shiftKey || false}:${shortcut.context || 'global'}`;
     }
 
     /**
@@ -429,15 +878,20 @@ class ShortcutsConfig {
      * @private
      */
     static _validateSystemConflicts(shortcut, rules, result) {
+        // Only the first key of a sequence reaches the browser; the later ones
+        // are taken while the sequence is pending
+        const firstStep = Array.isArray(shortcut.prefix) && shortcut.prefix.length > 0 ? shortcut.prefix[0] : shortcut;
+
+        // Modifiers left out of either side count as not pressed
         const systemConflict = rules.systemShortcuts.some(sysShortcut => 
-            sysShortcut.key === shortcut.key && 
-            (sysShortcut.ctrlKey === shortcut.ctrlKey) &&
-            (sysShortcut.altKey === shortcut.altKey) &&
-            (sysShortcut.shiftKey === shortcut.shiftKey)
+            sysShortcut.key === firstStep.key && 
+            (Boolean(sysShortcut.ctrlKey) === Boolean(firstStep.ctrlKey)) &&
+            (Boolean(sysShortcut.altKey) === Boolean(firstStep.altKey)) &&
+            (Boolean(sysShortcut.shiftKey) === Boolean(firstStep.shiftKey))
         );
 
         if (systemConflict) {
-            result.warnings.push(`May conflict with system shortcut: ${this.formatKeyCombo(shortcut)}`);
+            result.warnings.push(`May conflict with system shortcut: ${this.formatKeyCombo(firstStep)}`);
         }
     }
 
@@ -626,4 +1080,9 @@ class ShortcutsConfig {
         
         return score;
     }
-}
\ No newline at end of file
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ShortcutsConfig;
+}
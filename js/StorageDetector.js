@@ -2,12 +2,15 @@
  * StorageDetector - Handles detection of available storage mechanisms and browser limitations
  * 
  * This module is responsible for:
- * - Detecting available storage types (localStorage, sessionStorage)
+ * - Detecting available storage types (localStorage, sessionStorage, IndexedDB)
  * - Identifying Safari 14+ Private Browsing mode limitations
  * - Testing storage functionality and quotas
  * - Providing browser-specific compatibility information
  */
 class StorageDetector {
+    // Data at least this large is better kept in IndexedDB than in the ~5MB of localStorage
+    static LARGE_DATASET_BYTES = 1024 * 1024;
+
     constructor() {
         // Cache test results to avoid repeated expensive operations
         this.testCache = new Map();
@@ -76,6 +79,58 @@ class StorageDetector {
         return isAvailable;
     }
 
+    /**
+     * Check whether IndexedDB can be used, without opening a database
+     * Returns false once testIndexedDB() has found it unusable.
+     * @returns {boolean} True if an IndexedDB implementation is present
+     */
+    hasIndexedDB() {
+        if (this.testCache.get('indexedDB') === false) {
+            return false;
+        }
+        return typeof window !== 'undefined' && !!window.indexedDB;
+    }
+
+    /**
+     * Test that IndexedDB actually works by opening and deleting a test database
+     * IndexedDB is asynchronous, so unlike testStorage() this returns a promise.
+     * Some browsers expose window.indexedDB but fail every open in private mode.
+     * @returns {Promise<boolean>} True if a database could be opened
+     */
+    testIndexedDB() {
+        if (this.testCache.has('indexedDB')) {
+            return Promise.resolve(this.testCache.get('indexedDB'));
+        }
+        if (!this.hasIndexedDB()) {
+            this.testCache.set('indexedDB', false);
+            return Promise.resolve(false);
+        }
+
+        return new Promise((resolve) => {
+            const finish = (isAvailable) => {
+                this.testCache.set('indexedDB', isAvailable);
+                resolve(isAvailable);
+            };
+
+            try {
+                const testName = '__storage_detector_test__';
+                const request = window.indexedDB.open(testName, 1);
+                request.onsuccess = () => {
+                    request.result.close();
+                    window.indexedDB.deleteDatabase(testName);
+                    finish(true);
+                };
+                request.onerror = () => {
+                    console.warn('StorageDetector: IndexedDB test failed:', request.error && request.error.name);
+                    finish(false);
+                };
+            } catch (error) {
+                console.warn('StorageDetector: IndexedDB access restricted:', error.name);
+                finish(false);
+            }
+        });
+    }
+
     /**
      * Detect Safari 14+ Private Browsing mode using multiple detection strategies
      * 
@@ -167,11 +222,18 @@ class StorageDetector {
 
     /**
      * Determine the best available storage mechanism based on testing results
-     * Prioritizes localStorage > sessionStorage > memory (handled by caller)
+     * Prioritizes localStorage > sessionStorage > memory (handled by caller),
+     * except that IndexedDB is preferred for datasets of LARGE_DATASET_BYTES or more
      * 
-     * @returns {string} The recommended storage type: 'localStorage', 'sessionStorage', or 'memory'
+     * @param {number} [expectedSize] - Size in characters of the data to store
+     * @returns {string} The recommended storage type: 'indexedDB', 'localStorage', 'sessionStorage', or 'memory'
      */
-    detectBestStorage() {
+    detectBestStorage(expectedSize = 0) {
+        // Large datasets would exhaust the localStorage quota; IndexedDB has room for them
+        if (expectedSize >= StorageDetector.LARGE_DATASET_BYTES && this.hasIndexedDB()) {
+            return 'indexedDB';
+        }
+
         // Test localStorage first (preferred for persistence)
         if (this.testStorage('localStorage')) {
             return 'localStorage';
@@ -196,6 +258,7 @@ class StorageDetector {
         return {
             localStorage: this.testStorage('localStorage'),
             sessionStorage: this.testStorage('sessionStorage'),
+            indexedDB: this.hasIndexedDB(),
             isPrivateMode: this.detectPrivateMode(),
             recommendedStorage: this.detectBestStorage(),
             browser: this.browserInfo,
@@ -6,16 +6,24 @@
  * - Error recovery and retry mechanisms
  * - Storage type switching based on error conditions
  * - Memory storage as final fallback for critical data persistence
+ * - An asynchronous fallback chain that adds IndexedDB (see executeWithFallbackAsync)
  */
 class StorageFallbackHandler {
-    constructor(storageDetector) {
+    /**
+     * @param {StorageDetector} storageDetector - Detector for available storage types
+     * @param {IndexedDBStorage} [indexedDBStorage] - IndexedDB backend; created on
+     *   first use from window.indexedDB if not given
+     */
+    constructor(storageDetector, indexedDBStorage = null) {
         this.detector = storageDetector;
+        this.indexedDB = indexedDBStorage;
         this.memoryStorage = new Map();
         this.currentStorageType = this.detector.detectBestStorage();
         this.fallbackHistory = [];
         this.errorStats = {
             localStorage: 0,
             sessionStorage: 0,
+            indexedDB: 0,
             totalFallbacks: 0
         };
     }
@@ -106,6 +114,184 @@ class StorageFallbackHandler {
         return result;
     }
 
+    /**
+     * Execute a storage operation across a fallback chain that includes IndexedDB
+     * 
+     * Works like executeWithFallback, but IndexedDB is asynchronous, so this
+     * returns a promise. Sets go to IndexedDB first for large values (see
+     * getAsyncFallbackSequence) and remove the key from the other storage types
+     * so a later get cannot find a stale copy. Gets return the first value found,
+     * checking localStorage and sessionStorage before IndexedDB.
+     * 
+     * @param {'get'|'set'|'remove'} operation - The type of storage operation
+     * @param {string} key - Storage key
+     * @param {string} [value] - Value for set operations
+     * @returns {Promise<Object>} Result object like executeWithFallback's
+     */
+    async executeWithFallbackAsync(operation, key, value = null) {
+        const result = {
+            success: false,
+            value: null,
+            storageUsed: null,
+            fallbacksUsed: [],
+            error: null
+        };
+
+        let sequence;
+        if (operation === 'get') {
+            sequence = this.getFallbackSequence();
+            if (this.getIndexedDBStorage()) {
+                sequence.push('indexedDB');
+            }
+        } else {
+            sequence = this.getAsyncFallbackSequence(operation === 'set' ? value.length : 0);
+        }
+
+        // Memory storage stays the final fallback, as in executeWithFallback
+        if (operation === 'set') {
+            this.memoryStorage.set(key, value);
+        }
+
+        for (const storageType of sequence) {
+            let operationResult;
+            try {
+                operationResult = storageType === 'indexedDB'
+                    ? await this.attemptIndexedDBOperation(operation, key, value)
+                    : this.attemptOperation(operation, storageType, key, value);
+            } catch (error) {
+                operationResult = { success: false, error: error.message };
+                this.recordStorageError(storageType, error);
+            }
+
+            if (!operationResult.success) {
+                result.fallbacksUsed.push({
+                    type: storageType,
+                    error: operationResult.error
+                });
+                continue;
+            }
+
+            result.success = true;
+
+            // Removes go to every storage type; gets keep looking until a value is found
+            if (operation === 'remove' || (operation === 'get' && operationResult.value === null)) {
+                continue;
+            }
+
+            result.value = operationResult.value;
+            result.storageUsed = storageType;
+
+            if (storageType !== 'indexedDB' && storageType !== this.currentStorageType) {
+                this.handleStorageTypeChange(storageType, 'fallback_success');
+            }
+            if (operation === 'set') {
+                await this.removeStaleCopies(key, storageType, sequence);
+            }
+            break;
+        }
+
+        if (!result.success && operation === 'get') {
+            const memoryValue = this.memoryStorage.get(key);
+            if (memoryValue !== undefined) {
+                result.success = true;
+                result.value = memoryValue;
+                result.storageUsed = 'memory';
+            }
+        }
+
+        if (operation === 'remove') {
+            this.memoryStorage.delete(key);
+            result.success = true;
+        }
+
+        if (result.fallbacksUsed.length > 0) {
+            this.errorStats.totalFallbacks++;
+        }
+
+        return result;
+    }
+
+    /**
+     * Remove a key from every storage type except the one that now holds it
+     * @param {string} key - Storage key
+     * @param {string} storageUsed - Storage type the value was written to
+     * @param {string[]} sequence - Storage types the value could have been in
+     */
+    async removeStaleCopies(key, storageUsed, sequence) {
+        for (const storageType of sequence) {
+            if (storageType === storageUsed) {
+                continue;
+            }
+            try {
+                if (storageType === 'indexedDB') {
+                    await this.attemptIndexedDBOperation('remove', key);
+                } else {
+                    this.attemptOperation('remove', storageType, key);
+                }
+            } catch (error) {
+                // A stale copy that cannot be removed is not worth failing the write for
+            }
+        }
+    }
+
+    /**
+     * Get the IndexedDB backend, creating it on first use
+     * @returns {IndexedDBStorage|null} Backend, or null if IndexedDB is unavailable
+     */
+    getIndexedDBStorage() {
+        if (!this.detector.hasIndexedDB()) {
+            return null;
+        }
+        if (!this.indexedDB && typeof IndexedDBStorage !== 'undefined') {
+            this.indexedDB = new IndexedDBStorage(window.indexedDB);
+        }
+        return this.indexedDB;
+    }
+
+    /**
+     * Attempt a single storage operation on IndexedDB
+     * 
+     * @param {'get'|'set'|'remove'} operation - Operation type
+     * @param {string} key - Storage key
+     * @param {string} [value] - Value for set operations
+     * @returns {Promise<Object>} Operation result with success flag and value/error
+     */
+    async attemptIndexedDBOperation(operation, key, value = null) {
+        const result = { success: false, value: null, error: null };
+        const storage = this.getIndexedDBStorage();
+
+        if (!storage) {
+            result.error = 'indexedDB not available';
+            return result;
+        }
+
+        try {
+            switch (operation) {
+                case 'get':
+                    result.value = await storage.getItem(key);
+                    break;
+
+                case 'set':
+                    await storage.setItem(key, value);
+                    break;
+
+                case 'remove':
+                    await storage.removeItem(key);
+                    break;
+
+                default:
+                    result.error = `Unsupported operation: ${operation}`;
+                    return result;
+            }
+            result.success = true;
+        } catch (error) {
+            result.error = `indexedDB ${operation} failed: ${error.name} - ${error.message}`;
+            this.recordStorageError('indexedDB', error);
+        }
+
+        return result;
+    }
+
     /**
      * Attempt a single storage operation on a specific storage type
      * Encapsulates the actual storage API calls with error handling
@@ -195,6 +381,29 @@ class StorageFallbackHandler {
         return sequence;
     }
 
+    /**
+     * Get the fallback sequence for asynchronous sets and removes
+     * IndexedDB comes first for values the detector considers large; smaller
+     * values stay in localStorage, with IndexedDB ahead of sessionStorage
+     * because it persists between sessions.
+     * 
+     * @param {number} [size] - Size in characters of the value to store
+     * @returns {string[]} Array of storage types to try in order
+     */
+    getAsyncFallbackSequence(size = 0) {
+        const sequence = this.getFallbackSequence();
+        if (!this.getIndexedDBStorage()) {
+            return sequence;
+        }
+
+        if (this.detector.detectBestStorage(size) === 'indexedDB') {
+            return ['indexedDB', ...sequence];
+        }
+        const persistent = sequence.filter(type => type === 'localStorage');
+        const temporary = sequence.filter(type => type !== 'localStorage');
+        return [...persistent, 'indexedDB', ...temporary];
+    }
+
     /**
      * Handle storage type changes due to failures or improvements
      * Updates internal state and logs the change for monitoring
@@ -308,6 +517,7 @@ class StorageFallbackHandler {
         this.errorStats = {
             localStorage: 0,
             sessionStorage: 0,
+            indexedDB: 0,
             totalFallbacks: 0
         };
         this.fallbackHistory = [];
@@ -10,11 +10,14 @@
  * - StorageDetector: Detects available storage types and browser limitations
  * - StorageFallbackHandler: Manages fallback strategies when storage fails
  * - StorageOperations: Provides high-level API with validation and error handling
+ * - IndexedDBStorage: Asynchronous IndexedDB backend with per-todo records
  * - SafariITPHandler: Prevents Safari 14+ ITP data loss after 7 days of inactivity
  * - StorageManager: Orchestrates the modules and provides the public API
  * 
  * Key Features:
  * - Automatic fallback: localStorage → sessionStorage → memory storage
+ * - Async API (getItemAsync, setItemAsync, removeItemAsync) that adds IndexedDB
+ *   to the chain and prefers it for large datasets
  * - Safari 14+ Private Browsing compatibility
  * - Safari 14+ ITP data loss prevention with persistent storage and activity tracking
  * - Comprehensive error handling and recovery
@@ -22,9 +25,24 @@
  * - Detailed logging and debugging capabilities
  */
 class StorageManager {
+    /**
+     * Check whether a key holds todo data that should be protected by ITP backups
+     * Matches the multi-list layout used by ListManager: 'todos' for the default
+     * list, 'todos:<id>' for other lists, and the 'todo-lists' index.
+     * @param {string} key - Storage key
+     * @returns {boolean} True for todo list data
+     */
+    static isTodoDataKey(key) {
+        return key === 'todos' || key.startsWith('todos:') || key === 'todo-lists';
+    }
+
     constructor() {
-        // Initialize the modular storage system
-        this.initializeModules().then(() => {
+        // Called with (key, value) after every write made through this manager
+        this.changeListeners = [];
+
+        // Initialize the modular storage system; `ready` resolves once the
+        // asynchronous parts (such as the ITP handler) have finished
+        this.ready = this.initializeModules().then(() => {
             // Safari 14+ specific initialization
             this.initializeSafari14Plus();
             
@@ -292,7 +310,8 @@ class StorageManager {
             privateMode: info.isPrivateMode,
             capabilities: {
                 localStorage: info.hasLocalStorage,
-                sessionStorage: info.hasSessionStorage
+                sessionStorage: info.hasSessionStorage,
+                indexedDB: !!info.indexedDB
             },
             modulesLoaded: {
                 detector: !!this.detector,
@@ -337,30 +356,15 @@ class StorageManager {
      * 
      * This method attempts to retrieve data using the most reliable mechanism
      * available, automatically falling back through storage types as needed.
-     * Includes data recovery from ITP backup if main data is lost.
+     * Lost todo data is not restored here: see findLostDataBackup(), which lets
+     * the user decide whether to restore an ITP backup.
      * 
      * @param {string} key - Storage key to retrieve
      * @returns {string|null} Stored value or null if not found
      */
     getItem(key) {
         try {
-            let result = this.operations.getItem(key);
-            
-            // If no data found and we have ITP handler, try to restore from backup
-            if (!result && this.itpHandler && this.itpHandler.isInitialized) {
-                if (key === 'todos' || key.includes('todo')) {
-                    const backupData = this.itpHandler.restore();
-                    if (backupData && backupData.todos) {
-                        console.log('StorageManager: Restored todos from ITP backup');
-                        result = JSON.stringify(backupData.todos);
-                        
-                        // Re-store the recovered data
-                        this.setItem(key, result);
-                    }
-                }
-            }
-            
-            return result;
+            return this.operations.getItem(key);
         } catch (error) {
             console.error('StorageManager.getItem failed:', error);
             return null;
@@ -400,21 +404,8 @@ class StorageManager {
                 result = this.operations.setItem(key, value);
             }
             
-            // If ITP handler is available, create backup and update activity
-            if (this.itpHandler && this.itpHandler.isInitialized) {
-                // Update activity to reset ITP timer
-                this.itpHandler.resetTimer();
-                
-                // Create backup of todos data for protection
-                if (key === 'todos' || key.includes('todo')) {
-                    try {
-                        const currentTodos = JSON.parse(value);
-                        this.itpHandler.backup({ todos: currentTodos });
-                    } catch (parseError) {
-                        console.warn('StorageManager: Could not parse todos for backup:', parseError);
-                    }
-                }
-            }
+            this.protectTodoData(key, value);
+            this.notifyChange(key, value);
             
             return result;
         } catch (error) {
@@ -434,6 +425,215 @@ class StorageManager {
         }
     }
 
+    /**
+     * Reset the ITP timer and back up todo data after a write
+     * @param {string} key - Storage key that was written
+     * @param {string} value - Value that was written
+     * @private
+     */
+    protectTodoData(key, value) {
+        // If ITP handler is available, create backup and update activity
+        if (this.itpHandler && this.itpHandler.isInitialized) {
+            // Update activity to reset ITP timer
+            this.itpHandler.resetTimer();
+            
+            // Create backup of todos data for protection
+            if (StorageManager.isTodoDataKey(key)) {
+                try {
+                    this.backupTodoData(key, JSON.parse(value));
+                } catch (parseError) {
+                    console.warn('StorageManager: Could not parse todos for backup:', parseError);
+                }
+            }
+        }
+    }
+
+    /**
+     * Register a function called after every write, e.g. to tell other tabs
+     * @param {Function} listener - Called with (key, value); value is null for removals
+     * @returns {Function} Call to unregister the listener
+     */
+    addChangeListener(listener) {
+        this.changeListeners.push(listener);
+        return () => {
+            this.changeListeners = this.changeListeners.filter(l => l !== listener);
+        };
+    }
+
+    /**
+     * Tell the change listeners about a write
+     * @param {string} key - Storage key that was written
+     * @param {string|null} value - New value, or null if the key was removed
+     * @private
+     */
+    notifyChange(key, value) {
+        this.changeListeners.forEach(listener => {
+            try {
+                listener(key, value);
+            } catch (error) {
+                console.error('StorageManager: Change listener failed:', error);
+            }
+        });
+    }
+
+    /**
+     * Get an item, also looking in IndexedDB
+     * Use the async API for data that may be large: it is stored in IndexedDB,
+     * which getItem cannot read.
+     * 
+     * @param {string} key - Storage key to retrieve
+     * @returns {Promise<string|null>} Stored value or null if not found
+     */
+    async getItemAsync(key) {
+        if (!this.operations || !this.operations.getItemAsync) {
+            return this.getItem(key);
+        }
+        try {
+            return await this.operations.getItemAsync(key);
+        } catch (error) {
+            console.error('StorageManager.getItemAsync failed:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Store an item, preferring IndexedDB for large values
+     * 
+     * @param {string} key - Storage key
+     * @param {string} value - Value to store
+     * @returns {Promise<boolean>} True if storage was successful
+     */
+    async setItemAsync(key, value) {
+        if (!this.operations || !this.operations.setItemAsync) {
+            return this.setItem(key, value);
+        }
+        try {
+            const result = await this.operations.setItemAsync(key, value);
+            this.protectTodoData(key, value);
+            this.notifyChange(key, value);
+            return result;
+        } catch (error) {
+            console.error('StorageManager.setItemAsync failed:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Remove an item from every storage mechanism, including IndexedDB
+     * 
+     * @param {string} key - Storage key to remove
+     * @returns {Promise<boolean>} True if removal was attempted
+     */
+    async removeItemAsync(key) {
+        if (!this.operations || !this.operations.removeItemAsync) {
+            return this.removeItem(key);
+        }
+        if (this.itpHandler && this.itpHandler.isInitialized && StorageManager.isTodoDataKey(key)) {
+            this.backupTodoData(key, undefined);
+        }
+        try {
+            const result = await this.operations.removeItemAsync(key);
+            this.notifyChange(key, null);
+            return result;
+        } catch (error) {
+            console.error('StorageManager.removeItemAsync failed:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Record one key's data in the ITP backup
+     * The default list is stored as `todos` (the original backup format); other
+     * lists and the list index are stored under `lists[key]`.
+     * @param {string} key - Todo data key
+     * @param {*} data - Parsed value to back up, or undefined to drop the key
+     * @private
+     */
+    backupTodoData(key, data) {
+        if (!this.itpBackupSnapshot) {
+            this.itpBackupSnapshot = this.itpHandler.restore() || {};
+        }
+
+        const snapshot = this.itpBackupSnapshot;
+        if (key === 'todos') {
+            if (data === undefined) {
+                delete snapshot.todos;
+            } else {
+                snapshot.todos = data;
+            }
+        } else {
+            snapshot.lists = { ...snapshot.lists };
+            if (data === undefined) {
+                delete snapshot.lists[key];
+            } else {
+                snapshot.lists[key] = data;
+            }
+        }
+        this.itpHandler.backup(snapshot);
+    }
+
+    /**
+     * Check whether the todo data was lost and a backup can bring it back
+     * Data counts as lost when neither the default list ('todos') nor the list
+     * index ('todo-lists') is stored anywhere, including IndexedDB.
+     * @returns {Promise<Object|null>} Newest valid backup with todos
+     *   ({ timestamp, todoCount, data }), or null if nothing was lost or
+     *   there is nothing to restore
+     */
+    async findLostDataBackup() {
+        await this.ready;
+        if (!this.itpHandler) {
+            return null;
+        }
+
+        for (const key of ['todos', 'todo-lists']) {
+            if (this.getItem(key) !== null || await this.getItemAsync(key) !== null) {
+                return null;
+            }
+        }
+
+        const backup = await this.itpHandler.findNewestValidBackup();
+        return backup && backup.todoCount > 0 ? backup : null;
+    }
+
+    /**
+     * Write the todo data of a backup back to storage
+     * @param {Object} backup - Backup from findLostDataBackup()
+     * @returns {string[]} Keys that were restored
+     */
+    restoreBackup(backup) {
+        const { todos, lists = {} } = backup.data;
+        const entries = Object.entries(lists).filter(([key]) => StorageManager.isTodoDataKey(key));
+        if (todos !== undefined) {
+            entries.unshift(['todos', todos]);
+        }
+
+        // Start the next backup from the restored data
+        this.itpBackupSnapshot = null;
+        entries.forEach(([key, value]) => this.setItem(key, JSON.stringify(value)));
+        console.log(`StorageManager: Restored ${entries.length} keys from the backup of ${new Date(backup.timestamp).toISOString()}`);
+        return entries.map(([key]) => key);
+    }
+
+    /**
+     * Re-read the ITP backup before the next write, after another tab changed the data
+     * Without this, this tab's next backup would put back the other tab's old data.
+     */
+    forgetBackupSnapshot() {
+        this.itpBackupSnapshot = null;
+    }
+
+    /**
+     * Stop carrying lost data into new backups after the user declined to restore it
+     * The declined backup is kept as an older generation rather than overwritten.
+     */
+    discardBackupSnapshot() {
+        this.itpBackupSnapshot = {};
+        if (this.itpHandler) {
+            this.itpHandler.startNewBackupGeneration();
+        }
+    }
+
     /**
      * Set item with data verification for Safari 14+ private browsing
      * This prevents silent data loss by verifying the data was actually stored
@@ -476,7 +676,13 @@ class StorageManager {
      */
     removeItem(key) {
         try {
-            return this.operations.removeItem(key);
+            // Deleted lists must not come back from the ITP backup
+            if (this.itpHandler && this.itpHandler.isInitialized && StorageManager.isTodoDataKey(key)) {
+                this.backupTodoData(key, undefined);
+            }
+            const result = this.operations.removeItem(key);
+            this.notifyChange(key, null);
+            return result;
         } catch (error) {
             console.error('StorageManager.removeItem failed:', error);
             // Try to remove from memory storage at minimum
@@ -7,6 +7,8 @@
  * - Enhanced error handling and recovery mechanisms
  * - Performance monitoring and optimization
  * - Data validation and sanitization
+ * - Asynchronous variants (getItemAsync, setItemAsync, removeItemAsync) whose
+ *   fallback chain includes IndexedDB, for callers that can await
  */
 class StorageOperations {
     constructor(fallbackHandler) {
@@ -172,6 +174,119 @@ class StorageOperations {
         }
     }
 
+    /**
+     * Retrieve an item, also looking in IndexedDB
+     * 
+     * @param {string} key - Storage key to retrieve
+     * @returns {Promise<string|null>} Stored value or null if not found
+     */
+    async getItemAsync(key) {
+        if (!this.validateKey(key)) {
+            console.warn('StorageOperations: Invalid key provided to getItemAsync:', key);
+            return null;
+        }
+
+        const startTime = performance.now();
+        this.operationStats.gets.total++;
+
+        try {
+            const result = await this.fallbackHandler.executeWithFallbackAsync('get', key);
+
+            if (result.success) {
+                this.operationStats.gets.successful++;
+                this.updatePerformanceMetrics('get', startTime);
+                this.logOperation('getItemAsync', key, result.storageUsed, true);
+                return result.value;
+            }
+
+            this.operationStats.gets.failed++;
+            this.logOperation('getItemAsync', key, 'failed', false, result.fallbacksUsed);
+            return null;
+
+        } catch (error) {
+            this.operationStats.gets.failed++;
+            console.error('StorageOperations: Unexpected error in getItemAsync:', error);
+            this.logOperation('getItemAsync', key, 'error', false, [{ error: error.message }]);
+            return null;
+        }
+    }
+
+    /**
+     * Store an item, preferring IndexedDB for large values
+     * Todo lists written to IndexedDB are kept as per-todo records (see IndexedDBStorage).
+     * 
+     * @param {string} key - Storage key
+     * @param {string} value - Value to store
+     * @returns {Promise<boolean>} True if storage was successful in at least one mechanism
+     */
+    async setItemAsync(key, value) {
+        if (!this.validateKey(key)) {
+            console.warn('StorageOperations: Invalid key provided to setItemAsync:', key);
+            return false;
+        }
+
+        // IndexedDB has no 5MB limit, so only the value type is checked here
+        if (value === null || value === undefined) {
+            console.warn('StorageOperations: Invalid value provided to setItemAsync for key:', key);
+            return false;
+        }
+
+        const startTime = performance.now();
+        this.operationStats.sets.total++;
+        const stringValue = this.sanitizeValue(value);
+
+        try {
+            const result = await this.fallbackHandler.executeWithFallbackAsync('set', key, stringValue);
+
+            if (result.success) {
+                this.operationStats.sets.successful++;
+                this.updatePerformanceMetrics('set', startTime);
+                this.logOperation('setItemAsync', key, result.storageUsed, true, null, stringValue.length);
+            } else {
+                this.operationStats.sets.failed++;
+                this.logOperation('setItemAsync', key, 'failed', false, result.fallbacksUsed);
+            }
+
+            // As with setItem, the fallback handler's memory storage always holds the value
+            return true;
+
+        } catch (error) {
+            this.operationStats.sets.failed++;
+            console.error('StorageOperations: Unexpected error in setItemAsync:', error);
+            this.logOperation('setItemAsync', key, 'error', false, [{ error: error.message }]);
+            this.fallbackHandler.memoryStorage.set(key, stringValue);
+            return true;
+        }
+    }
+
+    /**
+     * Remove an item from all storage mechanisms, including IndexedDB
+     * 
+     * @param {string} key - Storage key to remove
+     * @returns {Promise<boolean>} True if removal was attempted
+     */
+    async removeItemAsync(key) {
+        if (!this.validateKey(key)) {
+            console.warn('StorageOperations: Invalid key provided to removeItemAsync:', key);
+            return false;
+        }
+
+        this.operationStats.removes.total++;
+
+        try {
+            await this.fallbackHandler.executeWithFallbackAsync('remove', key);
+            this.operationStats.removes.successful++;
+            this.logOperation('removeItemAsync', key, 'multiple', true);
+            return true;
+
+        } catch (error) {
+            this.operationStats.removes.failed++;
+            console.error('StorageOperations: Error in removeItemAsync:', error);
+            this.fallbackHandler.memoryStorage.delete(key);
+            return true;
+        }
+    }
+
     /**
      * Clear all storage mechanisms
      * Useful for reset operations or testing scenarios
@@ -206,6 +321,14 @@ class StorageOperations {
                 }
             }
 
+            // IndexedDB clears asynchronously; failures are only logged
+            const indexedDB = this.fallbackHandler.getIndexedDBStorage();
+            if (indexedDB) {
+                indexedDB.clear().catch(error => {
+                    console.warn('StorageOperations: Failed to clear IndexedDB:', error);
+                });
+            }
+
             // Always clear memory storage
             this.fallbackHandler.memoryStorage.clear();
             console.log('StorageOperations: Memory storage cleared successfully');
@@ -226,7 +349,7 @@ class StorageOperations {
      */
     isAvailable() {
         const capabilities = this.fallbackHandler.detector.getStorageCapabilities();
-        return capabilities.localStorage || capabilities.sessionStorage || true; // Memory is always available
+        return capabilities.localStorage || capabilities.sessionStorage || capabilities.indexedDB || true; // Memory is always available
     }
 
     /**
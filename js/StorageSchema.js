@@ -0,0 +1,137 @@
+/**
+ * StorageSchema - Versioned format of the todos TodoModel saves
+ *
+ * Saved payload:
+ *   { schemaVersion: 3, todos: [...] }
+ *
+ * Versions:
+ *   0  a bare array of todos (data saved before versioning)
+ *   1  a payload object; every todo has an id, text, completed flag,
+ *      createdAt and a numeric order rank
+ *   2  every todo also has dueDate, dueTime, priority, tags and parentId
+ *   3  every todo also has updatedAt, the time it last changed (used to
+ *      resolve sync conflicts); older todos start from their createdAt
+ *
+ * MIGRATIONS[n] upgrades a version n-1 payload to version n, so data from
+ * any older version is upgraded one step at a time. To change the stored
+ * shape, bump CURRENT_VERSION and add the migration for it.
+ *
+ * Data that cannot be read (invalid JSON, an unknown shape or a version
+ * newer than this app) makes parse() throw; TodoModel then quarantines it
+ * under a recovery key instead of overwriting it.
+ */
+
+class StorageSchema {
+    static CURRENT_VERSION = 3;
+    static RECOVERY_KEY_PREFIX = 'recovery:';
+    static MAX_RECOVERY_ENTRIES = 5;
+
+    /**
+     * Upgrade steps, keyed by the version they produce
+     * Each receives the previous version's payload and a reject(todo, reason)
+     * callback for todos that cannot be upgraded.
+     */
+    static MIGRATIONS = {
+        1: (todos, reject) => ({
+            schemaVersion: 1,
+            todos: todos.filter(todo => {
+                if (!todo || typeof todo !== 'object' || Array.isArray(todo)) {
+                    reject(todo, 'not a todo object');
+                    return false;
+                }
+                if (todo.id === undefined || todo.id === null || typeof todo.text !== 'string' || !todo.text.trim()) {
+                    reject(todo, 'missing id or text');
+                    return false;
+                }
+                return true;
+            }).map((todo, index) => ({
+                ...todo,
+                id: String(todo.id),
+                completed: todo.completed === true,
+                createdAt: typeof todo.createdAt === 'string' ? todo.createdAt : new Date(0).toISOString(),
+                order: typeof todo.order === 'number' && isFinite(todo.order) ? todo.order : index
+            }))
+        }),
+
+        2: (payload) => ({
+            schemaVersion: 2,
+            todos: payload.todos.map(todo => ({
+                ...todo,
+                dueDate: typeof todo.dueDate === 'string' ? todo.dueDate : null,
+                dueTime: typeof todo.dueDate === 'string' && typeof todo.dueTime === 'string' ? todo.dueTime : null,
+                priority: typeof todo.priority === 'string' ? todo.priority : 'none',
+                tags: Array.isArray(todo.tags) ? todo.tags.filter(tag => typeof tag === 'string') : [],
+                parentId: typeof todo.parentId === 'string' ? todo.parentId : null
+            }))
+        }),
+
+        3: (payload) => ({
+            schemaVersion: 3,
+            todos: payload.todos.map(todo => ({
+                ...todo,
+                updatedAt: typeof todo.updatedAt === 'string' ? todo.updatedAt : todo.createdAt
+            }))
+        })
+    };
+
+    /**
+     * Get the schema version of parsed saved data
+     * @param {*} data - Parsed JSON
+     * @returns {number} Version
+     */
+    static getVersion(data) {
+        if (Array.isArray(data)) {
+            return 0;
+        }
+        if (!data || typeof data !== 'object' || !Number.isInteger(data.schemaVersion) || data.schemaVersion < 1 || !Array.isArray(data.todos)) {
+            throw new Error('Saved todos are not in a known format');
+        }
+        if (data.schemaVersion > this.CURRENT_VERSION) {
+            throw new Error(`Saved todos use schema version ${data.schemaVersion}, which is newer than this app supports (${this.CURRENT_VERSION})`);
+        }
+        return data.schemaVersion;
+    }
+
+    /**
+     * Read saved todos, upgrading them to the current version
+     * @param {string} json - Saved value
+     * @returns {Object} { todos, rejected, fromVersion } where rejected lists
+     *   { todo, reason } for todos that could not be upgraded
+     * @throws {Error} If the data cannot be read at all
+     */
+    static parse(json) {
+        const data = JSON.parse(json);
+        const fromVersion = this.getVersion(data);
+        const rejected = [];
+        const reject = (todo, reason) => rejected.push({ todo, reason });
+
+        let payload = data;
+        for (let version = fromVersion + 1; version <= this.CURRENT_VERSION; version++) {
+            payload = this.MIGRATIONS[version](payload, reject);
+        }
+        return { todos: payload.todos, rejected, fromVersion };
+    }
+
+    /**
+     * Create the saved value for a list of todos
+     * @param {Array<Object>} todos - Todos to save
+     * @returns {string} JSON payload at the current version
+     */
+    static serialize(todos) {
+        return JSON.stringify({ schemaVersion: this.CURRENT_VERSION, todos });
+    }
+
+    /**
+     * Get the key unreadable data from a storage key is quarantined under
+     * @param {string} storageKey - Key the todos are saved under
+     * @returns {string} e.g. 'recovery:todos'
+     */
+    static getRecoveryKey(storageKey) {
+        return `${this.RECOVERY_KEY_PREFIX}${storageKey}`;
+    }
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StorageSchema;
+}
@@ -0,0 +1,172 @@
+/**
+ * TabSync - Keeps todo data in sync between tabs showing the app
+ *
+ * Every tab holds its todos in memory, so without syncing the tab that saves
+ * last silently overwrites what the others saved. TabSync tells the app about
+ * writes made by other tabs, from two sources:
+ * - `storage` events, fired by the browser when another tab writes localStorage
+ * - a BroadcastChannel, on which every tab posts its own writes; this also
+ *   covers data that is not in localStorage (sessionStorage, memory, IndexedDB)
+ *
+ * A write usually arrives from both sources; the second copy is ignored.
+ * Only todo data is synced (see isSyncedKey): preferences such as the theme
+ * or the active list stay per tab.
+ */
+class TabSync {
+    static CHANNEL_NAME = 'autotodo-sync';
+
+    /**
+     * Check whether a key holds data that other tabs must see
+     * Same keys as ListManager: 'todos', 'todos:<id>' and the 'todo-lists' index.
+     * @param {string} key - Storage key
+     * @returns {boolean} True for todo list data
+     */
+    static isSyncedKey(key) {
+        return typeof key === 'string' && (key === 'todos' || key.startsWith('todos:') || key === 'todo-lists');
+    }
+
+    /**
+     * @param {StorageManager} storageManager - Storage whose writes are shared
+     * @param {Object} [options] - Options
+     * @param {Window} [options.target] - Object receiving storage events (default: window)
+     * @param {string} [options.channelName] - BroadcastChannel name
+     */
+    constructor(storageManager = window.storageManager, options = {}) {
+        this.storage = storageManager;
+        this.target = options.target || (typeof window !== 'undefined' ? window : null);
+        this.channelName = options.channelName || TabSync.CHANNEL_NAME;
+        this.tabId = Date.now().toString(36) + Math.random().toString(36).slice(2, 10);
+        this.channel = null;
+        this.listener = null;
+        this.lastValues = new Map(); // key -> last value seen, to drop duplicate notifications
+        this.removeChangeListener = null;
+
+        this.handleStorageEvent = this.handleStorageEvent.bind(this);
+        this.handleMessage = this.handleMessage.bind(this);
+    }
+
+    /**
+     * Start listening to other tabs and sharing this tab's writes
+     * @param {Function} listener - Called with (key, value) for every change made
+     *   by another tab; value is the new saved text, or null if the key was removed
+     * @returns {TabSync} This instance
+     */
+    start(listener) {
+        this.stop();
+        this.listener = listener;
+
+        if (this.target && typeof this.target.addEventListener === 'function') {
+            this.target.addEventListener('storage', this.handleStorageEvent);
+        }
+        if (typeof BroadcastChannel !== 'undefined') {
+            try {
+                this.channel = new BroadcastChannel(this.channelName);
+                this.channel.onmessage = this.handleMessage;
+            } catch (error) {
+                console.warn('TabSync: BroadcastChannel unavailable, relying on storage events:', error);
+                this.channel = null;
+            }
+        }
+        if (this.storage && typeof this.storage.addChangeListener === 'function') {
+            this.removeChangeListener = this.storage.addChangeListener((key, value) => this.publish(key, value));
+        }
+        return this;
+    }
+
+    /**
+     * Stop syncing
+     */
+    stop() {
+        if (this.target && typeof this.target.removeEventListener === 'function') {
+            this.target.removeEventListener('storage', this.handleStorageEvent);
+        }
+        if (this.channel) {
+            this.channel.close();
+            this.channel = null;
+        }
+        if (this.removeChangeListener) {
+            this.removeChangeListener();
+            this.removeChangeListener = null;
+        }
+        this.listener = null;
+    }
+
+    /**
+     * Tell other tabs about a write made by this tab
+     * @param {string} key - Storage key that was written
+     * @param {string|null} value - New value, or null if the key was removed
+     */
+    publish(key, value) {
+        if (!TabSync.isSyncedKey(key)) {
+            return;
+        }
+
+        // The storage event for our own write never reaches this tab, and
+        // remembering the value drops an echo of it from any other source
+        this.lastValues.set(key, value);
+        if (this.channel) {
+            try {
+                this.channel.postMessage({ source: this.tabId, key, value });
+            } catch (error) {
+                console.warn('TabSync: Failed to post change to other tabs:', error);
+            }
+        }
+    }
+
+    /**
+     * Handle a localStorage write made by another tab
+     * @param {StorageEvent} event - Storage event
+     */
+    handleStorageEvent(event) {
+        // A null key means another tab cleared all storage; the lost data
+        // check on the next start handles that
+        if (!event || event.key === null) {
+            return;
+        }
+        if (event.storageArea && typeof localStorage !== 'undefined' && event.storageArea !== localStorage) {
+            return;
+        }
+        this.receive(event.key, event.newValue);
+    }
+
+    /**
+     * Handle a write posted by another tab on the BroadcastChannel
+     * @param {MessageEvent} event - Message event with { source, key, value }
+     */
+    handleMessage(event) {
+        const message = event && event.data;
+        if (!message || message.source === this.tabId) {
+            return;
+        }
+        this.receive(message.key, message.value === undefined ? null : message.value);
+    }
+
+    /**
+     * Pass a change made by another tab to the listener, once
+     * @param {string} key - Storage key
+     * @param {string|null} value - New value, or null if the key was removed
+     */
+    receive(key, value) {
+        if (!TabSync.isSyncedKey(key) || !this.listener) {
+            return;
+        }
+        if (this.lastValues.has(key) && this.lastValues.get(key) === value) {
+            return;
+        }
+        this.lastValues.set(key, value);
+
+        if (this.storage && typeof this.storage.forgetBackupSnapshot === 'function') {
+            this.storage.forgetBackupSnapshot();
+        }
+        try {
+            this.listener(key, value);
+        } catch (error) {
+            console.error('TabSync: Failed to apply a change from another tab:', error);
+        }
+    }
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TabSync;
+}
@@ -0,0 +1,164 @@
+/**
+ * ToastManager - Short, non-blocking notifications in a corner of the page
+ *
+ * Toasts are shown in a live region, so screen readers announce them without
+ * moving focus: info and success politely, errors at once (role="alert").
+ * At most MAX_VISIBLE toasts are shown; later ones wait in a queue and appear
+ * as earlier ones are dismissed. A toast dismisses itself after its duration,
+ * except while the pointer or keyboard focus is on it, and can carry one
+ * action button such as "Undo".
+ */
+class ToastManager {
+    static MAX_VISIBLE = 3;
+
+    // How long each type of toast stays up (ms)
+    static DURATIONS = { info: 4000, success: 4000, error: 8000 };
+
+    /**
+     * @param {Document} [doc] - Document to show the toasts in
+     * @param {Object} [options] - Options
+     * @param {number} [options.maxVisible] - Toasts shown at once
+     */
+    constructor(doc = document, options = {}) {
+        this.document = doc;
+        this.maxVisible = options.maxVisible || ToastManager.MAX_VISIBLE;
+        this.visible = [];
+        this.queue = [];
+        this.nextId = 1;
+
+        this.region = doc.createElement('div');
+        this.region.className = 'toast-region';
+        this.region.setAttribute('role', 'status');
+        this.region.setAttribute('aria-live', 'polite');
+        doc.body.appendChild(this.region);
+    }
+
+    /**
+     * Show a toast, or queue it while MAX_VISIBLE toasts are up
+     * @param {string} message - Text to show
+     * @param {Object} [options] - Options
+     * @param {string} [options.type] - 'info', 'success' or 'error'
+     * @param {number} [options.duration] - Milliseconds before it is dismissed
+     * @param {Object} [options.action] - Button: { label, onClick }
+     * @returns {number} Toast id, for dismiss()
+     */
+    show(message, options = {}) {
+        const type = ToastManager.DURATIONS[options.type] ? options.type : 'info';
+        const toast = {
+            id: this.nextId++,
+            message,
+            type,
+            duration: options.duration || ToastManager.DURATIONS[type],
+            action: options.action || null,
+            element: null,
+            timer: null
+        };
+
+        if (this.visible.length < this.maxVisible) {
+            this.display(toast);
+        } else {
+            this.queue.push(toast);
+        }
+        return toast.id;
+    }
+
+    /**
+     * Add a toast to the page and start its timer
+     * @param {Object} toast - Toast from show()
+     * @private
+     */
+    display(toast) {
+        const element = this.document.createElement('div');
+        element.className = `toast toast-${toast.type}`;
+        if (toast.type === 'error') {
+            element.setAttribute('role', 'alert');
+        }
+
+        const text = this.document.createElement('span');
+        text.className = 'toast-message';
+        text.textContent = toast.message;
+        element.appendChild(text);
+
+        if (toast.action) {
+            const button = this.document.createElement('button');
+            button.type = 'button';
+            button.className = 'toast-action';
+            button.textContent = toast.action.label;
+            button.addEventListener('click', () => {
+                this.dismiss(toast.id);
+                toast.action.onClick();
+            });
+            element.appendChild(button);
+        }
+
+        const close = this.document.createElement('button');
+        close.type = 'button';
+        close.className = 'toast-close';
+        close.setAttribute('aria-label', 'Dismiss notification');
+        close.textContent = '×';
+        close.addEventListener('click', () => this.dismiss(toast.id));
+        element.appendChild(close);
+
+        // Keep the toast up while the user is reading it or reaching for its button
+        const pause = () => clearTimeout(toast.timer);
+        const resume = () => this.startTimer(toast);
+        element.addEventListener('mouseenter', pause);
+        element.addEventListener('mouseleave', resume);
+        element.addEventListener('focusin', pause);
+        element.addEventListener('focusout', resume);
+
+        toast.element = element;
+        this.visible.push(toast);
+        this.region.appendChild(element);
+        this.startTimer(toast);
+    }
+
+    /**
+     * (Re)start the timer that dismisses a toast
+     * @param {Object} toast - Visible toast
+     * @private
+     */
+    startTimer(toast) {
+        clearTimeout(toast.timer);
+        toast.timer = setTimeout(() => this.dismiss(toast.id), toast.duration);
+    }
+
+    /**
+     * Remove a toast, visible or queued, and show the next queued one
+     * @param {number} id - Toast id from show()
+     * @returns {boolean} True if the toast was found
+     */
+    dismiss(id) {
+        const queued = this.queue.findIndex(toast => toast.id === id);
+        if (queued !== -1) {
+            this.queue.splice(queued, 1);
+            return true;
+        }
+
+        const index = this.visible.findIndex(toast => toast.id === id);
+        if (index === -1) {
+            return false;
+        }
+        const [toast] = this.visible.splice(index, 1);
+        clearTimeout(toast.timer);
+        toast.element.remove();
+
+        if (this.queue.length > 0) {
+            this.display(this.queue.shift());
+        }
+        return true;
+    }
+
+    /**
+     * Remove every toast, including queued ones
+     */
+    clear() {
+        this.queue = [];
+        this.visible.slice().forEach(toast => this.dismiss(toast.id));
+    }
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ToastManager;
+}
@@ -2,14 +2,32 @@
  * TodoController - Handles user interactions and coordinates between Model and View
  */
 class TodoController {
-    constructor(model, view, storageManager = window.storageManager) {
+    // Horizontal drag distance (px) that turns a drop into indent/outdent
+    static INDENT_DRAG_DISTANCE = 40;
+
+    /**
+     * @param {TodoModel} model - Model of the list shown initially
+     * @param {TodoView} view - View instance
+     * @param {StorageManager} storageManager - Storage for UI preferences
+     * @param {ListManager|null} listManager - Named lists; null for a single list
+     */
+    constructor(model, view, storageManager = window.storageManager, listManager = null) {
         this.model = model;
         this.view = view;
         this.storage = storageManager;
+        this.lists = listManager;
         this.searchTerm = '';
+        this.sortMode = this.loadSortMode();
+        this.autoCompleteParents = this.loadAutoCompleteParents();
+        this.searchNotes = this.loadSearchNotes();
+        this.shortcutBindings = this.loadShortcutBindings();
+        this.shortcutSettings = null; // ShortcutSettingsPanel, created when first opened
+        this.statusFilter = this.getStatusFilterFromHash();
         
         // Drag and drop functionality
         this.draggedId = null;
+        this.dragStartX = 0;
+        this.pendingImport = null; // Validated import data waiting for confirmation
         this.dragDropSupported = this.checkDragDropSupport();
         
         // Performance optimizations
@@ -19,7 +37,9 @@ class TodoController {
         this.keyboardManager = new KeyboardShortcutManager({
             debug: false, // Set to true for debugging
             enableLogging: false,
-            validateConflicts: true
+            validateConflicts: true,
+            sequenceTimeout: 1500, // Time to finish a sequence shortcut like "g a" (ms)
+            onSequenceChange: (keys) => this.view.renderPendingShortcut(keys)
         });
         this.keyboardHandlers = new KeyboardHandlers(this);
         this.init();
@@ -51,6 +71,173 @@ class TodoController {
         this.initializeTheme();
         this.setupKeyboardShortcuts();
         this.render();
+        this.reportRecovery();
+        this.offerBackupRestore();
+    }
+
+    /**
+     * Tell the user once if the active list's saved data could not be read
+     * The data itself is kept under a recovery key (see TodoModel.quarantine).
+     */
+    reportRecovery() {
+        const info = this.model.recoveryInfo;
+        if (!info) return;
+
+        this.model.recoveryInfo = null;
+        this.view.showMessage(`Some saved todos could not be loaded (${info.reason}). ` +
+            `They were kept in storage under "${info.key}" so they can be recovered.`, 'error');
+    }
+
+    /**
+     * Offer to restore the newest backup if the saved todos were lost
+     * Safari's ITP can clear site storage; StorageManager keeps backup
+     * generations that survive in another storage mechanism.
+     * @returns {Promise<boolean>} True if a backup was restored
+     */
+    async offerBackupRestore() {
+        if (!this.lists || !this.storage || typeof this.storage.findLostDataBackup !== 'function') {
+            return false;
+        }
+
+        try {
+            const backup = await this.storage.findLostDataBackup();
+            // Todos added while the check was running mean the user has started over
+            if (!backup || this.model.getAllTodos().length > 0) {
+                return false;
+            }
+
+            const count = `${backup.todoCount} todo${backup.todoCount !== 1 ? 's' : ''}`;
+            const savedAt = new Date(backup.timestamp).toLocaleString();
+            const confirmMessage = `Your saved todos are missing, possibly cleared by the browser. ` +
+                `Restore the backup from ${savedAt} with ${count}?`;
+            if (!(await this.view.showConfirmation(confirmMessage, { title: 'Restore backup', confirmLabel: 'Restore' }))) {
+                this.storage.discardBackupSnapshot();
+                return false;
+            }
+
+            this.storage.restoreBackup(backup);
+            this.view.cancelEdit();
+            this.model = this.lists.reload();
+            this.render();
+            this.view.showMessage(`Restored ${count} from the backup of ${savedAt}`, 'success');
+            return true;
+        } catch (error) {
+            console.error('Failed to restore todos from backup:', error);
+            this.view.showMessage(`Could not restore the backup: ${error.message}`, 'error');
+            return false;
+        }
+    }
+
+    /**
+     * Apply a change saved by another tab (see TabSync)
+     * @param {string} key - Storage key the other tab wrote
+     * @param {string|null} value - New value, or null if the key was removed
+     */
+    handleRemoteChange(key, value) {
+        if (this.lists && key === ListManager.LIST_INDEX_KEY) {
+            if (this.lists.syncLists(value)) {
+                const wasEditing = this.view.isEditing();
+                this.view.cancelEdit();
+                this.draggedId = null;
+                this.model = this.lists.getActiveModel();
+                this.view.showMessage('The list you were viewing was deleted in another tab' +
+                    (wasEditing ? ', so your unsaved edit was discarded' : ''), 'error');
+            }
+            this.renderRemoteChange();
+            return;
+        }
+
+        // Lists that were never shown here are read fresh when first opened
+        const listId = this.lists ? this.lists.getListIdForKey(key) : null;
+        const model = this.lists
+            ? (listId && this.lists.models.get(listId)) || null
+            : (key === this.model.storageKey ? this.model : null);
+        const changes = model ? model.applyRemoteTodos(value) : null;
+        if (!changes) return;
+
+        if (model === this.model) {
+            const editingId = this.view.getEditingId();
+            if (editingId && changes.removed.includes(editingId)) {
+                this.view.cancelEdit();
+                this.view.showMessage('The todo you were editing was deleted in another tab', 'error');
+            }
+            if (this.draggedId && changes.removed.includes(this.draggedId)) {
+                this.draggedId = null;
+            }
+        }
+        this.renderRemoteChange();
+    }
+
+    /**
+     * Re-render after a change from another tab, unless a todo is being edited
+     * Rendering would reset the edit form; the list is rendered when the edit
+     * ends, and saving the edit applies it on top of the other tab's changes.
+     */
+    renderRemoteChange() {
+        if (this.view.isEditing()) return;
+        this.render();
+    }
+
+    /**
+     * Load the saved list sort mode
+     * @returns {string} One of TodoModel.SORT_MODES
+     */
+    loadSortMode() {
+        try {
+            const saved = this.storage.getItem('todo-sort-mode');
+            return TodoModel.SORT_MODES.includes(saved) ? saved : 'manual';
+        } catch (e) {
+            console.warn('Failed to load sort mode, using manual order:', e);
+            return 'manual';
+        }
+    }
+
+    /**
+     * Load whether completing every subtask completes the parent
+     * @returns {boolean} Saved preference (default: true)
+     */
+    loadAutoCompleteParents() {
+        try {
+            return this.storage.getItem('todo-auto-complete-parents') !== 'false';
+        } catch (e) {
+            console.warn('Failed to load subtask preference, using default:', e);
+            return true;
+        }
+    }
+
+    /**
+     * Load whether search also matches todo notes
+     * @returns {boolean} Saved preference (default: false)
+     */
+    loadSearchNotes() {
+        try {
+            return this.storage.getItem('todo-search-notes') === 'true';
+        } catch (e) {
+            console.warn('Failed to load notes search preference, using default:', e);
+            return false;
+        }
+    }
+
+    /**
+     * Load the user's keyboard shortcut bindings
+     * @returns {Object} Map of binding id to keys (see ShortcutsConfig.applyBindings)
+     */
+    loadShortcutBindings() {
+        try {
+            return ShortcutsConfig.parseBindings(this.storage.getItem('todo-shortcut-bindings'));
+        } catch (e) {
+            console.warn('Failed to load shortcut bindings, using defaults:', e);
+            return {};
+        }
+    }
+
+    /**
+     * Read the status filter from the URL hash (#/active, #/completed)
+     * @returns {string} One of TodoModel.STATUS_FILTERS
+     */
+    getStatusFilterFromHash() {
+        const filter = (window.location?.hash || '').replace(/^#\/?/, '');
+        return TodoModel.STATUS_FILTERS.includes(filter) ? filter : 'all';
     }
 
     /**
@@ -122,7 +309,6 @@ class TodoController {
                 console.warn('Failed to save theme preference:', e);
             }
         }
-        }
 
         this.currentTheme = theme;
     }
@@ -317,11 +503,15 @@ class TodoController {
     }
 
     /**
-     * Initialize keyboard context for editing
+     * Initialize keyboard contexts for editing, for a focused todo row and for selected todos
+     * The list context comes before the selection context, so Delete on a
+     * focused row is handled by deleteFocusedTodo.
      * @private
      */
     _initializeKeyboardContext() {
         this.keyboardManager.registerContext('editing', () => this.view.isEditing());
+        this.keyboardManager.registerContext('list', () => this.view.isTodoRowFocused() && !this.view.isEditing());
+        this.keyboardManager.registerContext('selection', () => this.view.hasSelection() && !this.view.isEditing());
     }
 
     /**
@@ -329,8 +519,7 @@ class TodoController {
      * @private
      */
     _registerAllShortcuts() {
-        const handlers = this.keyboardHandlers.getAllHandlers();
-        const shortcuts = ShortcutsConfig.getShortcuts(handlers);
+        const shortcuts = this.getConfiguredShortcuts();
         
         // Validate shortcuts before registering
         const validation = ShortcutsConfig.validateShortcutCollection(shortcuts);
@@ -392,8 +581,10 @@ class TodoController {
         ];
         
         for (const critical of criticalShortcuts) {
+            // The user may have moved the shortcut to other keys
+            const binding = this.shortcutBindings[ShortcutsConfig.getBindingId(critical)] || critical;
             const shortcutKey = this.keyboardManager.generateShortcutKey(
-                critical.key, critical.ctrlKey, false, false, critical.context
+                binding.key, binding.ctrlKey, binding.altKey || false, binding.shiftKey || false, critical.context
             );
             
             const registered = this.keyboardManager.shortcuts.has(shortcutKey);
@@ -447,15 +638,120 @@ class TodoController {
      * Show keyboard shortcuts help modal
      */
     showKeyboardHelp() {
-        HelpModalBuilder.showHelpModal(this.keyboardManager);
+        HelpModalBuilder.showHelpModal(this.keyboardManager, () => this.showShortcutSettings());
+    }
+
+    /**
+     * Get the shortcuts with the user's key bindings applied
+     * @returns {Array} Shortcut configurations (see ShortcutsConfig.applyBindings)
+     */
+    getConfiguredShortcuts() {
+        const handlers = this.keyboardHandlers.getAllHandlers();
+        return ShortcutsConfig.applyBindings(ShortcutsConfig.getShortcuts(handlers), this.shortcutBindings);
+    }
+
+    /**
+     * Show the panel for rebinding shortcuts; closing it goes back to the help modal
+     */
+    showShortcutSettings() {
+        if (!this.shortcutSettings) {
+            this.shortcutSettings = new ShortcutSettingsPanel({
+                getShortcuts: () => this.getConfiguredShortcuts(),
+                checkBinding: (shortcut, binding) => this.checkShortcutBinding(shortcut, binding),
+                onChange: (bindingId, binding) => this.handleRebindShortcut(bindingId, binding),
+                onReset: () => this.handleResetShortcuts(),
+                onClose: () => this.showKeyboardHelp()
+            });
+        }
+        this.shortcutSettings.open();
+    }
+
+    /**
+     * Check whether a shortcut can be bound to other keys
+     * @param {Object} shortcut - Shortcut from getConfiguredShortcuts
+     * @param {Object} binding - New keys: { key, ctrlKey, altKey, shiftKey, prefix }
+     * @returns {Object} { conflict: shortcut already using the keys, or whose keys start
+     *     with them or are the start of them, or null; errors, warnings }
+     */
+    checkShortcutBinding(shortcut, binding) {
+        const candidate = ShortcutsConfig.withBinding(shortcut, binding);
+        const validation = ShortcutsConfig.validateShortcut(candidate);
+        const errors = [...validation.errors];
+
+        // A global shortcut starting with a plain character is typed into text fields instead
+        // of running; the defaults that do this (/, g a) are for when no text field has focus
+        const isDefault = ShortcutsConfig.getBindingId(candidate) === shortcut.bindingId;
+        const first = candidate.prefix && candidate.prefix.length > 0 ? candidate.prefix[0] : candidate;
+        if (!isDefault && candidate.context === 'global' && first.key.length === 1 && !first.ctrlKey && !first.altKey) {
+            errors.push('Shortcuts that work everywhere need Ctrl or Alt, or they would be typed into text fields');
+        }
+
+        const shortcutKey = this.keyboardManager.getShortcutKey(candidate);
+        const currentKey = this.keyboardManager.getShortcutKey(shortcut);
+        const others = this.keyboardManager.getAllShortcuts()
+            .filter(existing => this.keyboardManager.getShortcutKey(existing) !== currentKey);
+        const conflict = shortcutKey === currentKey
+            ? null
+            : this.keyboardManager.validator.checkForConflicts(shortcutKey, candidate, this.keyboardManager.shortcuts) ||
+                this.keyboardManager.validator.checkSequenceConflicts(candidate, others)[0] || null;
+
+        return { conflict, errors, warnings: validation.warnings };
+    }
+
+    /**
+     * Bind a shortcut to other keys, or back to its default keys
+     * @param {string} bindingId - Binding id (see ShortcutsConfig.getBindingId)
+     * @param {Object|null} binding - New keys, or null for the default ones
+     */
+    handleRebindShortcut(bindingId, binding) {
+        const bindings = { ...this.shortcutBindings };
+        if (binding) {
+            bindings[bindingId] = ShortcutsConfig.getBinding(binding);
+        } else {
+            delete bindings[bindingId];
+        }
+        this.saveShortcutBindings(bindings);
+    }
+
+    /**
+     * Put every shortcut back on its default keys
+     */
+    handleResetShortcuts() {
+        this.saveShortcutBindings({});
+    }
+
+    /**
+     * Save the shortcut bindings and register the shortcuts again with them
+     * @param {Object} bindings - Map of binding id to keys
+     * @private
+     */
+    saveShortcutBindings(bindings) {
+        this.shortcutBindings = bindings;
+        try {
+            if (Object.keys(bindings).length > 0) {
+                this.storage.setItem('todo-shortcut-bindings', JSON.stringify(bindings));
+            } else {
+                this.storage.removeItem('todo-shortcut-bindings');
+            }
+        } catch (e) {
+            console.warn('Failed to save shortcut bindings:', e);
+        }
+
+        this.keyboardManager.clearShortcuts();
+        this._registerAllShortcuts();
+        HelpModalBuilder.updateHelpModal(this.keyboardManager, () => this.showShortcutSettings());
     }
 
     /**
-     * Initialize keyboard context for editing
+     * Initialize keyboard contexts for editing, for a focused todo row and for selected todos
+     * The list context comes before the selection context, so Delete on a
+     * focused row is handled by deleteFocusedTodo.
      * @private
      */
     _initializeKeyboardContext() {
         this.keyboardManager.registerContext('editing', () => this.view.isEditing());
+        this.keyboardManager.registerContext('list', () => this.view.isTodoRowFocused() && !this.view.isEditing());
+        this.keyboardManager.registerContext('selection', () => this.view.hasSelection() && !this.view.isEditing());
     }
 
     /**
@@ -463,8 +759,7 @@ class TodoController {
      * @private
      */
     _registerAllShortcuts() {
-        const handlers = this.keyboardHandlers.getAllHandlers();
-        const shortcuts = ShortcutsConfig.getShortcuts(handlers);
+        const shortcuts = this.getConfiguredShortcuts();
         
         // Validate shortcuts before registering
         const validation = ShortcutsConfig.validateShortcutCollection(shortcuts);
@@ -526,8 +821,10 @@ class TodoController {
         ];
         
         for (const critical of criticalShortcuts) {
+            // The user may have moved the shortcut to other keys
+            const binding = this.shortcutBindings[ShortcutsConfig.getBindingId(critical)] || critical;
             const shortcutKey = this.keyboardManager.generateShortcutKey(
-                critical.key, critical.ctrlKey, false, false, critical.context
+                binding.key, binding.ctrlKey, binding.altKey || false, binding.shiftKey || false, critical.context
             );
             
             const registered = this.keyboardManager.shortcuts.has(shortcutKey);
@@ -584,14 +881,181 @@ class TodoController {
         this.bindAddTodoForm();
         this.bindSearchInput();
         this.bindClearSearchButton();
+        this.bindSearchNotesToggle();
         this.bindTodoListClick();
         this.bindTodoListSubmit();
         this.bindTodoListChange();
         this.bindDragAndDrop();
         this.bindThemeToggle();
+        this.bindSortSelect();
+        this.bindAutoCompleteToggle();
+        this.bindFilterBar();
+        this.bindListControls();
+        this.bindHistoryControls();
+        this.bindBulkActions();
+        this.bindDataControls();
         this.bindKeyboardShortcuts();
     }
 
+    /**
+     * Bind the list switcher and list management buttons in the header
+     */
+    bindListControls() {
+        if (!this.lists) return;
+
+        const listSelect = document.getElementById('listSelect');
+        if (listSelect) {
+            listSelect.addEventListener('change', (e) => {
+                this.handleSwitchList(e.target.value);
+            });
+        }
+
+        const buttons = {
+            newListBtn: () => this.handleCreateList(),
+            renameListBtn: () => this.handleRenameList(),
+            deleteListBtn: () => this.handleDeleteList()
+        };
+        Object.entries(buttons).forEach(([id, handler]) => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.addEventListener('click', handler);
+            }
+        });
+    }
+
+    /**
+     * Bind the undo and redo buttons
+     */
+    bindHistoryControls() {
+        const buttons = {
+            undoBtn: () => this.handleUndo(),
+            redoBtn: () => this.handleRedo()
+        };
+        Object.entries(buttons).forEach(([id, handler]) => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.addEventListener('click', handler);
+            }
+        });
+    }
+
+    /**
+     * Bind the buttons and selects of the bulk action bar
+     */
+    bindBulkActions() {
+        const bar = this.view.bulkActions;
+        if (!bar) return;
+
+        bar.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-bulk]');
+            if (button) {
+                this.handleBulkAction(button.dataset.bulk);
+            }
+        });
+        bar.addEventListener('change', (e) => {
+            const { bulk } = e.target.dataset;
+            const value = e.target.value;
+            if (bulk && value) {
+                e.target.value = ''; // Back to the "Priority…" / "Move to…" label
+                this.handleBulkAction(bulk, value);
+            }
+        });
+    }
+
+    /**
+     * Bind the export/import buttons and the import preview
+     */
+    bindDataControls() {
+        if (!this.lists) return;
+
+        const importFile = document.getElementById('importFile');
+        if (importFile) {
+            importFile.addEventListener('change', (e) => {
+                const [file] = e.target.files;
+                e.target.value = ''; // Allow choosing the same file again
+                if (file) {
+                    this.handleImportFile(file);
+                }
+            });
+        }
+
+        const buttons = {
+            exportBtn: () => this.handleExport(),
+            importBtn: () => importFile && importFile.click(),
+            confirmImportBtn: () => this.handleConfirmImport(),
+            cancelImportBtn: () => this.handleCancelImport()
+        };
+        Object.entries(buttons).forEach(([id, handler]) => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.addEventListener('click', handler);
+            }
+        });
+    }
+
+    /**
+     * Bind status filter bar clicks and URL hash changes
+     */
+    bindFilterBar() {
+        const filterBar = document.getElementById('filterBar');
+        if (filterBar) {
+            filterBar.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-filter]');
+                if (button) {
+                    this.handleStatusFilterChange(button.dataset.filter);
+                }
+            });
+        }
+
+        // Back/forward navigation and manually edited URLs
+        window.addEventListener('hashchange', () => {
+            const filter = this.getStatusFilterFromHash();
+            if (filter !== this.statusFilter) {
+                this.statusFilter = filter;
+                this.render();
+            }
+        });
+    }
+
+    /**
+     * Bind sort mode select change event
+     */
+    bindSortSelect() {
+        const sortSelect = document.getElementById('sortSelect');
+        if (sortSelect) {
+            sortSelect.value = this.sortMode;
+            sortSelect.addEventListener('change', (e) => {
+                this.handleSortChange(e.target.value);
+            });
+        }
+    }
+
+    /**
+     * Bind the "search notes" checkbox next to the search input
+     */
+    bindSearchNotesToggle() {
+        const checkbox = document.getElementById('searchNotes');
+        if (checkbox) {
+            checkbox.checked = this.searchNotes;
+            checkbox.addEventListener('change', (e) => {
+                this.handleSearchNotesChange(e.target.checked);
+            });
+        }
+    }
+
+    /**
+     * Bind the "complete parent with subtasks" checkbox
+     */
+    bindAutoCompleteToggle() {
+        const checkbox = document.getElementById('autoCompleteParents');
+        if (checkbox) {
+            checkbox.checked = this.autoCompleteParents;
+            checkbox.addEventListener('change', (e) => {
+                this.handleAutoCompleteParentsChange(e.target.checked);
+            });
+        }
+    }
+
     /**
      * Bind theme toggle button event
      */
@@ -613,6 +1077,18 @@ class TodoController {
             e.preventDefault();
             this.handleAddTodo();
         });
+
+        // Pasting a Markdown checklist adds one todo per item instead of filling the input
+        const todoInput = document.getElementById('todoInput');
+        if (todoInput) {
+            todoInput.addEventListener('paste', (e) => {
+                const text = e.clipboardData ? e.clipboardData.getData('text/plain') : '';
+                if (TodoFormats.isMarkdownChecklist(text)) {
+                    e.preventDefault();
+                    this.handlePasteChecklist(text);
+                }
+            });
+        }
     }
 
     /**
@@ -667,6 +1143,22 @@ class TodoController {
      */
     bindKeyboardShortcuts() {
         document.addEventListener('keydown', (e) => {
+            // Enter starts a new line in the notes editor instead of saving the edit
+            if (e.key === 'Enter' && !e.ctrlKey && e.target && e.target.tagName === 'TEXTAREA') {
+                return;
+            }
+            // In a text field these keys edit or select the text, not todos: Ctrl+Z/Ctrl+Y undo
+            // typing, Ctrl+A and Shift+Arrow select text, Delete deletes characters and
+            // characters typed without Ctrl or Alt (like the g of "g a") are text
+            const isTextField = e.target && (e.target.tagName === 'TEXTAREA' ||
+                (e.target.tagName === 'INPUT' && !['checkbox', 'radio'].includes(e.target.type)));
+            const isTextKey = (e.ctrlKey && ['z', 'y', 'a'].includes(String(e.key).toLowerCase())) ||
+                (e.shiftKey && ['ArrowUp', 'ArrowDown'].includes(e.key)) ||
+                (!e.ctrlKey && e.key === 'Delete') ||
+                (!e.ctrlKey && !e.altKey && !e.metaKey && String(e.key).length === 1);
+            if (isTextField && isTextKey) {
+                return;
+            }
             this.keyboardManager.handleKeyboard(e);
         });
         
@@ -722,12 +1214,32 @@ class TodoController {
         }
 
         try {
-            this.model.addTodo(text);
+            this.model.addTodo(text, {
+                ...this.view.getDueInputValues(),
+                recurrence: this.view.getRepeatInputValue()
+            });
+            this.view.clearInput();
+            this.render();
+            this.view.focusInput();
+        } catch (error) {
+            this.view.showMessage(error.message, 'error');
+        }
+    }
+
+    /**
+     * Add every item of a pasted Markdown checklist to the active list
+     * @param {string} text - Pasted Markdown
+     */
+    handlePasteChecklist(text) {
+        try {
+            const created = TodoFormats.addChecklist(this.model, text);
             this.view.clearInput();
             this.render();
             this.view.focusInput();
+            this.view.showMessage(`Added ${created.length} todo${created.length !== 1 ? 's' : ''} from the checklist`, 'success');
         } catch (error) {
             this.view.showMessage(error.message, 'error');
+            this.render();
         }
     }
 
@@ -745,6 +1257,7 @@ class TodoController {
     
     /**
      * Perform the actual search operation (debounced)
+     * The search term is combined with the active status filter in getCurrentTodos.
      * @param {string} searchTerm - The search term
      * @private
      */
@@ -762,67 +1275,388 @@ class TodoController {
     }
 
     /**
-     * Handle clearing the search input
+     * Apply a tag filter by adding a `tag:` term to the current search
+     * @param {string} tag - Tag to filter by
      */
-    handleClearSearch() {
+    handleTagFilter(tag) {
+        if (!tag) return;
+
+        const tagTerm = `tag:${tag}`;
+        const currentTerms = this.searchTerm.trim().split(/\s+/).filter(Boolean);
+        if (currentTerms.some(term => term.toLowerCase() === tagTerm.toLowerCase())) {
+            return; // Already filtering by this tag
+        }
+
+        const newSearchTerm = [...currentTerms, tagTerm].join(' ');
         const searchInput = document.getElementById('searchInput');
-        searchInput.value = '';
-        this.searchTerm = '';
-        this.render();
+        if (searchInput) {
+            searchInput.value = newSearchTerm;
+        }
+        this.handleSearch(newSearchTerm);
     }
 
     /**
-     * Handle click events in the todo list
-     * @param {Event} e - Click event
+     * Show all, active or completed todos and record the choice in the URL hash
+     * @param {string} filter - One of TodoModel.STATUS_FILTERS
      */
-    handleTodoListClick(e) {
-        const action = e.target.dataset.action;
-        const id = e.target.dataset.id;
-
-        if (!action || !id) return;
+    handleStatusFilterChange(filter) {
+        if (!TodoModel.STATUS_FILTERS.includes(filter)) {
+            this.view.showMessage(`Unknown status filter: ${filter}`, 'error');
+            return;
+        }
 
-        switch (action) {
-            case 'edit':
-                this.handleEditTodo(id);
-                break;
-            case 'delete':
-                this.handleDeleteTodo(id);
-                break;
-            case 'cancel-edit':
-                this.handleCancelEdit();
-                break;
+        this.statusFilter = filter;
+        const hash = filter === 'all' ? '#/' : `#/${filter}`;
+        if (window.location.hash !== hash) {
+            window.location.hash = hash;
         }
+        this.render();
     }
 
     /**
-     * Handle form submissions in the todo list
-     * @param {Event} e - Submit event
+     * Show another list
+     * @param {string} listId - List to switch to
      */
-    handleTodoListSubmit(e) {
-        e.preventDefault();
-        const action = e.target.dataset.action;
-        const id = e.target.dataset.id;
-
-        if (action === 'save-edit' && id) {
-            this.handleSaveEdit(id, e.target);
+    handleSwitchList(listId) {
+        const model = this.lists.switchList(listId);
+        if (!model) {
+            this.view.showMessage('That list no longer exists', 'error');
+            this.render();
+            return;
         }
+
+        this.view.cancelEdit();
+        this.draggedId = null;
+        this.model = model;
+        this.render();
+        this.reportRecovery();
     }
 
     /**
-     * Handle change events in the todo list (checkboxes)
-     * @param {Event} e - Change event
+     * Ask for a name, create the list and switch to it
+     * @returns {Promise<void>}
      */
-    handleTodoListChange(e) {
-        const action = e.target.dataset.action;
-        const id = e.target.dataset.id;
+    async handleCreateList() {
+        const name = await this.view.promptForText('Name for the new list:', { title: 'New list', confirmLabel: 'Create' });
+        if (name === null) return;
 
-        if (action === 'toggle' && id) {
-            this.handleToggleTodo(id);
+        try {
+            const list = this.lists.createList(name);
+            this.handleSwitchList(list.id);
+        } catch (error) {
+            this.view.showMessage(error.message, 'error');
         }
     }
 
     /**
-     * Handle keyboard interactions for drag handles
+     * Ask for a new name for the active list
+     * @returns {Promise<void>}
+     */
+    async handleRenameList() {
+        const list = this.lists.getActiveList();
+        const name = await this.view.promptForText('New name for the list:',
+            { title: 'Rename list', confirmLabel: 'Rename', defaultValue: list.name });
+        if (name === null) return;
+
+        try {
+            this.lists.renameList(list.id, name);
+            this.render();
+        } catch (error) {
+            this.view.showMessage(error.message, 'error');
+        }
+    }
+
+    /**
+     * Delete the active list and its todos after confirmation
+     * @returns {Promise<void>}
+     */
+    async handleDeleteList() {
+        const list = this.lists.getActiveList();
+        const count = this.model.getAllTodos().length;
+        const confirmMessage = `Are you sure you want to delete the list "${list.name}" and its ${count} todo${count !== 1 ? 's' : ''}?`;
+        if (!(await this.view.showConfirmation(confirmMessage, { title: 'Delete list', confirmLabel: 'Delete', danger: true }))) return;
+
+        try {
+            this.lists.deleteList(list.id);
+            this.view.cancelEdit();
+            this.model = this.lists.getActiveModel();
+            this.render();
+        } catch (error) {
+            this.view.showMessage(error.message, 'error');
+        }
+    }
+
+    /**
+     * Move a todo from the active list to another list
+     * @param {string} todoId - Todo to move
+     * @param {string} targetListId - Destination list
+     * @param {Object} [options] - Move options
+     * @param {Object|null} [options.since] - Undo step after which the changes
+     *   to the active list are undone with the move (see ListManager.moveTodo())
+     * @returns {boolean} True if the todo was moved
+     */
+    handleMoveTodo(todoId, targetListId, { since } = {}) {
+        const target = this.lists ? this.lists.getList(targetListId) : null;
+        if (!target) return false;
+
+        const moved = this.lists.moveTodo(todoId, this.lists.activeListId, targetListId, { since });
+        if (moved) {
+            this.render();
+            this.view.showMessage(`Moved "${moved.text}" to ${target.name}`, 'success', { action: this.createUndoAction() });
+        }
+        return Boolean(moved);
+    }
+
+    /**
+     * Download todos in the chosen format: every list and the theme
+     * preference as JSON, or the active list as CSV, a Markdown checklist or todo.txt
+     */
+    handleExport() {
+        const format = this.view.getExportFormat();
+        const now = new Date();
+        try {
+            if (format === 'json') {
+                const data = DataExchange.createExport(this.lists, this.storage, now);
+                this.view.downloadFile(DataExchange.getExportFileName(now), JSON.stringify(data, null, 2));
+                this.view.showMessage(`Exported ${data.metadata.todoCount} todos from ${data.metadata.listCount} lists`, 'success');
+                return;
+            }
+
+            const list = this.lists.getActiveList();
+            const todos = this.model.getAllTodos();
+            const contents = {
+                csv: () => TodoFormats.toCsv(todos),
+                markdown: () => TodoFormats.toMarkdown(todos, list.name),
+                todotxt: () => TodoTxt.serialize(todos, { now })
+            }[format]();
+            this.view.downloadFile(TodoFormats.getExportFileName(list.name, format, now), contents, TodoFormats.FILE_TYPES[format].mimeType);
+            this.view.showMessage(`Exported ${todos.length} todos from ${list.name}`, 'success');
+        } catch (error) {
+            this.view.showMessage(`Export failed: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Validate an import file and show its preview
+     * CSV, Markdown and todo.txt files are imported into the active list instead.
+     * @param {File} file - File chosen by the user
+     */
+    async handleImportFile(file) {
+        let text;
+        try {
+            text = await this.view.readFile(file);
+        } catch (error) {
+            this.view.showMessage(`Could not read ${file.name}: ${error.message}`, 'error');
+            return;
+        }
+
+        const format = TodoFormats.getFormatForFile(file.name);
+        if (format && format !== 'json') {
+            this.handleImportTodos(file.name, text, format);
+            return;
+        }
+
+        const { data, errors } = DataExchange.parseImport(text);
+        if (!data) {
+            this.view.showMessage(`${file.name} cannot be imported:\n${errors.join('\n')}`, 'error');
+            return;
+        }
+
+        this.pendingImport = data;
+        this.view.showImportPreview(DataExchange.previewImport(this.lists, data));
+    }
+
+    /**
+     * Import a CSV, Markdown checklist or todo.txt file into the active list
+     * after confirmation. CSV rows with the id of an existing todo and
+     * todo.txt lines imported before update that todo; everything else is added.
+     * @param {string} fileName - Name of the file, for messages
+     * @param {string} text - File contents
+     * @param {string} format - 'csv', 'markdown' or 'todotxt'
+     * @returns {Promise<void>}
+     */
+    async handleImportTodos(fileName, text, format) {
+        const list = this.lists.getActiveList();
+        let count;
+        if (format === 'csv') {
+            const { todos, errors } = TodoFormats.parseCsv(text);
+            if (!todos) {
+                this.view.showMessage(`${fileName} cannot be imported:\n${errors.join('\n')}`, 'error');
+                return;
+            }
+            count = todos.length;
+        } else if (format === 'todotxt') {
+            count = TodoTxt.parse(text).length;
+        } else {
+            count = TodoFormats.parseMarkdown(text).items.length;
+        }
+
+        if (count === 0) {
+            this.view.showMessage(`${fileName} does not contain any todos`, 'error');
+            return;
+        }
+        const confirmMessage = `Import ${count} todo${count !== 1 ? 's' : ''} from ${fileName} into "${list.name}"?`;
+        if (!(await this.view.showConfirmation(confirmMessage, { title: 'Import todos', confirmLabel: 'Import' }))) {
+            return;
+        }
+
+        try {
+            if (format === 'csv' || format === 'todotxt') {
+                const result = format === 'csv'
+                    ? TodoFormats.importCsv(this.model, text)
+                    : TodoFormats.importTodoTxt(this.model, text);
+                this.view.showMessage(`Imported ${fileName}: ${result.added} todos added, ${result.updated} updated`, 'success');
+            } else {
+                const created = TodoFormats.addChecklist(this.model, text);
+                this.view.showMessage(`Imported ${created.length} todos from ${fileName}`, 'success');
+            }
+        } catch (error) {
+            this.view.showMessage(`Import failed: ${error.message}`, 'error');
+        }
+        this.render();
+    }
+
+    /**
+     * Import the previewed data with the options chosen in the preview
+     * @returns {Promise<void>}
+     */
+    async handleConfirmImport() {
+        if (!this.pendingImport) return;
+
+        const { includePreferences, ...options } = this.view.getImportOptions();
+        if (options.mode === 'replace' &&
+            !(await this.view.showConfirmation('Replace all of your lists and todos with the imported ones? This cannot be undone.',
+                { title: 'Replace all lists', confirmLabel: 'Replace', danger: true }))) {
+            return;
+        }
+
+        try {
+            const result = DataExchange.applyImport(this.lists, this.pendingImport, options);
+            const preferences = this.pendingImport.preferences || {};
+            if (includePreferences && preferences.theme) {
+                this.setTheme(preferences.theme);
+            }
+            if (includePreferences && preferences.sortMode) {
+                this.handleSortChange(preferences.sortMode);
+            }
+
+            this.pendingImport = null;
+            this.view.hideImportPreview();
+            this.view.cancelEdit();
+            this.model = this.lists.getActiveModel();
+            this.render();
+
+            const kept = result.kept ? `, kept ${result.kept} of yours` : '';
+            this.view.showMessage(`Imported ${result.lists} lists: ${result.added} todos added, ${result.updated} updated${kept}`, 'success');
+        } catch (error) {
+            this.view.showMessage(`Import failed: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Close the import preview without importing
+     */
+    handleCancelImport() {
+        this.pendingImport = null;
+        this.view.hideImportPreview();
+    }
+
+    /**
+     * Handle clearing the search input
+     */
+    handleClearSearch() {
+        const searchInput = document.getElementById('searchInput');
+        searchInput.value = '';
+        this.searchTerm = '';
+        this.render();
+    }
+
+    /**
+     * Handle click events in the todo list
+     * @param {Event} e - Click event
+     */
+    handleTodoListClick(e) {
+        const action = e.target.dataset.action;
+        const id = e.target.dataset.id;
+
+        if (!action) {
+            this.handleTodoRowClick(e);
+            return;
+        }
+        if (!id) return;
+
+        switch (action) {
+            case 'edit':
+                this.handleEditTodo(id);
+                break;
+            case 'delete':
+                this.handleDeleteTodo(id);
+                break;
+            case 'cancel-edit':
+                this.handleCancelEdit();
+                break;
+            case 'filter-tag':
+                this.handleTagFilter(e.target.dataset.tag);
+                break;
+            case 'toggle-collapse':
+                this.handleToggleCollapsed(id);
+                break;
+            case 'add-subtask':
+                this.handleAddSubtask(id);
+                break;
+            case 'toggle-notes':
+                this.view.toggleNotes(id);
+                this.render();
+                break;
+        }
+    }
+
+    /**
+     * Select the todo whose row was clicked outside its buttons and fields
+     * Ctrl+click (Cmd+click on a Mac) adds or removes it, Shift+click selects the range up to it.
+     * @param {MouseEvent} e - Click event
+     */
+    handleTodoRowClick(e) {
+        const item = e.target.closest('.todo-item');
+        if (!item || e.target.closest('button, input, select, textarea, a, summary, form, .drag-handle, .drag-handle-disabled')) {
+            return;
+        }
+
+        this.view.setFocusedTodo(item.dataset.id);
+        this.handleSelectTodo(item.dataset.id, { toggle: e.ctrlKey || e.metaKey, extend: e.shiftKey });
+    }
+
+    /**
+     * Handle form submissions in the todo list
+     * @param {Event} e - Submit event
+     */
+    handleTodoListSubmit(e) {
+        e.preventDefault();
+        const action = e.target.dataset.action;
+        const id = e.target.dataset.id;
+
+        if (action === 'save-edit' && id) {
+            this.handleSaveEdit(id, e.target);
+        }
+    }
+
+    /**
+     * Handle change events in the todo list (checkboxes)
+     * @param {Event} e - Change event
+     */
+    handleTodoListChange(e) {
+        const action = e.target.dataset.action;
+        const id = e.target.dataset.id;
+
+        if (action === 'toggle' && id) {
+            this.handleToggleTodo(id);
+        } else if (action === 'set-priority' && id) {
+            this.handleSetPriority(id, e.target.value);
+        }
+    }
+
+    /**
+     * Handle keyboard interactions for drag handles
      * @param {Event} e - Keyboard event
      */
     handleDragHandleKeyboard(e) {
@@ -835,16 +1669,41 @@ class TodoController {
         if (!todoItem) return;
 
         const todoId = todoItem.dataset.id;
-        const currentTodos = this.getCurrentTodos();
+        const todo = this.model.getTodo(todoId);
+        if (!todo) return;
+
+        // Subtasks move among their siblings; top-level todos within the visible list
+        const visibleTodos = this.getCurrentTodos();
+        const currentTodos = todo.parentId ? this.model.getSubtasks(todo.parentId) : visibleTodos;
         const currentIndex = currentTodos.findIndex(t => t.id === todoId);
         
         if (currentIndex === -1) return;
 
         let newIndex = currentIndex;
         let moved = false;
+        const refocus = () => setTimeout(() => {
+            const handle = document.querySelector(`[data-id="${todoId}"] .drag-handle`);
+            if (handle) {
+                handle.focus();
+            }
+        }, 100);
 
-        // Arrow keys for reordering
+        // Arrow keys for reordering, Right/Left to indent/outdent
         switch (e.key) {
+            case 'ArrowRight':
+                if (!todo.parentId && currentIndex > 0) {
+                    e.preventDefault();
+                    this.handleIndentTodo(todoId, currentTodos[currentIndex - 1].id);
+                    refocus();
+                }
+                return;
+            case 'ArrowLeft':
+                if (todo.parentId) {
+                    e.preventDefault();
+                    this.handleOutdentTodo(todoId);
+                    refocus();
+                }
+                return;
             case 'ArrowUp':
                 if (currentIndex > 0) {
                     newIndex = currentIndex - 1;
@@ -879,15 +1738,14 @@ class TodoController {
 
         if (moved) {
             e.preventDefault();
-            this.handleReorderTodo(todoId, newIndex);
+            if (todo.parentId) {
+                this.handleReorderSubtask(todoId, currentTodos[newIndex].id);
+            } else {
+                this.handleReorderTodo(todoId, newIndex);
+            }
             
             // Keep focus on the drag handle after reorder
-            setTimeout(() => {
-                const newTodoItem = document.querySelector(`[data-id="${todoId}"] .drag-handle`);
-                if (newTodoItem) {
-                    newTodoItem.focus();
-                }
-            }, 100);
+            refocus();
         }
     }
 
@@ -897,21 +1755,184 @@ class TodoController {
      * @param {number} newIndex - New index position
      */
     handleReorderTodo(todoId, newIndex) {
-        // Calculate actual index if we're dealing with filtered results
-        if (this.searchTerm) {
-            const filteredTodos = this.model.filterTodos(this.searchTerm);
-            const allTodos = this.model.getAllTodos();
-            const targetTodo = filteredTodos[newIndex];
-            const actualTargetIndex = allTodos.findIndex(todo => todo.id === targetTodo.id);
-            
-            if (this.model.reorderTodo(todoId, actualTargetIndex)) {
+        // newIndex is a position in the visible list; hidden todos keep their ranks
+        const currentTodos = this.getCurrentTodos();
+        const targetTodo = currentTodos[newIndex];
+        if (!targetTodo) return;
+
+        const scopeIds = this.getReorderScopeIds(todoId, currentTodos);
+        const scopeIndex = scopeIds.indexOf(targetTodo.id);
+        if (scopeIndex === -1) {
+            this.view.showMessage('Todos can only be reordered within the same priority while sorted by priority', 'info');
+            return;
+        }
+
+        if (this.model.reorderTodo(todoId, scopeIndex, scopeIds)) {
+            this.render();
+        }
+    }
+
+    /**
+     * Handle moving a subtask to the position of one of its siblings
+     * @param {string} todoId - ID of the subtask to move
+     * @param {string} targetId - ID of the sibling whose position it takes
+     */
+    handleReorderSubtask(todoId, targetId) {
+        const todo = this.model.getTodo(todoId);
+        if (!todo || !todo.parentId) return;
+
+        const siblingIds = this.model.getSubtasks(todo.parentId).map(subtask => subtask.id);
+        const targetIndex = siblingIds.indexOf(targetId);
+        if (targetIndex !== -1 && this.model.reorderTodo(todoId, targetIndex, siblingIds)) {
+            this.render();
+        }
+    }
+
+    /**
+     * Handle turning a todo into a subtask of another todo
+     * @param {string} id - Todo ID
+     * @param {string} parentId - New parent ID
+     */
+    handleIndentTodo(id, parentId) {
+        try {
+            if (this.model.indentTodo(id, parentId)) {
                 this.render();
             }
-        } else {
-            if (this.model.reorderTodo(todoId, newIndex)) {
+        } catch (error) {
+            this.view.showMessage(error.message, 'error');
+        }
+    }
+
+    /**
+     * Handle turning a subtask back into a top-level todo
+     * @param {string} id - Subtask ID
+     */
+    handleOutdentTodo(id) {
+        if (this.model.outdentTodo(id)) {
+            this.render();
+        }
+    }
+
+    /**
+     * Handle adding a subtask to a todo
+     * @param {string} parentId - Parent todo ID
+     * @returns {Promise<void>}
+     */
+    async handleAddSubtask(parentId) {
+        const parent = this.model.getTodo(parentId);
+        if (!parent) return;
+
+        const text = await this.view.promptForText(`Add a subtask to "${parent.text}":`, { title: 'Add subtask', confirmLabel: 'Add' });
+        // The parent may have been deleted, e.g. in another tab, while the dialog was open
+        if (text === null || !text.trim() || !this.model.getTodo(parentId)) return;
+
+        try {
+            this.model.addTodo(text, { parentId });
+            if (parent.collapsed) {
+                this.model.toggleCollapsed(parentId);
+            }
+            this.render();
+        } catch (error) {
+            this.view.showMessage(error.message, 'error');
+        }
+    }
+
+    /**
+     * Handle collapsing or expanding a todo's subtasks
+     * @param {string} id - Parent todo ID
+     */
+    handleToggleCollapsed(id) {
+        if (this.model.toggleCollapsed(id)) {
+            this.render();
+        }
+    }
+
+    /**
+     * Handle changing whether search also matches notes
+     * @param {boolean} enabled - New preference
+     */
+    handleSearchNotesChange(enabled) {
+        this.searchNotes = Boolean(enabled);
+        try {
+            this.storage.setItem('todo-search-notes', String(this.searchNotes));
+        } catch (e) {
+            console.warn('Failed to save notes search preference:', e);
+        }
+        if (this.searchTerm) {
+            this.render();
+        }
+    }
+
+    /**
+     * Handle changing whether completing every subtask completes the parent
+     * @param {boolean} enabled - New preference
+     */
+    handleAutoCompleteParentsChange(enabled) {
+        this.autoCompleteParents = Boolean(enabled);
+        try {
+            this.storage.setItem('todo-auto-complete-parents', String(this.autoCompleteParents));
+        } catch (e) {
+            console.warn('Failed to save subtask preference:', e);
+        }
+    }
+
+    /**
+     * Get the ids of the visible todos a todo may be reordered among.
+     * In manual sort that is the whole visible list; when sorted by priority
+     * it is only the visible todos sharing the dragged todo's priority, so
+     * dragging never scrambles the manual order across priority groups.
+     * @param {string} todoId - ID of the todo being moved
+     * @param {Array} currentTodos - Visible todos in display order
+     * @returns {Array<string>} Ordered ids of the reorder scope
+     */
+    getReorderScopeIds(todoId, currentTodos) {
+        if (this.sortMode !== 'priority') {
+            return currentTodos.map(todo => todo.id);
+        }
+
+        const movedTodo = this.model.getTodo(todoId);
+        const weight = movedTodo ? this.model.getPriorityWeight(movedTodo) : 0;
+        return currentTodos
+            .filter(todo => this.model.getPriorityWeight(todo) === weight)
+            .map(todo => todo.id);
+    }
+
+    /**
+     * Handle changing a todo's priority
+     * @param {string} id - Todo ID
+     * @param {string} priority - New priority level
+     */
+    handleSetPriority(id, priority) {
+        try {
+            if (this.model.setPriority(id, priority)) {
                 this.render();
             }
+        } catch (error) {
+            this.view.showMessage(error.message, 'error');
+        }
+    }
+
+    /**
+     * Handle changing the list sort mode
+     * @param {string} sortMode - One of TodoModel.SORT_MODES
+     */
+    handleSortChange(sortMode) {
+        if (!TodoModel.SORT_MODES.includes(sortMode)) {
+            return;
+        }
+
+        this.sortMode = sortMode;
+        const sortSelect = document.getElementById('sortSelect');
+        if (sortSelect) {
+            sortSelect.value = sortMode;
+        }
+
+        try {
+            this.storage.setItem('todo-sort-mode', sortMode);
+        } catch (e) {
+            console.warn('Failed to save sort mode:', e);
         }
+        this.render();
     }
 
     /**
@@ -919,9 +1940,23 @@ class TodoController {
      * @param {string} id - Todo ID
      */
     handleToggleTodo(id) {
-        const updatedTodo = this.model.toggleTodo(id);
+        // Completing a repeating todo (or the parent it completes) adds its next occurrence
+        const knownIds = new Set(this.model.getAllTodos().map(todo => todo.id));
+
+        let updatedTodo;
+        try {
+            updatedTodo = this.model.toggleTodo(id, { autoCompleteParent: this.autoCompleteParents });
+        } catch (error) {
+            this.view.showMessage(error.message, 'error');
+            return;
+        }
         if (updatedTodo) {
             this.render();
+            this.model.getAllTodos()
+                .filter(todo => !knownIds.has(todo.id) && !todo.parentId)
+                .forEach(next => {
+                    this.view.showMessage(`Next "${next.text}" is due ${DateUtils.formatDueDate(next)}`, 'success');
+                });
         }
     }
 
@@ -947,6 +1982,18 @@ class TodoController {
     handleSaveEdit(id, form) {
         const input = form.querySelector('.edit-input');
         const newText = input.value.trim();
+        const dueDateInput = form.querySelector('.edit-due-date');
+        const dueTimeInput = form.querySelector('.edit-due-time');
+        const tagsInput = form.querySelector('.edit-tags');
+        const repeatInput = form.querySelector('.edit-repeat');
+        const notesInput = form.querySelector('.edit-notes');
+        const listSelect = form.querySelector('.edit-list');
+        const details = {};
+        if (dueDateInput) details.dueDate = dueDateInput.value;
+        if (dueTimeInput) details.dueTime = dueTimeInput.value;
+        if (tagsInput) details.tags = tagsInput.value.split(/[\s,]+/).filter(Boolean);
+        if (repeatInput) details.recurrence = repeatInput.value.trim();
+        if (notesInput) details.notes = notesInput.value;
 
         if (!newText) {
             this.view.showMessage('Todo text cannot be empty', 'error');
@@ -955,10 +2002,16 @@ class TodoController {
         }
 
         try {
-            const updatedTodo = this.model.updateTodo(id, newText);
+            const lastChange = this.model.getLastChange();
+            const updatedTodo = this.model.updateTodo(id, newText, details);
             if (updatedTodo) {
                 this.view.cancelEdit();
-                this.render();
+                if (listSelect && listSelect.value) {
+                    // Saving and moving is one change, undone in one step
+                    this.handleMoveTodo(id, listSelect.value, { since: lastChange });
+                } else {
+                    this.render();
+                }
             }
         } catch (error) {
             this.view.showMessage(error.message, 'error');
@@ -977,31 +2030,397 @@ class TodoController {
     /**
      * Handle deleting a todo
      * @param {string} id - Todo ID
+     * @returns {Promise<void>}
      */
-    handleDeleteTodo(id) {
+    async handleDeleteTodo(id) {
         const todo = this.model.getTodo(id);
         if (!todo) return;
 
-        const confirmMessage = `Are you sure you want to delete "${todo.text}"?`;
-        if (this.view.showConfirmation(confirmMessage)) {
+        const subtaskCount = this.model.getSubtasks(id).length;
+        const confirmMessage = subtaskCount > 0
+            ? `Are you sure you want to delete "${todo.text}" and its ${subtaskCount} subtask${subtaskCount !== 1 ? 's' : ''}?`
+            : `Are you sure you want to delete "${todo.text}"?`;
+        if (await this.view.showConfirmation(confirmMessage, { title: 'Delete todo', confirmLabel: 'Delete', danger: true })) {
+            const editingTodo = this.model.getTodo(this.view.getEditingId());
             const wasDeleted = this.model.deleteTodo(id);
             if (wasDeleted) {
-                // If we were editing this todo, cancel the edit
-                if (this.view.getEditingId() === id) {
+                // If we were editing this todo or one of its subtasks, cancel the edit
+                if (editingTodo && (editingTodo.id === id || editingTodo.parentId === id)) {
                     this.view.cancelEdit();
                 }
                 this.render();
+                this.view.showMessage(`Deleted "${todo.text}"`, 'success', { action: this.createUndoAction() });
+            }
+        }
+    }
+
+    /**
+     * Undo the last change to the active list
+     * @returns {boolean} True if a change was undone
+     */
+    handleUndo() {
+        return this.applyHistoryStep(() => this.model.undo(), 'Change undone', 'Nothing to undo');
+    }
+
+    /**
+     * Redo the last undone change to the active list
+     * @returns {boolean} True if a change was redone
+     */
+    handleRedo() {
+        return this.applyHistoryStep(() => this.model.redo(), 'Change redone', 'Nothing to redo');
+    }
+
+    /**
+     * Build the Undo button for a message about the change just made
+     * The button only undoes that change: once another change was made, or
+     * another list is shown, it says so instead of undoing something else.
+     * @returns {Object} Toast action { label, onClick }
+     */
+    createUndoAction() {
+        const model = this.model;
+        const operation = model.getLastChange();
+        return {
+            label: 'Undo',
+            onClick: () => {
+                if (model !== this.model || model.getLastChange() !== operation) {
+                    this.view.showMessage('That change can no longer be undone from here', 'info');
+                    return;
+                }
+                this.handleUndo();
             }
+        };
+    }
+
+    /**
+     * Run an undo or redo step and show its result
+     * An edit in progress on a todo the step changes is closed, since its
+     * form no longer matches the todo.
+     * @param {Function} step - Returns the operation it applied, or null
+     * @param {string} doneMessage - Message when a change was applied
+     * @param {string} emptyMessage - Message when there was nothing to apply
+     * @returns {boolean} True if a change was applied
+     * @private
+     */
+    applyHistoryStep(step, doneMessage, emptyMessage) {
+        const editingId = this.view.getEditingId();
+        const operation = step();
+        if (!operation) {
+            this.view.showMessage(emptyMessage, 'info');
+            return false;
+        }
+
+        if (editingId && operation.changes.some(change => change.id === editingId)) {
+            this.view.cancelEdit();
+        }
+        this.render();
+        this.view.showMessage(doneMessage, 'success');
+        return true;
+    }
+
+    /**
+     * Move the keyboard cursor to the next or previous todo
+     * @param {number} step - 1 for the todo below, -1 for the todo above
+     * @returns {boolean} True if the cursor moved
+     */
+    handleMoveFocus(step) {
+        if (!this.view.moveFocus(step)) {
+            return false;
         }
+        this.view.focusTodoRow();
+        return true;
+    }
+
+    /**
+     * Complete or reopen the focused todo
+     * @returns {boolean} True if there was a focused todo
+     */
+    handleToggleFocusedTodo() {
+        const id = this.view.getFocusedId();
+        if (!id) return false;
+
+        this.handleToggleTodo(id);
+        return true;
+    }
+
+    /**
+     * Start editing the focused todo
+     * @returns {boolean} True if there was a focused todo
+     */
+    handleEditFocusedTodo() {
+        const id = this.view.getFocusedId();
+        if (!id) return false;
+
+        this.handleEditTodo(id);
+        return true;
+    }
+
+    /**
+     * Delete the focused todo, or every selected todo if the focused one is selected
+     * @returns {Promise<boolean>} True if there was a focused todo
+     */
+    async handleDeleteFocusedTodo() {
+        const id = this.view.getFocusedId();
+        if (!id) return false;
+
+        if (this.view.getSelectedIds().includes(id)) {
+            await this.handleBulkDelete();
+        } else {
+            await this.handleDeleteTodo(id);
+        }
+        return true;
+    }
+
+    /**
+     * Move the focused todo one place up or down; a subtask moves among its siblings
+     * @param {number} step - -1 to move it up, 1 to move it down
+     * @returns {boolean} True if the todo was moved
+     */
+    handleMoveFocusedTodo(step) {
+        const todo = this.model.getTodo(this.view.getFocusedId());
+        if (!todo) return false;
+
+        const siblings = todo.parentId ? this.model.getSubtasks(todo.parentId) : this.getCurrentTodos();
+        const index = siblings.findIndex(sibling => sibling.id === todo.id);
+        const target = siblings[index + step];
+        if (index === -1 || !target) return false;
+
+        if (todo.parentId) {
+            this.handleReorderSubtask(todo.id, target.id);
+        } else {
+            this.handleReorderTodo(todo.id, index + step);
+        }
+        return true;
+    }
+
+    /**
+     * Change the selection (see TodoView.selectTodo)
+     * @param {string} id - Todo ID
+     * @param {Object} [options] - { toggle, extend }
+     * @returns {boolean} True if the todo could be selected
+     */
+    handleSelectTodo(id, options = {}) {
+        const selected = this.view.selectTodo(id, options);
+        if (selected) {
+            this.render();
+        }
+        return selected;
+    }
+
+    /**
+     * Select every shown todo
+     * @returns {number} Number of todos selected
+     */
+    handleSelectAll() {
+        const count = this.view.selectAll();
+        this.render();
+        return count;
+    }
+
+    /**
+     * Grow or shrink the selection by one row
+     * @param {number} step - 1 for the row below, -1 for the row above
+     * @returns {boolean} True if the selection changed
+     */
+    handleExtendSelection(step) {
+        const changed = this.view.extendSelection(step);
+        if (changed) {
+            this.render();
+        }
+        return changed;
+    }
+
+    /**
+     * Unselect every todo
+     * @returns {boolean} True if something was selected
+     */
+    handleClearSelection() {
+        if (!this.view.hasSelection()) {
+            return false;
+        }
+        this.view.clearSelection();
+        this.render();
+        return true;
+    }
+
+    /**
+     * Run a button or select of the bulk action bar
+     * @param {string} action - data-bulk value of the control
+     * @param {string} [value] - Value chosen in a select
+     * @returns {*} Result of the bulk handler
+     */
+    handleBulkAction(action, value) {
+        switch (action) {
+            case 'complete':
+                return this.handleBulkComplete(true);
+            case 'uncomplete':
+                return this.handleBulkComplete(false);
+            case 'delete':
+                return this.handleBulkDelete();
+            case 'tag':
+                return this.handleBulkTag();
+            case 'priority':
+                return this.handleBulkPriority(value);
+            case 'move':
+                return this.handleBulkMove(value);
+            case 'clear':
+                return this.handleClearSelection();
+        }
+        return undefined;
+    }
+
+    /**
+     * Complete or reopen the selected todos as one change
+     * @param {boolean} completed - True to complete, false to reopen
+     * @returns {number} Number of todos changed
+     */
+    handleBulkComplete(completed) {
+        const ids = this.view.getSelectedIds();
+        if (ids.length === 0) return 0;
+
+        let count;
+        try {
+            count = this.model.setTodosCompleted(ids, completed, { autoCompleteParent: this.autoCompleteParents });
+        } catch (error) {
+            this.view.showMessage(error.message, 'error');
+            return 0;
+        }
+
+        this.render();
+        if (count === 0) {
+            this.view.showMessage(`The selected todos are already ${completed ? 'completed' : 'active'}`, 'info');
+        } else {
+            this.view.showMessage(`${completed ? 'Completed' : 'Reopened'} ${this.formatTodoCount(count)}`, 'success',
+                { action: this.createUndoAction() });
+        }
+        return count;
+    }
+
+    /**
+     * Delete the selected todos, with their subtasks, as one change after confirmation
+     * @returns {Promise<number>} Number of todos deleted
+     */
+    async handleBulkDelete() {
+        const ids = this.view.getSelectedIds();
+        if (ids.length === 0) return 0;
+
+        const confirmMessage = `Are you sure you want to delete ${ids.length === 1 ? 'the selected todo' : `the ${ids.length} selected todos`}?`;
+        if (!(await this.view.showConfirmation(confirmMessage, { title: 'Delete todos', confirmLabel: 'Delete', danger: true }))) {
+            return 0;
+        }
+
+        const count = this.model.deleteTodos(ids);
+        const editingId = this.view.getEditingId();
+        if (editingId && !this.model.getTodo(editingId)) {
+            this.view.cancelEdit();
+        }
+        this.render();
+        this.view.showMessage(`Deleted ${this.formatTodoCount(count)}`, 'success', { action: this.createUndoAction() });
+        return count;
+    }
+
+    /**
+     * Ask for a tag and add it to the selected todos as one change
+     * @returns {Promise<number>} Number of todos tagged
+     */
+    async handleBulkTag() {
+        const ids = this.view.getSelectedIds();
+        if (ids.length === 0) return 0;
+
+        const tag = await this.view.promptForText('Tag to add to the selected todos:', { title: 'Tag todos', confirmLabel: 'Add tag' });
+        if (tag === null || !tag.trim()) return 0;
+
+        let count;
+        try {
+            count = this.model.addTagToTodos(ids, tag);
+        } catch (error) {
+            this.view.showMessage(error.message, 'error');
+            return 0;
+        }
+
+        this.render();
+        if (count > 0) {
+            this.view.showMessage(`Tagged ${this.formatTodoCount(count)}`, 'success', { action: this.createUndoAction() });
+        }
+        return count;
+    }
+
+    /**
+     * Set the priority of the selected todos as one change
+     * @param {string} priority - New priority level
+     * @returns {number} Number of todos changed
+     */
+    handleBulkPriority(priority) {
+        const ids = this.view.getSelectedIds();
+        if (ids.length === 0) return 0;
+
+        let count;
+        try {
+            count = this.model.setTodosPriority(ids, priority);
+        } catch (error) {
+            this.view.showMessage(error.message, 'error');
+            return 0;
+        }
+
+        this.render();
+        if (count > 0) {
+            this.view.showMessage(`Changed the priority of ${this.formatTodoCount(count)}`, 'success',
+                { action: this.createUndoAction() });
+        }
+        return count;
+    }
+
+    /**
+     * Move the selected todos to another list, with one save per list
+     * @param {string} targetListId - Destination list
+     * @returns {number} Number of todos moved (subtasks moved along are not counted)
+     */
+    handleBulkMove(targetListId) {
+        const target = this.lists ? this.lists.getList(targetListId) : null;
+        const ids = this.view.getSelectedIds();
+        if (!target || ids.length === 0) return 0;
+
+        let moved;
+        try {
+            moved = this.lists.moveTodos(ids, this.lists.activeListId, targetListId);
+        } catch (error) {
+            this.view.showMessage(error.message, 'error');
+            return 0;
+        }
+
+        const editingId = this.view.getEditingId();
+        if (editingId && !this.model.getTodo(editingId)) {
+            this.view.cancelEdit();
+        }
+        this.render();
+        this.view.showMessage(`Moved ${this.formatTodoCount(moved.length)} to ${target.name}`, 'success',
+            { action: this.createUndoAction() });
+        return moved.length;
+    }
+
+    /**
+     * Format a number of todos for a message
+     * @param {number} count - Number of todos
+     * @returns {string} e.g. '1 todo' or '3 todos'
+     * @private
+     */
+    formatTodoCount(count) {
+        return `${count} todo${count !== 1 ? 's' : ''}`;
     }
 
     /**
      * Render the current state
      */
     render() {
+        if (this.lists) {
+            this.view.renderListControls(this.lists.getListSummaries(), this.lists.activeListId);
+        }
+
         const allTodos = this.model.getAllTodos();
-        const filteredTodos = this.model.filterTodos(this.searchTerm);
-        this.view.render(filteredTodos, allTodos, this.searchTerm, this.dragDropSupported);
+        const filteredTodos = this.getCurrentTodos();
+        this.view.render(filteredTodos, allTodos, this.searchTerm, this.dragDropSupported, this.statusFilter);
+        this.view.renderFilterBar(this.statusFilter, this.model.getStats());
+        this.view.renderHistoryControls(this.model.canUndo(), this.model.canRedo());
+        this.view.renderBulkActions();
     }
 
     /**
@@ -1033,6 +2452,7 @@ class TodoController {
         if (!todoItem) return;
 
         this.draggedId = todoItem.dataset.id;
+        this.dragStartX = e.clientX;
         todoItem.classList.add('dragging');
         
         // Set drag effect
@@ -1082,32 +2502,39 @@ class TodoController {
         if (!targetItem || !this.draggedId) return;
 
         const targetId = targetItem.dataset.id;
-        if (targetId === this.draggedId) return;
+        const dragged = this.model.getTodo(this.draggedId);
+        const target = this.model.getTodo(targetId);
+        targetItem.classList.remove('drag-over');
+        if (!dragged || !target) return;
 
-        // Calculate new index based on current filtered todos
-        const currentTodos = this.searchTerm ? 
-            this.model.filterTodos(this.searchTerm) : 
-            this.model.getAllTodos();
-        
-        const targetIndex = currentTodos.findIndex(todo => todo.id === targetId);
-        
-        // If we're dealing with filtered results, we need to find the actual index in the full list
-        if (this.searchTerm) {
-            const allTodos = this.model.getAllTodos();
-            const targetTodo = currentTodos[targetIndex];
-            const actualTargetIndex = allTodos.findIndex(todo => todo.id === targetTodo.id);
-            
-            if (this.model.reorderTodo(this.draggedId, actualTargetIndex)) {
-                this.render();
-            }
-        } else {
-            if (this.model.reorderTodo(this.draggedId, targetIndex)) {
-                this.render();
+        // Dragging right indents under the target's top-level todo, dragging left outdents
+        const deltaX = e.clientX - this.dragStartX;
+        const targetRootId = target.parentId || target.id;
+        if (deltaX >= TodoController.INDENT_DRAG_DISTANCE && targetRootId !== dragged.id) {
+            this.handleIndentTodo(dragged.id, targetRootId);
+            return;
+        }
+        if (deltaX <= -TodoController.INDENT_DRAG_DISTANCE && dragged.parentId) {
+            this.handleOutdentTodo(dragged.id);
+            return;
+        }
+        if (targetId === dragged.id) return;
+
+        if (dragged.parentId) {
+            // A subtask dropped into another checklist joins it
+            if (target.parentId === dragged.parentId) {
+                this.handleReorderSubtask(dragged.id, targetId);
+            } else if (targetRootId !== dragged.parentId) {
+                this.handleIndentTodo(dragged.id, targetRootId);
             }
+            return;
         }
 
-        // Clean up drag classes
-        targetItem.classList.remove('drag-over');
+        // Calculate new index based on current filtered todos
+        const currentTodos = this.getCurrentTodos();
+        const targetIndex = currentTodos.findIndex(todo => todo.id === targetRootId);
+
+        this.handleReorderTodo(this.draggedId, targetIndex);
     }
 
     /**
@@ -1128,10 +2555,21 @@ class TodoController {
     }
 
     /**
-     * Get current todos based on search filter
-     * @returns {Array} Current filtered todos
+     * Get current top-level todos based on search filter, status filter and sort mode
+     * A todo is included when it or one of its subtasks matches the search;
+     * the view renders subtasks under their parent.
+     * @returns {Array} Current filtered todos in display order
      */
     getCurrentTodos() {
-        return this.searchTerm ? this.model.filterTodos(this.searchTerm) : this.model.getAllTodos();
+        const searched = this.searchTerm
+            ? this.model.filterTodos(this.searchTerm, new Date(), { includeNotes: this.searchNotes })
+            : this.model.getAllTodos();
+        const todos = this.model.filterByStatus(this.model.getRootTodos(searched), this.statusFilter);
+        return this.model.sortTodos(todos, this.sortMode);
     }
-}
\ No newline at end of file
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TodoController;
+}
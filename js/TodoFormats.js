@@ -0,0 +1,393 @@
+/**
+ * TodoFormats - CSV and Markdown checklist import/export for a single list
+ *
+ * CSV has one todo per row. The first columns are always
+ * id, text, completed, createdAt; every other field any todo has follows in a
+ * fixed order (unknown fields alphabetically). Tags are space-separated,
+ * repeat rules use their text form (see RecurrenceRule.format) and other
+ * structured values are JSON, so an exported list imports back unchanged.
+ * Only the text column is required on import.
+ *
+ * Markdown uses GitHub-style checklists:
+ *   - [ ] Open todo #tag
+ *   - [x] Done todo
+ *     - [ ] Indented items are subtasks of the item above
+ * Headings and other lines are skipped. Imported items are created through
+ * TodoModel.addTodo, so #hashtags become tags as if they had been typed.
+ *
+ * todo.txt files are read and written by TodoTxt.
+ */
+
+const CSV_BASE_COLUMNS = ['id', 'text', 'completed', 'createdAt'];
+const CSV_KNOWN_COLUMNS = ['dueDate', 'dueTime', 'priority', 'tags', 'parentId', 'order', 'collapsed', 'notes', 'recurrence', 'completionHistory', 'nextOccurrenceId', 'updatedAt'];
+const CSV_STRING_COLUMNS = ['id', 'text', 'createdAt', 'dueDate', 'dueTime', 'priority', 'parentId', 'notes', 'nextOccurrenceId', 'updatedAt'];
+const CHECKLIST_ITEM = /^(\s*)(?:[-*+]|\d+[.)])\s+\[([ xX])\]\s+(.*\S)\s*$/;
+const CHECKLIST_HEADING = /^\s*#{1,6}\s/;
+
+class TodoFormats {
+    static FILE_TYPES = {
+        json: { extension: 'json', mimeType: 'application/json' },
+        csv: { extension: 'csv', mimeType: 'text/csv' },
+        markdown: { extension: 'md', mimeType: 'text/markdown' },
+        todotxt: { extension: 'txt', mimeType: 'text/plain' }
+    };
+
+    /**
+     * Get the format of a file from its name
+     * @param {string} fileName - e.g. 'todos.csv'
+     * @returns {string|null} A FILE_TYPES key, or null if unknown
+     */
+    static getFormatForFile(fileName) {
+        const extension = String(fileName).toLowerCase().split('.').pop();
+        if (extension === 'markdown') {
+            return 'markdown';
+        }
+        return Object.keys(this.FILE_TYPES).find(format => this.FILE_TYPES[format].extension === extension) || null;
+    }
+
+    /**
+     * Get the download file name for a list export
+     * @param {string} listName - Name of the exported list
+     * @param {string} format - A FILE_TYPES key
+     * @param {Date} [now] - Export time
+     * @returns {string} e.g. 'my-todos-2026-03-10.csv'
+     */
+    static getExportFileName(listName, format, now = new Date()) {
+        const slug = String(listName).toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '') || 'todos';
+        return `${slug}-${DateUtils.toDateKey(now)}.${this.FILE_TYPES[format].extension}`;
+    }
+
+    /**
+     * Export todos as CSV
+     * @param {Array<Object>} todos - Todos in list order
+     * @returns {string} CSV text with a header row and CRLF line endings
+     */
+    static toCsv(todos) {
+        const fields = new Set();
+        todos.forEach(todo => Object.keys(todo).forEach(field => fields.add(field)));
+        const extra = Array.from(fields).filter(field => !CSV_BASE_COLUMNS.includes(field) && !CSV_KNOWN_COLUMNS.includes(field)).sort();
+        const columns = [...CSV_BASE_COLUMNS, ...CSV_KNOWN_COLUMNS.filter(field => fields.has(field)), ...extra];
+
+        const rows = todos.map(todo => columns.map(column => this.toCsvValue(column, todo[column])));
+        return [columns, ...rows]
+            .map(row => row.map(value => this.quoteCsvField(value)).join(','))
+            .join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Convert a todo field to its CSV text
+     * @param {string} column - Field name
+     * @param {*} value - Field value
+     * @returns {string} Cell text
+     */
+    static toCsvValue(column, value) {
+        if (value === null || value === undefined) {
+            return '';
+        }
+        if (column === 'tags') {
+            return value.join(' ');
+        }
+        if (column === 'recurrence') {
+            return RecurrenceRule.format(value);
+        }
+        if (typeof value === 'string') {
+            // Strings in unknown columns that look like JSON are quoted so they import as strings
+            return CSV_STRING_COLUMNS.includes(column) || !this.isJson(value) ? value : JSON.stringify(value);
+        }
+        return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }
+
+    /**
+     * Read a CSV cell back into a todo field
+     * @param {string} column - Field name
+     * @param {string} text - Cell text (not empty)
+     * @returns {*} Field value
+     */
+    static fromCsvValue(column, text) {
+        if (CSV_STRING_COLUMNS.includes(column)) {
+            return text;
+        }
+        switch (column) {
+            case 'completed':
+            case 'collapsed':
+                return /^(true|yes|y|1|x)$/i.test(text.trim());
+            case 'order':
+                return Number(text);
+            case 'tags':
+                return text.split(/[\s,]+/).map(tag => tag.replace(/^#/, '')).filter(Boolean);
+            case 'recurrence':
+                return RecurrenceRule.parse(text);
+            default:
+                return this.isJson(text) ? JSON.parse(text) : text;
+        }
+    }
+
+    /**
+     * Check whether text is valid JSON
+     * @param {string} text - Text to check
+     * @returns {boolean} True if JSON.parse accepts it
+     */
+    static isJson(text) {
+        try {
+            JSON.parse(text);
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Quote a CSV field if it contains a comma, quote or line break
+     * @param {string} value - Field text
+     * @returns {string} Field as written to the file
+     */
+    static quoteCsvField(value) {
+        return /[",\r\n]/.test(value) || value !== value.trim() ? `"${value.replace(/"/g, '""')}"` : value;
+    }
+
+    /**
+     * Split CSV text into rows of fields (RFC 4180, with or without a BOM)
+     * @param {string} text - CSV text
+     * @returns {Array<Array<string>>} Rows, without blank lines
+     */
+    static parseCsvRows(text) {
+        const input = String(text).replace(/^\uFEFF/, '');
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let index = 0; index < input.length; index++) {
+            const char = input[index];
+            if (inQuotes) {
+                if (char !== '"') {
+                    field += char;
+                } else if (input[index + 1] === '"') {
+                    field += '"';
+                    index++;
+                } else {
+                    inQuotes = false;
+                }
+            } else if (char === '"' && field === '') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\r' || char === '\n') {
+                if (char === '\r' && input[index + 1] === '\n') {
+                    index++;
+                }
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (inQuotes) {
+            throw new Error('The CSV file has a quoted field that is never closed');
+        }
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+        return rows.filter(cells => cells.length > 1 || cells[0].trim() !== '');
+    }
+
+    /**
+     * Parse and validate CSV exported by toCsv() or written by hand
+     * @param {string} text - CSV text
+     * @returns {Object} { todos, errors } where todos is null if there are errors;
+     *   todos may lack an id or createdAt (see importCsv)
+     */
+    static parseCsv(text) {
+        let rows;
+        try {
+            rows = this.parseCsvRows(text);
+        } catch (error) {
+            return { todos: null, errors: [error.message] };
+        }
+        if (rows.length === 0) {
+            return { todos: null, errors: ['The CSV file is empty'] };
+        }
+
+        const columns = rows[0].map(column => column.trim());
+        if (!columns.includes('text')) {
+            return { todos: null, errors: ['The CSV file needs a "text" column'] };
+        }
+
+        const errors = [];
+        const todos = rows.slice(1).map((cells, rowIndex) => {
+            const line = `line ${rowIndex + 2}`;
+            const todo = { completed: false };
+            columns.forEach((column, index) => {
+                const cell = cells[index] === undefined ? '' : cells[index];
+                if (!column || cell === '') return;
+                try {
+                    todo[column] = this.fromCsvValue(column, cell);
+                } catch (error) {
+                    errors.push(`${line}.${column}: ${error.message}`);
+                }
+            });
+            // Rows without an id are new todos; validate them with a placeholder
+            errors.push(...DataExchange.validateTodo({ id: 'new', ...todo }, line));
+            return todo;
+        });
+
+        return { todos: errors.length === 0 ? todos : null, errors };
+    }
+
+    /**
+     * Import CSV into a list
+     * Rows whose id matches an existing todo update it (columns missing from
+     * the file keep their current values); all other rows are added below
+     * the existing todos in file order.
+     * @param {TodoModel} model - List to import into
+     * @param {string} text - CSV text
+     * @param {Date} [now] - Creation time for rows without createdAt
+     * @returns {Object} { added, updated, kept } counts from TodoModel.mergeTodos
+     */
+    static importCsv(model, text, now = new Date()) {
+        const { todos, errors } = this.parseCsv(text);
+        if (!todos) {
+            throw new Error(errors.join('\n'));
+        }
+
+        const ids = new Set();
+        const complete = todos.map(todo => {
+            const id = todo.id && !ids.has(todo.id) ? todo.id : model.generateId();
+            ids.add(id);
+            const existing = model.getTodo(id);
+            return {
+                dueDate: null,
+                dueTime: null,
+                priority: 'none',
+                tags: [],
+                parentId: null,
+                createdAt: now.toISOString(),
+                ...existing,
+                ...todo,
+                id
+            };
+        });
+        return model.mergeTodos(complete, { preferImported: true });
+    }
+
+    /**
+     * Import a todo.txt file into a list
+     * Tasks whose line matches a todo imported earlier update that todo,
+     * so importing the same file again does not duplicate it.
+     * @param {TodoModel} model - List to import into
+     * @param {string} text - todo.txt contents
+     * @param {Date} [now] - Creation time for tasks without a creation date
+     * @returns {Object} { added, updated, kept } counts from TodoModel.mergeTodos
+     */
+    static importTodoTxt(model, text, now = new Date()) {
+        const byLine = new Map();
+        model.getAllTodos().forEach(todo => {
+            if (todo.todoTxt && todo.todoTxt.line) {
+                byLine.set(todo.todoTxt.line, todo);
+            }
+        });
+
+        const todos = TodoTxt.parse(text, { now, createId: () => model.generateId() }).map(todo => {
+            const existing = byLine.get(todo.todoTxt.line);
+            byLine.delete(todo.todoTxt.line);
+            return existing ? { ...todo, id: existing.id, createdAt: existing.createdAt } : todo;
+        });
+        return model.mergeTodos(todos, { preferImported: true });
+    }
+
+    /**
+     * Export todos as a Markdown checklist
+     * @param {Array<Object>} todos - Todos in list order
+     * @param {string} [title] - Heading for the checklist
+     * @returns {string} Markdown text
+     */
+    static toMarkdown(todos, title = '') {
+        const formatItem = (todo, indent) => {
+            const tags = (todo.tags || []).map(tag => ` #${tag}`).join('');
+            return `${indent}- [${todo.completed ? 'x' : ' '}] ${todo.text.replace(/\s+/g, ' ')}${tags}`;
+        };
+
+        const lines = title ? [`# ${title}`, ''] : [];
+        todos.filter(todo => !todo.parentId).forEach(todo => {
+            lines.push(formatItem(todo, ''));
+            todos.filter(subtask => subtask.parentId === todo.id)
+                .forEach(subtask => lines.push(formatItem(subtask, '  ')));
+        });
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Check whether text is a Markdown checklist, e.g. when it is pasted
+     * @param {string} text - Text to check
+     * @returns {boolean} True if at least one line is a checklist item
+     */
+    static isMarkdownChecklist(text) {
+        return String(text || '').split(/\r\n?|\n/).some(line => CHECKLIST_ITEM.test(line));
+    }
+
+    /**
+     * Parse a Markdown checklist
+     * Any indented item belongs to the closest unindented item above it;
+     * subtasks are one level deep, so deeper nesting is flattened.
+     * @param {string} text - Markdown text
+     * @returns {Object} { items, skipped } where items are
+     *   { text, completed, subtasks: [{ text, completed }] } and skipped
+     *   counts non-blank lines that are not checklist items or headings
+     */
+    static parseMarkdown(text) {
+        const items = [];
+        let skipped = 0;
+
+        String(text || '').split(/\r\n?|\n/).forEach(line => {
+            const match = line.match(CHECKLIST_ITEM);
+            if (!match) {
+                if (line.trim() && !CHECKLIST_HEADING.test(line)) {
+                    skipped++;
+                }
+                return;
+            }
+
+            const [, indent, mark, itemText] = match;
+            const item = { text: itemText, completed: mark !== ' ' };
+            const parent = items[items.length - 1];
+            if (indent.replace(/\t/g, '    ').length > 0 && parent) {
+                parent.subtasks.push(item);
+            } else {
+                items.push({ ...item, subtasks: [] });
+            }
+        });
+
+        return { items, skipped };
+    }
+
+    /**
+     * Create todos from a Markdown checklist as one change
+     * Todos are built as TodoModel.addTodo would and added with one
+     * insertTodos call, so the paste is one save and one undo step.
+     * Items keep their checklist order at the top of the list.
+     * @param {TodoModel} model - List to add to
+     * @param {string} text - Markdown text
+     * @returns {Array<Object>} Created todos (top-level and subtasks) in checklist order
+     */
+    static addChecklist(model, text) {
+        const { items } = this.parseMarkdown(text);
+        const build = ({ text, completed }) => ({ ...model.createTodo(text), completed });
+        const entries = items.map(item => ({ todo: build(item), subtasks: item.subtasks.map(build) }));
+        if (entries.length === 0) {
+            return [];
+        }
+
+        model.insertTodos(entries);
+        return entries.flatMap(({ todo, subtasks }) => [todo, ...subtasks]).map(todo => model.getTodo(todo.id));
+    }
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TodoFormats;
+}
@@ -2,32 +2,362 @@
  * TodoModel - Handles data management and persistence for todos
  */
 class TodoModel {
-    constructor(storageManager = window.storageManager) {
+    // Priority levels from lowest to highest; the index is the sort weight
+    static PRIORITY_LEVELS = ['none', 'low', 'medium', 'high', 'urgent'];
+
+    // Supported list orderings: the manual drag-and-drop order, or priority first
+    static SORT_MODES = ['manual', 'priority'];
+
+    // Completion status filters shown in the filter bar
+    static STATUS_FILTERS = ['all', 'active', 'completed'];
+
+    // A tag is a run of letters, digits, '_' or '-'; in text it is written as #tag
+    static TAG_PATTERN = /^[\p{L}\p{N}_-]+$/u;
+    static HASHTAG_PATTERN = /(^|\s)#([\p{L}\p{N}_-]+)(?=\s|$)/gu;
+
+    // Notes are free-form Markdown; the cap keeps a single todo from filling storage
+    static MAX_NOTES_LENGTH = 10000;
+
+    // Number of changes that can be undone; older ones drop off the undo history
+    static MAX_UNDO_STEPS = 100;
+
+    /**
+     * @param {StorageManager} storageManager - Storage backend
+     * @param {string} [storageKey] - Key holding this list's todos (see ListManager)
+     */
+    constructor(storageManager = window.storageManager, storageKey = 'todos') {
         this.storage = storageManager;
+        this.storageKey = storageKey;
         this.todos = this.loadTodos();
+        this.savedTodos = this.copyTodos();
+        this.log = new OperationLog(storageManager, storageKey);
+        this.reconcileLog('loadTodos', 'storage');
+        this.undoStack = [];
+        this.redoStack = [];
     }
 
     /**
      * Load todos from storage with fallback support
-     * @returns {Array} Array of todo objects
+     * Saved data is upgraded to the current StorageSchema version. Data that
+     * cannot be read, and todos that cannot be upgraded, are quarantined (see
+     * quarantine()) instead of being dropped.
+     * @returns {Array} Array of todo objects sorted by their manual order
      */
     loadTodos() {
+        this.recoveryInfo = null;
+        let saved = null;
         try {
-            const saved = this.storage.getItem('todos');
-            return saved ? JSON.parse(saved) : [];
+            saved = this.storage.getItem(this.storageKey);
+            if (!saved) {
+                return [];
+            }
+            const { todos, rejected } = StorageSchema.parse(saved);
+            if (rejected.length > 0) {
+                this.quarantine(JSON.stringify(rejected.map(entry => entry.todo)),
+                    `${rejected.length} saved todo(s) could not be read: ${rejected[0].reason}`);
+            }
+            return this.normalizeHierarchy(this.normalizeOrder(todos));
         } catch (e) {
             console.warn('Failed to load todos from storage:', e);
+            if (saved) {
+                this.quarantine(saved, e.message);
+            }
             return [];
         }
     }
 
+    /**
+     * Keep unreadable saved data under this list's recovery key
+     * Entries are { quarantinedAt, reason, data } with the raw saved text; the
+     * newest StorageSchema.MAX_RECOVERY_ENTRIES are kept. Sets recoveryInfo so
+     * the controller can tell the user where the data went.
+     * @param {string} data - Saved text that could not be read
+     * @param {string} reason - Why it could not be read
+     */
+    quarantine(data, reason) {
+        const key = StorageSchema.getRecoveryKey(this.storageKey);
+        let entries = [];
+        try {
+            const existing = JSON.parse(this.storage.getItem(key));
+            entries = Array.isArray(existing) ? existing : [];
+        } catch (e) {
+            entries = [];
+        }
+
+        entries.push({ quarantinedAt: new Date().toISOString(), reason, data });
+        try {
+            this.storage.setItem(key, JSON.stringify(entries.slice(-StorageSchema.MAX_RECOVERY_ENTRIES)));
+            this.recoveryInfo = { key, reason };
+        } catch (error) {
+            console.error('Failed to quarantine unreadable todos:', error);
+        }
+    }
+
+    /**
+     * Ensure every todo has a numeric order rank and sort the array by it.
+     * Todos saved before ranks existed get one from their array position,
+     * so the order users saw before upgrading is preserved.
+     * @param {Array} todos - Todos as loaded from storage
+     * @returns {Array} The same todos, ranked and sorted
+     */
+    normalizeOrder(todos) {
+        if (!Array.isArray(todos)) {
+            return [];
+        }
+
+        todos.forEach((todo, index) => {
+            if (typeof todo.order !== 'number' || !isFinite(todo.order)) {
+                todo.order = index;
+            }
+        });
+
+        // Array.prototype.sort is stable, so todos with equal ranks keep their saved order
+        todos.sort((a, b) => a.order - b.order);
+
+        // Reordering swaps ranks between todos, which only works if ranks are unique
+        const hasDuplicateRanks = todos.some((todo, index) => index > 0 && todo.order === todos[index - 1].order);
+        if (hasDuplicateRanks) {
+            todos.forEach((todo, index) => {
+                todo.order = index;
+            });
+        }
+
+        return todos;
+    }
+
+    /**
+     * Ensure every todo has a valid parentId
+     * Subtasks are one level deep: a parentId must point to an existing
+     * top-level todo, otherwise the todo is promoted to the top level.
+     * @param {Array} todos - Todos as loaded from storage
+     * @returns {Array} The same todos with parentId set to an id or null
+     */
+    normalizeHierarchy(todos) {
+        const byId = new Map(todos.map(todo => [todo.id, todo]));
+        todos.forEach(todo => {
+            const parent = todo.parentId ? byId.get(todo.parentId) : null;
+            const parentIsTopLevel = parent && parent !== todo && !parent.parentId;
+            todo.parentId = parentIsTopLevel ? parent.id : null;
+        });
+        return todos;
+    }
+
+    /**
+     * Get the rank that places a todo above every existing todo
+     * @returns {number} Order rank for a new top-of-list todo
+     */
+    getTopOrder() {
+        if (this.todos.length === 0) {
+            return 0;
+        }
+        return Math.min(...this.todos.map(todo => todo.order)) - 1;
+    }
+
+    /**
+     * Get the rank that places a todo below every existing todo
+     * Used for new subtasks, which are listed after their siblings.
+     * @returns {number} Order rank for a new bottom-of-list todo
+     */
+    getBottomOrder() {
+        if (this.todos.length === 0) {
+            return 0;
+        }
+        return Math.max(...this.todos.map(todo => todo.order)) + 1;
+    }
+
+    /**
+     * Copy the todos as they are now, to tell later what a save changed
+     * @returns {Array<Object>} Deep copies of the todos
+     */
+    copyTodos() {
+        return JSON.parse(JSON.stringify(this.todos));
+    }
+
+    /**
+     * Find the todos changed since the last successful save and set their updatedAt
+     * Doing this on save covers every kind of change, including reordering.
+     * @param {Date} [now] - Change time
+     * @returns {Array<Object>} Changes ({ id, before, after }), see OperationLog
+     */
+    collectChanges(now = new Date()) {
+        const content = ({ updatedAt, ...todo }) => JSON.stringify(todo);
+        const previous = new Map(this.savedTodos.map(todo => [todo.id, todo]));
+        this.todos.forEach(todo => {
+            const saved = previous.get(todo.id);
+            if (!saved || content(saved) !== content(todo)) {
+                todo.updatedAt = now.toISOString();
+            }
+        });
+
+        return OperationLog.diff(this.savedTodos, this.todos);
+    }
+
+    /**
+     * Log changes to the saved list that were not made through this model,
+     * such as data saved by an older version, a restored backup or a sync
+     * Starts the log if the list has none yet.
+     * @param {string} type - Operation type to log them as
+     * @param {string} actor - Who made them
+     */
+    reconcileLog(type, actor) {
+        const logged = this.log.rebuild();
+        if (logged === null) {
+            this.log.start(this.todos);
+            return;
+        }
+        this.log.record(type, OperationLog.diff(logged, this.todos), { actor });
+    }
+
+    /**
+     * Get the logged operations of this list (see OperationLog)
+     * @param {string} [todoId] - Only operations that touched this todo
+     * @returns {Array<Object>} Operations, oldest first
+     */
+    getHistory(todoId = null) {
+        return this.log.getHistory(todoId);
+    }
+
+    /**
+     * Check whether there is a change to undo
+     * @returns {boolean} True if undo() would change something
+     */
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    /**
+     * Check whether there is an undone change to redo
+     * @returns {boolean} True if redo() would change something
+     */
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Get the change undo() would undo
+     * @returns {Object|null} Operation (see OperationLog) or step shared with
+     *   other lists (see addSharedStep()), or null if there is none
+     */
+    getLastChange() {
+        return this.undoStack.length > 0 ? this.undoStack[this.undoStack.length - 1] : null;
+    }
+
+    /**
+     * Undo the last change made through this model
+     * Every todo the change touched gets back exactly the state it had before,
+     * including its id, createdAt and position; only updatedAt is new, so the
+     * undo reaches other tabs and devices like any other change. The undo is
+     * itself logged, as an 'undo' operation. A step shared with other lists
+     * is undone in all of them.
+     * @returns {Object|null} The step that was undone, or null if there was none
+     */
+    undo() {
+        const step = this.getLastChange();
+        if (!step) {
+            return null;
+        }
+        (step.models || [this]).forEach(model => model.shiftStep(step, true));
+        if (step.models) {
+            step.undo();
+        } else {
+            this.applyOperations([OperationLog.invert(step)], 'undo');
+        }
+        return step;
+    }
+
+    /**
+     * Make the last undone change again
+     * @returns {Object|null} The step that was redone, or null if there was none
+     */
+    redo() {
+        const step = this.redoStack.length > 0 ? this.redoStack[this.redoStack.length - 1] : null;
+        if (!step) {
+            return null;
+        }
+        (step.models || [this]).forEach(model => model.shiftStep(step, false));
+        if (step.models) {
+            step.redo();
+        } else {
+            this.applyOperations([step], 'redo');
+        }
+        return step;
+    }
+
+    /**
+     * Move a step from the undo history to the top of the redo history or back
+     * @param {Object} step - Step to move (a shared step may be missing where it comes from)
+     * @param {boolean} undone - True to move it to the redo history
+     * @private
+     */
+    shiftStep(step, undone) {
+        const [from, to] = undone ? [this.undoStack, this.redoStack] : [this.redoStack, this.undoStack];
+        const index = from.lastIndexOf(step);
+        if (index !== -1) {
+            from.splice(index, 1);
+        }
+        to.push(step);
+    }
+
+    /**
+     * Apply operations to the list and save it, e.g. to undo or redo a change
+     * @param {Array<Object>} operations - Operations (see OperationLog), in order
+     * @param {string} type - Mutation being saved, for the operation log
+     * @returns {boolean} True if saved
+     */
+    applyOperations(operations, type) {
+        this.todos = operations.reduce((todos, operation) => OperationLog.apply(todos, operation), this.todos);
+        return this.saveTodos(type);
+    }
+
+    /**
+     * Put a step on top of the undo history and drop the redo history
+     * @param {Object} step - Operation or shared step
+     * @private
+     */
+    addUndoStep(step) {
+        this.undoStack.push(step);
+        this.undoStack.splice(0, this.undoStack.length - TodoModel.MAX_UNDO_STEPS);
+        this.redoStack = [];
+    }
+
+    /**
+     * Replace the latest undo steps with one step shared with other lists
+     * Used for changes that span lists, such as moving todos between lists
+     * (see ListManager.recordMove()), so one undo reverts all of it. A
+     * shared step is { type, changes: [{ id }], models, undo(), redo() }:
+     * undo() and redo() change every list in models, and undoing or redoing
+     * the step in one of them moves it in the history of all of them.
+     * @param {Object} step - Shared step
+     * @param {Object|null} since - getLastChange() before the change; the steps
+     *   saved after it are replaced
+     * @returns {Array<Object>} The replaced steps, oldest first
+     */
+    addSharedStep(step, since) {
+        const index = this.undoStack.lastIndexOf(since);
+        const replaced = since === null || index !== -1 ? this.undoStack.splice(index + 1) : [];
+        this.addUndoStep(step);
+        return replaced;
+    }
+
     /**
      * Save todos to storage with fallback support
+     * Todos that changed since the last save get a new updatedAt, and the
+     * changes are logged as one operation. Only a save that reached storage
+     * is logged and can be undone; after a failed one the changes stay
+     * pending and are logged with the next successful save.
+     * @param {string} [type] - Mutation being saved, for the operation log
      */
-    saveTodos() {
+    saveTodos(type = 'saveTodos') {
         try {
-            const success = this.storage.setItem('todos', JSON.stringify(this.todos));
-            if (!success && this.storage.getStorageType() === 'memory') {
+            const changes = this.collectChanges();
+            const success = this.storage.setItem(this.storageKey, StorageSchema.serialize(this.todos));
+            if (success) {
+                this.savedTodos = this.copyTodos();
+                const operation = this.log.record(type, changes);
+                if (operation && type !== 'undo' && type !== 'redo') {
+                    this.addUndoStep(operation);
+                }
+            } else if (this.storage.getStorageType() === 'memory') {
                 // Show a warning only once when localStorage first fails
                 if (!this._memoryWarningShown) {
                     console.warn('Todos are being stored in memory only and will not persist between sessions.');
@@ -41,6 +371,70 @@ class TodoModel {
         }
     }
 
+    /**
+     * Forget undo and redo steps, e.g. ones that can no longer be applied safely
+     * A step shared with other lists is forgotten in all of them.
+     * @param {Function} isStale - Called with each step; returns true to forget it
+     */
+    forgetSteps(isStale) {
+        [...this.undoStack, ...this.redoStack].filter(isStale).forEach(step => {
+            (step.models || [this]).forEach(model => {
+                model.undoStack = model.undoStack.filter(other => other !== step);
+                model.redoStack = model.redoStack.filter(other => other !== step);
+            });
+        });
+    }
+
+    /**
+     * Forget the undo and redo steps that touch any of the given todos
+     * Used when they were changed elsewhere: undoing such a step would put
+     * its old data back over the newer change.
+     * @param {Array<string>} ids - Todo ids
+     */
+    dropHistory(ids) {
+        const changed = new Set(ids);
+        this.forgetSteps(step => step.changes.some(change => changed.has(change.id)));
+    }
+
+    /**
+     * Take over todos saved by another tab (see TabSync)
+     * The other tab saved its whole list, which already includes every earlier
+     * change from this tab, so it replaces the list here. Nothing is saved:
+     * the data is already in storage. Undo and redo steps for the todos that
+     * changed are dropped (see dropHistory()).
+     * @param {string|null} saved - Saved text, or null if the list was removed
+     * @returns {Object|null} Ids that changed ({ added, updated, removed }),
+     *   or null if the saved text could not be read and the list was kept
+     */
+    applyRemoteTodos(saved) {
+        let todos = [];
+        try {
+            todos = saved ? StorageSchema.parse(saved).todos : [];
+        } catch (e) {
+            console.warn('Ignoring unreadable todos saved by another tab:', e);
+            return null;
+        }
+        todos = this.normalizeHierarchy(this.normalizeOrder(todos));
+
+        const previous = new Map(this.todos.map(todo => [todo.id, JSON.stringify(todo)]));
+        const changes = { added: [], updated: [], removed: [] };
+        todos.forEach(todo => {
+            if (!previous.has(todo.id)) {
+                changes.added.push(todo.id);
+            } else if (previous.get(todo.id) !== JSON.stringify(todo)) {
+                changes.updated.push(todo.id);
+            }
+            previous.delete(todo.id);
+        });
+        changes.removed = [...previous.keys()];
+
+        this.todos = todos;
+        this.savedTodos = this.copyTodos();
+        this.reconcileLog('applyRemoteTodos', 'remote');
+        this.dropHistory([...changes.added, ...changes.updated, ...changes.removed]);
+        return changes;
+    }
+
     /**
      * Generate unique ID for new todos using crypto.randomUUID() with fallback
      * @returns {string} Unique identifier
@@ -81,80 +475,836 @@ class TodoModel {
         return id;
     }
 
+    /**
+     * Validate and normalize an optional due date and time
+     * Empty values clear the field; a time is only allowed together with a date.
+     * @param {string} [dueDate] - Due date in 'YYYY-MM-DD' form
+     * @param {string} [dueTime] - Due time in 'HH:MM' form
+     * @returns {Object} Normalized { dueDate, dueTime } with null for unset values
+     */
+    normalizeDueDate(dueDate, dueTime) {
+        const date = dueDate ? String(dueDate).trim() : '';
+        const time = dueTime ? String(dueTime).trim() : '';
+
+        if (date && !DateUtils.isValidDateKey(date)) {
+            throw new Error('Due date must be a valid date (YYYY-MM-DD)');
+        }
+        if (time && !DateUtils.isValidTime(time)) {
+            throw new Error('Due time must be a valid time (HH:MM)');
+        }
+        if (time && !date) {
+            throw new Error('A due time requires a due date');
+        }
+
+        return { dueDate: date || null, dueTime: time || null };
+    }
+
+    /**
+     * Validate optional notes
+     * Line endings are normalized and trailing whitespace is dropped.
+     * @param {string} [notes] - Multi-line Markdown notes
+     * @returns {string} Notes ('' when empty)
+     */
+    normalizeNotes(notes) {
+        const text = notes ? String(notes).replace(/\r\n?/g, '\n').replace(/\s+$/, '') : '';
+        if (text.length > TodoModel.MAX_NOTES_LENGTH) {
+            throw new Error(`Notes cannot be longer than ${TodoModel.MAX_NOTES_LENGTH} characters`);
+        }
+        return text;
+    }
+
+    /**
+     * Validate an optional repeat rule and tie it to the todo's first date
+     * @param {Object|string} [recurrence] - Rule object or rule text (see RecurrenceRule)
+     * @param {string} anchorDate - Due date, or creation date when there is none
+     * @returns {Object|null} Normalized rule, or null when the todo does not repeat
+     */
+    normalizeRecurrence(recurrence, anchorDate) {
+        if (!recurrence) {
+            return null;
+        }
+        return RecurrenceRule.anchor(RecurrenceRule.normalize(recurrence), anchorDate);
+    }
+
+    /**
+     * Validate a priority level
+     * @param {string} [priority] - Priority level; empty values mean 'none'
+     * @returns {string} A valid priority level
+     */
+    normalizePriority(priority) {
+        if (!priority) {
+            return 'none';
+        }
+        if (!TodoModel.PRIORITY_LEVELS.includes(priority)) {
+            throw new Error(`Priority must be one of: ${TodoModel.PRIORITY_LEVELS.join(', ')}`);
+        }
+        return priority;
+    }
+
+    /**
+     * Validate and normalize a list of tags
+     * Tags are lowercased, stripped of a leading '#', and de-duplicated.
+     * @param {Array<string>} [tags] - Tags to normalize
+     * @returns {Array<string>} Normalized tags in their original order
+     */
+    normalizeTags(tags) {
+        if (!tags) {
+            return [];
+        }
+        if (!Array.isArray(tags)) {
+            throw new Error('Tags must be an array of strings');
+        }
+
+        const normalized = [];
+        tags.forEach(tag => {
+            const value = String(tag).trim().replace(/^#/, '').toLowerCase();
+            if (!value) {
+                return;
+            }
+            if (!TodoModel.TAG_PATTERN.test(value)) {
+                throw new Error(`Invalid tag "${tag}": use letters, numbers, '-' or '_'`);
+            }
+            if (!normalized.includes(value)) {
+                normalized.push(value);
+            }
+        });
+        return normalized;
+    }
+
+    /**
+     * Split #hashtags out of todo text
+     * The hashtags are removed from the text unless that would leave it empty,
+     * so "#idea" on its own stays a valid todo.
+     * @param {string} text - Raw todo text
+     * @returns {Object} { text, tags } with the cleaned text and the tags found
+     */
+    parseHashtags(text) {
+        const tags = [];
+        const stripped = text.replace(TodoModel.HASHTAG_PATTERN, (match, leading, tag) => {
+            tags.push(tag);
+            return leading;
+        }).replace(/\s+/g, ' ').trim();
+
+        return {
+            text: stripped || text.trim(),
+            tags: this.normalizeTags(tags)
+        };
+    }
+
     /**
      * Add a new todo
-     * @param {string} text - The todo text
+     * @param {string} text - The todo text; #hashtags become tags
+     * @param {Object} [details] - Optional extra fields
+     * @param {string} [details.dueDate] - Due date in 'YYYY-MM-DD' form
+     * @param {string} [details.dueTime] - Due time in 'HH:MM' form
+     * @param {string} [details.priority] - Priority level (default: 'none')
+     * @param {Array<string>} [details.tags] - Tags to attach in addition to any #hashtags
+     * @param {string} [details.parentId] - Create the todo as the last subtask of this top-level todo
+     * @param {Object|string} [details.recurrence] - Repeat rule (see RecurrenceRule)
+     * @param {string} [details.notes] - Multi-line Markdown notes
      * @returns {Object} The created todo object
      */
-    addTodo(text) {
+    addTodo(text, details = {}) {
+        const parentId = details.parentId || null;
+        if (parentId) {
+            this.assertCanHaveSubtasks(parentId);
+        }
+
+        const todo = this.createTodo(text, details);
+        if (parentId) {
+            this.todos.push(todo);
+        } else {
+            this.todos.unshift(todo);
+        }
+        this.saveTodos('addTodo');
+        return todo;
+    }
+
+    /**
+     * Build a new todo as addTodo would, without adding it to the list
+     * Used to add several todos in one change through insertTodos.
+     * @param {string} text - The todo text; #hashtags become tags
+     * @param {Object} [details] - Same fields as addTodo; the parent is not checked
+     * @returns {Object} The new todo object
+     */
+    createTodo(text, details = {}) {
         if (!text || !text.trim()) {
             throw new Error('Todo text cannot be empty');
         }
 
+        const parentId = details.parentId || null;
+        const { dueDate, dueTime } = this.normalizeDueDate(details.dueDate, details.dueTime);
+        const priority = this.normalizePriority(details.priority);
+        const parsed = this.parseHashtags(text);
+        const tags = this.normalizeTags([...this.normalizeTags(details.tags), ...parsed.tags]);
+        const notes = this.normalizeNotes(details.notes);
+        const createdAt = new Date();
+        const recurrence = this.normalizeRecurrence(details.recurrence, dueDate || DateUtils.toDateKey(createdAt));
+        if (recurrence && parentId) {
+            throw new Error('Subtasks cannot repeat');
+        }
+
         const todo = {
             id: this.generateId(),
-            text: text.trim(),
+            text: parsed.text,
             completed: false,
-            createdAt: new Date().toISOString()
+            createdAt: createdAt.toISOString(),
+            order: parentId ? this.getBottomOrder() : this.getTopOrder(),
+            dueDate,
+            dueTime,
+            priority,
+            tags,
+            parentId
         };
-
-        this.todos.unshift(todo);
-        this.saveTodos();
+        if (notes) {
+            todo.notes = notes;
+        }
+        if (recurrence) {
+            todo.recurrence = recurrence;
+            todo.completionHistory = [];
+        }
         return todo;
     }
 
     /**
-     * Delete a todo by ID
+     * Insert an existing todo, e.g. one moved from another list, at the top
+     * The todo keeps its id and fields; only its order rank is reassigned.
+     * It is always inserted at the top level, followed by its subtasks.
+     * @param {Object} todo - Todo to insert (copied, not referenced)
+     * @param {Array<Object>} [subtasks] - Subtasks to insert under it, in order
+     * @returns {Object} The inserted todo
+     */
+    insertTodo(todo, subtasks = []) {
+        return this.insertTodos([{ todo, subtasks }])[0];
+    }
+
+    /**
+     * Insert several existing todos at the top as one change, keeping their order
+     * @param {Array<Object>} entries - Array of { todo, subtasks } (see insertTodo)
+     * @returns {Array<Object>} The inserted todos, in the given order
+     */
+    insertTodos(entries) {
+        const items = entries.flatMap(({ todo, subtasks = [] }) => [todo, ...subtasks]);
+        if (items.some(item => !item || !item.id)) {
+            throw new Error('Cannot insert a todo without an id');
+        }
+        if (items.some(item => this.getTodo(item.id)) || new Set(items.map(item => item.id)).size < items.length) {
+            throw new Error('A todo with this id already exists in the list');
+        }
+
+        // Inserted from the last one up, so the first entry ends up on top
+        const inserted = entries.slice().reverse().map(({ todo, subtasks = [] }) => {
+            const copy = { ...todo, parentId: null, order: this.getTopOrder() };
+            this.todos.unshift(copy);
+            subtasks.forEach(subtask => {
+                this.todos.push({ ...subtask, parentId: copy.id, order: this.getBottomOrder() });
+            });
+            return copy;
+        }).reverse();
+        this.saveTodos('insertTodos');
+        return inserted;
+    }
+
+    /**
+     * Copy todos from an import, normalizing stored repeat rules
+     * @param {Array<Object>} todos - Validated todos (see DataExchange)
+     * @returns {Array<Object>} Copies ranked and sorted by their order
+     */
+    prepareImportedTodos(todos) {
+        return this.normalizeOrder(todos.map(todo => {
+            const copy = { ...todo, parentId: todo.parentId || null };
+            if ('recurrence' in copy) {
+                copy.recurrence = RecurrenceRule.normalize(copy.recurrence);
+            }
+            return copy;
+        }));
+    }
+
+    /**
+     * Replace every todo in the list
+     * @param {Array<Object>} todos - Validated todos (see DataExchange)
+     * @returns {number} Number of todos in the list
+     */
+    replaceTodos(todos) {
+        this.todos = this.normalizeHierarchy(this.prepareImportedTodos(todos));
+        this.saveTodos('replaceTodos');
+        return this.todos.length;
+    }
+
+    /**
+     * Merge todos into the list, matching them by id
+     * New todos are added below the existing ones in their imported order;
+     * updated todos keep their current position.
+     * @param {Array<Object>} todos - Validated todos (see DataExchange)
+     * @param {Object} [options] - Merge options
+     * @param {boolean} [options.preferImported] - On an id conflict, replace the existing todo (default: false)
+     * @returns {Object} { added, updated, kept } counts
+     */
+    mergeTodos(todos, { preferImported = false } = {}) {
+        const counts = { added: 0, updated: 0, kept: 0 };
+        let nextOrder = this.getBottomOrder();
+
+        this.prepareImportedTodos(todos).forEach(todo => {
+            const index = this.todos.findIndex(t => t.id === todo.id);
+            if (index === -1) {
+                this.todos.push({ ...todo, order: nextOrder++ });
+                counts.added++;
+            } else if (preferImported) {
+                this.todos[index] = { ...todo, order: this.todos[index].order };
+                counts.updated++;
+            } else {
+                counts.kept++;
+            }
+        });
+
+        this.todos = this.normalizeHierarchy(this.normalizeOrder(this.todos));
+        this.saveTodos('mergeTodos');
+        return counts;
+    }
+
+    /**
+     * Delete a todo by ID, together with its subtasks
      * @param {string} id - Todo ID to delete
      * @returns {boolean} True if todo was deleted, false if not found
      */
     deleteTodo(id) {
         const initialLength = this.todos.length;
-        this.todos = this.todos.filter(todo => todo.id !== id);
+        this.todos = this.todos.filter(todo => todo.id !== id && todo.parentId !== id);
         const wasDeleted = this.todos.length < initialLength;
         
         if (wasDeleted) {
-            this.saveTodos();
+            this.saveTodos('deleteTodo');
         }
         
         return wasDeleted;
     }
 
+    /**
+     * Delete several todos, together with their subtasks, as one change
+     * @param {Array<string>} ids - Todo IDs to delete
+     * @returns {number} Number of todos deleted, subtasks included
+     */
+    deleteTodos(ids) {
+        const deleted = new Set(ids);
+        const initialLength = this.todos.length;
+        this.todos = this.todos.filter(todo => !deleted.has(todo.id) && !deleted.has(todo.parentId));
+        const deletedCount = initialLength - this.todos.length;
+
+        if (deletedCount > 0) {
+            this.saveTodos('deleteTodos');
+        }
+
+        return deletedCount;
+    }
+
     /**
      * Toggle todo completion status
+     * When a subtask changes and autoCompleteParent is on, its parent is
+     * completed once every subtask is done and reopened when a subtask is unchecked.
+     * Completing a repeating todo creates its next occurrence (see createNextOccurrence).
      * @param {string} id - Todo ID to toggle
+     * @param {Object} [options] - Toggle options
+     * @param {boolean} [options.autoCompleteParent] - Sync the parent with its subtasks (default: true)
+     * @param {Date} [options.now] - Completion time (defaults to the current time)
      * @returns {Object|null} Updated todo object or null if not found
      */
-    toggleTodo(id) {
+    toggleTodo(id, { autoCompleteParent = true, now = new Date() } = {}) {
         const todo = this.todos.find(t => t.id === id);
         if (todo) {
             todo.completed = !todo.completed;
-            this.saveTodos();
+            if (todo.completed) {
+                this.createNextOccurrence(todo, now);
+            }
+
+            const parent = todo.parentId ? this.getTodo(todo.parentId) : null;
+            if (parent && autoCompleteParent) {
+                this.syncParentCompletion(parent, todo.completed, now);
+            }
+            this.saveTodos('toggleTodo');
             return todo;
         }
         return null;
     }
 
     /**
-     * Update todo text
+     * Complete or reopen several todos as one change
+     * Todos already in that state are left alone. Parents follow their
+     * subtasks and repeating todos get their next occurrence as in toggleTodo.
+     * @param {Array<string>} ids - Todo IDs
+     * @param {boolean} completed - True to complete, false to reopen
+     * @param {Object} [options] - Same options as toggleTodo
+     * @returns {number} Number of todos changed (parents not counted)
+     */
+    setTodosCompleted(ids, completed, { autoCompleteParent = true, now = new Date() } = {}) {
+        const changed = ids.map(id => this.getTodo(id)).filter(todo => todo && todo.completed !== completed);
+        changed.forEach(todo => {
+            todo.completed = completed;
+            if (completed) {
+                this.createNextOccurrence(todo, now);
+            }
+        });
+
+        if (autoCompleteParent) {
+            new Set(changed.map(todo => todo.parentId).filter(Boolean)).forEach(parentId => {
+                const parent = this.getTodo(parentId);
+                if (parent) {
+                    this.syncParentCompletion(parent, completed, now);
+                }
+            });
+        }
+
+        if (changed.length > 0) {
+            this.saveTodos('setTodosCompleted');
+        }
+        return changed.length;
+    }
+
+    /**
+     * Complete a parent once every subtask is done, or reopen it when a subtask was reopened
+     * Does not save.
+     * @param {Object} parent - Parent todo
+     * @param {boolean} subtaskCompleted - New state of the subtask that changed
+     * @param {Date} now - Completion time
+     * @private
+     */
+    syncParentCompletion(parent, subtaskCompleted, now) {
+        if (this.getSubtasks(parent.id).every(subtask => subtask.completed)) {
+            if (!parent.completed) {
+                parent.completed = true;
+                this.createNextOccurrence(parent, now);
+            }
+        } else if (!subtaskCompleted) {
+            parent.completed = false;
+        }
+    }
+
+    /**
+     * Create the next occurrence of a repeating todo that was just completed
+     * The new todo goes to the top of the list with the next due date, fresh
+     * copies of the subtasks, and the completion history of the whole series.
+     * A todo that already spawned its next occurrence (e.g. it was unchecked
+     * and checked again) does not spawn another one. Does not save.
+     * @param {Object} todo - Completed todo
+     * @param {Date} now - Completion time
+     * @returns {Object|null} The new todo, or null if none was created
+     */
+    createNextOccurrence(todo, now) {
+        if (!todo.recurrence || (todo.nextOccurrenceId && this.getTodo(todo.nextOccurrenceId))) {
+            return null;
+        }
+
+        const completedOn = DateUtils.toDateKey(now);
+        const next = {
+            id: this.generateId(),
+            text: todo.text,
+            completed: false,
+            createdAt: now.toISOString(),
+            order: this.getTopOrder(),
+            dueDate: RecurrenceRule.getNextDueDate(todo.recurrence, { dueDate: todo.dueDate, completedOn }),
+            dueTime: todo.dueTime || null,
+            priority: todo.priority || 'none',
+            tags: [...(todo.tags || [])],
+            notes: todo.notes || '',
+            parentId: null,
+            recurrence: { ...todo.recurrence },
+            completionHistory: [
+                ...(todo.completionHistory || []),
+                { completedAt: now.toISOString(), dueDate: todo.dueDate || null }
+            ]
+        };
+
+        todo.nextOccurrenceId = next.id;
+        this.todos.unshift(next);
+        this.getSubtasks(todo.id).forEach(subtask => {
+            this.todos.push({
+                ...subtask,
+                id: this.generateId(),
+                completed: false,
+                createdAt: now.toISOString(),
+                parentId: next.id,
+                order: this.getBottomOrder()
+            });
+        });
+        return next;
+    }
+
+    /**
+     * Update todo text and, optionally, its due date and priority
      * @param {string} id - Todo ID to update
      * @param {string} newText - New text for the todo
+     * @param {Object} [details] - Optional extra fields; only keys present are changed
+     * @param {string} [details.dueDate] - New due date ('' or null clears it)
+     * @param {string} [details.dueTime] - New due time ('' or null clears it)
+     * @param {string} [details.priority] - New priority level
+     * @param {Array<string>} [details.tags] - Replacement tag list; #hashtags in
+     *   newText are always added on top of it (or of the existing tags)
+     * @param {Object|string} [details.recurrence] - New repeat rule ('' or null stops repeating)
+     * @param {string} [details.notes] - New Markdown notes ('' clears them)
      * @returns {Object|null} Updated todo object or null if not found
      */
-    updateTodo(id, newText) {
+    updateTodo(id, newText, details = {}) {
         if (!newText || !newText.trim()) {
             throw new Error('Todo text cannot be empty');
         }
 
         const todo = this.todos.find(t => t.id === id);
         if (todo) {
-            todo.text = newText.trim();
-            this.saveTodos();
+            if ('dueDate' in details || 'dueTime' in details) {
+                const due = this.normalizeDueDate(
+                    'dueDate' in details ? details.dueDate : todo.dueDate,
+                    'dueTime' in details ? details.dueTime : todo.dueTime
+                );
+                todo.dueDate = due.dueDate;
+                todo.dueTime = due.dueTime;
+            }
+            if ('priority' in details) {
+                todo.priority = this.normalizePriority(details.priority);
+            }
+            if ('notes' in details) {
+                todo.notes = this.normalizeNotes(details.notes);
+            }
+            if ('recurrence' in details) {
+                const anchorDate = todo.dueDate || DateUtils.toDateKey(new Date());
+                const recurrence = this.normalizeRecurrence(details.recurrence, anchorDate);
+                if (recurrence && todo.parentId) {
+                    throw new Error('Subtasks cannot repeat');
+                }
+                todo.recurrence = recurrence;
+                todo.completionHistory = todo.completionHistory || [];
+            }
+            const parsed = this.parseHashtags(newText);
+            const baseTags = 'tags' in details ? this.normalizeTags(details.tags) : (todo.tags || []);
+            todo.tags = this.normalizeTags([...baseTags, ...parsed.tags]);
+            todo.text = parsed.text;
+            this.saveTodos('updateTodo');
+            return todo;
+        }
+        return null;
+    }
+
+    /**
+     * Set the priority of a todo
+     * @param {string} id - Todo ID to update
+     * @param {string} priority - New priority level
+     * @returns {Object|null} Updated todo object or null if not found
+     */
+    setPriority(id, priority) {
+        const level = this.normalizePriority(priority);
+        const todo = this.todos.find(t => t.id === id);
+        if (todo) {
+            todo.priority = level;
+            this.saveTodos('setPriority');
             return todo;
         }
         return null;
     }
 
+    /**
+     * Set the priority of several top-level todos as one change
+     * Subtasks have no priority of their own and are skipped.
+     * @param {Array<string>} ids - Todo IDs
+     * @param {string} priority - New priority level
+     * @returns {number} Number of todos changed
+     */
+    setTodosPriority(ids, priority) {
+        const level = this.normalizePriority(priority);
+        const changed = ids.map(id => this.getTodo(id))
+            .filter(todo => todo && !todo.parentId && (todo.priority || 'none') !== level);
+        changed.forEach(todo => {
+            todo.priority = level;
+        });
+
+        if (changed.length > 0) {
+            this.saveTodos('setTodosPriority');
+        }
+        return changed.length;
+    }
+
+    /**
+     * Attach a tag to a todo
+     * @param {string} id - Todo ID
+     * @param {string} tag - Tag to add (with or without a leading '#')
+     * @returns {Object|null} Updated todo object or null if not found
+     */
+    addTag(id, tag) {
+        const [value] = this.normalizeTags([tag]);
+        const todo = this.todos.find(t => t.id === id);
+        if (todo && value) {
+            todo.tags = this.normalizeTags([...(todo.tags || []), value]);
+            this.saveTodos('addTag');
+            return todo;
+        }
+        return null;
+    }
+
+    /**
+     * Attach a tag to several todos as one change
+     * @param {Array<string>} ids - Todo IDs
+     * @param {string} tag - Tag to add (with or without a leading '#')
+     * @returns {number} Number of todos that did not have the tag yet
+     */
+    addTagToTodos(ids, tag) {
+        const [value] = this.normalizeTags([tag]);
+        if (!value) {
+            return 0;
+        }
+
+        const changed = ids.map(id => this.getTodo(id))
+            .filter(todo => todo && !(todo.tags || []).includes(value));
+        changed.forEach(todo => {
+            todo.tags = this.normalizeTags([...(todo.tags || []), value]);
+        });
+
+        if (changed.length > 0) {
+            this.saveTodos('addTagToTodos');
+        }
+        return changed.length;
+    }
+
+    /**
+     * Remove a tag from a todo
+     * @param {string} id - Todo ID
+     * @param {string} tag - Tag to remove (with or without a leading '#')
+     * @returns {Object|null} Updated todo object or null if not found
+     */
+    removeTag(id, tag) {
+        const value = String(tag).trim().replace(/^#/, '').toLowerCase();
+        const todo = this.todos.find(t => t.id === id);
+        if (todo) {
+            todo.tags = (todo.tags || []).filter(t => t !== value);
+            this.saveTodos('removeTag');
+            return todo;
+        }
+        return null;
+    }
+
+    /**
+     * Get every tag in use with the number of todos carrying it
+     * @returns {Array<Object>} Array of { tag, count } sorted by tag name
+     */
+    getAllTags() {
+        const counts = new Map();
+        this.todos.forEach(todo => {
+            (todo.tags || []).forEach(tag => {
+                counts.set(tag, (counts.get(tag) || 0) + 1);
+            });
+        });
+
+        return Array.from(counts.entries())
+            .map(([tag, count]) => ({ tag, count }))
+            .sort((a, b) => a.tag.localeCompare(b.tag));
+    }
+
+    /**
+     * Get the sort weight of a todo's priority (todos saved before priorities count as 'none')
+     * @param {Object} todo - Todo object
+     * @returns {number} Index into PRIORITY_LEVELS
+     */
+    getPriorityWeight(todo) {
+        const weight = TodoModel.PRIORITY_LEVELS.indexOf(todo.priority);
+        return weight === -1 ? 0 : weight;
+    }
+
+    /**
+     * Sort todos for display
+     * 'manual' keeps the drag-and-drop order; 'priority' sorts by priority
+     * (highest first), then manual order, then creation time.
+     * @param {Array} todos - Todos to sort
+     * @param {string} [sortMode] - One of SORT_MODES (default: 'manual')
+     * @returns {Array} A new, sorted array
+     */
+    sortTodos(todos, sortMode = 'manual') {
+        const sorted = [...todos];
+        if (sortMode !== 'priority') {
+            return sorted.sort((a, b) => a.order - b.order);
+        }
+
+        return sorted.sort((a, b) =>
+            this.getPriorityWeight(b) - this.getPriorityWeight(a) ||
+            a.order - b.order ||
+            String(a.createdAt).localeCompare(String(b.createdAt))
+        );
+    }
+
+    /**
+     * Move a todo to a new position in the manual sort order.
+     *
+     * When scopeIds is given (the ids of the todos currently visible, in display
+     * order), targetIndex is a position within that scope and only the visible
+     * todos swap ranks among themselves; hidden todos keep their ranks untouched.
+     * Without a scope the todo's siblings are used: the top-level todos, or
+     * the other subtasks of the same parent.
+     *
+     * @param {string} todoId - ID of the todo to move
+     * @param {number} targetIndex - Destination index within the scope
+     * @param {Array<string>} [scopeIds] - Ordered ids of the visible todos
+     * @param {string} [type] - Operation type to save the move as, for callers that move as part of another change
+     * @returns {boolean} True if the todo is at the target position, false on invalid input
+     */
+    reorderTodo(todoId, targetIndex, scopeIds = null, type = 'reorderTodo') {
+        const todo = this.getTodo(todoId);
+        const scope = scopeIds
+            ? scopeIds.map(id => this.getTodo(id)).filter(Boolean)
+            : this.todos.filter(t => todo && (t.parentId || null) === (todo.parentId || null));
+        const sourceIndex = scope.findIndex(todo => todo.id === todoId);
+
+        if (sourceIndex === -1) {
+            console.warn('Todo not found:', todoId);
+            return false;
+        }
+
+        if (!Number.isInteger(targetIndex) || targetIndex < 0 || targetIndex >= scope.length) {
+            console.warn('Invalid target index:', targetIndex);
+            return false;
+        }
+
+        if (sourceIndex === targetIndex) {
+            return true; // No change needed
+        }
+
+        // The scope's todos redistribute the ranks they already occupy, so
+        // todos outside the scope never move relative to each other
+        const ranks = scope.map(todo => todo.order).sort((a, b) => a - b);
+        const [todoToMove] = scope.splice(sourceIndex, 1);
+        scope.splice(targetIndex, 0, todoToMove);
+        scope.forEach((todo, index) => {
+            todo.order = ranks[index];
+        });
+
+        this.todos.sort((a, b) => a.order - b.order);
+        this.saveTodos(type);
+        return true;
+    }
+
+    /**
+     * Check that a todo may receive subtasks
+     * Only top-level todos can be parents, which keeps checklists one level deep.
+     * @param {string} parentId - Proposed parent ID
+     * @returns {Object} The parent todo
+     */
+    assertCanHaveSubtasks(parentId) {
+        const parent = this.getTodo(parentId);
+        if (!parent) {
+            throw new Error('Parent todo not found');
+        }
+        if (parent.parentId) {
+            throw new Error('Subtasks cannot have subtasks of their own');
+        }
+        return parent;
+    }
+
+    /**
+     * Get the subtasks of a todo in manual order
+     * @param {string} parentId - Parent todo ID
+     * @returns {Array} Subtasks (empty if the todo has none)
+     */
+    getSubtasks(parentId) {
+        return this.todos
+            .filter(todo => todo.parentId === parentId)
+            .sort((a, b) => a.order - b.order);
+    }
+
+    /**
+     * Get checklist progress of a todo
+     * @param {string} parentId - Parent todo ID
+     * @returns {Object} { done, total } subtask counts
+     */
+    getSubtaskProgress(parentId) {
+        const subtasks = this.getSubtasks(parentId);
+        return {
+            done: subtasks.filter(subtask => subtask.completed).length,
+            total: subtasks.length
+        };
+    }
+
+    /**
+     * Map todos to the top-level todos they belong to
+     * A matching subtask brings in its parent, so search results are always
+     * shown in context. Duplicates are removed; list order is preserved.
+     * @param {Array} todos - Todos, e.g. search results
+     * @returns {Array} Top-level todos
+     */
+    getRootTodos(todos) {
+        const rootIds = new Set(todos.map(todo => todo.parentId || todo.id));
+        return this.todos.filter(todo => !todo.parentId && rootIds.has(todo.id));
+    }
+
+    /**
+     * Collapse or expand a todo's subtasks
+     * @param {string} id - Parent todo ID
+     * @returns {Object|null} Updated todo object or null if not found
+     */
+    toggleCollapsed(id) {
+        const todo = this.getTodo(id);
+        if (todo) {
+            todo.collapsed = !todo.collapsed;
+            this.saveTodos('toggleCollapsed');
+            return todo;
+        }
+        return null;
+    }
+
+    /**
+     * Turn a todo into the last subtask of another top-level todo
+     * A todo that has subtasks of its own cannot be indented.
+     * @param {string} id - Todo ID to indent
+     * @param {string} parentId - New parent ID
+     * @returns {Object|null} Updated todo object or null if not found
+     */
+    indentTodo(id, parentId) {
+        const todo = this.getTodo(id);
+        if (!todo) {
+            return null;
+        }
+        if (id === parentId) {
+            throw new Error('A todo cannot be its own subtask');
+        }
+        const parent = this.assertCanHaveSubtasks(parentId);
+        if (this.getSubtasks(id).length > 0) {
+            throw new Error('A todo with subtasks cannot become a subtask');
+        }
+        if (todo.recurrence) {
+            throw new Error('A repeating todo cannot become a subtask');
+        }
+        if (todo.parentId === parentId) {
+            return todo;
+        }
+
+        todo.parentId = parentId;
+        todo.order = this.getBottomOrder();
+        parent.collapsed = false;
+        this.todos.sort((a, b) => a.order - b.order);
+        this.saveTodos('indentTodo');
+        return todo;
+    }
+
+    /**
+     * Turn a subtask into a top-level todo placed right after its former parent
+     * @param {string} id - Subtask ID to outdent
+     * @returns {Object|null} Updated todo object, or null if not found or already top-level
+     */
+    outdentTodo(id) {
+        const todo = this.getTodo(id);
+        if (!todo || !todo.parentId) {
+            return null;
+        }
+
+        const formerParentId = todo.parentId;
+        todo.parentId = null;
+        const topLevelIds = this.todos.filter(t => !t.parentId).map(t => t.id);
+        const sourceIndex = topLevelIds.indexOf(id);
+        const parentIndex = topLevelIds.indexOf(formerParentId);
+        const targetIndex = parentIndex < sourceIndex ? parentIndex + 1 : parentIndex;
+        // reorderTodo only saves when the position changes; either way the
+        // outdent is saved once, as one operation
+        if (sourceIndex === targetIndex) {
+            this.saveTodos('outdentTodo');
+        } else {
+            this.reorderTodo(id, targetIndex, topLevelIds, 'outdentTodo');
+        }
+        return todo;
+    }
+
     /**
      * Get todo by ID
      * @param {string} id - Todo ID
@@ -173,42 +1323,73 @@ class TodoModel {
     }
 
     /**
-     * Filter todos by search term with enhanced matching
-     * @param {string} searchTerm - Term to search for in todo text
+     * Filter todos by a search query
+     * Plain words must all appear in the todo text or its #tags (and notes,
+     * when includeNotes is set); see SearchQuery for qualifiers (is:, tag:,
+     * due:, created:), -exclusions, quoted phrases and OR. Invalid terms are ignored.
+     * @param {string} searchTerm - Search query
+     * @param {Date} [now] - Reference time for relative dates
+     * @param {Object} [options] - Search options
+     * @param {boolean} [options.includeNotes] - Also match words in notes (default: false)
      * @returns {Array} Array of filtered todos
      */
-    filterTodos(searchTerm) {
+    filterTodos(searchTerm, now = new Date(), { includeNotes = false } = {}) {
         if (!searchTerm || !searchTerm.trim()) {
             return this.getAllTodos();
         }
-        
-        // Normalize the search term: trim and collapse multiple spaces
-        const normalizedTerm = searchTerm.toLowerCase().trim().replace(/\s+/g, ' ');
-        
-        return this.todos.filter(todo => {
-            const todoText = todo.text.toLowerCase();
-            
-            // If the search term contains multiple words, check if all words are present
-            const searchWords = normalizedTerm.split(' ');
-            if (searchWords.length > 1) {
-                // All words must be present in the todo text
-                return searchWords.every(word => todoText.includes(word));
-            }
-            
-            // Single word or phrase search - use original substring matching
-            return todoText.includes(normalizedTerm);
-        });
+
+        const query = SearchQuery.parse(searchTerm, now);
+        return this.todos.filter(todo => SearchQuery.matches(todo, query, now, { includeNotes }));
+    }
+
+    /**
+     * Filter todos by completion status
+     * @param {Array} todos - Todos to filter
+     * @param {string} status - One of TodoModel.STATUS_FILTERS
+     * @returns {Array} Todos matching the status (all of them for 'all')
+     */
+    filterByStatus(todos, status = 'all') {
+        if (status === 'active') {
+            return todos.filter(todo => !todo.completed);
+        }
+        if (status === 'completed') {
+            return todos.filter(todo => todo.completed);
+        }
+        return todos;
     }
 
     /**
-     * Get count of todos
-     * @returns {Object} Object with total, completed, and pending counts
+     * Get count of top-level todos (subtasks are reported by getSubtaskProgress)
+     * @param {Date} [now] - Reference time for due date classification
+     * @returns {Object} Object with total, completed, and pending counts, plus
+     *   overdue, dueToday and upcoming counts for open todos with due dates
      */
-    getStats() {
-        const total = this.todos.length;
-        const completed = this.todos.filter(t => t.completed).length;
+    getStats(now = new Date()) {
+        const todos = this.todos.filter(t => !t.parentId);
+        const total = todos.length;
+        const completed = todos.filter(t => t.completed).length;
         const pending = total - completed;
+
+        const dueCounts = { overdue: 0, today: 0, upcoming: 0 };
+        todos.forEach(todo => {
+            const status = DateUtils.getDueStatus(todo, now);
+            if (status) {
+                dueCounts[status]++;
+            }
+        });
         
-        return { total, completed, pending };
+        return {
+            total,
+            completed,
+            pending,
+            overdue: dueCounts.overdue,
+            dueToday: dueCounts.today,
+            upcoming: dueCounts.upcoming
+        };
     }
-}
\ No newline at end of file
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TodoModel;
+}
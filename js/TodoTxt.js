@@ -0,0 +1,276 @@
+/**
+ * TodoTxt - todo.txt parser and serializer (http://todotxt.org)
+ *
+ * One task per line:
+ *   x 2026-03-10 2026-03-01 Call Mom +family @phone due:2026-03-12 pri:A
+ *   (B) 2026-03-01 Review budget +work due:2026-03-15 time:1430
+ *
+ * Mapping onto AutoToDo todos:
+ *   x                 completed (the completion date is kept in todo.todoTxt)
+ *   (A) (B) (C) (D+)  priority urgent, high, medium, low; completed tasks use pri:A
+ *   creation date     createdAt (local midnight)
+ *   +project @context tags (the original spelling is kept in todo.todoTxt)
+ *   due:YYYY-MM-DD    dueDate; time:HHMM sets dueTime
+ *   other key:value   kept in todo.todoTxt.extensions
+ *
+ * Round-trips are lossless: every parsed todo remembers its original line
+ * and is written back as exactly that line until it is changed. Changed and
+ * new todos are written in the canonical order shown above.
+ *
+ * The module has no dependencies, so it can be required directly in Node:
+ *   const TodoTxt = require('./js/TodoTxt.js');
+ *   const todos = TodoTxt.parse(fs.readFileSync('todo.txt', 'utf8'));
+ */
+
+const TODO_TXT_DATE = /^(\d{4})-(\d{2})-(\d{2})$/;
+const TODO_TXT_EXTENSION = /^([A-Za-z][\w-]*):([^\s:/][^\s:]*)$/;
+// Same characters as TodoModel.TAG_PATTERN
+const TODO_TXT_TAG = /^[\p{L}\p{N}_-]+$/u;
+const TODO_TXT_PRIORITIES = { A: 'urgent', B: 'high', C: 'medium' };
+const TODO_TXT_LETTERS = { urgent: 'A', high: 'B', medium: 'C', low: 'D' };
+
+class TodoTxt {
+    /**
+     * Parse a todo.txt file
+     * @param {string} text - File contents
+     * @param {Object} [options] - Parse options
+     * @param {Date} [options.now] - Creation time for tasks without a creation date
+     * @param {Function} [options.createId] - Returns a new todo id
+     * @returns {Array<Object>} Todos in file order (blank lines are skipped)
+     */
+    static parse(text, options = {}) {
+        return String(text || '')
+            .split(/\r\n?|\n/)
+            .filter(line => line.trim())
+            .map((line, index) => ({ ...this.parseLine(line, options), order: index }));
+    }
+
+    /**
+     * Parse one todo.txt line
+     * @param {string} line - Task line
+     * @param {Object} [options] - See parse()
+     * @returns {Object} Todo with a `todoTxt` property describing the line
+     */
+    static parseLine(line, { now = new Date(), createId = () => this.createId() } = {}) {
+        const words = line.trim().split(/\s+/);
+        const meta = { line, priority: null, completionDate: null, creationDate: null, projects: [], contexts: [], extensions: [] };
+        let completed = false;
+
+        if (words[0] === 'x') {
+            completed = true;
+            words.shift();
+            if (this.isDate(words[0])) {
+                meta.completionDate = words.shift();
+            }
+        } else if (/^\([A-Z]\)$/.test(words[0])) {
+            meta.priority = words.shift()[1];
+        }
+        if (this.isDate(words[0]) && (!completed || meta.completionDate)) {
+            meta.creationDate = words.shift();
+        }
+
+        const description = [];
+        let dueDate = null;
+        let dueTime = null;
+        words.forEach(word => {
+            const extension = word.match(TODO_TXT_EXTENSION);
+            if (/^\+\S/.test(word)) {
+                meta.projects.push(word.slice(1));
+            } else if (/^@\S/.test(word)) {
+                meta.contexts.push(word.slice(1));
+            } else if (extension && extension[1] === 'due' && this.isDate(extension[2]) && !dueDate) {
+                dueDate = extension[2];
+            } else if (extension && extension[1] === 'time' && /^([01]\d|2[0-3])[0-5]\d$/.test(extension[2]) && !dueTime) {
+                dueTime = extension[2];
+            } else if (extension && extension[1] === 'pri' && /^[A-Z]$/.test(extension[2]) && completed && !meta.priority) {
+                meta.priority = extension[2];
+            } else if (extension) {
+                meta.extensions.push([extension[1], extension[2]]);
+            } else {
+                description.push(word);
+            }
+        });
+
+        if (dueTime && !dueDate) {
+            // A time without a date is not a due time; keep it as written
+            meta.extensions.push(['time', dueTime]);
+            dueTime = null;
+        }
+
+        const tags = [];
+        [...meta.projects, ...meta.contexts].forEach(name => {
+            const tag = name.toLowerCase();
+            if (TODO_TXT_TAG.test(tag) && !tags.includes(tag)) {
+                tags.push(tag);
+            }
+        });
+
+        return {
+            id: createId(),
+            // A line of only +projects and @contexts keeps them as its text
+            text: description.join(' ') || words.join(' ') || line.trim(),
+            completed,
+            createdAt: (meta.creationDate ? this.parseDate(meta.creationDate) : now).toISOString(),
+            dueDate,
+            dueTime: dueTime ? `${dueTime.slice(0, 2)}:${dueTime.slice(2)}` : null,
+            priority: meta.priority ? (TODO_TXT_PRIORITIES[meta.priority] || 'low') : 'none',
+            tags,
+            parentId: null,
+            todoTxt: meta
+        };
+    }
+
+    /**
+     * Serialize todos as a todo.txt file
+     * @param {Array<Object>} todos - Todos in list order
+     * @param {Object} [options] - Serialize options
+     * @param {Date} [options.now] - Completion date for todos completed without one
+     * @returns {string} File contents, one line per todo
+     */
+    static serialize(todos, options = {}) {
+        return todos.map(todo => this.serializeTodo(todo, options)).join('\n') + (todos.length ? '\n' : '');
+    }
+
+    /**
+     * Serialize one todo as a todo.txt line
+     * @param {Object} todo - AutoToDo todo
+     * @param {Object} [options] - See serialize()
+     * @returns {string} Task line
+     */
+    static serializeTodo(todo, { now = new Date() } = {}) {
+        const meta = todo.todoTxt || null;
+        if (meta && meta.line && !this.hasChanged(todo)) {
+            return meta.line;
+        }
+
+        const parts = [];
+        const letter = this.getPriorityLetter(todo.priority, meta && meta.priority);
+        const createdAt = todo.createdAt ? new Date(todo.createdAt) : null;
+        const creationDate = createdAt && !isNaN(createdAt.getTime()) ? this.formatDate(createdAt) : null;
+
+        if (todo.completed) {
+            parts.push('x', (meta && meta.completionDate) || this.getLastCompletionDate(todo) || this.formatDate(now));
+        } else if (letter) {
+            parts.push(`(${letter})`);
+        }
+        // Keep leaving out the creation date of imported tasks that had none
+        const omitCreationDate = meta && meta.line && !meta.creationDate && !todo.completed;
+        if (creationDate && !omitCreationDate) {
+            parts.push(creationDate);
+        }
+
+        parts.push(todo.text.replace(/\s+/g, ' ').trim());
+        (todo.tags || []).forEach(tag => parts.push(this.formatTag(tag, meta)));
+        if (todo.dueDate) {
+            parts.push(`due:${todo.dueDate}`);
+            if (todo.dueTime) {
+                parts.push(`time:${todo.dueTime.replace(':', '')}`);
+            }
+        }
+        if (todo.completed && letter) {
+            parts.push(`pri:${letter}`);
+        }
+        ((meta && meta.extensions) || []).forEach(([key, value]) => parts.push(`${key}:${value}`));
+        return parts.join(' ');
+    }
+
+    /**
+     * Check whether a parsed todo was changed since it was read
+     * @param {Object} todo - Todo with todo.todoTxt.line
+     * @returns {boolean} True if its line no longer describes it
+     */
+    static hasChanged(todo) {
+        const original = this.parseLine(todo.todoTxt.line, { now: new Date(todo.createdAt), createId: () => todo.id });
+        const fields = ['text', 'completed', 'createdAt', 'dueDate', 'dueTime', 'priority', 'tags'];
+        return fields.some(field => JSON.stringify(original[field]) !== JSON.stringify(todo[field] === undefined ? null : todo[field]));
+    }
+
+    /**
+     * Get the todo.txt priority letter for an AutoToDo priority
+     * @param {string} priority - AutoToDo priority
+     * @param {string|null} original - Letter the task was read with, if any
+     * @returns {string|null} Letter, or null for no priority
+     */
+    static getPriorityLetter(priority, original) {
+        if (original && (TODO_TXT_PRIORITIES[original] || 'low') === priority) {
+            return original;
+        }
+        return TODO_TXT_LETTERS[priority] || null;
+    }
+
+    /**
+     * Format a tag as +project, or as @context if it was read as one
+     * @param {string} tag - AutoToDo tag
+     * @param {Object|null} meta - todo.todoTxt
+     * @returns {string} Project or context word
+     */
+    static formatTag(tag, meta) {
+        const matches = (name) => name.toLowerCase() === tag;
+        const context = meta && meta.contexts.find(matches);
+        if (context) {
+            return `@${context}`;
+        }
+        const project = meta && meta.projects.find(matches);
+        return `+${project || tag}`;
+    }
+
+    /**
+     * Get the date a repeating todo was last completed
+     * @param {Object} todo - AutoToDo todo
+     * @returns {string|null} Date key from its completion history
+     */
+    static getLastCompletionDate(todo) {
+        const history = todo.completionHistory || [];
+        const last = history[history.length - 1];
+        return last ? this.formatDate(new Date(last.completedAt)) : null;
+    }
+
+    /**
+     * Check whether a word is a valid YYYY-MM-DD date
+     * @param {string} word - Word to check
+     * @returns {boolean} True if it is a real calendar date
+     */
+    static isDate(word) {
+        return typeof word === 'string' && this.parseDate(word) !== null;
+    }
+
+    /**
+     * Parse a YYYY-MM-DD date at local midnight
+     * @param {string} dateKey - Date text
+     * @returns {Date|null} Date, or null if invalid
+     */
+    static parseDate(dateKey) {
+        const match = dateKey.match(TODO_TXT_DATE);
+        if (!match) {
+            return null;
+        }
+        const [, year, month, day] = match.map(Number);
+        const date = new Date(year, month - 1, day);
+        return date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+    }
+
+    /**
+     * Format a Date as a local YYYY-MM-DD date
+     * @param {Date} date - Date to format
+     * @returns {string} Date text
+     */
+    static formatDate(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    }
+
+    /**
+     * Create a todo id when no createId option is given
+     * @returns {string} Unique id
+     */
+    static createId() {
+        if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+            return crypto.randomUUID();
+        }
+        return Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 10);
+    }
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TodoTxt;
+}
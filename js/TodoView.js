@@ -5,9 +5,32 @@ class TodoView {
     constructor() {
         this.todoList = document.getElementById('todoList');
         this.emptyState = document.getElementById('emptyState');
+        this.filterBar = document.getElementById('filterBar');
+        this.listSelect = document.getElementById('listSelect');
+        this.deleteListBtn = document.getElementById('deleteListBtn');
+        this.undoBtn = document.getElementById('undoBtn');
+        this.redoBtn = document.getElementById('redoBtn');
+        this.bulkActions = document.getElementById('bulkActions');
+        this.bulkCount = document.getElementById('bulkCount');
+        this.bulkMoveSelect = document.getElementById('bulkMoveSelect');
+        this.pendingShortcut = document.getElementById('pendingShortcut');
+        this.moveTargets = []; // Other lists a todo can be moved to from the edit form
         this.todoInput = document.getElementById('todoInput');
+        this.dueDateInput = document.getElementById('todoDueDate');
+        this.dueTimeInput = document.getElementById('todoDueTime');
+        this.repeatInput = document.getElementById('todoRepeat');
+        this.importPanel = document.getElementById('importPanel');
+        this.importSummary = document.getElementById('importSummary');
         this.editingId = null;
+        this.expandedNotes = new Set(); // Ids of todos whose notes panel is open
+        this.selectedIds = new Set(); // Ids of the selected todos
+        this.selectionAnchor = null; // Where a Shift+click or Shift+Arrow range starts
+        this.selectionLead = null; // Where that range ends
+        this.visibleIds = []; // Ids of the rendered todos in display order
+        this.focusedId = null; // Todo with the keyboard cursor (see moveFocus)
         this.dragDropMessageShown = false;
+        this.toasts = new ToastManager();
+        this.confirmDialog = new ConfirmDialog();
         
         // Performance optimizations
         this.useVirtualScrolling = true;
@@ -56,28 +79,83 @@ class TodoView {
         }
     }
 
-    render(todos, allTodos = [], searchTerm = '', dragDropSupported = true) {
+    render(todos, allTodos = [], searchTerm = '', dragDropSupported = true, statusFilter = 'all') {
         this.renderMonitor.start();
         
         try {
+            // Rendering replaces the rows, so keyboard focus in the list is put back afterwards
+            const hadListFocus = this.hasListFocus();
+            this.subtasksByParent = this.groupSubtasks(allTodos);
+            const rows = this.flattenSubtasks(todos);
+            this.setVisibleTodos(rows);
+
             if (todos.length === 0) {
-                this.showEmptyState(allTodos.length === 0, searchTerm);
+                this.showEmptyState(allTodos.length === 0, searchTerm, statusFilter);
                 return;
             }
 
             this.hideEmptyState();
             
-            // Use virtual scrolling for large lists (but disable for drag & drop)
-            if (this.useVirtualScrolling && todos.length >= this.virtualScrollThreshold && !dragDropSupported) {
-                this.renderWithVirtualScrolling(todos);
+            // Use virtual scrolling for large lists (but disable for drag & drop).
+            // Virtual rows have a fixed height, so subtasks become indented rows of their own.
+            if (this.useVirtualScrolling && rows.length >= this.virtualScrollThreshold && !dragDropSupported) {
+                this.renderWithVirtualScrolling(rows);
             } else {
                 this.renderTraditional(todos, dragDropSupported);
             }
+
+            if (hadListFocus) {
+                this.focusTodoRow();
+            }
         } finally {
             this.renderMonitor.end();
         }
     }
     
+    /**
+     * Group subtasks by parent id
+     * @param {Array} allTodos - Every todo of the list
+     * @returns {Map<string, Array>} Parent id to its subtasks in manual order
+     */
+    groupSubtasks(allTodos) {
+        const groups = new Map();
+        allTodos.forEach(todo => {
+            if (todo.parentId) {
+                if (!groups.has(todo.parentId)) {
+                    groups.set(todo.parentId, []);
+                }
+                groups.get(todo.parentId).push(todo);
+            }
+        });
+        groups.forEach(subtasks => subtasks.sort((a, b) => a.order - b.order));
+        return groups;
+    }
+
+    /**
+     * Get the subtasks of a todo from the last render
+     * @param {Object} todo - Todo object
+     * @returns {Array} Subtasks (empty if none)
+     */
+    getSubtasksOf(todo) {
+        return (this.subtasksByParent && this.subtasksByParent.get(todo.id)) || [];
+    }
+
+    /**
+     * Flatten top-level todos and their expanded subtasks into display rows
+     * @param {Array} todos - Top-level todos in display order
+     * @returns {Array} Todos with each parent followed by its subtasks unless collapsed
+     */
+    flattenSubtasks(todos) {
+        const rows = [];
+        todos.forEach(todo => {
+            rows.push(todo);
+            if (!todo.collapsed) {
+                rows.push(...this.getSubtasksOf(todo));
+            }
+        });
+        return rows;
+    }
+
     /**
      * Render using virtual scrolling for performance
      * @param {Array} todos - Array of todo objects
@@ -125,9 +203,17 @@ class TodoView {
         const li = document.createElement('li');
         li.className = 'todo-item';
         li.innerHTML = `
+            <button type="button" class="subtask-toggle" hidden></button>
             <input type="checkbox" class="todo-checkbox">
             <span class="todo-text"></span>
+            <button type="button" class="notes-toggle" hidden>📝</button>
+            <span class="subtask-progress" hidden></span>
+            <span class="todo-tags"></span>
+            <span class="todo-due" hidden></span>
+            <span class="todo-repeat" hidden></span>
+            ${this.createPrioritySelectHtml({ id: '', priority: 'none' })}
             <div class="todo-actions">
+                <button class="subtask-btn">+ Subtask</button>
                 <button class="edit-btn">Edit</button>
                 <button class="delete-btn">Delete</button>
             </div>
@@ -142,6 +228,33 @@ class TodoView {
     resetTodoElement(element) {
         const checkbox = element.querySelector('.todo-checkbox');
         const textSpan = element.querySelector('.todo-text');
+        const tagsSpan = element.querySelector('.todo-tags');
+        const dueSpan = element.querySelector('.todo-due');
+        const repeatSpan = element.querySelector('.todo-repeat');
+        const notesToggle = element.querySelector('.notes-toggle');
+        const prioritySelect = element.querySelector('.priority-select');
+        const subtaskToggle = element.querySelector('.subtask-toggle');
+        const progressSpan = element.querySelector('.subtask-progress');
+        const subtaskBtn = element.querySelector('.subtask-btn');
+        
+        if (subtaskToggle) {
+            subtaskToggle.hidden = true;
+            subtaskToggle.textContent = '';
+            subtaskToggle.removeAttribute('data-id');
+            subtaskToggle.removeAttribute('data-action');
+        }
+        
+        if (progressSpan) {
+            progressSpan.textContent = '';
+            progressSpan.className = 'subtask-progress';
+            progressSpan.hidden = true;
+        }
+        
+        if (subtaskBtn) {
+            subtaskBtn.hidden = false;
+            subtaskBtn.removeAttribute('data-id');
+            subtaskBtn.removeAttribute('data-action');
+        }
         
         if (checkbox) {
             checkbox.checked = false;
@@ -154,7 +267,37 @@ class TodoView {
             textSpan.className = 'todo-text';
         }
         
+        if (tagsSpan) {
+            tagsSpan.innerHTML = '';
+        }
+        
+        if (dueSpan) {
+            dueSpan.textContent = '';
+            dueSpan.className = 'todo-due';
+            dueSpan.hidden = true;
+        }
+        
+        if (repeatSpan) {
+            repeatSpan.textContent = '';
+            repeatSpan.removeAttribute('title');
+            repeatSpan.hidden = true;
+        }
+        
+        if (notesToggle) {
+            notesToggle.hidden = true;
+            notesToggle.removeAttribute('title');
+            notesToggle.removeAttribute('data-id');
+            notesToggle.removeAttribute('data-action');
+        }
+        
+        if (prioritySelect) {
+            prioritySelect.value = 'none';
+            prioritySelect.hidden = false;
+            prioritySelect.removeAttribute('data-id');
+        }
+        
         element.removeAttribute('data-id');
+        element.removeAttribute('tabindex');
         element.className = 'todo-item';
     }
     
@@ -166,10 +309,45 @@ class TodoView {
     populateTodoElement(element, todo) {
         const checkbox = element.querySelector('.todo-checkbox');
         const textSpan = element.querySelector('.todo-text');
+        const tagsSpan = element.querySelector('.todo-tags');
+        const dueSpan = element.querySelector('.todo-due');
+        const repeatSpan = element.querySelector('.todo-repeat');
+        const notesToggle = element.querySelector('.notes-toggle');
+        const prioritySelect = element.querySelector('.priority-select');
         const editBtn = element.querySelector('.edit-btn');
         const deleteBtn = element.querySelector('.delete-btn');
+        const subtaskToggle = element.querySelector('.subtask-toggle');
+        const progressSpan = element.querySelector('.subtask-progress');
+        const subtaskBtn = element.querySelector('.subtask-btn');
         
+        const priority = todo.priority || 'none';
+        const isSubtask = Boolean(todo.parentId);
+        const subtasks = this.getSubtasksOf(todo);
         element.setAttribute('data-id', todo.id);
+        element.className = `todo-item priority-${priority}${isSubtask ? ' subtask' : ''}${this.selectedIds.has(todo.id) ? ' selected' : ''}`;
+        element.setAttribute('tabindex', todo.id === this.getFocusedId() ? '0' : '-1');
+        
+        if (subtaskToggle) {
+            subtaskToggle.hidden = subtasks.length === 0;
+            subtaskToggle.textContent = todo.collapsed ? '▸' : '▾';
+            subtaskToggle.setAttribute('aria-expanded', String(!todo.collapsed));
+            subtaskToggle.setAttribute('aria-label', todo.collapsed ? 'Expand subtasks' : 'Collapse subtasks');
+            subtaskToggle.setAttribute('data-action', 'toggle-collapse');
+            subtaskToggle.setAttribute('data-id', todo.id);
+        }
+        
+        if (progressSpan) {
+            const done = subtasks.filter(subtask => subtask.completed).length;
+            progressSpan.textContent = `${done}/${subtasks.length} done`;
+            progressSpan.className = done === subtasks.length ? 'subtask-progress all-done' : 'subtask-progress';
+            progressSpan.hidden = subtasks.length === 0;
+        }
+        
+        if (subtaskBtn) {
+            subtaskBtn.hidden = isSubtask;
+            subtaskBtn.setAttribute('data-action', 'add-subtask');
+            subtaskBtn.setAttribute('data-id', todo.id);
+        }
         
         if (checkbox) {
             checkbox.checked = todo.completed;
@@ -182,6 +360,38 @@ class TodoView {
             textSpan.className = todo.completed ? 'todo-text completed' : 'todo-text';
         }
         
+        if (tagsSpan) {
+            tagsSpan.innerHTML = this.createTagChipsHtml(todo);
+        }
+        
+        if (dueSpan) {
+            const dueStatus = DateUtils.getDueStatus(todo);
+            dueSpan.textContent = this.formatDueLabel(todo);
+            dueSpan.className = dueStatus ? `todo-due due-${dueStatus}` : 'todo-due';
+            dueSpan.hidden = !todo.dueDate;
+        }
+        
+        if (repeatSpan) {
+            repeatSpan.textContent = todo.recurrence ? `↻ ${RecurrenceRule.format(todo.recurrence)}` : '';
+            repeatSpan.title = this.formatRepeatTitle(todo);
+            repeatSpan.hidden = !todo.recurrence;
+        }
+        
+        // Virtual rows have a fixed height, so notes open in the edit form instead of inline
+        if (notesToggle) {
+            notesToggle.hidden = !todo.notes;
+            notesToggle.title = todo.notes || '';
+            notesToggle.setAttribute('aria-label', 'Edit notes');
+            notesToggle.setAttribute('data-action', 'edit');
+            notesToggle.setAttribute('data-id', todo.id);
+        }
+        
+        if (prioritySelect) {
+            prioritySelect.value = priority;
+            prioritySelect.hidden = isSubtask;
+            prioritySelect.setAttribute('data-id', todo.id);
+        }
+        
         if (editBtn) {
             editBtn.setAttribute('data-action', 'edit');
             editBtn.setAttribute('data-id', todo.id);
@@ -215,6 +425,7 @@ class TodoView {
                     autofocus
                     required
                 >
+                ${this.createEditDetailsHtml(todo)}
                 <button type="submit" class="save-btn">Save</button>
                 <button type="button" class="cancel-btn" data-action="cancel-edit">Cancel</button>
             </form>
@@ -244,17 +455,119 @@ class TodoView {
         const fragment = document.createDocumentFragment();
         
         todos.forEach(todo => {
-            if (this.editingId === todo.id) {
-                fragment.appendChild(this.createEditFormElement(todo, dragDropSupported));
-            } else {
-                fragment.appendChild(this.createTodoItemElement(todo, dragDropSupported));
-            }
+            fragment.appendChild(this.createTodoRowElement(todo, dragDropSupported));
         });
         
         // Batch DOM update
         this.todoList.innerHTML = '';
         this.todoList.appendChild(fragment);
     }
+
+    /**
+     * Create the element for a todo, as an edit form if it is being edited
+     * @param {Object} todo - Todo object
+     * @param {boolean} dragDropSupported - Whether drag and drop is supported
+     * @returns {Element} List item element
+     */
+    createTodoRowElement(todo, dragDropSupported = true) {
+        return this.editingId === todo.id
+            ? this.createEditFormElement(todo, dragDropSupported)
+            : this.createTodoItemElement(todo, dragDropSupported);
+    }
+
+    /**
+     * Nest a todo's subtasks under its list item unless it is collapsed
+     * @param {Element} li - Parent list item
+     * @param {Object} todo - Parent todo
+     * @param {boolean} dragDropSupported - Whether drag and drop is supported
+     */
+    appendSubtaskList(li, todo, dragDropSupported = true) {
+        const subtasks = this.getSubtasksOf(todo);
+        if (subtasks.length === 0 || todo.collapsed) {
+            return;
+        }
+
+        const ul = document.createElement('ul');
+        ul.className = 'subtask-list';
+        ul.setAttribute('role', 'list');
+        ul.setAttribute('aria-label', `Subtasks of ${todo.text}`);
+        subtasks.forEach(subtask => {
+            ul.appendChild(this.createTodoRowElement(subtask, dragDropSupported));
+        });
+        li.classList.add('has-subtasks');
+        li.appendChild(ul);
+    }
+
+    /**
+     * Build the button that shows or hides a todo's notes
+     * @param {Object} todo - Todo object
+     * @returns {string} Button HTML, or '' if the todo has no notes
+     */
+    createNotesToggleHtml(todo) {
+        if (!todo.notes) {
+            return '';
+        }
+
+        const expanded = this.expandedNotes.has(todo.id);
+        return `<button type="button" class="notes-toggle" data-action="toggle-notes" data-id="${todo.id}" aria-expanded="${expanded}" aria-label="${expanded ? 'Hide' : 'Show'} notes" title="${expanded ? 'Hide' : 'Show'} notes">📝</button>`;
+    }
+
+    /**
+     * Show a todo's rendered notes under its row when the notes are expanded
+     * @param {Element} li - Todo list item
+     * @param {Object} todo - Todo object
+     */
+    appendNotesPanel(li, todo) {
+        if (!todo.notes || !this.expandedNotes.has(todo.id)) {
+            return;
+        }
+
+        const panel = document.createElement('div');
+        panel.className = 'todo-notes';
+        panel.innerHTML = this.renderNotesHtml(todo.notes);
+        li.classList.add('has-notes');
+        li.appendChild(panel);
+    }
+
+    /**
+     * Render notes Markdown with this view's HTML escaping
+     * @param {string} notes - Notes text
+     * @returns {string} Sanitized HTML
+     */
+    renderNotesHtml(notes) {
+        return MarkdownRenderer.render(notes, text => this.escapeHtml(text));
+    }
+
+    /**
+     * Show or hide the notes of a todo
+     * @param {string} id - Todo ID
+     */
+    toggleNotes(id) {
+        if (this.expandedNotes.has(id)) {
+            this.expandedNotes.delete(id);
+        } else {
+            this.expandedNotes.add(id);
+        }
+    }
+
+    /**
+     * Build the collapse toggle and "3/5 done" badge for a todo with subtasks
+     * @param {Object} todo - Todo object
+     * @returns {Object} { toggle, progress } HTML strings ('' when there are no subtasks)
+     */
+    createSubtaskSummaryHtml(todo) {
+        const subtasks = this.getSubtasksOf(todo);
+        if (subtasks.length === 0) {
+            return { toggle: '', progress: '' };
+        }
+
+        const done = subtasks.filter(subtask => subtask.completed).length;
+        const label = todo.collapsed ? 'Expand subtasks' : 'Collapse subtasks';
+        return {
+            toggle: `<button type="button" class="subtask-toggle" data-action="toggle-collapse" data-id="${todo.id}" aria-expanded="${!todo.collapsed}" aria-label="${label}">${todo.collapsed ? '▸' : '▾'}</button>`,
+            progress: `<span class="subtask-progress${done === subtasks.length ? ' all-done' : ''}" title="${done} of ${subtasks.length} subtasks done">${done}/${subtasks.length} done</span>`
+        };
+    }
     
     createTodoItemElement(todo, dragDropSupported = true) {
         const dragAttributes = dragDropSupported ? 'draggable="true"' : '';
@@ -262,17 +575,22 @@ class TodoView {
             '<span class="drag-handle" role="button" tabindex="0" aria-label="Drag to reorder todo" title="Drag to reorder this todo">≡</span>' : 
             '<span class="drag-handle-disabled" role="button" tabindex="0" aria-label="Drag to reorder (not supported)" title="Drag and drop not supported in this browser">≡</span>';
 
+        const isSubtask = Boolean(todo.parentId);
+        const summary = this.createSubtaskSummaryHtml(todo);
+
         const li = document.createElement('li');
-        li.className = 'todo-item';
+        li.className = `todo-item priority-${todo.priority || 'none'}${isSubtask ? ' subtask' : ''}${this.selectedIds.has(todo.id) ? ' selected' : ''}`;
         li.setAttribute('data-id', todo.id);
         if (dragDropSupported) {
             li.setAttribute('draggable', 'true');
         }
         li.setAttribute('role', 'listitem');
-        li.setAttribute('aria-label', `Todo: ${todo.text}`);
+        li.setAttribute('aria-label', `${isSubtask ? 'Subtask' : 'Todo'}: ${todo.text}`);
+        li.setAttribute('tabindex', todo.id === this.getFocusedId() ? '0' : '-1');
         
         li.innerHTML = `
             ${dragHandle}
+            ${summary.toggle}
             <input 
                 type="checkbox" 
                 class="todo-checkbox" 
@@ -282,12 +600,21 @@ class TodoView {
                 aria-label="Mark todo as ${todo.completed ? 'incomplete' : 'complete'}"
             >
             <span class="todo-text ${todo.completed ? 'completed' : ''}">${this.escapeHtml(todo.text)}</span>
+            ${this.createNotesToggleHtml(todo)}
+            ${summary.progress}
+            <span class="todo-tags">${this.createTagChipsHtml(todo)}</span>
+            ${this.createDueBadgeHtml(todo)}
+            ${this.createRepeatBadgeHtml(todo)}
+            ${isSubtask ? '' : this.createPrioritySelectHtml(todo)}
             <div class="todo-actions">
+                ${isSubtask ? '' : `<button class="subtask-btn" data-action="add-subtask" data-id="${todo.id}" aria-label="Add subtask">+ Subtask</button>`}
                 <button class="edit-btn" data-action="edit" data-id="${todo.id}" aria-label="Edit todo">Edit</button>
                 <button class="delete-btn" data-action="delete" data-id="${todo.id}" aria-label="Delete todo">Delete</button>
             </div>
         `;
         
+        this.appendNotesPanel(li, todo);
+        this.appendSubtaskList(li, todo, dragDropSupported);
         return li;
     }
     
@@ -297,7 +624,7 @@ class TodoView {
             '<span class="drag-handle-disabled" style="opacity: 0.3;" role="button" tabindex="-1" aria-label="Drag to reorder (not supported)" title="Drag and drop not supported in this browser">≡</span>';
 
         const li = document.createElement('li');
-        li.className = 'todo-item';
+        li.className = todo.parentId ? 'todo-item subtask' : 'todo-item';
         li.setAttribute('data-id', todo.id);
         li.setAttribute('role', 'listitem');
         li.setAttribute('aria-label', 'Editing todo');
@@ -315,30 +642,495 @@ class TodoView {
                     required
                     aria-label="Edit todo text"
                 >
+                ${this.createEditDetailsHtml(todo)}
                 <button type="submit" class="save-btn" aria-label="Save changes">Save</button>
                 <button type="button" class="cancel-btn" data-action="cancel-edit" aria-label="Cancel editing">Cancel</button>
             </form>
         `;
         
+        this.appendSubtaskList(li, todo, dragDropSupported);
         return li;
     }
 
+    /**
+     * Build the due date badge for a todo row
+     * @param {Object} todo - Todo object
+     * @returns {string} Badge HTML, or '' if the todo has no due date
+     */
+    createDueBadgeHtml(todo) {
+        if (!todo.dueDate) {
+            return '';
+        }
+
+        const dueStatus = DateUtils.getDueStatus(todo);
+        const statusClass = dueStatus ? ` due-${dueStatus}` : '';
+        const statusLabel = dueStatus ? ` (${dueStatus})` : '';
+        const label = this.formatDueLabel(todo);
+
+        return `<span class="todo-due${statusClass}" aria-label="Due ${this.escapeHtml(label)}${statusLabel}">${this.escapeHtml(label)}</span>`;
+    }
+
+    /**
+     * Build the repeat badge for a todo row
+     * @param {Object} todo - Todo object
+     * @returns {string} Badge HTML, or '' if the todo does not repeat
+     */
+    createRepeatBadgeHtml(todo) {
+        if (!todo.recurrence) {
+            return '';
+        }
+
+        const rule = this.escapeHtml(RecurrenceRule.format(todo.recurrence));
+        return `<span class="todo-repeat" title="${this.escapeHtml(this.formatRepeatTitle(todo))}">↻ ${rule}</span>`;
+    }
+
+    /**
+     * Describe a repeating todo's rule and completion history for a tooltip
+     * @param {Object} todo - Todo object
+     * @returns {string} e.g. "Repeats weekly on mon. Completed 3 times, last on 2026-03-02", or ''
+     */
+    formatRepeatTitle(todo) {
+        if (!todo.recurrence) {
+            return '';
+        }
+
+        const history = todo.completionHistory || [];
+        const title = `Repeats ${RecurrenceRule.format(todo.recurrence)}.`;
+        if (history.length === 0) {
+            return `${title} Not completed yet`;
+        }
+        const last = DateUtils.toDateKey(new Date(history[history.length - 1].completedAt));
+        return `${title} Completed ${history.length} time${history.length !== 1 ? 's' : ''}, last on ${last}`;
+    }
+
+    /**
+     * Format the visible due date label for a todo
+     * @param {Object} todo - Todo object
+     * @returns {string} Label such as "Due Oct 19 09:30", or '' without a due date
+     */
+    formatDueLabel(todo) {
+        const formatted = DateUtils.formatDueDate(todo);
+        return formatted ? `Due ${formatted}` : '';
+    }
+
+    /**
+     * Build the priority picker shown on each todo row
+     * The selected level also drives the row's priority marker styling.
+     * @param {Object} todo - Todo object
+     * @returns {string} Select HTML
+     */
+    createPrioritySelectHtml(todo) {
+        const current = todo.priority || 'none';
+        const options = TodoModel.PRIORITY_LEVELS.map(level => {
+            const label = level === 'none' ? 'No priority' : level.charAt(0).toUpperCase() + level.slice(1);
+            return `<option value="${level}" ${level === current ? 'selected' : ''}>${label}</option>`;
+        }).join('');
+
+        return `<select class="priority-select" data-action="set-priority" data-id="${todo.id}" aria-label="Todo priority">${options}</select>`;
+    }
+
+    /**
+     * Build the clickable tag chips for a todo row
+     * Clicking a chip filters the list by that tag.
+     * @param {Object} todo - Todo object
+     * @returns {string} Chips HTML, or '' if the todo has no tags
+     */
+    createTagChipsHtml(todo) {
+        return (todo.tags || []).map(tag => {
+            const safeTag = this.escapeHtml(tag);
+            return `<button type="button" class="tag-chip" data-action="filter-tag" data-id="${todo.id}" data-tag="${safeTag}" aria-label="Show todos tagged ${safeTag}">#${safeTag}</button>`;
+        }).join('');
+    }
+
+    /**
+     * Build the due date, time, tag and repeat inputs and the notes panel for the inline edit form
+     * @param {Object} todo - Todo being edited
+     * @returns {string} Inputs HTML
+     */
+    createEditDetailsHtml(todo) {
+        return `
+                <input 
+                    type="text" 
+                    class="edit-tags" 
+                    value="${this.escapeHtml((todo.tags || []).join(' '))}"
+                    placeholder="tags"
+                    aria-label="Edit tags (separated by spaces or commas)"
+                >
+                <input 
+                    type="date" 
+                    class="edit-due-date" 
+                    value="${this.escapeHtml(todo.dueDate || '')}"
+                    aria-label="Edit due date"
+                >
+                <input 
+                    type="time" 
+                    class="edit-due-time" 
+                    value="${this.escapeHtml(todo.dueTime || '')}"
+                    aria-label="Edit due time"
+                >${todo.parentId ? '' : `
+                <input 
+                    type="text" 
+                    class="edit-repeat" 
+                    value="${this.escapeHtml(RecurrenceRule.format(todo.recurrence))}"
+                    placeholder="repeat"
+                    list="repeatSuggestions"
+                    aria-label="Edit repeat rule (empty for none)"
+                >`}${this.createMoveSelectHtml()}
+                <details class="edit-notes-panel" ${todo.notes ? 'open' : ''}>
+                    <summary>Notes</summary>
+                    <textarea 
+                        class="edit-notes" 
+                        rows="4"
+                        placeholder="Markdown: **bold**, *italic*, \`code\`, - lists, [links](https://...)"
+                        aria-label="Edit notes (Markdown)"
+                    >${this.escapeHtml(todo.notes || '')}</textarea>
+                </details>`;
+    }
+
+    /**
+     * Build the "move to list" select for the inline edit form
+     * @returns {string} Select HTML, or '' when there is no other list
+     */
+    createMoveSelectHtml() {
+        if (this.moveTargets.length === 0) {
+            return '';
+        }
+
+        const options = this.moveTargets
+            .map(list => `<option value="${this.escapeHtml(list.id)}">Move to ${this.escapeHtml(list.name)}</option>`)
+            .join('');
+        return `
+                <select class="edit-list" aria-label="Move to another list">
+                    <option value="">Keep in this list</option>${options}
+                </select>`;
+    }
+
     /**
      * Show empty state when no todos exist or no search results
      * @param {boolean} noTodosExist - True if no todos exist at all
      * @param {string} searchTerm - Current search term
+     * @param {string} statusFilter - Active status filter
      */
-    showEmptyState(noTodosExist = true, searchTerm = '') {
+    showEmptyState(noTodosExist = true, searchTerm = '', statusFilter = 'all') {
         this.todoList.style.display = 'none';
         this.emptyState.style.display = 'block';
         
         if (noTodosExist) {
             this.emptyState.textContent = 'No todos yet. Add one above to get started!';
+        } else if (!searchTerm && statusFilter !== 'all') {
+            this.emptyState.textContent = `No ${statusFilter} todos.`;
         } else {
             this.emptyState.textContent = 'No todos match your search.';
         }
     }
 
+    /**
+     * Fill the list switcher and remember the lists todos can be moved to
+     * @param {Array} lists - List records with stats from ListManager.getListSummaries()
+     * @param {string} activeListId - Id of the list being shown
+     */
+    renderListControls(lists, activeListId) {
+        this.moveTargets = lists.filter(list => list.id !== activeListId);
+        if (!this.listSelect) return;
+
+        this.listSelect.innerHTML = lists.map(list => `
+            <option value="${this.escapeHtml(list.id)}"${list.id === activeListId ? ' selected' : ''}>
+                ${this.escapeHtml(list.name)} (${list.stats.pending})
+            </option>`).join('');
+        this.listSelect.value = activeListId;
+
+        if (this.deleteListBtn) {
+            this.deleteListBtn.disabled = lists.length <= 1;
+        }
+    }
+
+    /**
+     * Highlight the active status filter and refresh its counts
+     * @param {string} activeFilter - One of TodoModel.STATUS_FILTERS
+     * @param {Object} stats - Stats from TodoModel.getStats()
+     */
+    renderFilterBar(activeFilter, stats) {
+        if (!this.filterBar) return;
+
+        const counts = { all: stats.total, active: stats.pending, completed: stats.completed };
+        this.filterBar.querySelectorAll('[data-filter]').forEach(button => {
+            const filter = button.dataset.filter;
+            const isActive = filter === activeFilter;
+            button.classList.toggle('active', isActive);
+            button.setAttribute('aria-pressed', String(isActive));
+
+            const countElement = button.querySelector('.filter-count');
+            if (countElement) {
+                countElement.textContent = counts[filter];
+            }
+        });
+    }
+
+    /**
+     * Enable the undo and redo buttons when there is something to undo or redo
+     * @param {boolean} canUndo - Whether a change can be undone
+     * @param {boolean} canRedo - Whether an undone change can be redone
+     */
+    renderHistoryControls(canUndo, canRedo) {
+        if (this.undoBtn) {
+            this.undoBtn.disabled = !canUndo;
+        }
+        if (this.redoBtn) {
+            this.redoBtn.disabled = !canRedo;
+        }
+    }
+
+    /**
+     * Remember which todos are shown, in display order, and unselect the others
+     * Bulk actions only ever apply to todos the user can see.
+     * @param {Array} rows - Rendered todos, subtasks included, in display order
+     */
+    setVisibleTodos(rows) {
+        const previousIds = this.visibleIds;
+        this.visibleIds = rows.map(todo => todo.id);
+        const visible = new Set(this.visibleIds);
+
+        // When the focused todo goes away, the cursor stays at its position
+        if (this.focusedId !== null && !visible.has(this.focusedId)) {
+            const index = Math.min(previousIds.indexOf(this.focusedId), this.visibleIds.length - 1);
+            this.focusedId = index >= 0 ? this.visibleIds[index] : null;
+        }
+
+        this.selectedIds.forEach(id => {
+            if (!visible.has(id)) {
+                this.selectedIds.delete(id);
+            }
+        });
+        if (!visible.has(this.selectionAnchor) || !visible.has(this.selectionLead)) {
+            this.selectionAnchor = this.selectionLead = this.selectedIds.size > 0 ? this.getSelectedIds()[0] : null;
+        }
+    }
+
+    /**
+     * Select a todo: on its own, toggled in or out of the selection (Ctrl+click),
+     * or together with every todo from the anchor to it (Shift+click)
+     * @param {string} id - Todo ID
+     * @param {Object} [options] - Selection options
+     * @param {boolean} [options.toggle] - Add or remove the todo, keeping the rest
+     * @param {boolean} [options.extend] - Select the range from the anchor to the todo
+     * @returns {boolean} True if the todo is shown and could be selected
+     */
+    selectTodo(id, { toggle = false, extend = false } = {}) {
+        const index = this.visibleIds.indexOf(id);
+        if (index === -1) {
+            return false;
+        }
+
+        const anchorIndex = this.visibleIds.indexOf(this.selectionAnchor);
+        if (extend && anchorIndex !== -1) {
+            if (!toggle) {
+                this.selectedIds.clear();
+            }
+            this.visibleIds
+                .slice(Math.min(anchorIndex, index), Math.max(anchorIndex, index) + 1)
+                .forEach(rangeId => this.selectedIds.add(rangeId));
+            this.selectionLead = id;
+            return true;
+        }
+
+        if (!toggle) {
+            this.selectedIds.clear();
+            this.selectedIds.add(id);
+        } else if (this.selectedIds.has(id)) {
+            this.selectedIds.delete(id);
+        } else {
+            this.selectedIds.add(id);
+        }
+        this.selectionAnchor = this.selectionLead = id;
+        return true;
+    }
+
+    /**
+     * Grow or shrink the selection range by one row (Shift+Arrow)
+     * With nothing selected yet, the first (or last) shown todo is selected.
+     * @param {number} step - 1 for the row below, -1 for the row above
+     * @returns {boolean} True if the selection changed
+     */
+    extendSelection(step) {
+        if (this.visibleIds.length === 0) {
+            return false;
+        }
+
+        const leadIndex = this.visibleIds.indexOf(this.selectionLead);
+        if (leadIndex === -1) {
+            return this.selectTodo(this.visibleIds[step > 0 ? 0 : this.visibleIds.length - 1]);
+        }
+        const nextIndex = Math.min(Math.max(leadIndex + step, 0), this.visibleIds.length - 1);
+        if (nextIndex === leadIndex) {
+            return false;
+        }
+        return this.selectTodo(this.visibleIds[nextIndex], { extend: true });
+    }
+
+    /**
+     * Select every shown todo
+     * @returns {number} Number of todos selected
+     */
+    selectAll() {
+        this.selectedIds = new Set(this.visibleIds);
+        this.selectionAnchor = this.visibleIds[0] || null;
+        this.selectionLead = this.visibleIds[this.visibleIds.length - 1] || null;
+        return this.selectedIds.size;
+    }
+
+    /**
+     * Unselect every todo
+     */
+    clearSelection() {
+        this.selectedIds.clear();
+        this.selectionAnchor = this.selectionLead = null;
+    }
+
+    /**
+     * Check if any todo is selected
+     * @returns {boolean} True if at least one todo is selected
+     */
+    hasSelection() {
+        return this.selectedIds.size > 0;
+    }
+
+    /**
+     * Get the selected todos' ids
+     * @returns {Array<string>} Ids in display order
+     */
+    getSelectedIds() {
+        return this.visibleIds.filter(id => this.selectedIds.has(id));
+    }
+
+    /**
+     * Get the todo with the keyboard cursor
+     * Until the cursor is moved, it is on the first shown todo.
+     * @returns {string|null} Todo ID, or null if no todo is shown
+     */
+    getFocusedId() {
+        return this.visibleIds.includes(this.focusedId) ? this.focusedId : (this.visibleIds[0] || null);
+    }
+
+    /**
+     * Put the keyboard cursor on a todo
+     * @param {string} id - Todo ID
+     * @returns {boolean} True if the todo is shown
+     */
+    setFocusedTodo(id) {
+        if (!this.visibleIds.includes(id)) {
+            return false;
+        }
+        this.focusedId = id;
+        return true;
+    }
+
+    /**
+     * Move the keyboard cursor to the next or previous shown todo (j/k, arrows)
+     * @param {number} step - 1 for the todo below, -1 for the todo above
+     * @returns {string|null} Id of the newly focused todo, or null if it did not move
+     */
+    moveFocus(step) {
+        const index = this.visibleIds.indexOf(this.getFocusedId());
+        const nextIndex = Math.min(Math.max(index + step, 0), this.visibleIds.length - 1);
+        if (index === -1 || nextIndex === index) {
+            return null;
+        }
+        this.focusedId = this.visibleIds[nextIndex];
+        return this.focusedId;
+    }
+
+    /**
+     * Check if keyboard focus is on a todo row or in the edit form
+     * @returns {boolean} True if the todo list has the focus
+     */
+    hasListFocus() {
+        const active = document.activeElement;
+        return Boolean(this.todoList && active && this.todoList.contains(active) &&
+            (this.isTodoRow(active) || active.closest('.edit-form')));
+    }
+
+    /**
+     * Check if keyboard focus is on a todo row itself (not on a control inside it)
+     * @returns {boolean} True if a todo row has the focus
+     */
+    isTodoRowFocused() {
+        const active = document.activeElement;
+        return Boolean(this.todoList && active && this.todoList.contains(active) && this.isTodoRow(active));
+    }
+
+    /**
+     * Check if an element is a todo row
+     * @param {Element} element - Element to check
+     * @returns {boolean} True for a .todo-item element
+     * @private
+     */
+    isTodoRow(element) {
+        return Boolean(element.classList && element.classList.contains('todo-item'));
+    }
+
+    /**
+     * Give keyboard focus to the focused todo's row, or to its edit input while it is edited
+     * With virtual scrolling the row is scrolled into the rendered window first.
+     * Only this row can be reached with Tab (roving tabindex).
+     * @returns {boolean} True if the row was found and focused
+     */
+    focusTodoRow() {
+        const id = this.getFocusedId();
+        if (!id || !this.todoList) {
+            return false;
+        }
+
+        if (this.virtualScrollManager) {
+            this.virtualScrollManager.scrollIntoView(this.visibleIds.indexOf(id));
+        }
+
+        let target = null;
+        this.todoList.querySelectorAll('.todo-item').forEach(row => {
+            if (row.hasAttribute('tabindex')) {
+                row.setAttribute('tabindex', row.dataset.id === id ? '0' : '-1');
+            }
+            if (row.dataset.id === id) {
+                target = row.querySelector('.edit-input') || row;
+            }
+        });
+        if (!target) {
+            return false;
+        }
+        target.focus();
+        return true;
+    }
+
+    /**
+     * Show the bulk action bar while todos are selected, with the lists they can be moved to
+     */
+    renderBulkActions() {
+        if (!this.bulkActions) return;
+
+        const count = this.selectedIds.size;
+        this.bulkActions.hidden = count === 0;
+        if (this.bulkCount) {
+            this.bulkCount.textContent = `${count} selected`;
+        }
+
+        if (this.bulkMoveSelect) {
+            this.bulkMoveSelect.innerHTML = '<option value="">Move to…</option>' + this.moveTargets
+                .map(list => `<option value="${this.escapeHtml(list.id)}">${this.escapeHtml(list.name)}</option>`)
+                .join('');
+            this.bulkMoveSelect.hidden = this.moveTargets.length === 0;
+        }
+    }
+
+    /**
+     * Show the keys pressed so far of a sequence shortcut, like the g of "g a"
+     * @param {string|null} keys - Keys pressed so far, or null to hide the indicator
+     */
+    renderPendingShortcut(keys) {
+        if (!this.pendingShortcut) return;
+
+        this.pendingShortcut.hidden = !keys;
+        this.pendingShortcut.textContent = keys ? `${keys} … waiting for the next key` : '';
+    }
+
     /**
      * Hide empty state when todos exist
      */
@@ -353,6 +1145,7 @@ class TodoView {
      */
     startEdit(id) {
         this.editingId = id;
+        this.focusedId = id;
     }
 
     /**
@@ -383,6 +1176,9 @@ class TodoView {
      */
     clearInput() {
         this.todoInput.value = '';
+        if (this.dueDateInput) this.dueDateInput.value = '';
+        if (this.dueTimeInput) this.dueTimeInput.value = '';
+        if (this.repeatInput) this.repeatInput.value = '';
     }
 
     /**
@@ -393,6 +1189,25 @@ class TodoView {
         return this.todoInput.value.trim();
     }
 
+    /**
+     * Get the due date and time entered in the add form
+     * @returns {Object} Object with dueDate and dueTime strings ('' when empty)
+     */
+    getDueInputValues() {
+        return {
+            dueDate: this.dueDateInput ? this.dueDateInput.value : '',
+            dueTime: this.dueTimeInput ? this.dueTimeInput.value : ''
+        };
+    }
+
+    /**
+     * Get the repeat rule text entered in the add form
+     * @returns {string} Rule text ('' when the todo should not repeat)
+     */
+    getRepeatInputValue() {
+        return this.repeatInput ? this.repeatInput.value.trim() : '';
+    }
+
     /**
      * Focus on the todo input field
      */
@@ -401,20 +1216,131 @@ class TodoView {
     }
 
     /**
-     * Show a user message (could be enhanced with toast notifications)
+     * Get the format chosen for exports
+     * @returns {string} A TodoFormats.FILE_TYPES key
+     */
+    getExportFormat() {
+        const select = document.getElementById('exportFormat');
+        return select ? select.value : 'json';
+    }
+
+    /**
+     * Offer text as a file download
+     * @param {string} fileName - Suggested file name
+     * @param {string} contents - File contents
+     * @param {string} [type] - MIME type
+     */
+    downloadFile(fileName, contents, type = 'application/json') {
+        const url = URL.createObjectURL(new Blob([contents], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        // Revoke later: Safari cancels the download if the URL is revoked immediately
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Read a file chosen by the user as text
+     * @param {File} file - Selected file
+     * @returns {Promise<string>} File contents
+     */
+    readFile(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error || new Error('Could not read the file'));
+            reader.readAsText(file);
+        });
+    }
+
+    /**
+     * Show what an import would change, together with its options
+     * @param {Object} preview - Preview from DataExchange.previewImport()
+     */
+    showImportPreview(preview) {
+        if (!this.importPanel) return;
+
+        const plural = (count, word) => `${count} ${word}${count !== 1 ? 's' : ''}`;
+        const exportedAt = preview.exportedAt ? new Date(preview.exportedAt) : null;
+        const source = exportedAt && !isNaN(exportedAt.getTime())
+            ? `exported ${this.escapeHtml(exportedAt.toLocaleString())}`
+            : 'export date unknown';
+
+        const lists = preview.lists.map(list => {
+            const changes = [`${plural(list.newTodos, 'new todo')}`];
+            if (list.conflicts) changes.push(plural(list.conflicts, 'conflict'));
+            if (list.unchanged) changes.push(`${list.unchanged} unchanged`);
+            const label = list.exists ? '' : ' <em>(new list)</em>';
+            return `<li><strong>${this.escapeHtml(list.name)}</strong>${label}: ${plural(list.todoCount, 'todo')} (${changes.join(', ')})</li>`;
+        }).join('');
+
+        const conflicts = preview.conflicts.slice(0, 5).map(conflict =>
+            `<li>${this.escapeHtml(conflict.listName)}: "${this.escapeHtml(conflict.existingText)}" → "${this.escapeHtml(conflict.importedText)}"</li>`
+        ).join('');
+        const moreConflicts = preview.conflicts.length > 5 ? `<li>…and ${preview.conflicts.length - 5} more</li>` : '';
+
+        this.importSummary.innerHTML = `
+            <p>${plural(preview.lists.length, 'list')} with ${plural(preview.todoCount, 'todo')}, ${source}${preview.theme ? `, ${this.escapeHtml(preview.theme)} theme` : ''}.</p>
+            <ul>${lists}</ul>
+            ${conflicts ? `<div class="import-conflicts">Todos that differ from yours:<ul>${conflicts}${moreConflicts}</ul></div>` : ''}`;
+
+        this.importPanel.hidden = false;
+        const confirmButton = this.importPanel.querySelector('#confirmImportBtn');
+        if (confirmButton) {
+            confirmButton.focus();
+        }
+    }
+
+    /**
+     * Hide the import preview
+     */
+    hideImportPreview() {
+        if (this.importPanel) {
+            this.importPanel.hidden = true;
+        }
+    }
+
+    /**
+     * Get the options chosen in the import preview
+     * @returns {Object} { mode, conflict, includePreferences } (see DataExchange.applyImport)
+     */
+    getImportOptions() {
+        const mode = this.importPanel && this.importPanel.querySelector('input[name="importMode"]:checked');
+        const conflict = document.getElementById('importConflict');
+        const preferences = document.getElementById('importPreferences');
+        return {
+            mode: mode ? mode.value : 'merge',
+            conflict: conflict ? conflict.value : 'use-imported',
+            includePreferences: preferences ? preferences.checked : false
+        };
+    }
+
+    /**
+     * Show a user message as a toast notification (see ToastManager)
      * @param {string} message - Message to show
-     * @param {string} type - Message type (info, success, error)
-     */
-    showMessage(message, type = 'info') {
-        // For now, use browser alert. In a more advanced implementation,
-        // this could show toast notifications or inline messages
-        if (type === 'error') {
-            alert(`Error: ${message}`);
-        } else if (type === 'confirm') {
-            return confirm(message);
-        } else {
-            console.log(`${type.toUpperCase()}: ${message}`);
+     * @param {string} type - Message type (info, success, error); 'confirm' asks
+     *   instead, like showConfirmation()
+     * @param {Object} [options] - Toast options, e.g. { action: { label: 'Undo', onClick } }
+     * @returns {Promise<boolean>|undefined} The answer for 'confirm'
+     */
+    showMessage(message, type = 'info', options = {}) {
+        if (type === 'confirm') {
+            return this.showConfirmation(message, options);
         }
+        this.toasts.show(message, { ...options, type });
+    }
+
+    /**
+     * Ask the user for a line of text (see ConfirmDialog.prompt)
+     * @param {string} message - Prompt message
+     * @param {Object} [options] - Dialog options, e.g. { title: 'Rename list', defaultValue: 'Work' }
+     * @returns {Promise<string|null>} Entered text, or null if cancelled
+     */
+    promptForText(message, options = {}) {
+        return this.confirmDialog.prompt(message, options);
     }
 
     /**
@@ -425,7 +1351,8 @@ class TodoView {
     escapeHtml(text) {
         const div = document.createElement('div');
         div.textContent = text;
-        return div.innerHTML;
+        // innerHTML leaves quotes alone; escape them so the result is safe in attribute values
+        return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
     }
 
     /**
@@ -453,12 +1380,13 @@ class TodoView {
     }
     
     /**
-     * Show confirmation dialog
+     * Show confirmation dialog (see ConfirmDialog)
      * @param {string} message - Confirmation message
-     * @returns {boolean} True if confirmed, false otherwise
+     * @param {Object} [options] - Dialog options, e.g. { confirmLabel: 'Delete', danger: true }
+     * @returns {Promise<boolean>} True if confirmed, false otherwise
      */
-    showConfirmation(message) {
-        return this.showMessage(message, 'confirm');
+    showConfirmation(message, options = {}) {
+        return this.confirmDialog.confirm(message, options);
     }
 
     /**
@@ -473,4 +1401,9 @@ class TodoView {
         this.showMessage(message, 'info');
         this.dragDropMessageShown = true;
     }
-}
\ No newline at end of file
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TodoView;
+}
@@ -165,6 +165,10 @@ class VirtualScrollManager {
         this.topSpacer.style.height = `${topHeight}px`;
         this.bottomSpacer.style.height = `${bottomHeight}px`;
         
+        // Re-rendering replaces the items, so remember which one had keyboard focus
+        const focusedIndex = this.getFocusedIndex();
+        let focusTarget = null;
+        
         // Clear existing items (except spacers)
         const itemElements = this.itemContainer.querySelectorAll('.virtual-scroll-item');
         itemElements.forEach(el => el.remove());
@@ -177,6 +181,10 @@ class VirtualScrollManager {
             
             if (element) {
                 element.classList.add('virtual-scroll-item');
+                element.dataset.virtualIndex = actualIndex;
+                if (actualIndex === focusedIndex) {
+                    focusTarget = element;
+                }
                 element.style.cssText = `
                     position: absolute;
                     top: ${actualIndex * this.itemHeight - topHeight}px;
@@ -190,6 +198,21 @@ class VirtualScrollManager {
         
         // Insert items after top spacer
         this.topSpacer.parentNode.insertBefore(fragment, this.bottomSpacer);
+        
+        if (focusTarget) {
+            focusTarget.focus({ preventScroll: true });
+        }
+    }
+    
+    /**
+     * Get the index of the rendered item that has keyboard focus
+     * @returns {number} Item index, or -1 if focus is elsewhere
+     * @private
+     */
+    getFocusedIndex() {
+        const active = document.activeElement;
+        const item = active && this.itemContainer.contains(active) && active.closest('.virtual-scroll-item');
+        return item ? Number(item.dataset.virtualIndex) : -1;
     }
     
     /**
@@ -203,6 +226,30 @@ class VirtualScrollManager {
         this.scrollContainer.scrollTop = targetScrollTop;
     }
     
+    /**
+     * Scroll just far enough to show an item and render it right away
+     * Unlike scrollToIndex, which waits for the scroll event, the item exists
+     * when this returns, so it can be focused (keyboard navigation).
+     * @param {number} index - Item index to show
+     */
+    scrollIntoView(index) {
+        if (!this.scrollContainer || index < 0 || index >= this.items.length) return;
+        
+        const itemTop = index * this.itemHeight;
+        const itemBottom = itemTop + this.itemHeight;
+        if (itemTop < this.scrollTop) {
+            this.scrollTop = itemTop;
+        } else if (itemBottom > this.scrollTop + this.containerHeight) {
+            this.scrollTop = Math.max(0, itemBottom - this.containerHeight);
+        } else {
+            return; // Already in view, so already rendered
+        }
+        
+        this.scrollContainer.scrollTop = this.scrollTop;
+        this.updateVisibleRange();
+        this.render();
+    }
+    
     /**
      * Get the current scroll position as item index
      * @returns {number} Current top visible item index
@@ -268,4 +315,9 @@ class VirtualScrollManager {
             }
         };
     }
-}
\ No newline at end of file
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VirtualScrollManager;
+}
@@ -17,16 +17,32 @@ function initializeApp() {
             window.storageManager = new StorageManager();
         }
         
-        // Create model, view, and controller instances
-        const model = new TodoModel(window.storageManager);
+        // Create the list layer, view, and controller instances
+        const lists = new ListManager(window.storageManager);
         const view = new TodoView();
-        const controller = new TodoController(model, view, window.storageManager);
+        const controller = new TodoController(lists.getActiveModel(), view, window.storageManager, lists);
+
+        // Pick up changes saved in other tabs
+        const tabSync = new TabSync(window.storageManager)
+            .start((key, value) => controller.handleRemoteChange(key, value));
+
+        // Sync with a server if one is configured (see REST_SYNC.md)
+        const syncEndpoint = window.storageManager.getItem(RestSync.ENDPOINT_KEY);
+        const restSync = syncEndpoint
+            ? new RestSync(window.storageManager, { endpoint: syncEndpoint })
+                .start((key, value) => controller.handleRemoteChange(key, value))
+            : null;
 
         // Store reference for debugging/testing purposes
         todoApp = {
-            model,
+            get model() {
+                return controller.model; // Model of the active list
+            },
+            lists,
             view,
             controller,
+            tabSync,
+            restSync,
             storage: window.storageManager
         };
 
@@ -70,7 +86,12 @@ const AppLifecycle = {
      * Handle page before unload (cleanup if needed)
      */
     onBeforeUnload() {
-        // Could add cleanup logic here if needed
+        if (todoApp && todoApp.tabSync) {
+            todoApp.tabSync.stop();
+        }
+        if (todoApp && todoApp.restSync) {
+            todoApp.restSync.stop();
+        }
         console.log('AutoToDo application shutting down');
     },
 
@@ -0,0 +1,271 @@
+/**
+ * Unit Tests for Multiple Named Lists
+ * Tests ListManager (list index, switching, moving todos) and the per-list
+ * storage keys it gives each TodoModel
+ */
+
+// Mock browser globals for Node.js testing
+const { createStorage } = require('./test-helpers.js');
+
+function runTests() {
+    console.log('🧪 Running Named List Tests...');
+    console.log();
+
+    let testsPassed = 0;
+    let testsFailed = 0;
+
+    function test(description, testFn) {
+        try {
+            testFn();
+            console.log(`✅ ${description}`);
+            testsPassed++;
+        } catch (error) {
+            console.log(`❌ ${description}`);
+            console.log(`   Error: ${error.message}`);
+            testsFailed++;
+        }
+    }
+
+    function assert(condition, message) {
+        if (!condition) {
+            throw new Error(message || 'Assertion failed');
+        }
+    }
+
+    function assertArrayEquals(actual, expected, message) {
+        if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+            throw new Error(message || `Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+        }
+    }
+
+    function assertThrows(fn, expectedMessage) {
+        let error = null;
+        try {
+            fn();
+        } catch (e) {
+            error = e;
+        }
+        assert(error, 'Expected function to throw');
+        if (expectedMessage) {
+            assert(error.message.includes(expectedMessage), `Unexpected error: ${error.message}`);
+        }
+    }
+
+    test('should start with a default list backed by the original todos key', () => {
+        const storage = createStorage();
+        storage.setItem('todos', JSON.stringify([
+            { id: 'legacy', text: 'Existing todo', completed: false, createdAt: '2024-01-01T00:00:00.000Z' }
+        ]));
+        const lists = new ListManager(storage);
+
+        assertArrayEquals(lists.getLists().map(l => l.name), [ListManager.DEFAULT_LIST_NAME]);
+        assert(lists.activeListId === ListManager.DEFAULT_LIST_ID, 'Default list should be active');
+        assert(lists.getActiveModel().getTodo('legacy'), 'Existing todos should load into the default list');
+    });
+
+    test('should map list ids to storage keys', () => {
+        assert(ListManager.getTodoListKey(ListManager.DEFAULT_LIST_ID) === 'todos', 'Default list uses todos');
+        assert(ListManager.getTodoListKey('abc') === 'todos:abc', 'Other lists use todos:<id>');
+    });
+
+    test('should create lists with validated, unique names', () => {
+        const lists = new ListManager(createStorage());
+        const sprint = lists.createList('  Sprint  ');
+        assert(sprint.name === 'Sprint', 'Name should be trimmed');
+
+        assertThrows(() => lists.createList('sprint'), 'already exists');
+        assertThrows(() => lists.createList('   '), 'cannot be empty');
+        assertThrows(() => lists.createList('x'.repeat(ListManager.MAX_NAME_LENGTH + 1)), 'longer than');
+        assert(lists.getLists().length === 2, 'Rejected names should not create lists');
+    });
+
+    test('should rename lists', () => {
+        const lists = new ListManager(createStorage());
+        const ops = lists.createList('Ops');
+        lists.createList('Personal');
+
+        assert(lists.renameList(ops.id, 'Operations').name === 'Operations', 'Rename should return the list');
+        assert(lists.renameList(ops.id, 'operations').name === 'operations', 'A list may change its own case');
+        assertThrows(() => lists.renameList(ops.id, 'Personal'), 'already exists');
+        assert(lists.renameList('missing', 'Name') === null, 'Unknown list should return null');
+    });
+
+    test('should keep todos, order and stats separate per list', () => {
+        const lists = new ListManager(createStorage());
+        const work = lists.createList('Work');
+        const home = lists.getActiveModel();
+        home.addTodo('Water plants');
+
+        const workModel = lists.switchList(work.id);
+        const a = workModel.addTodo('Deploy');
+        const b = workModel.addTodo('Review');
+        workModel.toggleTodo(b.id);
+        workModel.reorderTodo(a.id, 0);
+
+        assertArrayEquals(home.getAllTodos().map(t => t.text), ['Water plants']);
+        assertArrayEquals(workModel.getAllTodos().map(t => t.text), ['Deploy', 'Review']);
+
+        const summaries = lists.getListSummaries();
+        assert(summaries[0].stats.total === 1 && summaries[0].stats.pending === 1, 'Home stats');
+        assert(summaries[1].stats.total === 2 && summaries[1].stats.completed === 1, 'Work stats');
+    });
+
+    test('should persist lists and the active list across reloads', () => {
+        const storage = createStorage();
+        const lists = new ListManager(storage);
+        const ops = lists.createList('Ops');
+        lists.switchList(ops.id).addTodo('Rotate keys');
+
+        const reloaded = new ListManager(storage);
+        assertArrayEquals(reloaded.getLists().map(l => l.name), [ListManager.DEFAULT_LIST_NAME, 'Ops']);
+        assert(reloaded.activeListId === ops.id, 'Active list should be restored');
+        assertArrayEquals(reloaded.getActiveModel().getAllTodos().map(t => t.text), ['Rotate keys']);
+        assert(storage.data[`todos:${ops.id}`], 'Todos should be stored under the list key');
+    });
+
+    test('should ignore unknown lists when switching', () => {
+        const lists = new ListManager(createStorage());
+        assert(lists.switchList('missing') === null, 'Unknown list should return null');
+        assert(lists.activeListId === ListManager.DEFAULT_LIST_ID, 'Active list should be unchanged');
+    });
+
+    test('should delete lists with their todos but never the last one', () => {
+        const storage = createStorage();
+        const lists = new ListManager(storage);
+        const temp = lists.createList('Temp');
+        lists.switchList(temp.id).addTodo('Scratch');
+
+        assert(lists.deleteList(temp.id), 'Delete should succeed');
+        assert(!storage.data[`todos:${temp.id}`], 'List todos should be removed from storage');
+        assert(lists.activeListId === ListManager.DEFAULT_LIST_ID, 'Deleting the active list switches lists');
+        assert(lists.deleteList('missing') === false, 'Unknown list should return false');
+        assertThrows(() => lists.deleteList(ListManager.DEFAULT_LIST_ID), 'last list');
+    });
+
+    test('should move todos between lists keeping their fields', () => {
+        const storage = createStorage();
+        const lists = new ListManager(storage);
+        const source = lists.getActiveModel();
+        const target = lists.createList('Someday');
+        lists.getModel(target.id).addTodo('Already there');
+
+        const todo = source.addTodo('Learn Rust #learning', { priority: 'high', dueDate: '2026-05-01' });
+        const moved = lists.moveTodo(todo.id, ListManager.DEFAULT_LIST_ID, target.id);
+
+        assert(moved.id === todo.id, 'Id should be kept');
+        assert(moved.priority === 'high' && moved.dueDate === '2026-05-01', 'Fields should be kept');
+        assertArrayEquals(moved.tags, ['learning']);
+        assert(source.getAllTodos().length === 0, 'Todo should leave the source list');
+        assertArrayEquals(lists.getModel(target.id).getAllTodos().map(t => t.text), ['Learn Rust', 'Already there'],
+            'Moved todo should go to the top of the target list');
+
+        const reloaded = new ListManager(storage);
+        assert(reloaded.getModel(target.id).getTodo(todo.id), 'Move should be persisted');
+        assert(!reloaded.getModel(ListManager.DEFAULT_LIST_ID).getTodo(todo.id), 'Source should be persisted');
+    });
+
+    test('should undo a move between lists in one step from either list', () => {
+        const lists = new ListManager(createStorage());
+        const source = lists.getActiveModel();
+        const work = lists.createList('Work');
+        const target = lists.getModel(work.id);
+        source.addTodo('Stay');
+        const todo = source.addTodo('Send report');
+        source.addTodo('Attach figures', { parentId: todo.id });
+        const before = source.getAllTodos().map(({ updatedAt, ...t }) => t);
+        const listsHolding = () => before.map(t => [source, target].filter(model => model.getTodo(t.id)).length);
+
+        lists.moveTodo(todo.id, ListManager.DEFAULT_LIST_ID, work.id);
+        assertArrayEquals(target.getAllTodos().map(t => t.text), ['Send report', 'Attach figures']);
+
+        assert(source.undo(), 'The move is undone from the source list');
+        assertArrayEquals(listsHolding(), [1, 1, 1], 'Every todo is in exactly one list');
+        assertArrayEquals(source.getAllTodos().map(({ updatedAt, ...t }) => JSON.stringify(t)), before.map(t => JSON.stringify(t)),
+            'The todos are back in their places');
+        assert(!target.canUndo() && target.canRedo(), 'The step moved in both histories');
+
+        assert(target.redo(), 'The move is redone from the target list');
+        assertArrayEquals(listsHolding(), [1, 1, 1]);
+        assertArrayEquals(target.getAllTodos().map(t => t.text), ['Send report', 'Attach figures']);
+        assert(target.undo(), 'The move is undone from the target list');
+        assertArrayEquals(source.getAllTodos().map(t => t.id), before.map(t => t.id));
+        assert(target.getAllTodos().length === 0);
+    });
+
+    test('should undo an edit saved with a move together with it and keep later edits', () => {
+        const lists = new ListManager(createStorage());
+        const source = lists.getActiveModel();
+        const work = lists.createList('Work');
+        const target = lists.getModel(work.id);
+        const todo = source.addTodo('Send report');
+
+        const since = source.getLastChange();
+        source.updateTodo(todo.id, 'Send final report');
+        lists.moveTodo(todo.id, ListManager.DEFAULT_LIST_ID, work.id, { since });
+        target.setPriority(todo.id, 'high');
+
+        source.undo();
+        const restored = source.getTodo(todo.id);
+        assert(restored && !target.getTodo(todo.id), 'The todo is back in the source list only');
+        assert(restored.text === 'Send report', 'The edit is undone with the move');
+        assert(restored.priority === 'high', 'A change made after the move is kept');
+        assert(source.getLastChange().type === 'addTodo', 'The edit and the move were one step');
+    });
+
+    test('should forget moves to or from a deleted list', () => {
+        const lists = new ListManager(createStorage());
+        const source = lists.getActiveModel();
+        const work = lists.createList('Work');
+        const todo = source.addTodo('Send report');
+        lists.moveTodo(todo.id, ListManager.DEFAULT_LIST_ID, work.id);
+
+        lists.deleteList(work.id);
+        assert(source.getLastChange().type === 'addTodo', 'The move is no longer in the undo history');
+    });
+
+    test('should return null when moving an unknown todo or to an unknown list', () => {
+        const lists = new ListManager(createStorage());
+        const todo = lists.getActiveModel().addTodo('Stay');
+        assert(lists.moveTodo('missing', ListManager.DEFAULT_LIST_ID, ListManager.DEFAULT_LIST_ID) === null);
+        assert(lists.moveTodo(todo.id, ListManager.DEFAULT_LIST_ID, 'missing') === null);
+        assert(lists.getActiveModel().getTodo(todo.id), 'Todo should stay put');
+    });
+
+    test('should refuse to insert a todo whose id is already in the list', () => {
+        const model = new TodoModel(createStorage());
+        const todo = model.addTodo('Original');
+        assertThrows(() => model.insertTodo({ ...todo }), 'already exists');
+        assertThrows(() => model.insertTodo({ text: 'No id' }), 'without an id');
+    });
+
+    test('should fall back to the default list when the index is corrupted', () => {
+        const storage = createStorage();
+        storage.setItem('todo-lists', '{not json');
+        storage.setItem('todo-active-list', 'gone');
+        const lists = new ListManager(storage);
+        assertArrayEquals(lists.getLists().map(l => l.id), [ListManager.DEFAULT_LIST_ID]);
+        assert(lists.activeListId === ListManager.DEFAULT_LIST_ID, 'Active list should fall back');
+    });
+
+    console.log();
+    console.log('==================================================');
+    console.log(`📊 Test Summary:`);
+    console.log(`   Total: ${testsPassed + testsFailed}`);
+    console.log(`   Passed: ${testsPassed}`);
+    console.log(`   Failed: ${testsFailed}`);
+    console.log('==================================================');
+
+    if (testsFailed === 0) {
+        console.log('🎉 All named list tests passed!');
+    } else {
+        console.log(`❌ ${testsFailed} test(s) failed`);
+        process.exit(1);
+    }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    runTests();
+}
+
+module.exports = { runTests };
@@ -0,0 +1,157 @@
+/**
+ * Unit Tests for Todo Notes
+ * Tests the notes field on TodoModel, searching notes through filterTodos
+ * and the safe Markdown subset rendered by MarkdownRenderer
+ */
+
+// Mock browser globals for Node.js testing
+const { createStorage } = require('./test-helpers.js');
+
+const MarkdownRenderer = require('./js/MarkdownRenderer.js');
+
+function runTests() {
+    console.log('🧪 Running Notes Tests...');
+    console.log();
+
+    let testsPassed = 0;
+    let testsFailed = 0;
+
+    function test(description, testFn) {
+        try {
+            testFn();
+            console.log(`✅ ${description}`);
+            testsPassed++;
+        } catch (error) {
+            console.log(`❌ ${description}`);
+            console.log(`   Error: ${error.message}`);
+            testsFailed++;
+        }
+    }
+
+    function assert(condition, message) {
+        if (!condition) {
+            throw new Error(message || 'Assertion failed');
+        }
+    }
+
+    function assertEquals(actual, expected, message) {
+        if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+            throw new Error(message || `Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+        }
+    }
+
+    function assertThrows(fn, expectedMessage) {
+        let error = null;
+        try {
+            fn();
+        } catch (e) {
+            error = e;
+        }
+        assert(error, 'Expected function to throw');
+        if (expectedMessage) {
+            assert(error.message.includes(expectedMessage), `Unexpected error: ${error.message}`);
+        }
+    }
+
+    test('should store, update and clear notes', () => {
+        const model = new TodoModel(createStorage());
+        const todo = model.addTodo('Renew passport', { notes: 'Bring two photos\r\n- old passport\n\n  ' });
+        assertEquals(todo.notes, 'Bring two photos\n- old passport', 'Line endings and trailing space are normalized');
+
+        model.updateTodo(todo.id, 'Renew passport', { notes: 'Booked for *Friday*' });
+        assertEquals(model.getTodo(todo.id).notes, 'Booked for *Friday*');
+
+        model.updateTodo(todo.id, 'Renew passport', {});
+        assertEquals(model.getTodo(todo.id).notes, 'Booked for *Friday*', 'Notes are kept when not given');
+
+        model.updateTodo(todo.id, 'Renew passport', { notes: '' });
+        assertEquals(model.getTodo(todo.id).notes, '');
+        assert(!('notes' in model.addTodo('No notes')), 'Todos without notes have no notes field');
+    });
+
+    test('should reject notes over the length limit', () => {
+        const model = new TodoModel(createStorage());
+        assertThrows(() => model.addTodo('Too long', { notes: 'x'.repeat(TodoModel.MAX_NOTES_LENGTH + 1) }), 'longer than');
+    });
+
+    test('should search notes only when asked to', () => {
+        const model = new TodoModel(createStorage());
+        model.addTodo('Call the bank', { notes: 'Ask about the\nmortgage rate' });
+        model.addTodo('Mortgage paperwork');
+
+        assertEquals(model.filterTodos('mortgage').map(t => t.text), ['Mortgage paperwork']);
+        assertEquals(model.filterTodos('mortgage', new Date(), { includeNotes: true }).map(t => t.text),
+            ['Mortgage paperwork', 'Call the bank']);
+        assertEquals(model.filterTodos('"the mortgage"', new Date(), { includeNotes: true }).map(t => t.text),
+            ['Call the bank'], 'Phrases match across line breaks');
+        assertEquals(model.filterTodos('-rate', new Date(), { includeNotes: true }).map(t => t.text),
+            ['Mortgage paperwork'], 'Exclusions apply to notes too');
+    });
+
+    test('should render paragraphs, line breaks and emphasis', () => {
+        assertEquals(MarkdownRenderer.render('Hello **world**\nand *you*\n\n_bye_ snake_case'),
+            '<p>Hello <strong>world</strong><br>and <em>you</em></p><p><em>bye</em> snake_case</p>');
+        assertEquals(MarkdownRenderer.render(''), '');
+    });
+
+    test('should render bulleted and numbered lists', () => {
+        assertEquals(MarkdownRenderer.render('Steps:\n- one\n* two\n1. first\n2) second'),
+            '<p>Steps:</p><ul><li>one</li><li>two</li></ul><ol><li>first</li><li>second</li></ol>');
+    });
+
+    test('should render inline code and fenced code blocks verbatim', () => {
+        assertEquals(MarkdownRenderer.render('Run `npm **test**`'), '<p>Run <code>npm **test**</code></p>');
+        assertEquals(MarkdownRenderer.render('```\nif (a < b) {\n  *x*\n}\n```\nafter'),
+            '<pre><code>if (a &lt; b) {\n  *x*\n}</code></pre><p>after</p>');
+    });
+
+    test('should render safe links and autolink bare URLs', () => {
+        assertEquals(MarkdownRenderer.render('[Docs](https://example.com/a?b=1&c=2)'),
+            '<p><a href="https://example.com/a?b=1&amp;c=2" target="_blank" rel="noopener noreferrer">Docs</a></p>');
+        assertEquals(MarkdownRenderer.render('See https://example.com/x.'),
+            '<p>See <a href="https://example.com/x" target="_blank" rel="noopener noreferrer">https://example.com/x</a>.</p>');
+        assert(MarkdownRenderer.render('[mail](mailto:me@example.com)').includes('href="mailto:me@example.com"'));
+    });
+
+    test('should never produce markup from user HTML or unsafe URLs', () => {
+        const html = MarkdownRenderer.render('<img src=x onerror="alert(1)">\n[x](javascript:alert(1))\n[y](data:text/html,hi)');
+        assert(!html.includes('<img'), 'Tags must be escaped');
+        assert(!/href="(javascript|data):/i.test(html), 'Unsafe schemes must not become links');
+        assert(html.includes('&quot;alert(1)&quot;'), 'Quotes must be escaped');
+
+        const quoted = MarkdownRenderer.render('[x](https://a.com/"onmouseover="alert(1))');
+        assert(!quoted.includes('"onmouseover'), 'Quotes in URLs must not break out of href');
+    });
+
+    test('should use the escape function it is given', () => {
+        const calls = [];
+        const escape = (text) => {
+            calls.push(text);
+            return MarkdownRenderer.escapeHtml(text);
+        };
+        MarkdownRenderer.render('a `b` c', escape);
+        assert(calls.length === 2, `Expected the code span and the line to be escaped, got ${calls.length} calls`);
+    });
+
+    console.log();
+    console.log('==================================================');
+    console.log(`📊 Test Summary:`);
+    console.log(`   Total: ${testsPassed + testsFailed}`);
+    console.log(`   Passed: ${testsPassed}`);
+    console.log(`   Failed: ${testsFailed}`);
+    console.log('==================================================');
+
+    if (testsFailed === 0) {
+        console.log('🎉 All notes tests passed!');
+    } else {
+        console.log(`❌ ${testsFailed} test(s) failed`);
+        process.exit(1);
+    }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    runTests();
+}
+
+module.exports = { runTests };
@@ -0,0 +1,378 @@
+/**
+ * Unit Tests for Toasts and the Confirmation Dialog
+ * Tests ToastManager (live region, queueing, auto-dismiss, action buttons),
+ * ConfirmDialog (Promise answers, text prompts, keyboard handling, focus) and
+ * the controller awaiting the dialog before adding or deleting todos and
+ * offering Undo afterwards
+ */
+
+/**
+ * Just enough of an element for the components: children, attributes,
+ * classes, text, listeners and focus
+ */
+class FakeElement {
+    constructor(tagName, doc) {
+        this.tagName = tagName.toUpperCase();
+        this.ownerDocument = doc;
+        this.children = [];
+        this.parentNode = null;
+        this.attributes = {};
+        this.listeners = {};
+        this.textContent = '';
+        this.className = '';
+        this.id = '';
+        this.type = '';
+    }
+
+    appendChild(child) {
+        child.parentNode = this;
+        this.children.push(child);
+        return child;
+    }
+
+    remove() {
+        if (this.parentNode) {
+            this.parentNode.children = this.parentNode.children.filter(child => child !== this);
+            this.parentNode = null;
+        }
+    }
+
+    setAttribute(name, value) { this.attributes[name] = String(value); }
+    getAttribute(name) { return name in this.attributes ? this.attributes[name] : null; }
+    addEventListener(type, fn) { (this.listeners[type] = this.listeners[type] || []).push(fn); }
+    focus() { this.ownerDocument.activeElement = this; }
+
+    /**
+     * Dispatch an event here and on the ancestors, like a bubbling DOM event
+     */
+    dispatch(type, props = {}) {
+        const event = {
+            type, target: this, defaultPrevented: false, propagationStopped: false,
+            preventDefault() { this.defaultPrevented = true; },
+            stopPropagation() { this.propagationStopped = true; },
+            ...props
+        };
+        for (let node = this; node && !event.propagationStopped; node = node.parentNode) {
+            (node.listeners[type] || []).forEach(fn => fn(event));
+        }
+        return event;
+    }
+
+    /**
+     * Find descendants with a class
+     */
+    findAll(className) {
+        return this.children.flatMap(child => [
+            ...(child.className.split(' ').includes(className) ? [child] : []),
+            ...child.findAll(className)
+        ]);
+    }
+
+    find(className) {
+        return this.findAll(className)[0] || null;
+    }
+}
+
+function createDocument() {
+    const doc = { activeElement: null };
+    doc.createElement = (tagName) => new FakeElement(tagName, doc);
+    doc.body = new FakeElement('body', doc);
+    doc.documentElement = doc.body;
+    return doc;
+}
+
+/**
+ * Replace setTimeout with a clock the tests advance by hand
+ */
+function installClock() {
+    const clock = { now: 0, timers: new Map(), nextId: 1 };
+    global.setTimeout = (fn, ms) => {
+        const id = clock.nextId++;
+        clock.timers.set(id, { fn, at: clock.now + ms });
+        return id;
+    };
+    global.clearTimeout = (id) => clock.timers.delete(id);
+    clock.tick = (ms) => {
+        clock.now += ms;
+        [...clock.timers.entries()]
+            .filter(([, timer]) => timer.at <= clock.now)
+            .forEach(([id, timer]) => {
+                clock.timers.delete(id);
+                timer.fn();
+            });
+    };
+    return clock;
+}
+
+// Mock browser globals for Node.js testing
+const { createStorage } = require('./test-helpers.js');
+
+const ToastManager = require('./js/ToastManager.js');
+const ConfirmDialog = require('./js/ConfirmDialog.js');
+const TodoView = require('./js/TodoView.js');
+const TodoController = require('./js/TodoController.js');
+const KeyboardHandlers = require('./js/KeyboardHandlers.js');
+
+/**
+ * Set up a controller on a real model whose view uses the real toasts and dialog
+ * @returns {Object} { doc, model, view, controller }
+ */
+function createApp() {
+    const doc = createDocument();
+    const model = new TodoModel(createStorage());
+    // The view's constructor looks up the whole page, so only its state is set up here
+    const view = Object.assign(Object.create(TodoView.prototype), {
+        editingId: null,
+        toasts: new ToastManager(doc),
+        confirmDialog: new ConfirmDialog(doc),
+        getEditingId() { return this.editingId; },
+        cancelEdit() { this.editingId = null; },
+        renderHistoryControls() {}
+    });
+    // The controller's constructor wires up the DOM, so only its state is set up here
+    const controller = Object.assign(Object.create(TodoController.prototype), { model, view, lists: null });
+    controller.render = () => {};
+    return { doc, model, view, controller };
+}
+
+const texts = (doc) => doc.body.findAll('toast-message').map(element => element.textContent);
+
+async function runTests() {
+    console.log('🧪 Running Notification Tests...');
+    console.log();
+
+    let testsPassed = 0;
+    let testsFailed = 0;
+
+    async function test(description, testFn) {
+        try {
+            await testFn();
+            console.log(`✅ ${description}`);
+            testsPassed++;
+        } catch (error) {
+            console.log(`❌ ${description}`);
+            console.log(`   Error: ${error.message}`);
+            testsFailed++;
+        }
+    }
+
+    function assert(condition, message) {
+        if (!condition) {
+            throw new Error(message || 'Assertion failed');
+        }
+    }
+
+    function assertEquals(actual, expected, message) {
+        if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+            throw new Error(message || `Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+        }
+    }
+
+    await test('should show toasts in a live region and dismiss them after their duration', () => {
+        const clock = installClock();
+        const doc = createDocument();
+        const toasts = new ToastManager(doc);
+        const region = doc.body.find('toast-region');
+        assertEquals([region.getAttribute('role'), region.getAttribute('aria-live')], ['status', 'polite']);
+
+        toasts.show('Saved', { type: 'success' });
+        toasts.show('Could not save', { type: 'error' });
+        assertEquals(texts(doc), ['Saved', 'Could not save']);
+        assertEquals(region.findAll('toast').map(toast => toast.getAttribute('role')), [null, 'alert'],
+            'Errors are announced at once');
+
+        clock.tick(ToastManager.DURATIONS.success);
+        assertEquals(texts(doc), ['Could not save'], 'Success toasts go first; errors stay longer');
+        clock.tick(ToastManager.DURATIONS.error);
+        assertEquals(texts(doc), []);
+    });
+
+    await test('should queue toasts beyond the visible limit', () => {
+        const clock = installClock();
+        const doc = createDocument();
+        const toasts = new ToastManager(doc);
+        const ids = ['One', 'Two', 'Three', 'Four', 'Five'].map(message => toasts.show(message));
+        assertEquals(texts(doc), ['One', 'Two', 'Three']);
+
+        clock.tick(1000);
+        toasts.dismiss(ids[4]);
+        doc.body.find('toast-close').dispatch('click');
+        assertEquals(texts(doc), ['Two', 'Three', 'Four'], 'A queued toast appears when one is closed');
+
+        clock.tick(ToastManager.DURATIONS.info - 1000);
+        assertEquals(texts(doc), ['Four'], 'A toast from the queue gets its full duration');
+    });
+
+    await test('should keep a toast up while it is hovered or focused and run its action', () => {
+        const clock = installClock();
+        const doc = createDocument();
+        const toasts = new ToastManager(doc);
+        let undone = 0;
+        toasts.show('Deleted "Milk"', { type: 'success', action: { label: 'Undo', onClick: () => undone++ } });
+
+        const toast = doc.body.find('toast');
+        toast.dispatch('mouseenter');
+        clock.tick(60000);
+        assertEquals(texts(doc), ['Deleted "Milk"'], 'Hovering keeps the toast');
+        toast.dispatch('mouseleave');
+
+        const action = toast.find('toast-action');
+        assertEquals(action.textContent, 'Undo');
+        action.dispatch('click');
+        assertEquals([undone, texts(doc)], [1, []], 'The action runs and closes the toast');
+    });
+
+    await test('should resolve the confirmation with the button the user picks', async () => {
+        const doc = createDocument();
+        const dialog = new ConfirmDialog(doc);
+        const opener = doc.createElement('button');
+        opener.focus();
+
+        const first = dialog.confirm('Delete "Milk"?', { title: 'Delete todo', confirmLabel: 'Delete', danger: true });
+        const second = dialog.confirm('Import 3 todos?');
+        await Promise.resolve();
+
+        const element = doc.body.find('confirm-dialog');
+        assertEquals([element.getAttribute('role'), element.getAttribute('aria-modal')], ['alertdialog', 'true']);
+        assertEquals(element.find('confirm-message').textContent, 'Delete "Milk"?');
+        assertEquals(doc.activeElement.textContent, 'Cancel', 'Cancel has focus for destructive actions');
+        assertEquals(doc.body.findAll('confirm-dialog').length, 1, 'The second dialog waits its turn');
+
+        element.find('confirm-btn').dispatch('click');
+        assert(doc.activeElement === opener, 'Focus returns to where it was');
+        assertEquals(await first, true);
+
+        await Promise.resolve();
+        assertEquals(doc.activeElement.textContent, 'OK');
+        doc.body.find('cancel-btn').dispatch('click');
+        assertEquals(await second, false);
+        assertEquals(doc.body.children.length, 0, 'The dialogs are removed');
+    });
+
+    await test('should cancel on Escape, keep Tab inside the dialog and hide keys from shortcuts', async () => {
+        const doc = createDocument();
+        const dialog = new ConfirmDialog(doc);
+        let shortcutKeys = 0;
+        doc.body.addEventListener('keydown', () => shortcutKeys++);
+
+        const answer = dialog.confirm('Clear 2 completed todos?', { danger: true });
+        await Promise.resolve();
+        const tab = doc.activeElement.dispatch('keydown', { key: 'Tab' });
+        assert(tab.defaultPrevented);
+        assertEquals(doc.activeElement.textContent, 'OK', 'Tab moves between the two buttons');
+        doc.activeElement.dispatch('keydown', { key: 'z', ctrlKey: true });
+        doc.activeElement.dispatch('keydown', { key: 'Escape' });
+
+        assertEquals(await answer, false);
+        assertEquals(shortcutKeys, 0, 'Key presses in the dialog do not reach the page');
+    });
+
+    await test('should ask for text in the dialog and resolve with it, or null when cancelled', async () => {
+        const doc = createDocument();
+        const dialog = new ConfirmDialog(doc);
+        const opener = doc.createElement('button');
+        opener.focus();
+
+        const renamed = dialog.prompt('New name for the list:', { title: 'Rename list', confirmLabel: 'Rename', defaultValue: 'Work' });
+        await Promise.resolve();
+        const input = doc.body.find('confirm-input');
+        assertEquals([doc.body.find('confirm-dialog').getAttribute('role'), input.value], ['dialog', 'Work']);
+        assert(doc.activeElement === input, 'The text field has focus');
+        doc.activeElement.dispatch('keydown', { key: 'Tab', shiftKey: true });
+        assertEquals(doc.activeElement.textContent, 'Rename', 'Tab cycles through the field and the buttons');
+        input.focus();
+        input.value = 'Home';
+        input.dispatch('keydown', { key: 'Enter' });
+        assertEquals(await renamed, 'Home', 'Enter in the field confirms');
+        assert(doc.activeElement === opener, 'Focus returns to where it was');
+
+        const cancelled = dialog.prompt('Tag to add to the selected todos:');
+        await Promise.resolve();
+        doc.body.find('confirm-input').value = 'urgent';
+        doc.activeElement.dispatch('keydown', { key: 'Escape' });
+        assertEquals(await cancelled, null);
+        assertEquals(doc.body.children.length, 0);
+    });
+
+    await test('should await the text dialog before adding a subtask', async () => {
+        installClock();
+        const { doc, model, controller } = createApp();
+        const parent = model.addTodo('Pack for trip');
+
+        const adding = controller.handleAddSubtask(parent.id);
+        await Promise.resolve();
+        assertEquals(doc.body.find('confirm-title').textContent, 'Add subtask');
+        assertEquals(model.getSubtasks(parent.id), [], 'Nothing is added while the dialog is open');
+        doc.body.find('confirm-input').value = 'Passport';
+        doc.body.find('confirm-btn').dispatch('click');
+        await adding;
+        assertEquals(model.getSubtasks(parent.id).map(t => t.text), ['Passport']);
+    });
+
+    await test('should await the confirmation before deleting a todo and offer Undo', async () => {
+        installClock();
+        const { doc, model, controller } = createApp();
+        const todo = model.addTodo('Buy milk');
+
+        let deleting = controller.handleDeleteTodo(todo.id);
+        await Promise.resolve();
+        doc.body.find('cancel-btn').dispatch('click');
+        await deleting;
+        assert(model.getTodo(todo.id), 'Cancelling keeps the todo');
+
+        deleting = controller.handleDeleteTodo(todo.id);
+        await Promise.resolve();
+        assertEquals(doc.body.find('confirm-title').textContent, 'Delete todo');
+        doc.body.find('confirm-btn').dispatch('click');
+        await deleting;
+        assertEquals(model.getAllTodos(), []);
+        assertEquals(texts(doc), ['Deleted "Buy milk"']);
+
+        doc.body.find('toast-action').dispatch('click');
+        assertEquals(model.getAllTodos().map(t => t.text), ['Buy milk'], 'Undo in the toast restores the todo');
+        assertEquals(texts(doc), ['Change undone']);
+    });
+
+    await test('should only undo the change its toast is about', async () => {
+        installClock();
+        const { doc, model, view, controller } = createApp();
+        const keep = model.addTodo('Keep');
+        const remove = model.addTodo('Remove');
+        model.toggleTodo(remove.id);
+
+        const handlers = new KeyboardHandlers(controller);
+        const clearing = handlers.getAllHandlers().clearCompleted();
+        await Promise.resolve();
+        doc.body.find('confirm-btn').dispatch('click');
+        await clearing;
+        assertEquals(texts(doc), ['Cleared 1 completed todo']);
+
+        model.setPriority(keep.id, 'high');
+        doc.body.find('toast-action').dispatch('click');
+        assertEquals(model.getAllTodos().map(t => t.text), ['Keep'], 'A later change is not undone by mistake');
+        assertEquals(texts(doc), ['That change can no longer be undone from here']);
+        assert(view.toasts.visible.length === 1);
+    });
+
+    console.log();
+    console.log('==================================================');
+    console.log(`📊 Test Summary:`);
+    console.log(`   Total: ${testsPassed + testsFailed}`);
+    console.log(`   Passed: ${testsPassed}`);
+    console.log(`   Failed: ${testsFailed}`);
+    console.log('==================================================');
+
+    if (testsFailed === 0) {
+        console.log('🎉 All notification tests passed!');
+    } else {
+        console.log(`❌ ${testsFailed} test(s) failed`);
+        process.exit(1);
+    }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    runTests();
+}
+
+module.exports = { runTests };
@@ -0,0 +1,224 @@
+/**
+ * Unit Tests for the Operation Log
+ * Tests that every TodoModel mutation is logged as one operation (failed saves
+ * are not), that a list can be rebuilt from the snapshot and the log,
+ * compaction by count and size, logging changes made outside the model,
+ * per-todo history and undoing operations
+ */
+
+// Mock browser globals for Node.js testing
+const { createStorage } = require('./test-helpers.js');
+
+/**
+ * Strip the fields that change on every run, to compare lists
+ * @param {Array<Object>} todos - Todos
+ * @returns {Array<Object>} [text, completed] per todo
+ */
+function summarize(todos) {
+    return todos.map(todo => [todo.text, todo.completed]);
+}
+
+function runTests() {
+    console.log('🧪 Running Operation Log Tests...');
+    console.log();
+
+    let testsPassed = 0;
+    let testsFailed = 0;
+
+    function test(description, testFn) {
+        try {
+            testFn();
+            console.log(`✅ ${description}`);
+            testsPassed++;
+        } catch (error) {
+            console.log(`❌ ${description}`);
+            console.log(`   Error: ${error.message}`);
+            testsFailed++;
+        }
+    }
+
+    function assert(condition, message) {
+        if (!condition) {
+            throw new Error(message || 'Assertion failed');
+        }
+    }
+
+    function assertEquals(actual, expected, message) {
+        if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+            throw new Error(message || `Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+        }
+    }
+
+    test('should log every mutation as one operation with its type, time and actor', () => {
+        const storage = createStorage();
+        const model = new TodoModel(storage);
+        const parent = model.addTodo('Plan trip');
+        const child = model.addTodo('Book flights', { parentId: parent.id });
+        model.updateTodo(parent.id, 'Plan holiday');
+        model.toggleTodo(child.id);
+        model.deleteTodo(parent.id);
+
+        const operations = model.getHistory();
+        assertEquals(operations.map(op => op.type), ['addTodo', 'addTodo', 'updateTodo', 'toggleTodo', 'deleteTodo']);
+        assertEquals(operations.map(op => op.seq), [1, 2, 3, 4, 5]);
+        assert(operations.every(op => op.actor === 'user' && !isNaN(Date.parse(op.at))), 'Each operation has an actor and a time');
+
+        const [update, toggle, remove] = operations.slice(2);
+        // updatedAt only changes when the update falls in a later millisecond
+        assertEquals(Object.keys(update.changes[0].after).filter(key => key !== 'updatedAt'), ['text'], 'Only the changed fields are logged');
+        assertEquals([update.changes[0].before.text, update.changes[0].after.text], ['Plan trip', 'Plan holiday']);
+        assertEquals(toggle.changes.map(change => change.id).sort(), [child.id, parent.id].sort(),
+            'Completing the last subtask also completes the parent in the same operation');
+        assertEquals(remove.changes.map(change => change.after), [null, null], 'Deleting removes the parent and its subtask');
+        assertEquals(remove.changes.find(change => change.id === parent.id).before.text, 'Plan holiday');
+    });
+
+    test('should only log and offer to undo saves that reached storage', () => {
+        const storage = createStorage();
+        const model = new TodoModel(storage);
+        const first = model.addTodo('First');
+        const setItem = storage.setItem;
+        storage.setItem = (key, value) => key === 'todos' ? false : setItem(key, value);
+
+        model.addTodo('Not saved');
+        assertEquals(model.getHistory().map(op => op.type), ['addTodo'], 'The failed save is not logged');
+        assertEquals(model.getLastChange().changes[0].id, first.id, 'It cannot be undone either');
+
+        storage.setItem = setItem;
+        model.toggleTodo(first.id);
+        const [, toggle] = model.getHistory();
+        assertEquals(toggle.changes.length, 2, 'The next save logs the pending change with its own');
+        assertEquals(model.log.rebuild(), JSON.parse(storage.getItem('todos')).todos);
+    });
+
+    test('should rebuild the list from the snapshot and the log', () => {
+        const storage = createStorage();
+        const model = new TodoModel(storage);
+        const first = model.addTodo('First');
+        model.addTodo('Second');
+        model.addTodo('Third');
+        model.toggleTodo(first.id);
+        model.reorderTodo(first.id, 0);
+
+        assertEquals(model.log.rebuild(), JSON.parse(storage.getItem('todos')).todos, 'The rebuilt list matches the saved one');
+        assertEquals(summarize(model.log.rebuild(3)), [['Third', false], ['Second', false], ['First', false]],
+            'The list can be rebuilt as it was after any operation');
+        assertEquals(model.getHistory().length, 5);
+    });
+
+    test('should compact the oldest operations into the snapshot', () => {
+        const storage = createStorage();
+        const model = new TodoModel(storage);
+        const todo = model.addTodo('Counter');
+        for (let i = 1; i < OperationLog.MAX_OPERATIONS; i++) {
+            model.updateTodo(todo.id, `Counter ${i}`);
+        }
+
+        const operations = model.getHistory();
+        assertEquals(operations.length, OperationLog.KEEP_OPERATIONS);
+        assertEquals(operations[operations.length - 1].seq, OperationLog.MAX_OPERATIONS, 'Operations keep their numbers');
+        assertEquals(model.log.getSnapshot().seq, OperationLog.MAX_OPERATIONS - OperationLog.KEEP_OPERATIONS);
+        assertEquals(model.log.rebuild(), model.getAllTodos(), 'Compacting keeps the state');
+
+        model.addTodo('After compaction');
+        assertEquals(model.getHistory().pop().seq, OperationLog.MAX_OPERATIONS + 1);
+    });
+
+    test('should compact the log when it grows past its size budget', () => {
+        const storage = createStorage();
+        const model = new TodoModel(storage);
+        const todo = model.addTodo('Meeting notes');
+        for (let i = 0; i < 30; i++) {
+            model.updateTodo(todo.id, 'Meeting notes', { notes: `${i} `.repeat(2000) });
+        }
+
+        assert(storage.getItem('oplog:todos').length <= OperationLog.MAX_LOG_BYTES, 'The log stays within its budget');
+        assert(model.getHistory().length < 30, 'The oldest operations were compacted');
+        assertEquals(model.log.rebuild(), model.getAllTodos(), 'Compacting keeps the state');
+    });
+
+    test('should log changes made outside the model when the list is loaded', () => {
+        const storage = createStorage();
+        storage.setItem('todos', StorageSchema.serialize([{ id: 'a', text: 'Saved before the log existed', completed: false, createdAt: '2024-01-01T00:00:00.000Z', order: 0 }]));
+        const model = new TodoModel(storage);
+        assertEquals(model.getHistory(), [], 'Existing data starts the log as its snapshot');
+        assertEquals(summarize(model.log.getSnapshot().todos), [['Saved before the log existed', false]]);
+
+        // Another tab, a restored backup or a sync changes the saved list
+        const saved = JSON.parse(storage.getItem('todos'));
+        saved.todos[0].completed = true;
+        storage.setItem('todos', JSON.stringify(saved));
+
+        const reloaded = new TodoModel(storage);
+        const [operation] = reloaded.getHistory();
+        assertEquals([operation.type, operation.actor], ['loadTodos', 'storage']);
+        assertEquals(reloaded.log.rebuild(), reloaded.getAllTodos());
+
+        new TodoModel(storage);
+        assertEquals(reloaded.getHistory().length, 1, 'Loading unchanged data logs nothing');
+
+        saved.todos[0].text = 'Edited in another tab';
+        reloaded.applyRemoteTodos(JSON.stringify(saved));
+        assertEquals(reloaded.getHistory().map(op => [op.type, op.actor]), [['loadTodos', 'storage'], ['applyRemoteTodos', 'remote']]);
+    });
+
+    test('should list the history of one todo', () => {
+        const model = new TodoModel(createStorage());
+        const milk = model.addTodo('Buy milk');
+        const bread = model.addTodo('Buy bread');
+        model.setPriority(milk.id, 'high');
+        model.addTag(bread.id, 'shopping');
+        model.toggleTodo(milk.id);
+
+        assertEquals(model.getHistory(milk.id).map(op => op.type), ['addTodo', 'setPriority', 'toggleTodo']);
+        assertEquals(model.getHistory(bread.id).map(op => op.type), ['addTodo', 'addTag']);
+    });
+
+    test('should undo an operation by applying its inverse', () => {
+        const model = new TodoModel(createStorage());
+        const keep = model.addTodo('Keep');
+        const remove = model.addTodo('Remove');
+        model.addTodo('Subtask', { parentId: remove.id });
+        const before = model.getAllTodos().map(todo => ({ ...todo }));
+
+        model.deleteTodo(remove.id);
+        const operation = model.getHistory().pop();
+        const undone = OperationLog.apply(model.getAllTodos(), OperationLog.invert(operation));
+        assertEquals(undone, before, 'Undoing restores the deleted todos in their places');
+        assertEquals(OperationLog.apply(undone, operation), model.getAllTodos(), 'Redoing deletes them again');
+        assertEquals(model.getAllTodos().map(todo => todo.id), [keep.id]);
+    });
+
+    test('should remove the log with its list', () => {
+        const storage = createStorage();
+        const lists = new ListManager(storage);
+        const work = lists.createList('Work');
+        lists.getModel(work.id).addTodo('Send report');
+        assert(storage.getItem(`oplog:todos:${work.id}`) !== null);
+
+        lists.deleteList(work.id);
+        assertEquals(Object.keys(storage.data).filter(key => key.includes(work.id)), []);
+    });
+
+    console.log();
+    console.log('==================================================');
+    console.log(`📊 Test Summary:`);
+    console.log(`   Total: ${testsPassed + testsFailed}`);
+    console.log(`   Passed: ${testsPassed}`);
+    console.log(`   Failed: ${testsFailed}`);
+    console.log('==================================================');
+
+    if (testsFailed === 0) {
+        console.log('🎉 All operation log tests passed!');
+    } else {
+        console.log(`❌ ${testsFailed} test(s) failed`);
+        process.exit(1);
+    }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    runTests();
+}
+
+module.exports = { runTests };
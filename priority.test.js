@@ -0,0 +1,204 @@
+/**
+ * Unit Tests for Todo Priority Levels
+ * Tests priority storage, priority-aware sorting in TodoModel and the
+ * priority shortcuts registered in ShortcutsConfig
+ */
+
+// Mock browser globals for Node.js testing
+const { createStorage } = require('./test-helpers.js');
+
+const ShortcutsConfig = require('./js/ShortcutsConfig.js');
+
+function runTests() {
+    console.log('🧪 Running Priority Tests...');
+    console.log();
+
+    let testsPassed = 0;
+    let testsFailed = 0;
+
+    function test(description, testFn) {
+        try {
+            testFn();
+            console.log(`✅ ${description}`);
+            testsPassed++;
+        } catch (error) {
+            console.log(`❌ ${description}`);
+            console.log(`   Error: ${error.message}`);
+            testsFailed++;
+        }
+    }
+
+    function assert(condition, message) {
+        if (!condition) {
+            throw new Error(message || 'Assertion failed');
+        }
+    }
+
+    function assertArrayEquals(actual, expected, message) {
+        if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+            throw new Error(message || `Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+        }
+    }
+
+    test('should default new todos to no priority', () => {
+        const model = new TodoModel(createStorage());
+        const todo = model.addTodo('Plain task');
+        assert(todo.priority === 'none', `Expected 'none', got ${todo.priority}`);
+    });
+
+    test('should accept a priority when adding a todo', () => {
+        const model = new TodoModel(createStorage());
+        const todo = model.addTodo('Fix outage', { priority: 'urgent' });
+        assert(todo.priority === 'urgent', 'Priority should be stored on creation');
+    });
+
+    test('should reject unknown priority levels', () => {
+        const model = new TodoModel(createStorage());
+        let threw = false;
+        try {
+            model.addTodo('Bad priority', { priority: 'critical' });
+        } catch (error) {
+            threw = true;
+        }
+        assert(threw, 'Unknown priority should throw');
+
+        const todo = model.addTodo('Valid');
+        threw = false;
+        try {
+            model.setPriority(todo.id, 'extreme');
+        } catch (error) {
+            threw = true;
+        }
+        assert(threw, 'setPriority should reject unknown levels');
+        assert(model.getTodo(todo.id).priority === 'none', 'Priority should be unchanged after rejection');
+    });
+
+    test('should update and persist priority with setPriority', () => {
+        const storage = createStorage();
+        const model = new TodoModel(storage);
+        const todo = model.addTodo('Review PR');
+
+        const updated = model.setPriority(todo.id, 'high');
+        assert(updated && updated.priority === 'high', 'setPriority should return the updated todo');
+        assert(model.setPriority('missing-id', 'high') === null, 'Unknown id should return null');
+
+        const reloaded = new TodoModel(storage);
+        assert(reloaded.getTodo(todo.id).priority === 'high', 'Priority should survive a reload');
+    });
+
+    test('should update priority through updateTodo details', () => {
+        const model = new TodoModel(createStorage());
+        const todo = model.addTodo('Write docs', { priority: 'low' });
+
+        model.updateTodo(todo.id, 'Write docs');
+        assert(model.getTodo(todo.id).priority === 'low', 'Text-only update keeps priority');
+
+        model.updateTodo(todo.id, 'Write docs', { priority: 'medium' });
+        assert(model.getTodo(todo.id).priority === 'medium', 'Priority should be updated');
+    });
+
+    test('should keep manual order in manual sort mode', () => {
+        const model = new TodoModel(createStorage());
+        const a = model.addTodo('A', { priority: 'urgent' });
+        const b = model.addTodo('B', { priority: 'low' });
+
+        assertArrayEquals(model.sortTodos(model.getAllTodos(), 'manual').map(t => t.id), [b.id, a.id]);
+    });
+
+    test('should sort by priority, then manual order', () => {
+        const model = new TodoModel(createStorage());
+        const low = model.addTodo('Low', { priority: 'low' });
+        const high1 = model.addTodo('High 1', { priority: 'high' });
+        const none = model.addTodo('None');
+        const urgent = model.addTodo('Urgent', { priority: 'urgent' });
+        const high2 = model.addTodo('High 2', { priority: 'high' });
+        // Manual order: High 2, Urgent, None, High 1, Low
+
+        const sorted = model.sortTodos(model.getAllTodos(), 'priority');
+        assertArrayEquals(
+            sorted.map(t => t.id),
+            [urgent.id, high2.id, high1.id, low.id, none.id],
+            'Higher priorities first, ties broken by manual order'
+        );
+    });
+
+    test('should fall back to createdAt when manual order ties', () => {
+        const model = new TodoModel(createStorage());
+        const todos = [
+            { id: 'later', priority: 'high', order: 0, createdAt: '2026-01-02T00:00:00.000Z' },
+            { id: 'earlier', priority: 'high', order: 0, createdAt: '2026-01-01T00:00:00.000Z' }
+        ];
+        assertArrayEquals(model.sortTodos(todos, 'priority').map(t => t.id), ['earlier', 'later']);
+    });
+
+    test('should treat todos saved before priorities existed as none', () => {
+        const storage = createStorage();
+        storage.setItem('todos', JSON.stringify([
+            { id: 'legacy', text: 'Legacy', completed: false, createdAt: '2024-01-01T00:00:00.000Z' },
+            { id: 'low', text: 'Low', completed: false, createdAt: '2024-01-01T00:00:00.000Z', priority: 'low' }
+        ]));
+        const model = new TodoModel(storage);
+
+        assert(model.getPriorityWeight(model.getTodo('legacy')) === 0, 'Missing priority should weigh as none');
+        assertArrayEquals(model.sortTodos(model.getAllTodos(), 'priority').map(t => t.id), ['low', 'legacy']);
+    });
+
+    test('should not mutate the input array when sorting', () => {
+        const model = new TodoModel(createStorage());
+        model.addTodo('A', { priority: 'low' });
+        model.addTodo('B', { priority: 'urgent' });
+        const todos = model.getAllTodos();
+        const before = todos.map(t => t.id);
+
+        model.sortTodos(todos, 'priority');
+        assertArrayEquals(todos.map(t => t.id), before, 'sortTodos should return a new array');
+    });
+
+    test('should register priority shortcuts without validation errors', () => {
+        const noop = () => {};
+        const handlerNames = [
+            'focusNewTodo', 'focusSearch', 'showAllTodos', 'showActiveTodos', 'showCompletedTodos',
+            'addTodo', 'toggleFirstTodo', 'deleteFirstTodo',
+            'cancelEdit', 'saveEdit', 'showHelp', 'openShortcutSettings', 'toggleTheme', 'selectAll', 'clearCompleted',
+            'setPriorityNone', 'setPriorityLow', 'setPriorityMedium', 'setPriorityHigh',
+            'setPriorityUrgent', 'togglePrioritySort', 'undo', 'redo', 'extendSelectionUp',
+            'extendSelectionDown', 'clearSelection', 'deleteSelected', 'focusNextTodo',
+            'focusPreviousTodo', 'toggleFocusedTodo', 'editFocusedTodo', 'deleteFocusedTodo',
+            'moveFocusedTodoUp', 'moveFocusedTodoDown', 'showStats'
+        ];
+        const handlers = {};
+        handlerNames.forEach(name => { handlers[name] = noop; });
+
+        const shortcuts = ShortcutsConfig.getShortcuts(handlers);
+        const priorityKeys = shortcuts
+            .filter(s => s.altKey && ['0', '1', '2', '3', '4', 'p'].includes(s.key))
+            .map(s => s.key);
+        assertArrayEquals(priorityKeys, ['0', '1', '2', '3', '4', 'p'], 'All priority shortcuts should be configured');
+
+        const validation = ShortcutsConfig.validateShortcutCollection(shortcuts);
+        assert(validation.errors === 0, `Expected no validation errors, got ${validation.errors}`);
+        assert(validation.conflicts.length === 0, 'Priority shortcuts should not conflict');
+    });
+
+    console.log();
+    console.log('==================================================');
+    console.log(`📊 Test Summary:`);
+    console.log(`   Total: ${testsPassed + testsFailed}`);
+    console.log(`   Passed: ${testsPassed}`);
+    console.log(`   Failed: ${testsFailed}`);
+    console.log('==================================================');
+
+    if (testsFailed === 0) {
+        console.log('🎉 All priority tests passed!');
+    } else {
+        console.log(`❌ ${testsFailed} test(s) failed`);
+        process.exit(1);
+    }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    runTests();
+}
+
+module.exports = { runTests };
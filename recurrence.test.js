@@ -0,0 +1,218 @@
+/**
+ * Unit Tests for Recurring Todos
+ * Tests the RecurrenceRule engine (parsing, formatting, next due dates) and
+ * how TodoModel creates the next occurrence and keeps completion history
+ */
+
+// Mock browser globals for Node.js testing
+const { createStorage } = require('./test-helpers.js');
+
+/**
+ * Next due date for a rule given as text
+ * @param {string} text - Rule text
+ * @param {string|null} dueDate - Due date of the completed occurrence
+ * @param {string} completedOn - Completion date key
+ * @returns {string} Next due date key
+ */
+function next(text, dueDate, completedOn) {
+    const rule = RecurrenceRule.anchor(RecurrenceRule.parse(text), dueDate || completedOn);
+    return RecurrenceRule.getNextDueDate(rule, { dueDate, completedOn });
+}
+
+function runTests() {
+    console.log('🧪 Running Recurring Todo Tests...');
+    console.log();
+
+    let testsPassed = 0;
+    let testsFailed = 0;
+
+    function test(description, testFn) {
+        try {
+            testFn();
+            console.log(`✅ ${description}`);
+            testsPassed++;
+        } catch (error) {
+            console.log(`❌ ${description}`);
+            console.log(`   Error: ${error.message}`);
+            testsFailed++;
+        }
+    }
+
+    function assert(condition, message) {
+        if (!condition) {
+            throw new Error(message || 'Assertion failed');
+        }
+    }
+
+    function assertEquals(actual, expected, message) {
+        if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+            throw new Error(message || `Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+        }
+    }
+
+    function assertThrows(fn, expectedMessage) {
+        let error = null;
+        try {
+            fn();
+        } catch (e) {
+            error = e;
+        }
+        assert(error, 'Expected function to throw');
+        if (expectedMessage) {
+            assert(error.message.includes(expectedMessage), `Unexpected error: ${error.message}`);
+        }
+    }
+
+    test('should parse the supported rule phrases', () => {
+        assertEquals(RecurrenceRule.parse('Daily'), { type: 'daily', interval: 1 });
+        assertEquals(RecurrenceRule.parse('every 3 days'), { type: 'daily', interval: 3 });
+        assertEquals(RecurrenceRule.parse('weekly on Mon, Thursday'), { type: 'weekly', interval: 1, weekdays: [1, 4] });
+        assertEquals(RecurrenceRule.parse('every 2 weeks on fri'), { type: 'weekly', interval: 2, weekdays: [5] });
+        assertEquals(RecurrenceRule.parse('every weekday'), { type: 'weekly', interval: 1, weekdays: [1, 2, 3, 4, 5] });
+        assertEquals(RecurrenceRule.parse('monthly on the 15th'), { type: 'monthly', interval: 1, dayOfMonth: 15 });
+        assertEquals(RecurrenceRule.parse('every 3 months'), { type: 'monthly', interval: 3, dayOfMonth: null });
+        assertEquals(RecurrenceRule.parse('every 10 days after completion'), { type: 'after-completion', interval: 10 });
+        assert(RecurrenceRule.parse('  ') === null, 'Blank text means no rule');
+    });
+
+    test('should reject invalid rules', () => {
+        assertThrows(() => RecurrenceRule.parse('sometimes'), 'Unknown repeat rule');
+        assertThrows(() => RecurrenceRule.parse('weekly on funday'), 'Unknown weekday');
+        assertThrows(() => RecurrenceRule.parse('monthly on the 32nd'), 'Day of month');
+        assertThrows(() => RecurrenceRule.parse('every 0 days'), 'whole number');
+        assertThrows(() => RecurrenceRule.normalize({ type: 'hourly' }), 'must be daily');
+    });
+
+    test('should format rules as text that parses back to the same rule', () => {
+        [
+            'daily', 'every 4 days', 'weekly on mon, wed', 'every 3 weeks on sat',
+            'monthly on the 1st', 'every 2 months on the 22nd', 'every 1 day after completion'
+        ].forEach(text => {
+            const rule = RecurrenceRule.parse(text);
+            assertEquals(RecurrenceRule.format(rule), text);
+            assertEquals(RecurrenceRule.parse(RecurrenceRule.format(rule)), rule, `Round trip of "${text}"`);
+        });
+    });
+
+    test('should schedule daily rules from the due date', () => {
+        assertEquals(next('daily', '2026-03-10', '2026-03-10'), '2026-03-11');
+        assertEquals(next('every 3 days', '2026-02-27', '2026-02-27'), '2026-03-02');
+    });
+
+    test('should schedule weekly rules on the chosen weekdays', () => {
+        // 2026-03-09 is a Monday
+        assertEquals(next('weekly on mon, thu', '2026-03-09', '2026-03-09'), '2026-03-12');
+        assertEquals(next('weekly on mon, thu', '2026-03-12', '2026-03-12'), '2026-03-16');
+        assertEquals(next('every 2 weeks on mon, thu', '2026-03-12', '2026-03-12'), '2026-03-23');
+        assertEquals(next('weekly', '2026-03-11', '2026-03-11'), '2026-03-18', 'Plain weekly keeps the weekday');
+    });
+
+    test('should schedule monthly rules on the Nth day, clamped to short months', () => {
+        assertEquals(next('monthly on the 15th', '2026-03-15', '2026-03-15'), '2026-04-15');
+        assertEquals(next('monthly on the 31st', '2026-01-31', '2026-01-31'), '2026-02-28');
+        assertEquals(next('monthly on the 31st', '2026-02-28', '2026-02-28'), '2026-03-31');
+        assertEquals(next('every 3 months on the 1st', '2026-11-01', '2026-11-01'), '2027-02-01');
+        assertEquals(next('monthly on the 20th', '2026-03-05', '2026-03-05'), '2026-03-20', 'Later day in the same month');
+    });
+
+    test('should skip occurrences missed while overdue', () => {
+        assertEquals(next('daily', '2026-03-01', '2026-03-10'), '2026-03-11');
+        assertEquals(next('weekly on mon', '2026-02-02', '2026-03-10'), '2026-03-16');
+    });
+
+    test('should count after-completion rules from the completion day', () => {
+        assertEquals(next('every 10 days after completion', '2026-03-01', '2026-03-05'), '2026-03-15');
+        assertEquals(next('every 2 days after completion', null, '2026-12-31'), '2027-01-02');
+    });
+
+    test('should create the next occurrence when a repeating todo is completed', () => {
+        const model = new TodoModel(createStorage());
+        const todo = model.addTodo('Water plants #home', {
+            dueDate: '2026-03-09', dueTime: '08:00', priority: 'high', recurrence: 'weekly on mon'
+        });
+
+        model.toggleTodo(todo.id, { now: new Date(2026, 2, 9, 9, 30) });
+        const occurrence = model.getTodo(todo.nextOccurrenceId);
+
+        assert(occurrence && !occurrence.completed, 'Next occurrence should be open');
+        assert(model.getTodo(todo.id).completed, 'Original should stay completed');
+        assertEquals(occurrence.dueDate, '2026-03-16');
+        assertEquals([occurrence.dueTime, occurrence.priority, occurrence.tags], ['08:00', 'high', ['home']]);
+        assertEquals(occurrence.recurrence, todo.recurrence);
+        assertEquals(model.getAllTodos()[0].id, occurrence.id, 'Next occurrence goes to the top');
+    });
+
+    test('should keep the completion history across occurrences', () => {
+        const model = new TodoModel(createStorage());
+        let todo = model.addTodo('Stretch', { dueDate: '2026-03-09', recurrence: 'daily' });
+        const times = [new Date(2026, 2, 9, 7), new Date(2026, 2, 10, 7), new Date(2026, 2, 11, 7)];
+        times.forEach(now => {
+            model.toggleTodo(todo.id, { now });
+            todo = model.getTodo(todo.nextOccurrenceId);
+        });
+
+        assertEquals(todo.dueDate, '2026-03-12');
+        assertEquals(todo.completionHistory.map(entry => entry.dueDate), ['2026-03-09', '2026-03-10', '2026-03-11']);
+        assertEquals(todo.completionHistory[2].completedAt, times[2].toISOString());
+    });
+
+    test('should not create a second occurrence when re-completing the same todo', () => {
+        const model = new TodoModel(createStorage());
+        const todo = model.addTodo('Pay rent', { dueDate: '2026-03-01', recurrence: 'monthly' });
+        const now = new Date(2026, 2, 1, 12);
+
+        model.toggleTodo(todo.id, { now });
+        model.toggleTodo(todo.id, { now });
+        model.toggleTodo(todo.id, { now });
+        assert(model.getAllTodos().length === 2, 'Only one next occurrence should exist');
+    });
+
+    test('should copy subtasks unchecked into the next occurrence', () => {
+        const model = new TodoModel(createStorage());
+        const parent = model.addTodo('Weekly review', { dueDate: '2026-03-13', recurrence: 'weekly' });
+        const steps = ['Inbox zero', 'Plan week'].map(text => model.addTodo(text, { parentId: parent.id }));
+        const now = new Date(2026, 2, 13, 17);
+
+        steps.forEach(step => model.toggleTodo(step.id, { now }));
+        assert(model.getTodo(parent.id).completed, 'Finishing the checklist completes the parent');
+
+        const occurrence = model.getTodo(parent.nextOccurrenceId);
+        assertEquals(occurrence.dueDate, '2026-03-20');
+        assertEquals(model.getSubtasks(occurrence.id).map(t => [t.text, t.completed]),
+            [['Inbox zero', false], ['Plan week', false]]);
+        assertThrows(() => model.addTodo('Nested', { parentId: parent.id, recurrence: 'daily' }), 'cannot repeat');
+    });
+
+    test('should anchor rules without a due date to the creation day and allow editing', () => {
+        const model = new TodoModel(createStorage());
+        const todo = model.addTodo('Back up laptop', { recurrence: 'every 7 days after completion' });
+        model.toggleTodo(todo.id, { now: new Date(2026, 4, 1, 18) });
+        assertEquals(model.getTodo(todo.nextOccurrenceId).dueDate, '2026-05-08');
+
+        model.updateTodo(todo.nextOccurrenceId, 'Back up laptop', { recurrence: '' });
+        assert(model.getTodo(todo.nextOccurrenceId).recurrence === null, 'Empty rule stops repeating');
+        assertThrows(() => model.updateTodo(todo.id, 'Back up laptop', { recurrence: 'whenever' }), 'Unknown repeat rule');
+    });
+
+    console.log();
+    console.log('==================================================');
+    console.log(`📊 Test Summary:`);
+    console.log(`   Total: ${testsPassed + testsFailed}`);
+    console.log(`   Passed: ${testsPassed}`);
+    console.log(`   Failed: ${testsFailed}`);
+    console.log('==================================================');
+
+    if (testsFailed === 0) {
+        console.log('🎉 All recurring todo tests passed!');
+    } else {
+        console.log(`❌ ${testsFailed} test(s) failed`);
+        process.exit(1);
+    }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    runTests();
+}
+
+module.exports = { runTests };
@@ -0,0 +1,155 @@
+/**
+ * In-memory sync server implementing the REST sync contract (see REST_SYNC.md)
+ *
+ * Used by rest-sync.test.js, and handy for trying sync locally:
+ *   node rest-sync-mock-server.js [port]
+ * then in the app's console:
+ *   storageManager.setItem('todo-sync-endpoint', 'http://localhost:8787')
+ * and reload. Data is lost when the server stops.
+ */
+
+const http = require('http');
+
+class MockSyncServer {
+    constructor() {
+        this.records = new Map(); // 'collection\u0000id' -> { collection, id, updatedAt, deleted, record, revision, clientId }
+        this.revision = 0;
+        this.requests = []; // Parsed bodies of every sync request, for tests
+        this.unavailable = false; // When true, every request gets a 503
+        this.server = http.createServer((req, res) => this.handle(req, res));
+    }
+
+    /**
+     * Start listening
+     * @param {number} [port] - Port; 0 picks a free one
+     * @returns {Promise<string>} Base URL of the server
+     */
+    start(port = 0) {
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, '127.0.0.1', () => {
+                resolve(`http://127.0.0.1:${this.server.address().port}`);
+            });
+        });
+    }
+
+    /**
+     * Stop listening
+     * @returns {Promise<void>}
+     */
+    stop() {
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    /**
+     * Get the stored, non-deleted records of a collection
+     * @param {string} collection - Storage key, e.g. 'todos'
+     * @returns {Array<Object>} Records
+     */
+    getRecords(collection) {
+        return [...this.records.values()]
+            .filter(entry => entry.collection === collection && !entry.deleted)
+            .map(entry => entry.record);
+    }
+
+    send(res, status, body) {
+        res.writeHead(status, {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'POST, OPTIONS',
+            'Access-Control-Allow-Headers': 'Content-Type'
+        });
+        res.end(body === undefined ? '' : JSON.stringify(body));
+    }
+
+    handle(req, res) {
+        if (req.method === 'OPTIONS') {
+            return this.send(res, 204);
+        }
+        if (this.unavailable) {
+            return this.send(res, 503, { error: 'Server unavailable' });
+        }
+        if (req.method !== 'POST' || req.url !== '/sync') {
+            return this.send(res, 404, { error: 'Not found' });
+        }
+
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            let request;
+            try {
+                request = JSON.parse(body);
+                this.validate(request);
+            } catch (error) {
+                return this.send(res, 400, { error: error.message });
+            }
+            this.requests.push(request);
+            this.send(res, 200, this.sync(request));
+        });
+    }
+
+    /**
+     * Check a request against the contract
+     * @param {Object} request - Parsed request body
+     * @throws {Error} If the request is invalid
+     */
+    validate(request) {
+        if (!request || typeof request.clientId !== 'string' || !Array.isArray(request.changes)) {
+            throw new Error('Expected { clientId, cursor, changes }');
+        }
+        request.changes.forEach(change => {
+            const valid = change && typeof change.collection === 'string' && typeof change.id === 'string' &&
+                !isNaN(Date.parse(change.updatedAt)) && typeof change.deleted === 'boolean' &&
+                (change.deleted || (change.record && change.record.id === change.id));
+            if (!valid) {
+                throw new Error(`Invalid change: ${JSON.stringify(change)}`);
+            }
+        });
+    }
+
+    /**
+     * Store the changes of a request and collect the changes the client has not seen
+     * A change is stored unless the server has a newer one for the same record;
+     * in that case the newer one is sent back so the client can take it over.
+     * @param {Object} request - Valid request
+     * @returns {Object} Response body { cursor, changes }
+     */
+    sync({ clientId, cursor, changes }) {
+        const since = Number(cursor) || 0;
+        const rejected = [];
+
+        changes.forEach(change => {
+            const key = `${change.collection}\u0000${change.id}`;
+            const existing = this.records.get(key);
+            if (existing && Date.parse(existing.updatedAt) > Date.parse(change.updatedAt)) {
+                rejected.push(existing);
+                return;
+            }
+            this.records.set(key, {
+                collection: change.collection,
+                id: change.id,
+                updatedAt: change.updatedAt,
+                deleted: change.deleted,
+                record: change.deleted ? null : change.record,
+                revision: ++this.revision,
+                clientId
+            });
+        });
+
+        const unseen = [...this.records.values()]
+            .filter(entry => entry.revision > since && entry.clientId !== clientId);
+        const response = [...new Set([...unseen, ...rejected])]
+            .sort((a, b) => a.revision - b.revision)
+            .map(({ collection, id, updatedAt, deleted, record }) => ({ collection, id, updatedAt, deleted, record }));
+        return { cursor: String(this.revision), changes: response };
+    }
+}
+
+if (require.main === module) {
+    const server = new MockSyncServer();
+    server.start(Number(process.argv[2]) || 8787).then(url => {
+        console.log(`Mock sync server listening on ${url}`);
+    });
+}
+
+module.exports = MockSyncServer;
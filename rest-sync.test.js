@@ -0,0 +1,284 @@
+/**
+ * Unit Tests for REST Sync
+ * Tests RestSync against the local mock server (rest-sync-mock-server.js):
+ * pushing and pulling todos and lists between devices, the offline change
+ * queue, and resolving conflicting edits by updatedAt
+ */
+
+const MockSyncServer = require('./rest-sync-mock-server.js');
+
+// Mock browser globals for Node.js testing
+const { createStorage } = require('./test-helpers.js');
+Object.defineProperty(global, 'navigator', {
+    value: { onLine: true },
+    configurable: true,
+    writable: true
+});
+
+global.TabSync = require('./js/TabSync.js');
+const RestSync = require('./js/RestSync.js');
+
+/**
+ * Stand-in for a device's window, receiving 'online' events
+ */
+function createEventTarget() {
+    const listeners = {};
+    return {
+        addEventListener: (type, fn) => { (listeners[type] = listeners[type] || []).push(fn); },
+        removeEventListener: (type, fn) => { listeners[type] = (listeners[type] || []).filter(l => l !== fn); },
+        dispatch: (type) => (listeners[type] || []).forEach(fn => fn({ type }))
+    };
+}
+
+const devices = [];
+
+/**
+ * Set up a device syncing with the server; syncs only run when a test asks
+ * @param {string} endpoint - Server URL
+ * @returns {Object} { storage, lists, sync, target, received }
+ */
+function createDevice(endpoint) {
+    const storage = createStorage();
+    const target = createEventTarget();
+    const received = [];
+    const sync = new RestSync(storage, { endpoint, target, flushDelay: 60000, retryDelay: 60000, pullInterval: 0 });
+    const device = { storage, target, received, sync, lists: new ListManager(storage) };
+    device.start = () => sync.start((key, value) => received.push(key));
+    devices.push(device);
+    return device;
+}
+
+/**
+ * Read a device's lists and todos as the app would after a reload
+ * @param {Object} device - Device from createDevice()
+ * @returns {Array} [listName, [todo texts]] per list
+ */
+function snapshot(device) {
+    const lists = new ListManager(device.storage);
+    return lists.getLists().map(list => [list.name, lists.getModel(list.id).getAllTodos().map(t => t.text)]);
+}
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function runTests() {
+    console.log('🧪 Running REST Sync Tests...');
+    console.log();
+
+    let testsPassed = 0;
+    let testsFailed = 0;
+    const server = new MockSyncServer();
+    const endpoint = await server.start();
+
+    async function test(description, testFn) {
+        server.records.clear();
+        server.requests = [];
+        server.unavailable = false;
+        navigator.onLine = true;
+        try {
+            await testFn();
+            console.log(`✅ ${description}`);
+            testsPassed++;
+        } catch (error) {
+            console.log(`❌ ${description}`);
+            console.log(`   Error: ${error.message}`);
+            testsFailed++;
+        } finally {
+            devices.splice(0).forEach(device => device.sync.stop());
+        }
+    }
+
+    function assert(condition, message) {
+        if (!condition) {
+            throw new Error(message || 'Assertion failed');
+        }
+    }
+
+    function assertEquals(actual, expected, message) {
+        if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+            throw new Error(message || `Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+        }
+    }
+
+    await test('should push local todos and lists and pull them on another device', async () => {
+        const laptop = createDevice(endpoint);
+        laptop.lists.getActiveModel().addTodo('Existing before sync');
+        laptop.start();
+        await laptop.sync.sync();
+
+        const work = laptop.lists.createList('Work');
+        laptop.lists.getModel(work.id).addTodo('Send report');
+        assertEquals(laptop.sync.loadQueue().map(change => change.collection), ['todo-lists', 'todo-lists', `todos:${work.id}`],
+            'The saved list index and the new todo are queued');
+        await laptop.sync.sync();
+        assertEquals(laptop.sync.getPendingCount(), 0);
+        assertEquals(laptop.sync.status, 'synced');
+
+        const sent = server.requests[0].changes.find(change => change.collection === 'todos');
+        assertEquals(sent.updatedAt, sent.record.updatedAt, 'Todos are sent with their updatedAt');
+
+        const phone = createDevice(endpoint);
+        phone.start();
+        await phone.sync.sync();
+        assertEquals(snapshot(phone), [['My Todos', ['Existing before sync']], ['Work', ['Send report']]]);
+        assert(phone.received.includes('todo-lists') && phone.received.includes(`todos:${work.id}`),
+            'The app is told about saved server changes');
+        assertEquals(phone.sync.getPendingCount(), 0, 'Pulled data is not sent back');
+    });
+
+    await test('should send deletions and remove the todos on other devices', async () => {
+        const laptop = createDevice(endpoint);
+        const model = laptop.lists.getActiveModel();
+        const keep = model.addTodo('Keep');
+        const remove = model.addTodo('Remove');
+        model.addTodo('Subtask', { parentId: remove.id });
+        laptop.start();
+        await laptop.sync.sync();
+
+        const phone = createDevice(endpoint);
+        phone.start();
+        await phone.sync.sync();
+        assertEquals(snapshot(phone)[0][1], ['Remove', 'Keep', 'Subtask']);
+
+        model.deleteTodo(remove.id);
+        await laptop.sync.sync();
+        await phone.sync.sync();
+        assertEquals(snapshot(phone)[0][1], ['Keep']);
+        assertEquals(server.getRecords('todos').map(todo => todo.id), [keep.id]);
+    });
+
+    await test('should queue changes while offline and send them when back online', async () => {
+        const laptop = createDevice(endpoint);
+        laptop.start();
+        await laptop.sync.sync();
+
+        navigator.onLine = false;
+        laptop.lists.getActiveModel().addTodo('Written on a plane');
+        assertEquals(await laptop.sync.sync(), false);
+        assertEquals(laptop.sync.status, 'offline');
+        assertEquals(JSON.parse(laptop.storage.getItem(RestSync.QUEUE_KEY)).length, 1, 'The queue is saved');
+
+        // A reload while offline keeps the queue
+        laptop.sync.stop();
+        const reloaded = new RestSync(laptop.storage, { endpoint, target: laptop.target, flushDelay: 60000, retryDelay: 60000, pullInterval: 0 });
+        devices.push({ sync: reloaded });
+        reloaded.start();
+        await reloaded.syncing;
+        assertEquals(reloaded.getPendingCount(), 1);
+
+        navigator.onLine = true;
+        laptop.target.dispatch('online');
+        await reloaded.syncing;
+        assertEquals(reloaded.getPendingCount(), 0);
+        assertEquals(server.getRecords('todos').map(todo => todo.text), ['Written on a plane']);
+    });
+
+    await test('should keep changes queued when the server fails', async () => {
+        const laptop = createDevice(endpoint);
+        laptop.lists.getActiveModel().addTodo('Important');
+        server.unavailable = true;
+        laptop.start();
+        assertEquals(await laptop.sync.sync(), false);
+        assertEquals([laptop.sync.status, laptop.sync.lastError], ['error', 'Sync server responded with 503']);
+        assertEquals(laptop.sync.getPendingCount(), 1, 'The todo stays queued');
+
+        server.unavailable = false;
+        assertEquals(await laptop.sync.sync(), true);
+        assertEquals(laptop.sync.getPendingCount(), 0);
+    });
+
+    await test('should save server changes and resolve when the app listener throws', async () => {
+        const laptop = createDevice(endpoint);
+        laptop.lists.getActiveModel().addTodo('From the laptop');
+        laptop.start();
+        await laptop.sync.sync();
+
+        const warnings = [];
+        const warn = console.warn;
+        console.warn = (...args) => warnings.push(args);
+        try {
+            const phone = createDevice(endpoint);
+            phone.sync.start(() => { throw new Error('Render failed'); });
+            assertEquals(await phone.sync.sync(), true, 'The sync is not rejected');
+            assertEquals(snapshot(phone)[0][1], ['From the laptop'], 'The change is still saved');
+            assert(warnings.length > 0, 'The listener error is logged');
+
+            phone.sync.applyServerChanges = () => { throw new Error('Unexpected'); };
+            assertEquals(await phone.sync.sync(), false, 'An unexpected error resolves to false');
+            assertEquals([phone.sync.status, phone.sync.lastError], ['error', 'Unexpected']);
+        } finally {
+            console.warn = warn;
+        }
+    });
+
+    await test('should resolve conflicting edits in favour of the newer change', async () => {
+        const laptop = createDevice(endpoint);
+        const todo = laptop.lists.getActiveModel().addTodo('Original');
+        laptop.start();
+        await laptop.sync.sync();
+        const phone = createDevice(endpoint);
+        phone.start();
+        await phone.sync.sync();
+
+        // Both devices edit offline; the phone edits last
+        laptop.lists.getActiveModel().updateTodo(todo.id, 'Laptop edit');
+        await wait(5);
+        phone.lists.getActiveModel().updateTodo(todo.id, 'Phone edit');
+
+        await phone.sync.sync();
+        await laptop.sync.sync();
+        assertEquals(snapshot(laptop)[0][1], ['Phone edit'], 'The older local edit loses to the server');
+        assertEquals(laptop.sync.getPendingCount(), 0, 'The losing change is dropped');
+        await phone.sync.sync();
+        assertEquals(snapshot(phone)[0][1], ['Phone edit']);
+
+        // Now the laptop edits last but syncs first; the server keeps its edit
+        phone.lists.getActiveModel().updateTodo(todo.id, 'Phone again');
+        await wait(5);
+        new ListManager(laptop.storage).getActiveModel().updateTodo(todo.id, 'Laptop wins');
+        await laptop.sync.sync();
+        await phone.sync.sync();
+        await laptop.sync.sync();
+        assertEquals([snapshot(laptop)[0][1], snapshot(phone)[0][1]], [['Laptop wins'], ['Laptop wins']]);
+        assertEquals(server.getRecords('todos').map(t => t.text), ['Laptop wins']);
+    });
+
+    await test('should stamp updatedAt on every changed todo and upgrade older data', async () => {
+        const storage = createStorage();
+        storage.setItem('todos', JSON.stringify({ schemaVersion: 2, todos: [
+            { id: 'a', text: 'A', completed: false, createdAt: '2024-01-01T00:00:00.000Z', order: 0 },
+            { id: 'b', text: 'B', completed: false, createdAt: '2024-01-02T00:00:00.000Z', order: 1 }
+        ] }));
+        const model = new TodoModel(storage);
+        assertEquals(model.getAllTodos().map(t => t.updatedAt), ['2024-01-01T00:00:00.000Z', '2024-01-02T00:00:00.000Z']);
+
+        model.toggleTodo('b');
+        const [a, b] = model.getAllTodos();
+        assertEquals(a.updatedAt, '2024-01-01T00:00:00.000Z', 'Unchanged todos keep their time');
+        assert(b.updatedAt > '2025', 'The toggled todo gets a new time');
+        assertEquals(JSON.parse(storage.getItem('todos')).todos[1].updatedAt, b.updatedAt);
+    });
+
+    await server.stop();
+
+    console.log();
+    console.log('==================================================');
+    console.log(`📊 Test Summary:`);
+    console.log(`   Total: ${testsPassed + testsFailed}`);
+    console.log(`   Passed: ${testsPassed}`);
+    console.log(`   Failed: ${testsFailed}`);
+    console.log('==================================================');
+
+    if (testsFailed === 0) {
+        console.log('🎉 All REST sync tests passed!');
+    } else {
+        console.log(`❌ ${testsFailed} test(s) failed`);
+        process.exit(1);
+    }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    runTests();
+}
+
+module.exports = { runTests };
@@ -0,0 +1,336 @@
+/**
+ * Unit Tests for Keyboard Navigation in the Todo List
+ * Tests the keyboard cursor of TodoView (j/k and arrows, roving tabindex,
+ * focus after deletes), scrolling a focused todo into the virtual scroll
+ * window, the controller's focused-todo handlers and the 'list' context
+ * shortcuts
+ */
+
+// Mock browser globals for Node.js testing
+const { createStorage } = require('./test-helpers.js');
+global.document = { activeElement: null };
+
+global.ShortcutValidator = require('./js/ShortcutValidator.js');
+global.ShortcutCache = require('./js/ShortcutCache.js');
+global.ShortcutStatistics = require('./js/ShortcutStatistics.js');
+global.DebugLogger = require('./js/DebugLogger.js');
+const TodoView = require('./js/TodoView.js');
+const TodoController = require('./js/TodoController.js');
+const KeyboardHandlers = require('./js/KeyboardHandlers.js');
+const KeyboardShortcutManager = require('./js/KeyboardShortcutManager.js');
+const ShortcutsConfig = require('./js/ShortcutsConfig.js');
+const VirtualScrollManager = require('./js/VirtualScrollManager.js');
+
+/**
+ * Fake todo row that records its tabindex and takes focus
+ * @param {string} id - Todo ID
+ * @param {boolean} [editing] - Give the row an edit input
+ * @returns {Object} Row element
+ */
+function createRow(id, editing = false) {
+    const attributes = { tabindex: '-1' };
+    const row = {
+        dataset: { id },
+        classList: { contains: (name) => name === 'todo-item' },
+        hasAttribute: (name) => name in attributes,
+        getAttribute: (name) => attributes[name],
+        setAttribute: (name, value) => { attributes[name] = value; },
+        focus() { document.activeElement = this; },
+        closest: () => null
+    };
+    const input = { focus() { document.activeElement = this; }, classList: { contains: () => false }, closest: () => row };
+    row.input = editing ? input : null;
+    row.querySelector = (selector) => selector === '.edit-input' ? row.input : null;
+    return row;
+}
+
+/**
+ * Fake todo list element holding rows
+ * @param {Array<Object>} rows - Rows from createRow
+ * @returns {Object} List element
+ */
+function createList(rows) {
+    return {
+        rows,
+        contains(element) {
+            return this.rows.some(row => row === element || row.input === element);
+        },
+        querySelectorAll() { return this.rows; }
+    };
+}
+
+/**
+ * Set up a controller on a real model and a view with the real keyboard cursor
+ * @returns {Object} { model, view, controller, handlers }
+ */
+function createApp() {
+    const model = new TodoModel(createStorage());
+    const view = Object.assign(Object.create(TodoView.prototype), {
+        editingId: null,
+        selectedIds: new Set(),
+        selectionAnchor: null,
+        selectionLead: null,
+        visibleIds: [],
+        focusedId: null,
+        todoList: createList([]),
+        virtualScrollManager: null,
+        answer: true,
+        confirmations: [],
+        showMessage() {},
+        showConfirmation(message) {
+            this.confirmations.push(message);
+            return Promise.resolve(this.answer);
+        }
+    });
+    // The controller's constructor wires up the DOM, so only its state is set up here
+    const controller = Object.assign(Object.create(TodoController.prototype), {
+        model, view, lists: null, searchTerm: '', statusFilter: 'all', sortMode: 'manual', autoCompleteParents: true
+    });
+    // Stands in for TodoView.render: rebuild the rows and put the focus back
+    controller.render = function () {
+        const hadListFocus = view.hasListFocus();
+        view.subtasksByParent = view.groupSubtasks(this.model.getAllTodos());
+        view.setVisibleTodos(view.flattenSubtasks(this.getCurrentTodos()));
+        view.todoList.rows = view.visibleIds.map(id => createRow(id, id === view.editingId));
+        if (hadListFocus) {
+            view.focusTodoRow();
+        }
+    };
+    const handlers = new KeyboardHandlers(controller);
+    return { model, view, controller, handlers };
+}
+
+/**
+ * Fake keydown event
+ * @param {string} key - Key name
+ * @param {Object} [modifiers] - { ctrlKey, altKey, shiftKey }
+ * @returns {Object} Event that records preventDefault
+ */
+function keydown(key, modifiers = {}) {
+    return {
+        key, ctrlKey: false, altKey: false, shiftKey: false, metaKey: false, ...modifiers,
+        defaultPrevented: false,
+        preventDefault() { this.defaultPrevented = true; }
+    };
+}
+
+async function runTests() {
+    console.log('🧪 Running Roving Focus Tests...');
+    console.log();
+
+    let testsPassed = 0;
+    let testsFailed = 0;
+
+    async function test(description, testFn) {
+        try {
+            document.activeElement = null;
+            await testFn();
+            console.log(`✅ ${description}`);
+            testsPassed++;
+        } catch (error) {
+            console.log(`❌ ${description}`);
+            console.log(`   Error: ${error.message}`);
+            testsFailed++;
+        }
+    }
+
+    function assert(condition, message) {
+        if (!condition) {
+            throw new Error(message || 'Assertion failed');
+        }
+    }
+
+    function assertEquals(actual, expected, message) {
+        if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+            throw new Error(message || `Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+        }
+    }
+
+    await test('should move the cursor through the shown todos and stop at the ends', () => {
+        const { view } = createApp();
+        view.setVisibleTodos([{ id: 'a' }, { id: 'b' }, { id: 'c' }]);
+
+        assertEquals(view.getFocusedId(), 'a', 'The cursor starts on the first todo');
+        assertEquals(view.moveFocus(-1), null, 'It does not move above the first todo');
+        assertEquals(view.moveFocus(1), 'b');
+        assertEquals(view.moveFocus(1), 'c');
+        assertEquals(view.moveFocus(1), null, 'It does not move below the last todo');
+        assertEquals(view.setFocusedTodo('hidden'), false);
+        assertEquals(view.getFocusedId(), 'c');
+    });
+
+    await test('should keep the cursor at its position when the focused todo goes away', () => {
+        const { view } = createApp();
+        view.setVisibleTodos([{ id: 'a' }, { id: 'b' }, { id: 'c' }]);
+        view.setFocusedTodo('b');
+
+        view.setVisibleTodos([{ id: 'a' }, { id: 'c' }]);
+        assertEquals(view.getFocusedId(), 'c', 'The todo that took its place gets the cursor');
+        view.setVisibleTodos([{ id: 'a' }]);
+        assertEquals(view.getFocusedId(), 'a', 'The last todo gets it when the end of the list went away');
+        view.setVisibleTodos([]);
+        assertEquals(view.getFocusedId(), null);
+    });
+
+    await test('should focus the focused row, make only it reachable with Tab and prefer its edit input', () => {
+        const { view } = createApp();
+        view.setVisibleTodos([{ id: 'a' }, { id: 'b' }]);
+        view.todoList.rows = [createRow('a'), createRow('b', true)];
+
+        assert(view.focusTodoRow());
+        assertEquals(view.todoList.rows.map(row => row.getAttribute('tabindex')), ['0', '-1']);
+        assert(view.isTodoRowFocused(), 'The row itself has the focus');
+
+        view.moveFocus(1);
+        view.focusTodoRow();
+        assertEquals(view.todoList.rows.map(row => row.getAttribute('tabindex')), ['-1', '0']);
+        assertEquals(document.activeElement, view.todoList.rows[1].input, 'The edit input gets the focus');
+        assert(view.hasListFocus() && !view.isTodoRowFocused(), 'The edit form is in the list but is not a row');
+    });
+
+    await test('should scroll a todo outside the virtual scroll window into it before focusing', () => {
+        const manager = Object.assign(Object.create(VirtualScrollManager.prototype), {
+            items: new Array(100).fill(null).map((_, i) => ({ id: `todo-${i}` })),
+            itemHeight: 60,
+            containerHeight: 300,
+            scrollTop: 0,
+            scrollContainer: { scrollTop: 0 },
+            renders: 0
+        });
+        manager.updateVisibleRange = function () {
+            this.visibleStart = Math.floor(this.scrollTop / this.itemHeight);
+        };
+        manager.render = function () { this.renders++; };
+
+        manager.scrollIntoView(2);
+        assertEquals(manager.renders, 0, 'A todo already in view is not re-rendered');
+
+        manager.scrollIntoView(10);
+        assertEquals(manager.scrollContainer.scrollTop, 11 * 60 - 300, 'It scrolls just enough to show the todo at the bottom');
+        assertEquals(manager.renders, 1, 'The todo is rendered right away, so it can be focused');
+
+        manager.scrollIntoView(3);
+        assertEquals([manager.scrollTop, manager.visibleStart], [180, 3], 'Moving up puts the todo at the top');
+    });
+
+    await test('should toggle and edit the focused todo and keep the focus in the list', () => {
+        const { model, view, controller } = createApp();
+        model.addTodo('Second');
+        const first = model.addTodo('First');
+        controller.render();
+        view.focusTodoRow();
+
+        assert(controller.handleMoveFocus(1));
+        assertEquals(document.activeElement.dataset.id, view.getFocusedId());
+        assert(!controller.handleMoveFocus(1), 'There is no todo below the last one');
+
+        controller.handleMoveFocus(-1);
+        assert(controller.handleToggleFocusedTodo());
+        assert(model.getTodo(first.id).completed);
+        assertEquals(document.activeElement.dataset.id, first.id, 'The re-rendered row gets the focus back');
+
+        assert(controller.handleEditFocusedTodo());
+        assertEquals(view.getEditingId(), first.id);
+        assertEquals(document.activeElement, view.todoList.rows[0].input);
+    });
+
+    await test('should delete the focused todo, or the whole selection when it is selected', async () => {
+        const { model, view, controller } = createApp();
+        const c = model.addTodo('C');
+        const b = model.addTodo('B');
+        const a = model.addTodo('A');
+        controller.render();
+        view.setFocusedTodo(b.id);
+        view.focusTodoRow();
+
+        await controller.handleDeleteFocusedTodo();
+        assertEquals(model.getAllTodos().map(t => t.text), ['A', 'C']);
+        assertEquals(document.activeElement.dataset.id, c.id, 'The next todo gets the focus');
+
+        model.addTodo('D');
+        controller.render();
+        view.selectTodo(a.id);
+        view.selectTodo(c.id, { toggle: true });
+        await controller.handleDeleteFocusedTodo();
+        assertEquals(model.getAllTodos().map(t => t.text), ['D'], 'Both selected todos are deleted');
+
+        view.answer = false;
+        await controller.handleDeleteFocusedTodo();
+        assertEquals(model.getAllTodos().length, 1, 'Nothing is deleted without confirmation');
+    });
+
+    await test('should move the focused todo among its siblings with Alt+Arrow', () => {
+        const { model, view, controller } = createApp();
+        const second = model.addTodo('Second');
+        const first = model.addTodo('First');
+        model.addTodo('Sub A', { parentId: first.id });
+        const subB = model.addTodo('Sub B', { parentId: first.id });
+        controller.render();
+
+        view.setFocusedTodo(first.id);
+        assert(controller.handleMoveFocusedTodo(1));
+        assertEquals(model.getAllTodos().filter(t => !t.parentId).map(t => t.id), [second.id, first.id]);
+        assertEquals(view.getFocusedId(), first.id, 'The cursor stays on the moved todo');
+        assert(!controller.handleMoveFocusedTodo(1), 'The last todo cannot move down');
+
+        view.setFocusedTodo(subB.id);
+        assert(controller.handleMoveFocusedTodo(-1));
+        assertEquals(model.getSubtasks(first.id).map(t => t.text), ['Sub B', 'Sub A']);
+        assert(!controller.handleMoveFocusedTodo(-1), 'A subtask does not leave its parent');
+    });
+
+    await test('should handle j, k, Space, e and Alt+Arrow only while a todo row has the focus', () => {
+        const { model, view, controller, handlers } = createApp();
+        model.addTodo('Second');
+        const first = model.addTodo('First');
+        controller.render();
+
+        const manager = new KeyboardShortcutManager({ cacheContexts: false });
+        manager.registerShortcuts(ShortcutsConfig.getShortcuts(handlers.getAllHandlers()));
+        controller.keyboardManager = manager;
+        controller._initializeKeyboardContext();
+
+        const space = keydown(' ');
+        manager.handleKeyboard(space);
+        assert(!space.defaultPrevented && !model.getTodo(first.id).completed, 'Space scrolls the page when no row has the focus');
+
+        view.focusTodoRow();
+        assert(manager.getActiveContexts().includes('list'));
+        manager.handleKeyboard(keydown(' '));
+        assert(model.getTodo(first.id).completed, 'Space toggles the focused todo');
+
+        manager.handleKeyboard(keydown('j'));
+        assertEquals(document.activeElement.dataset.id, model.getAllTodos()[1].id);
+        manager.handleKeyboard(keydown('ArrowUp'));
+        assertEquals(document.activeElement.dataset.id, first.id);
+
+        manager.handleKeyboard(keydown('ArrowDown', { altKey: true }));
+        assertEquals(model.getAllTodos()[1].id, first.id, 'Alt+ArrowDown moves the todo down');
+
+        manager.handleKeyboard(keydown('e'));
+        assertEquals(view.getEditingId(), first.id);
+        assert(!manager.getActiveContexts().includes('list'), 'Typing in the edit input is not navigation');
+    });
+
+    console.log();
+    console.log('==================================================');
+    console.log(`📊 Test Summary:`);
+    console.log(`   Total: ${testsPassed + testsFailed}`);
+    console.log(`   Passed: ${testsPassed}`);
+    console.log(`   Failed: ${testsFailed}`);
+    console.log('==================================================');
+
+    if (testsFailed === 0) {
+        console.log('🎉 All roving focus tests passed!');
+    } else {
+        console.log(`❌ ${testsFailed} test(s) failed`);
+        process.exit(1);
+    }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    runTests();
+}
+
+module.exports = { runTests };
@@ -5,7 +5,7 @@
 
 // Import required modules
 const { StorageManager } = require('./js/StorageManager.js');
-const TodoModel = require('./js/TodoModel.js');
+require('./test-helpers.js');
 
 console.log('🚀 Safari 14+ End-to-End Integration Testing...');
 console.log('==================================================');
@@ -302,14 +302,17 @@ describe('StorageManager with Safari ITP Protection', () => {
         storageManager.setItem('todos', originalTodos);
         
         // Simulate data loss
-        mockLocalStorage.clear();
+        mockLocalStorage.removeItem('todos');
         
-        // Try to retrieve data - should restore from backup
-        const retrievedData = storageManager.getItem('todos');
+        // Lost data is detected, but only restored once the user agrees
+        expect(storageManager.getItem('todos')).toBeNull();
+        const backup = await storageManager.findLostDataBackup();
         
         if (storageManager.itpHandler) {
-            // Should have restored from backup
-            expect(retrievedData).toBeTruthy();
+            // Should have found the backup and restore it
+            expect(backup.todoCount).toBe(1);
+            storageManager.restoreBackup(backup);
+            expect(JSON.parse(storageManager.getItem('todos'))).toEqual(JSON.parse(originalTodos));
         }
     });
 
@@ -0,0 +1,224 @@
+/**
+ * Integration Tests for the AutoToDo Search Query Language
+ *
+ * These tests drive the real TodoModel and SearchQuery parser through a
+ * minimal controller, the same way the search input does in the app.
+ */
+
+// Mock browser globals for Node.js testing
+const { createStorage } = require('./test-helpers.js');
+
+// Fixed reference time: 2026-03-10 at 12:00 local time
+const NOW = new Date(2026, 2, 10, 12, 0);
+
+class TodoController {
+    constructor(model) {
+        this.model = model;
+        this.searchTerm = '';
+    }
+
+    handleSearch(searchTerm) {
+        this.searchTerm = searchTerm;
+        return this.model.filterTodos(this.searchTerm, NOW).map(todo => todo.text);
+    }
+}
+
+/**
+ * Build a controller over a fixed set of todos
+ * @returns {TodoController} Controller with sample data
+ */
+function createFixture() {
+    const model = new TodoModel(createStorage());
+    const add = (text, details = {}, createdAt = '2026-02-01T10:00:00.000Z') => {
+        const todo = model.addTodo(text, details);
+        todo.createdAt = createdAt;
+        return todo;
+    };
+
+    add('Buy milk #errands', { dueDate: '2026-03-09' }, '2025-12-20T10:00:00.000Z');
+    add('Buy coffee beans #errands', { dueDate: '2026-03-12' });
+    add('Write quarterly report #work', { dueDate: '2026-03-10' }, '2026-01-15T10:00:00.000Z');
+    const done = add('Email report to finance #work', {}, '2026-03-01T10:00:00.000Z');
+    model.toggleTodo(done.id);
+    add('Walk the dog');
+
+    return new TodoController(model);
+}
+
+// Test Framework
+class TestRunner {
+    constructor() {
+        this.tests = [];
+        this.results = { passed: 0, failed: 0, total: 0 };
+    }
+
+    test(name, testFn) {
+        this.tests.push({ name, testFn });
+    }
+
+    assertEqual(actual, expected, message = '') {
+        if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+            throw new Error(`${message} Expected: ${JSON.stringify(expected)}, Got: ${JSON.stringify(actual)}`);
+        }
+    }
+
+    assertTrue(condition, message = '') {
+        if (!condition) {
+            throw new Error(`${message} Expected: true, Got: false`);
+        }
+    }
+
+    async runTests() {
+        console.log('🧪 Running AutoToDo Search Query Tests...\n');
+
+        for (const test of this.tests) {
+            try {
+                this.results.total++;
+                await test.testFn.call(this);
+                this.results.passed++;
+                console.log(`✅ ${test.name}`);
+            } catch (error) {
+                this.results.failed++;
+                console.log(`❌ ${test.name}`);
+                console.log(`   Error: ${error.message}\n`);
+            }
+        }
+
+        this.printSummary();
+        return this.results.failed === 0;
+    }
+
+    printSummary() {
+        console.log('\n' + '='.repeat(50));
+        console.log('📊 Search Query Test Summary:');
+        console.log(`   Total: ${this.results.total}`);
+        console.log(`   Passed: ${this.results.passed}`);
+        console.log(`   Failed: ${this.results.failed}`);
+        console.log('='.repeat(50));
+
+        if (this.results.failed === 0) {
+            console.log('🎉 All search query tests passed!');
+        } else {
+            console.log(`💥 ${this.results.failed} search query test(s) failed.`);
+        }
+    }
+}
+
+const testRunner = new TestRunner();
+
+testRunner.test('Plain words should keep all-words matching', function() {
+    const controller = createFixture();
+    this.assertEqual(controller.handleSearch('buy'), ['Buy coffee beans', 'Buy milk']);
+    this.assertEqual(controller.handleSearch('report  WORK'), ['Email report to finance', 'Write quarterly report']);
+    this.assertEqual(controller.handleSearch('   '), controller.model.getAllTodos().map(t => t.text),
+        'Blank query should return everything');
+});
+
+testRunner.test('is:done and is:open should filter by completion', function() {
+    const controller = createFixture();
+    this.assertEqual(controller.handleSearch('is:done'), ['Email report to finance']);
+    this.assertEqual(controller.handleSearch('report is:open'), ['Write quarterly report']);
+});
+
+testRunner.test('is:overdue should use the due date status', function() {
+    const controller = createFixture();
+    this.assertEqual(controller.handleSearch('is:overdue'), ['Buy milk']);
+});
+
+testRunner.test('tag: should require an exact tag', function() {
+    const controller = createFixture();
+    this.assertEqual(controller.handleSearch('tag:errands'), ['Buy coffee beans', 'Buy milk']);
+    this.assertEqual(controller.handleSearch('tag:#WORK is:open'), ['Write quarterly report']);
+    this.assertEqual(controller.handleSearch('tag:err'), [], 'Partial tags should not match');
+});
+
+testRunner.test('due: should compare against relative and absolute dates', function() {
+    const controller = createFixture();
+    this.assertEqual(controller.handleSearch('due:<today'), ['Buy milk']);
+    this.assertEqual(controller.handleSearch('due:<=today'), ['Write quarterly report', 'Buy milk']);
+    this.assertEqual(controller.handleSearch('due:tomorrow'), []);
+    this.assertEqual(controller.handleSearch('due:>2026-03-10'), ['Buy coffee beans']);
+    this.assertEqual(controller.handleSearch('due:none'), ['Walk the dog', 'Email report to finance']);
+});
+
+testRunner.test('created: should compare creation dates', function() {
+    const controller = createFixture();
+    this.assertEqual(controller.handleSearch('created:>2026-01-01'),
+        ['Walk the dog', 'Email report to finance', 'Write quarterly report', 'Buy coffee beans']);
+    this.assertEqual(controller.handleSearch('created:<2026-01-01'), ['Buy milk']);
+    this.assertEqual(controller.handleSearch('created:2026-03-01'), ['Email report to finance']);
+});
+
+testRunner.test('A leading minus should exclude matching todos', function() {
+    const controller = createFixture();
+    this.assertEqual(controller.handleSearch('buy -milk'), ['Buy coffee beans']);
+    this.assertEqual(controller.handleSearch('report -is:done'), ['Write quarterly report']);
+    this.assertEqual(controller.handleSearch('-tag:work -tag:errands'), ['Walk the dog']);
+});
+
+testRunner.test('Quoted phrases should match as a whole', function() {
+    const controller = createFixture();
+    this.assertEqual(controller.handleSearch('"quarterly report"'), ['Write quarterly report']);
+    this.assertEqual(controller.handleSearch('"report quarterly"'), [], 'Word order matters inside quotes');
+    this.assertEqual(controller.handleSearch('-"the dog" tag:work'), ['Email report to finance', 'Write quarterly report']);
+});
+
+testRunner.test('OR should match either group', function() {
+    const controller = createFixture();
+    this.assertEqual(controller.handleSearch('milk OR dog'), ['Walk the dog', 'Buy milk']);
+    this.assertEqual(controller.handleSearch('tag:work is:done OR coffee'), ['Email report to finance', 'Buy coffee beans']);
+    this.assertEqual(controller.handleSearch('milk or dog'), [], 'Lowercase "or" is an ordinary word');
+});
+
+testRunner.test('Parser should report syntax errors without throwing', function() {
+    const cases = [
+        ['is:maybe', 'Unknown status'],
+        ['due:<someday', 'Invalid date'],
+        ['created:2026-02-30', 'Invalid date'],
+        ['tag:', 'needs a tag name'],
+        ['"unfinished phrase', 'Missing closing quote'],
+        ['OR milk', 'OR needs a search term'],
+        ['milk OR', 'OR needs a search term']
+    ];
+
+    cases.forEach(([query, expected]) => {
+        const { errors } = SearchQuery.parse(query, NOW);
+        this.assertEqual(errors.length, 1, `"${query}" should report one error.`);
+        this.assertTrue(errors[0].message.includes(expected), `"${query}" reported "${errors[0].message}".`);
+        this.assertTrue(typeof errors[0].position === 'number', 'Errors should carry a position.');
+    });
+
+    this.assertEqual(SearchQuery.parse('buy -milk tag:work OR "a b"', NOW).errors, [], 'Valid query has no errors.');
+});
+
+testRunner.test('Invalid terms should be ignored while the rest still filters', function() {
+    const controller = createFixture();
+    this.assertEqual(controller.handleSearch('buy is:maybe'), ['Buy coffee beans', 'Buy milk']);
+    this.assertEqual(controller.handleSearch('"buy co'), ['Buy coffee beans'], 'Unclosed quote runs to the end');
+    this.assertEqual(controller.handleSearch('milk OR'), ['Buy milk']);
+});
+
+testRunner.test('Unknown prefixes and special characters should stay plain text', function() {
+    const model = new TodoModel(createStorage());
+    model.addTodo('Read https://example.com/docs');
+    model.addTodo('note: call back');
+    model.addTodo('Fix e-mail template');
+    const controller = new TodoController(model);
+
+    this.assertEqual(controller.handleSearch('https://example.com'), ['Read https://example.com/docs']);
+    this.assertEqual(controller.handleSearch('note:'), ['note: call back']);
+    this.assertEqual(controller.handleSearch('e-mail'), ['Fix e-mail template']);
+    this.assertEqual(controller.handleSearch('-'), ['Fix e-mail template'], 'A lone minus is searched literally');
+});
+
+// Export for Node.js environment
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { testRunner };
+}
+
+// Auto-run tests if this file is executed directly
+if (require.main === module) {
+    testRunner.runTests().then(success => {
+        process.exit(success ? 0 : 1);
+    });
+}
@@ -0,0 +1,317 @@
+/**
+ * Unit Tests for Sequence Shortcuts
+ * Tests shortcuts of more than one key press ("g a", "Ctrl+K Ctrl+S") in
+ * KeyboardShortcutManager: matching, the timeout, the pending-keys callback,
+ * how sequences are shown, prefix conflicts in ShortcutValidator, and the
+ * default sequences, rebinding and text-field handling in the controller
+ */
+
+// Mock browser globals for Node.js testing
+const { createStorage } = require('./test-helpers.js');
+global.document = {
+    activeElement: null,
+    listeners: {},
+    addEventListener(type, listener) { this.listeners[type] = listener; },
+    getElementById: () => null
+};
+
+global.ShortcutValidator = require('./js/ShortcutValidator.js');
+global.ShortcutCache = require('./js/ShortcutCache.js');
+global.ShortcutStatistics = require('./js/ShortcutStatistics.js');
+global.DebugLogger = require('./js/DebugLogger.js');
+global.ShortcutsConfig = require('./js/ShortcutsConfig.js');
+global.HelpModalBuilder = require('./js/HelpModalBuilder.js');
+const KeyboardShortcutManager = require('./js/KeyboardShortcutManager.js');
+const KeyboardHandlers = require('./js/KeyboardHandlers.js');
+const TodoController = require('./js/TodoController.js');
+const TodoView = require('./js/TodoView.js');
+
+/**
+ * Set up a controller with a real shortcut manager and handlers that count calls
+ * @param {Object} [storage] - Storage to load the bindings from
+ * @returns {Object} { controller, calls, pending }
+ */
+function createApp(storage = createStorage()) {
+    const calls = [];
+    const pending = [];
+    // The controller's constructor wires up the DOM, so only its state is set up here
+    const controller = Object.assign(Object.create(TodoController.prototype), {
+        storage,
+        view: { todoList: { addEventListener: () => {} } },
+        keyboardManager: new KeyboardShortcutManager({
+            cacheContexts: false,
+            onSequenceChange: (keys) => pending.push(keys)
+        })
+    });
+    controller.shortcutBindings = controller.loadShortcutBindings();
+    controller.keyboardHandlers = new KeyboardHandlers(controller);
+    // Every handler just records that it ran
+    const handlers = new Proxy({}, { get: (target, name) => () => calls.push(name) });
+    controller.keyboardHandlers.getAllHandlers = () => handlers;
+    controller._registerAllShortcuts();
+    return { controller, calls, pending };
+}
+
+/**
+ * Fake keydown event that records preventDefault
+ * @param {string} key - Key name
+ * @param {Object} [options] - Modifiers and other event fields, e.g. target
+ * @returns {Object} Event
+ */
+function keydown(key, options = {}) {
+    const event = { key, ctrlKey: false, altKey: false, shiftKey: false, metaKey: false, defaultPrevented: false, ...options };
+    event.preventDefault = () => { event.defaultPrevented = true; };
+    return event;
+}
+
+async function runTests() {
+    console.log('🧪 Running Sequence Shortcut Tests...');
+    console.log();
+
+    let testsPassed = 0;
+    let testsFailed = 0;
+
+    // The shortcut manager warns about conflicts it is asked to check
+    const originalWarn = console.warn;
+    let warnings = [];
+
+    async function test(description, testFn) {
+        warnings = [];
+        console.warn = (...args) => warnings.push(args.join(' '));
+        try {
+            await testFn();
+            console.log(`✅ ${description}`);
+            testsPassed++;
+        } catch (error) {
+            console.log(`❌ ${description}`);
+            console.log(`   Error: ${error.message}`);
+            testsFailed++;
+        } finally {
+            console.warn = originalWarn;
+        }
+    }
+
+    function assert(condition, message) {
+        if (!condition) {
+            throw new Error(message || 'Assertion failed');
+        }
+    }
+
+    function assertEquals(actual, expected, message) {
+        if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+            throw new Error(message || `Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+        }
+    }
+
+    await test('should run a sequence after its keys are pressed in order and report the pending keys', () => {
+        const calls = [];
+        const pending = [];
+        const manager = new KeyboardShortcutManager({ cacheContexts: false, onSequenceChange: (keys) => pending.push(keys) });
+        manager.registerShortcut({ prefix: [{ key: 'g' }], key: 'a', action: () => calls.push('all'), preventDefault: true });
+
+        const first = keydown('g');
+        assertEquals(manager.handleKeyboard(first), true, 'The first key is taken by the sequence');
+        assert(first.defaultPrevented, 'The first key is not typed');
+        assertEquals([manager.getPendingSequence(), calls], ['g', []]);
+
+        assertEquals(manager.handleKeyboard(keydown('a')), true);
+        assertEquals(calls, ['all']);
+        assertEquals(pending, ['g', null], 'The indicator shows g, then hides');
+        assertEquals(manager.getPendingSequence(), null);
+        assertEquals(manager.handleKeyboard(keydown('a')), false, 'a on its own is not a shortcut');
+    });
+
+    await test('should keep a Ctrl+K Ctrl+S sequence pending while Ctrl is pressed again', () => {
+        const calls = [];
+        const manager = new KeyboardShortcutManager({ cacheContexts: false });
+        manager.registerShortcut({ prefix: [{ key: 'k', ctrlKey: true }], key: 's', ctrlKey: true, action: () => calls.push('settings') });
+
+        manager.handleKeyboard(keydown('k', { ctrlKey: true }));
+        manager.handleKeyboard(keydown('Control', { ctrlKey: true }));
+        assertEquals(manager.getPendingSequence(), 'Ctrl+k', 'A modifier on its own keeps the sequence');
+        manager.handleKeyboard(keydown('s', { ctrlKey: true }));
+        assertEquals(calls, ['settings']);
+
+        manager.handleKeyboard(keydown('k', { ctrlKey: true }));
+        manager.handleKeyboard(keydown('s'));
+        assertEquals(calls, ['settings'], 'The modifiers of every key must match');
+        assertEquals(manager.getPendingSequence(), null);
+    });
+
+    await test('should drop pending keys after the sequence timeout', async () => {
+        const calls = [];
+        const pending = [];
+        const manager = new KeyboardShortcutManager({
+            cacheContexts: false,
+            sequenceTimeout: 20,
+            onSequenceChange: (keys) => pending.push(keys)
+        });
+        assertEquals(new KeyboardShortcutManager().options.sequenceTimeout, 1500, 'The default timeout');
+        manager.registerShortcut({ prefix: [{ key: 'g' }], key: 'a', action: () => calls.push('all') });
+
+        manager.handleKeyboard(keydown('g'));
+        await new Promise(resolve => setTimeout(resolve, 40));
+        assertEquals([manager.getPendingSequence(), pending], [null, ['g', null]]);
+        manager.handleKeyboard(keydown('a'));
+        assertEquals(calls, [], 'a after the timeout does not complete the sequence');
+    });
+
+    await test('should handle a key that does not continue the sequence as a first key, and cancel on Escape', () => {
+        const calls = [];
+        const manager = new KeyboardShortcutManager({ cacheContexts: false });
+        manager.registerShortcut({ prefix: [{ key: 'g' }], key: 'a', action: () => calls.push('all') });
+        manager.registerShortcut({ key: 'n', ctrlKey: true, action: () => calls.push('new') });
+        manager.registerShortcut({ key: 'Escape', action: () => calls.push('escape') });
+
+        manager.handleKeyboard(keydown('g'));
+        manager.handleKeyboard(keydown('n', { ctrlKey: true }));
+        assertEquals([calls, manager.getPendingSequence()], [['new'], null]);
+
+        manager.handleKeyboard(keydown('g'));
+        manager.handleKeyboard(keydown('g'));
+        assertEquals(manager.getPendingSequence(), 'g', 'A second g starts the sequence again');
+        manager.handleKeyboard(keydown('Escape'));
+        assertEquals([calls, manager.getPendingSequence()], [['new'], null], 'Escape only ends the sequence');
+        manager.handleKeyboard(keydown('Escape'));
+        assertEquals(calls, ['new', 'escape']);
+
+        manager.handleKeyboard(keydown('g'));
+        manager.clearShortcuts();
+        assertEquals(manager.getPendingSequence(), null, 'Clearing the shortcuts drops pending keys');
+    });
+
+    await test('should detect prefixes of sequences in ShortcutValidator', () => {
+        const validator = new ShortcutValidator();
+        const goAll = { prefix: [{ key: 'g' }], key: 'a', context: 'global', description: 'Go to all todos' };
+        const existing = new Map([['global:g a', goAll]]);
+
+        assertEquals(validator.checkSequenceConflicts({ key: 'g', context: 'global' }, existing), [goAll]);
+        assertEquals(validator.checkSequenceConflicts({ key: 'G', context: 'list' }, existing), [goAll],
+            'A global sequence also hides shortcuts of other contexts');
+        assertEquals(validator.checkSequenceConflicts({ prefix: [{ key: 'g' }, { key: 'a' }], key: 'x', context: 'global' }, [goAll]),
+            [goAll], 'A longer sequence starting with an existing one conflicts too');
+        assertEquals(validator.checkSequenceConflicts({ key: 'g', ctrlKey: true, context: 'global' }, existing), []);
+        assertEquals(validator.checkSequenceConflicts({ prefix: [{ key: 'g' }], key: 'i', context: 'global' }, existing), []);
+        assert(warnings.some(w => w.includes('"g" is the start of the sequence "g a"')), 'Conflicts are logged');
+
+        const listSequence = { prefix: [{ key: 'x' }], key: 'y', context: 'list' };
+        assertEquals(validator.checkSequenceConflicts({ key: 'x', context: 'editing' }, [listSequence]), [],
+            'Different contexts other than global do not conflict');
+        assertEquals(new ShortcutValidator({ validateConflicts: false }).checkSequenceConflicts({ key: 'g', context: 'global' }, existing), []);
+
+        const manager = new KeyboardShortcutManager();
+        let error = null;
+        try {
+            manager.registerShortcut({ prefix: [{ key: '' }], key: 'a', action: () => {} });
+        } catch (e) {
+            error = e;
+        }
+        assert(error && error.message.includes('prefix'), 'Prefix keys must be non-empty');
+    });
+
+    await test('should show sequences in help descriptions and binding ids', () => {
+        const manager = new KeyboardShortcutManager();
+        manager.registerShortcut({ prefix: [{ key: 'g' }], key: 'a', action: () => {}, description: 'Go to all todos (g a)' });
+        manager.registerShortcut({ prefix: [{ key: 'k', ctrlKey: true }], key: 's', ctrlKey: true, action: () => {}, description: 'Customize' });
+
+        assertEquals(manager.getShortcutDescriptions().map(d => d.keys), ['Ctrl+k Ctrl+s', 'g a']);
+        const ctrlKS = manager.getAllShortcuts().find(s => s.key === 's');
+        assertEquals(manager.formatShortcutDescription(ctrlKS).keys, 'Ctrl+k Ctrl+s');
+        assertEquals(manager.getShortcutKey(ctrlKS), 'global:ctrl+k ctrl+s');
+        assertEquals(ShortcutsConfig.formatKeyCombo(ctrlKS), 'Ctrl+k Ctrl+s');
+        assertEquals(ShortcutsConfig.getBindingId({ prefix: [{ key: 'g' }], key: 'a' }), 'global:g a');
+        assert(HelpModalBuilder.generateShortcutItem(ctrlKS).includes('<kbd class="shortcut-keys">Ctrl+k Ctrl+s</kbd>'));
+    });
+
+    await test('should register the default sequences without conflicts and run them', () => {
+        const { controller, calls, pending } = createApp();
+        assert(!warnings.some(w => w.includes('conflict')), warnings.join('\n'));
+        const sequences = controller.getConfiguredShortcuts().filter(s => s.prefix).map(s => s.bindingId);
+        assertEquals(sequences, ['global:g a', 'global:g i', 'global:g c', 'global:g d', 'global:Ctrl+k Ctrl+s']);
+
+        const manager = controller.keyboardManager;
+        ['a', 'i', 'c', 'd'].forEach(key => {
+            manager.handleKeyboard(keydown('g'));
+            manager.handleKeyboard(keydown(key));
+        });
+        manager.handleKeyboard(keydown('k', { ctrlKey: true }));
+        manager.handleKeyboard(keydown('s', { ctrlKey: true }));
+        assertEquals(calls, ['showAllTodos', 'showActiveTodos', 'showCompletedTodos', 'showCompletedTodos', 'openShortcutSettings']);
+        assertEquals(pending.filter(Boolean), ['g', 'g', 'g', 'g', 'Ctrl+k']);
+    });
+
+    await test('should refuse keys that start a sequence and move a sequence to a single combination', () => {
+        const storage = createStorage();
+        const { controller } = createApp(storage);
+        const find = (bindingId) => controller.getConfiguredShortcuts().find(s => s.bindingId === bindingId);
+
+        const prefixConflict = controller.checkShortcutBinding(find('list:j'), { key: 'g' });
+        assert(prefixConflict.conflict && prefixConflict.conflict.description.startsWith('Go to'), 'g starts the "go to" sequences');
+        const goAll = find('global:g a');
+        assertEquals(controller.checkShortcutBinding(goAll, goAll.defaultBinding).conflict, null, 'Its own keys are not a conflict');
+        assertEquals(controller.checkShortcutBinding(goAll, { key: 'q', altKey: true }), { conflict: null, errors: [], warnings: [] });
+
+        controller.handleRebindShortcut('global:g a', { key: 'q', altKey: true });
+        const rebound = find('global:g a');
+        assertEquals([rebound.prefix, ShortcutsConfig.formatKeyCombo(rebound), rebound.description],
+            [undefined, 'Alt+q', 'Go to all todos (Alt+q)']);
+
+        const reloaded = createApp(storage);
+        const manager = reloaded.controller.keyboardManager;
+        manager.handleKeyboard(keydown('g'));
+        manager.handleKeyboard(keydown('a'));
+        manager.handleKeyboard(keydown('q', { altKey: true }));
+        assertEquals(reloaded.calls, ['showAllTodos'], 'Only Alt+Q goes to all todos after a restart');
+
+        assertEquals(ShortcutsConfig.parseBindings(JSON.stringify({
+            'global:Ctrl+f': { prefix: [{ key: 'g' }], key: 'f' },
+            'global:Ctrl+n': { prefix: [{ key: '' }], key: 'n' }
+        })), { 'global:Ctrl+f': {
+            key: 'f', ctrlKey: false, altKey: false, shiftKey: false,
+            prefix: [{ key: 'g', ctrlKey: false, altKey: false, shiftKey: false }]
+        } }, 'Saved sequences are read back with their prefix');
+    });
+
+    await test('should not start sequences while typing and show pending keys in the view', () => {
+        const { controller, calls, pending } = createApp();
+        controller.bindKeyboardShortcuts();
+        const input = { tagName: 'INPUT', type: 'text' };
+        document.listeners.keydown(keydown('g', { target: input }));
+        document.listeners.keydown(keydown('a', { target: input }));
+        assertEquals([calls, pending], [[], []], 'g a is typed into the text field');
+
+        const body = { tagName: 'BODY' };
+        document.listeners.keydown(keydown('g', { target: body }));
+        document.listeners.keydown(keydown('a', { target: body }));
+        assertEquals(calls, ['showAllTodos']);
+
+        const indicator = { hidden: true, textContent: '' };
+        const view = Object.assign(Object.create(TodoView.prototype), { pendingShortcut: indicator });
+        view.renderPendingShortcut('Ctrl+k');
+        assertEquals([indicator.hidden, indicator.textContent], [false, 'Ctrl+k … waiting for the next key']);
+        view.renderPendingShortcut(null);
+        assertEquals([indicator.hidden, indicator.textContent], [true, '']);
+    });
+
+    console.log();
+    console.log('==================================================');
+    console.log(`📊 Test Summary:`);
+    console.log(`   Total: ${testsPassed + testsFailed}`);
+    console.log(`   Passed: ${testsPassed}`);
+    console.log(`   Failed: ${testsFailed}`);
+    console.log('==================================================');
+
+    if (testsFailed === 0) {
+        console.log('🎉 All sequence shortcut tests passed!');
+    } else {
+        console.log(`❌ ${testsFailed} test(s) failed`);
+        process.exit(1);
+    }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    runTests();
+}
+
+module.exports = { runTests };
@@ -0,0 +1,398 @@
+/**
+ * Unit Tests for Customizable Shortcut Bindings
+ * Tests applying, reading and recording key bindings in ShortcutsConfig,
+ * conflict checks through ShortcutValidator, saving and re-registering
+ * bindings in the controller, and the ShortcutSettingsPanel dialog
+ */
+
+/**
+ * Minimal DOM element: classes, attributes, children, events and focus
+ */
+class FakeElement {
+    constructor(tagName) {
+        this.tagName = tagName.toUpperCase();
+        this.className = '';
+        this.id = '';
+        this.dataset = {};
+        this.style = {};
+        this.attributes = {};
+        this.children = [];
+        this.parent = null;
+        this.listeners = {};
+        this.text = '';
+        this.classList = {
+            add: (name) => { if (!this.classList.contains(name)) this.className = `${this.className} ${name}`.trim(); },
+            remove: (name) => { this.className = this.className.split(' ').filter(c => c !== name).join(' '); },
+            contains: (name) => this.className.split(' ').includes(name)
+        };
+    }
+
+    get textContent() {
+        return this.text + this.children.map(child => child.textContent).join('');
+    }
+
+    set textContent(value) {
+        this.text = value;
+        this.children = [];
+    }
+
+    setAttribute(name, value) { this.attributes[name] = String(value); }
+    getAttribute(name) { return name in this.attributes ? this.attributes[name] : null; }
+    appendChild(child) { child.parent = this; this.children.push(child); return child; }
+    remove() {
+        if (this.parent) this.parent.children = this.parent.children.filter(child => child !== this);
+        this.parent = null;
+    }
+    focus() { document.activeElement = this; }
+    addEventListener(type, listener) { (this.listeners[type] = this.listeners[type] || []).push(listener); }
+
+    dispatch(type, event = {}) {
+        const e = { target: this, defaultPrevented: false, propagationStopped: false, ...event };
+        e.preventDefault = () => { e.defaultPrevented = true; };
+        e.stopPropagation = () => { e.propagationStopped = true; };
+        // Bubble up, like a real event, so the panel's keydown handler sees key presses on its buttons
+        for (let element = this; element && !e.propagationStopped; element = element.parent) {
+            (element.listeners[type] || []).forEach(listener => listener(e));
+        }
+        return e;
+    }
+
+    querySelectorAll(selector) {
+        const matches = [];
+        const matchesSelector = (element) => selector.startsWith('.')
+            ? element.classList.contains(selector.slice(1))
+            : element.tagName === selector.toUpperCase();
+        const walk = (element) => element.children.forEach(child => {
+            if (matchesSelector(child)) matches.push(child);
+            walk(child);
+        });
+        walk(this);
+        return matches;
+    }
+
+    querySelector(selector) {
+        return this.querySelectorAll(selector)[0] || null;
+    }
+}
+
+// Mock browser globals for Node.js testing
+const { createStorage } = require('./test-helpers.js');
+global.document = {
+    activeElement: null,
+    body: new FakeElement('body'),
+    createElement: (tagName) => new FakeElement(tagName),
+    getElementById: () => null
+};
+
+global.ShortcutValidator = require('./js/ShortcutValidator.js');
+global.ShortcutCache = require('./js/ShortcutCache.js');
+global.ShortcutStatistics = require('./js/ShortcutStatistics.js');
+global.DebugLogger = require('./js/DebugLogger.js');
+global.ShortcutsConfig = require('./js/ShortcutsConfig.js');
+global.HelpModalBuilder = require('./js/HelpModalBuilder.js');
+const KeyboardShortcutManager = require('./js/KeyboardShortcutManager.js');
+const KeyboardHandlers = require('./js/KeyboardHandlers.js');
+const ShortcutSettingsPanel = require('./js/ShortcutSettingsPanel.js');
+const TodoController = require('./js/TodoController.js');
+
+/**
+ * Set up a controller with a real shortcut manager and handlers that count calls
+ * @param {Object} [storage] - Storage to load the bindings from
+ * @returns {Object} { controller, storage, calls }
+ */
+function createApp(storage = createStorage()) {
+    const calls = [];
+    // The controller's constructor wires up the DOM, so only its state is set up here
+    const controller = Object.assign(Object.create(TodoController.prototype), {
+        storage,
+        keyboardManager: new KeyboardShortcutManager({ cacheContexts: false })
+    });
+    controller.shortcutBindings = controller.loadShortcutBindings();
+    controller.keyboardHandlers = new KeyboardHandlers(controller);
+    // Every handler just records that it ran
+    const handlers = new Proxy({}, { get: (target, name) => () => calls.push(name) });
+    controller.keyboardHandlers.getAllHandlers = () => handlers;
+    controller._registerAllShortcuts();
+    return { controller, storage, calls };
+}
+
+/**
+ * Find a configured shortcut by its default binding id
+ * @param {TodoController} controller - Controller
+ * @param {string} bindingId - e.g. 'global:Ctrl+f'
+ * @returns {Object} Shortcut
+ */
+function findShortcut(controller, bindingId) {
+    return controller.getConfiguredShortcuts().find(shortcut => shortcut.bindingId === bindingId);
+}
+
+/**
+ * Fake keydown event
+ * @param {string} key - Key name
+ * @param {Object} [modifiers] - { ctrlKey, altKey, shiftKey }
+ * @returns {Object} Event
+ */
+function keydown(key, modifiers = {}) {
+    return { key, ctrlKey: false, altKey: false, shiftKey: false, metaKey: false, ...modifiers, preventDefault() {} };
+}
+
+async function runTests() {
+    console.log('🧪 Running Shortcut Settings Tests...');
+    console.log();
+
+    let testsPassed = 0;
+    let testsFailed = 0;
+
+    // The shortcut manager warns about conflicts it is asked to check
+    const originalWarn = console.warn;
+
+    async function test(description, testFn) {
+        console.warn = () => {};
+        try {
+            await testFn();
+            console.log(`✅ ${description}`);
+            testsPassed++;
+        } catch (error) {
+            console.log(`❌ ${description}`);
+            console.log(`   Error: ${error.message}`);
+            testsFailed++;
+        } finally {
+            console.warn = originalWarn;
+        }
+    }
+
+    function assert(condition, message) {
+        if (!condition) {
+            throw new Error(message || 'Assertion failed');
+        }
+    }
+
+    function assertEquals(actual, expected, message) {
+        if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+            throw new Error(message || `Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+        }
+    }
+
+    await test('should apply bindings by the id of the default keys and update the description', () => {
+        const action = () => {};
+        const shortcuts = [
+            { key: 'f', ctrlKey: true, context: 'global', action, description: 'Focus search input (Ctrl+F)' },
+            { key: ' ', context: 'list', action, description: 'Toggle the focused todo (Space)' }
+        ];
+        assertEquals(shortcuts.map(s => ShortcutsConfig.getBindingId(s)), ['global:Ctrl+f', 'list:Space']);
+
+        const [search, toggle] = ShortcutsConfig.applyBindings(shortcuts, {
+            'global:Ctrl+f': { key: 'k', altKey: true }
+        });
+        assertEquals([search.key, search.ctrlKey, search.altKey], ['k', false, true]);
+        assertEquals(search.description, 'Focus search input (Alt+k)');
+        assertEquals(search.bindingId, 'global:Ctrl+f', 'The id stays that of the default keys');
+        assertEquals(search.defaultBinding, { key: 'f', ctrlKey: true, altKey: false, shiftKey: false });
+        assertEquals([toggle.key, toggle.bindingId], [' ', 'list:Space']);
+    });
+
+    await test('should read only usable saved bindings and record key presses as bindings', () => {
+        assertEquals(ShortcutsConfig.parseBindings('not json'), {});
+        assertEquals(ShortcutsConfig.parseBindings('[1]'), {});
+        assertEquals(ShortcutsConfig.parseBindings(JSON.stringify({
+            'global:Ctrl+n': { key: 'm', ctrlKey: true, extra: 'dropped' },
+            'global:Ctrl+f': { key: '' },
+            'global:/': null
+        })), { 'global:Ctrl+n': { key: 'm', ctrlKey: true, altKey: false, shiftKey: false } });
+
+        assertEquals(ShortcutsConfig.getBindingFromEvent(keydown('Shift', { shiftKey: true })), null, 'Modifiers alone are not a binding');
+        assertEquals(ShortcutsConfig.getBindingFromEvent(keydown('N', { ctrlKey: true, shiftKey: true })),
+            { key: 'n', ctrlKey: true, altKey: false, shiftKey: true });
+        assertEquals(ShortcutsConfig.getBindingFromEvent(keydown('ArrowUp')).key, 'ArrowUp');
+    });
+
+    await test('should return the conflicting shortcut from ShortcutValidator.checkForConflicts', () => {
+        const validator = new ShortcutValidator();
+        const existing = { key: 'n', description: 'Focus new todo input' };
+        const shortcuts = new Map([['ctrl+n:global', existing]]);
+        assertEquals(validator.checkForConflicts('ctrl+n:global', {}, shortcuts), existing);
+        assertEquals(validator.checkForConflicts('ctrl+m:global', {}, shortcuts), null);
+        assertEquals(new ShortcutValidator({ validateConflicts: false }).checkForConflicts('ctrl+n:global', {}, shortcuts), null);
+    });
+
+    await test('should check new keys for conflicts in the same context and for validation errors', () => {
+        const { controller } = createApp();
+        const search = findShortcut(controller, 'global:Ctrl+f');
+
+        const taken = controller.checkShortcutBinding(search, { key: 'n', ctrlKey: true });
+        assert(taken.conflict && taken.conflict.description.startsWith('Focus new todo input'), 'Ctrl+N is taken');
+
+        const plain = controller.checkShortcutBinding(search, { key: 'q' });
+        assertEquals([plain.conflict, plain.errors.length], [null, 1], 'A plain key would be typed into text fields');
+
+        const system = controller.checkShortcutBinding(search, { key: 'p', ctrlKey: true });
+        assertEquals([system.conflict, system.errors], [null, []]);
+        assert(system.warnings.some(w => w.includes('system shortcut')), 'Browser shortcuts only warn');
+
+        const next = findShortcut(controller, 'list:j');
+        assertEquals(controller.checkShortcutBinding(next, { key: 'n' }).errors, [], 'Plain keys are fine in the todo list');
+        assert(controller.checkShortcutBinding(next, { key: 'k' }).conflict, 'k already moves up in the list');
+    });
+
+    await test('should save a binding, register the shortcut on its new keys and apply it at startup', () => {
+        const { controller, storage, calls } = createApp();
+        controller.handleRebindShortcut('global:Ctrl+f', { key: 'k', altKey: true });
+
+        assertEquals(JSON.parse(storage.getItem('todo-shortcut-bindings')),
+            { 'global:Ctrl+f': { key: 'k', ctrlKey: false, altKey: true, shiftKey: false } });
+        controller.keyboardManager.handleKeyboard(keydown('k', { altKey: true }));
+        controller.keyboardManager.handleKeyboard(keydown('f', { ctrlKey: true }));
+        assertEquals(calls, ['focusSearch'], 'Only the new keys focus the search');
+
+        const reloaded = createApp(storage);
+        reloaded.controller.keyboardManager.handleKeyboard(keydown('k', { altKey: true }));
+        assertEquals(reloaded.calls, ['focusSearch'], 'The binding is applied when the app starts');
+        const help = reloaded.controller.keyboardManager.getAllShortcuts().find(s => s.key === 'k' && s.altKey);
+        assertEquals(help.description, 'Focus search input (Alt+k)', 'The help modal shows the new keys');
+    });
+
+    await test('should put a shortcut back on its default keys and reset all bindings', () => {
+        const { controller, storage, calls } = createApp();
+        controller.handleRebindShortcut('global:Ctrl+f', { key: 'k', altKey: true });
+        controller.handleRebindShortcut('list:j', { key: 'n' });
+
+        controller.handleRebindShortcut('global:Ctrl+f', null);
+        assertEquals(Object.keys(JSON.parse(storage.getItem('todo-shortcut-bindings'))), ['list:j']);
+
+        controller.handleResetShortcuts();
+        assertEquals(storage.getItem('todo-shortcut-bindings'), null);
+        assert(controller.getConfiguredShortcuts().every(s => ShortcutsConfig.getBindingId(s) === s.bindingId),
+            'Every shortcut is on its default keys');
+        controller.keyboardManager.handleKeyboard(keydown('f', { ctrlKey: true }));
+        assertEquals(calls, ['focusSearch']);
+    });
+
+    await test('should record keys in the settings panel, reject taken ones live and save free ones', () => {
+        const { controller, storage } = createApp();
+        let closed = 0;
+        const panel = new ShortcutSettingsPanel({
+            getShortcuts: () => controller.getConfiguredShortcuts(),
+            checkBinding: (shortcut, binding) => controller.checkShortcutBinding(shortcut, binding),
+            onChange: (bindingId, binding) => controller.handleRebindShortcut(bindingId, binding),
+            onReset: () => controller.handleResetShortcuts(),
+            onClose: () => closed++
+        });
+        panel.open();
+        const row = () => panel.list.querySelectorAll('.shortcut-setting').find(r => r.dataset.bindingId === 'global:Ctrl+f');
+
+        row().querySelector('.shortcut-change-btn').dispatch('click');
+        assertEquals(row().querySelector('.shortcut-keys').textContent, 'Press keys…');
+
+        const taken = document.activeElement.dispatch('keydown', keydown('n', { ctrlKey: true }));
+        assert(taken.propagationStopped, 'Key presses do not reach the app shortcuts');
+        assertEquals(row().querySelector('.shortcut-keys').textContent, 'Ctrl+n …', 'The panel waits for more keys');
+        document.activeElement.dispatch('keydown', keydown('Enter'));
+        assert(panel.status.textContent.includes('already used for "Focus new todo input"'), panel.status.textContent);
+        assert(panel.recording, 'The panel keeps listening after a taken combination');
+
+        document.activeElement.dispatch('keydown', keydown('Control', { ctrlKey: true }));
+        document.activeElement.dispatch('keydown', keydown('k', { ctrlKey: true, shiftKey: true }));
+        document.activeElement.dispatch('keydown', keydown('Enter'));
+        assertEquals(panel.recording, null);
+        assertEquals(row().querySelector('.shortcut-keys').textContent, 'Ctrl+Shift+k');
+        assert(row().classList.contains('customized'));
+        assert(storage.getItem('todo-shortcut-bindings').includes('"global:Ctrl+f"'));
+        assert(document.activeElement === row().querySelector('.shortcut-change-btn'), 'Focus stays on the changed shortcut');
+
+        row().querySelector('.shortcut-default-btn').dispatch('click');
+        assertEquals(row().querySelector('.shortcut-keys').textContent, 'Ctrl+f');
+        assert(!row().querySelector('.shortcut-default-btn'), 'A default binding has nothing to restore');
+
+        document.activeElement.dispatch('keydown', keydown('Escape'));
+        assertEquals([panel.isOpen(), closed, document.body.children.length], [false, 1, 0]);
+    });
+
+    await test('should record a sequence in the settings panel until Enter or a pause', async () => {
+        const { controller, storage, calls } = createApp();
+        const panel = new ShortcutSettingsPanel({
+            getShortcuts: () => controller.getConfiguredShortcuts(),
+            checkBinding: (shortcut, binding) => controller.checkShortcutBinding(shortcut, binding),
+            onChange: (bindingId, binding) => controller.handleRebindShortcut(bindingId, binding),
+            onReset: () => controller.handleResetShortcuts(),
+            sequenceTimeout: 10
+        });
+        panel.open();
+        const row = (bindingId) => panel.list.querySelectorAll('.shortcut-setting').find(r => r.dataset.bindingId === bindingId);
+
+        row('global:g a').querySelector('.shortcut-change-btn').dispatch('click');
+        document.activeElement.dispatch('keydown', keydown('g', { altKey: true }));
+        document.activeElement.dispatch('keydown', keydown('a'));
+        document.activeElement.dispatch('keydown', keydown('Enter'));
+        assertEquals(row('global:g a').querySelector('.shortcut-keys').textContent, 'Alt+g a');
+        assertEquals(JSON.parse(storage.getItem('todo-shortcut-bindings'))['global:g a'],
+            { key: 'a', ctrlKey: false, altKey: false, shiftKey: false, prefix: [{ key: 'g', ctrlKey: false, altKey: true, shiftKey: false }] },
+            'The binding keeps every key of the sequence');
+        controller.keyboardManager.handleKeyboard(keydown('g', { altKey: true }));
+        controller.keyboardManager.handleKeyboard(keydown('a'));
+        assertEquals(calls, ['showAllTodos'], 'The new sequence runs the shortcut');
+
+        // A pause ends the recording as well
+        row('global:Ctrl+k Ctrl+s').querySelector('.shortcut-change-btn').dispatch('click');
+        document.activeElement.dispatch('keydown', keydown('k', { ctrlKey: true }));
+        document.activeElement.dispatch('keydown', keydown('j', { ctrlKey: true }));
+        assert(panel.recording, 'The panel waits for more keys');
+        await new Promise(resolve => setTimeout(resolve, 30));
+        assertEquals([panel.recording, row('global:Ctrl+k Ctrl+s').querySelector('.shortcut-keys').textContent], [null, 'Ctrl+k Ctrl+j']);
+
+        // Rejected keys are dropped and the next ones start a new recording
+        row('global:Ctrl+f').querySelector('.shortcut-change-btn').dispatch('click');
+        document.activeElement.dispatch('keydown', keydown('k', { ctrlKey: true }));
+        document.activeElement.dispatch('keydown', keydown('Enter'));
+        assert(panel.status.textContent.includes('already used for "Customize keyboard shortcuts"'), panel.status.textContent);
+        document.activeElement.dispatch('keydown', keydown('Escape'));
+        assertEquals(row('global:Ctrl+f').querySelector('.shortcut-keys').textContent, 'Ctrl+f');
+        panel.close();
+    });
+
+    await test('should stop recording on Escape and reset every shortcut from the panel', () => {
+        const { controller } = createApp();
+        controller.handleRebindShortcut('list:j', { key: 'n' });
+        const panel = new ShortcutSettingsPanel({
+            getShortcuts: () => controller.getConfiguredShortcuts(),
+            checkBinding: () => { throw new Error('Nothing should be checked'); },
+            onChange: () => {},
+            onReset: () => controller.handleResetShortcuts()
+        });
+        panel.open();
+
+        const change = panel.list.querySelector('.shortcut-change-btn');
+        const keys = panel.list.querySelector('.shortcut-keys');
+        const before = keys.textContent;
+        change.dispatch('click');
+        change.dispatch('keydown', keydown('Escape'));
+        assertEquals([keys.textContent, panel.isOpen()], [before, true], 'Escape only stops recording');
+
+        assertEquals(panel.list.querySelectorAll('.customized').length, 1);
+        panel.overlay.querySelectorAll('button').find(b => b.textContent === 'Reset to defaults').dispatch('click');
+        assertEquals(panel.list.querySelectorAll('.customized').length, 0);
+        assertEquals(controller.shortcutBindings, {});
+        panel.close();
+    });
+
+    console.log();
+    console.log('==================================================');
+    console.log(`📊 Test Summary:`);
+    console.log(`   Total: ${testsPassed + testsFailed}`);
+    console.log(`   Passed: ${testsPassed}`);
+    console.log(`   Failed: ${testsFailed}`);
+    console.log('==================================================');
+
+    if (testsFailed === 0) {
+        console.log('🎉 All shortcut settings tests passed!');
+    } else {
+        console.log(`❌ ${testsFailed} test(s) failed`);
+        process.exit(1);
+    }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    runTests();
+}
+
+module.exports = { runTests };
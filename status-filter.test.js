@@ -0,0 +1,144 @@
+/**
+ * Unit Tests for the Status Filter Bar
+ * Tests TodoModel status filtering, its combination with search and the
+ * filter shortcuts registered in ShortcutsConfig
+ */
+
+// Mock browser globals for Node.js testing
+const { createStorage } = require('./test-helpers.js');
+
+const ShortcutsConfig = require('./js/ShortcutsConfig.js');
+
+function createModel() {
+    const model = new TodoModel(createStorage());
+    model.addTodo('Buy milk');
+    const done = model.addTodo('Buy bread');
+    model.addTodo('Walk the dog');
+    model.toggleTodo(done.id);
+    return model;
+}
+
+function runTests() {
+    console.log('🧪 Running Status Filter Tests...');
+    console.log();
+
+    let testsPassed = 0;
+    let testsFailed = 0;
+
+    function test(description, testFn) {
+        try {
+            testFn();
+            console.log(`✅ ${description}`);
+            testsPassed++;
+        } catch (error) {
+            console.log(`❌ ${description}`);
+            console.log(`   Error: ${error.message}`);
+            testsFailed++;
+        }
+    }
+
+    function assert(condition, message) {
+        if (!condition) {
+            throw new Error(message || 'Assertion failed');
+        }
+    }
+
+    function assertArrayEquals(actual, expected, message) {
+        if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+            throw new Error(message || `Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+        }
+    }
+
+    test('should expose the supported status filters', () => {
+        assertArrayEquals(TodoModel.STATUS_FILTERS, ['all', 'active', 'completed']);
+    });
+
+    test('should return every todo for the all filter', () => {
+        const model = createModel();
+        const todos = model.getAllTodos();
+        assert(model.filterByStatus(todos, 'all').length === 3, 'All filter should keep every todo');
+        assert(model.filterByStatus(todos).length === 3, 'Filter should default to all');
+    });
+
+    test('should keep only open todos for the active filter', () => {
+        const model = createModel();
+        const texts = model.filterByStatus(model.getAllTodos(), 'active').map(t => t.text);
+        assertArrayEquals(texts, ['Walk the dog', 'Buy milk']);
+    });
+
+    test('should keep only completed todos for the completed filter', () => {
+        const model = createModel();
+        const texts = model.filterByStatus(model.getAllTodos(), 'completed').map(t => t.text);
+        assertArrayEquals(texts, ['Buy bread']);
+    });
+
+    test('should combine with the search term', () => {
+        const model = createModel();
+        const searched = model.filterTodos('buy');
+        assertArrayEquals(model.filterByStatus(searched, 'active').map(t => t.text), ['Buy milk']);
+        assertArrayEquals(model.filterByStatus(searched, 'completed').map(t => t.text), ['Buy bread']);
+    });
+
+    test('should match the counts reported by getStats', () => {
+        const model = createModel();
+        const stats = model.getStats();
+        const todos = model.getAllTodos();
+        assert(stats.total === model.filterByStatus(todos, 'all').length, 'All count should match total');
+        assert(stats.pending === model.filterByStatus(todos, 'active').length, 'Active count should match pending');
+        assert(stats.completed === model.filterByStatus(todos, 'completed').length, 'Completed count should match');
+    });
+
+    test('should not mutate the input array', () => {
+        const model = createModel();
+        const todos = model.getAllTodos();
+        model.filterByStatus(todos, 'completed');
+        assert(todos.length === 3, 'Input array should be untouched');
+    });
+
+    test('should register status filter shortcuts without validation errors', () => {
+        const handlerNames = [
+            'focusNewTodo', 'focusSearch', 'showAllTodos', 'showActiveTodos', 'showCompletedTodos',
+            'addTodo', 'toggleFirstTodo', 'deleteFirstTodo', 'cancelEdit', 'saveEdit', 'showHelp', 'openShortcutSettings',
+            'toggleTheme', 'selectAll', 'clearCompleted', 'setPriorityNone', 'setPriorityLow',
+            'setPriorityMedium', 'setPriorityHigh', 'setPriorityUrgent', 'togglePrioritySort',
+            'undo', 'redo', 'extendSelectionUp', 'extendSelectionDown', 'clearSelection',
+            'deleteSelected', 'focusNextTodo', 'focusPreviousTodo', 'toggleFocusedTodo',
+            'editFocusedTodo', 'deleteFocusedTodo', 'moveFocusedTodoUp', 'moveFocusedTodoDown', 'showStats'
+        ];
+        const handlers = {};
+        handlerNames.forEach(name => { handlers[name] = () => name; });
+
+        const shortcuts = ShortcutsConfig.getShortcuts(handlers);
+        const filterBindings = shortcuts
+            .filter(s => s.altKey && ['a', 'o', 'c'].includes(s.key))
+            .map(s => `${s.key}:${s.action()}`);
+        assertArrayEquals(filterBindings, ['a:showAllTodos', 'o:showActiveTodos', 'c:showCompletedTodos'],
+            'Alt+A, Alt+O and Alt+C should switch the status filter');
+
+        const validation = ShortcutsConfig.validateShortcutCollection(shortcuts);
+        assert(validation.errors === 0, `Expected no validation errors, got ${validation.errors}`);
+        assert(validation.conflicts.length === 0, 'Status filter shortcuts should not conflict');
+    });
+
+    console.log();
+    console.log('==================================================');
+    console.log(`📊 Test Summary:`);
+    console.log(`   Total: ${testsPassed + testsFailed}`);
+    console.log(`   Passed: ${testsPassed}`);
+    console.log(`   Failed: ${testsFailed}`);
+    console.log('==================================================');
+
+    if (testsFailed === 0) {
+        console.log('🎉 All status filter tests passed!');
+    } else {
+        console.log(`❌ ${testsFailed} test(s) failed`);
+        process.exit(1);
+    }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    runTests();
+}
+
+module.exports = { runTests };
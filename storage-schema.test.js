@@ -0,0 +1,158 @@
+/**
+ * Unit Tests for the Versioned Storage Schema
+ * Tests StorageSchema migrations from every older saved shape and that
+ * TodoModel quarantines unreadable data instead of replacing it with []
+ */
+
+// Mock browser globals for Node.js testing
+const { createStorage } = require('./test-helpers.js');
+
+const DataExchange = require('./js/DataExchange.js');
+
+function runTests() {
+    console.log('🧪 Running Storage Schema Tests...');
+    console.log();
+
+    let testsPassed = 0;
+    let testsFailed = 0;
+
+    function test(description, testFn) {
+        try {
+            testFn();
+            console.log(`✅ ${description}`);
+            testsPassed++;
+        } catch (error) {
+            console.log(`❌ ${description}`);
+            console.log(`   Error: ${error.message}`);
+            testsFailed++;
+        }
+    }
+
+    function assert(condition, message) {
+        if (!condition) {
+            throw new Error(message || 'Assertion failed');
+        }
+    }
+
+    function assertEquals(actual, expected, message) {
+        if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+            throw new Error(message || `Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+        }
+    }
+
+    function assertThrows(fn, expectedMessage) {
+        let error = null;
+        try {
+            fn();
+        } catch (e) {
+            error = e;
+        }
+        assert(error, 'Expected function to throw');
+        if (expectedMessage) {
+            assert(error.message.includes(expectedMessage), `Unexpected error: ${error.message}`);
+        }
+    }
+
+    test('should upgrade a bare array saved before versioning', () => {
+        const { todos, rejected, fromVersion } = StorageSchema.parse(JSON.stringify([
+            { id: 1, text: 'Old', completed: 'yes', createdAt: '2024-01-01T00:00:00.000Z' }
+        ]));
+        assertEquals(fromVersion, 0);
+        assertEquals(rejected, []);
+        assertEquals(todos, [{
+            id: '1', text: 'Old', completed: false, createdAt: '2024-01-01T00:00:00.000Z', order: 0,
+            dueDate: null, dueTime: null, priority: 'none', tags: [], parentId: null,
+            updatedAt: '2024-01-01T00:00:00.000Z'
+        }]);
+    });
+
+    test('should run only the migrations newer than the saved version', () => {
+        const saved = { schemaVersion: 1, todos: [{ id: 'a', text: 'A', completed: true, createdAt: 'x', order: 7, priority: 'high', custom: 1 }] };
+        const { todos, fromVersion } = StorageSchema.parse(JSON.stringify(saved));
+        assertEquals(fromVersion, 1);
+        assertEquals([todos[0].order, todos[0].priority, todos[0].tags, todos[0].custom], [7, 'high', [], 1],
+            'Existing and unknown fields are kept');
+
+        const current = StorageSchema.serialize(todos);
+        assertEquals(JSON.parse(current).schemaVersion, StorageSchema.CURRENT_VERSION);
+        assertEquals(StorageSchema.parse(current).todos, todos, 'Current data is read back unchanged');
+    });
+
+    test('should reject unreadable todos and unreadable payloads', () => {
+        const { todos, rejected } = StorageSchema.parse(JSON.stringify([{ id: 'a', text: 'Fine' }, null, { id: 'b', text: '  ' }]));
+        assertEquals(todos.map(t => t.id), ['a']);
+        assertEquals(rejected.map(r => r.reason), ['not a todo object', 'missing id or text']);
+
+        assertThrows(() => StorageSchema.parse('{not json'));
+        assertThrows(() => StorageSchema.parse('{"todos": "nope"}'), 'not in a known format');
+        assertThrows(() => StorageSchema.parse('{"schemaVersion": 99, "todos": []}'), 'newer than this app supports');
+    });
+
+    test('should save todos in the versioned payload', () => {
+        const storage = createStorage();
+        new TodoModel(storage).addTodo('Saved');
+        const saved = JSON.parse(storage.getItem('todos'));
+        assertEquals(saved.schemaVersion, StorageSchema.CURRENT_VERSION);
+        assertEquals(saved.todos.map(t => t.text), ['Saved']);
+    });
+
+    test('should quarantine unreadable data instead of replacing it with an empty list', () => {
+        const storage = createStorage({ 'todos:work': '{"schemaVersion": 99, "todos": []}' });
+        const model = new TodoModel(storage, 'todos:work');
+        assertEquals(model.getAllTodos(), []);
+        assertEquals(model.recoveryInfo.key, 'recovery:todos:work');
+
+        model.addTodo('New');
+        const [entry] = JSON.parse(storage.getItem('recovery:todos:work'));
+        assertEquals(entry.data, '{"schemaVersion": 99, "todos": []}', 'The raw data survives the next save');
+        assert(entry.reason.includes('schema version 99') && entry.quarantinedAt, 'The entry says why and when');
+    });
+
+    test('should quarantine only the todos that cannot be upgraded', () => {
+        const storage = createStorage({ todos: JSON.stringify([{ id: 'a', text: 'Keep' }, { text: 'No id' }]) });
+        const model = new TodoModel(storage);
+        assertEquals(model.getAllTodos().map(t => t.text), ['Keep']);
+        assertEquals(JSON.parse(JSON.parse(storage.getItem('recovery:todos'))[0].data), [{ text: 'No id' }]);
+    });
+
+    test('should keep only the newest recovery entries', () => {
+        const storage = createStorage();
+        for (let i = 0; i < StorageSchema.MAX_RECOVERY_ENTRIES + 2; i++) {
+            storage.setItem('todos', `broken ${i}`);
+            new TodoModel(storage);
+        }
+        const entries = JSON.parse(storage.getItem('recovery:todos'));
+        assertEquals(entries.length, StorageSchema.MAX_RECOVERY_ENTRIES);
+        assertEquals(entries[entries.length - 1].data, `broken ${StorageSchema.MAX_RECOVERY_ENTRIES + 1}`);
+    });
+
+    test('should import a saved list value like a bare array', () => {
+        const { data, errors } = DataExchange.parseImport(StorageSchema.serialize([
+            { id: 'a', text: 'From storage', completed: false, createdAt: '2026-03-10T09:00:00.000Z' }
+        ]));
+        assertEquals(errors, []);
+        assertEquals(data.lists[0].todos.map(t => t.text), ['From storage']);
+    });
+
+    console.log();
+    console.log('==================================================');
+    console.log(`📊 Test Summary:`);
+    console.log(`   Total: ${testsPassed + testsFailed}`);
+    console.log(`   Passed: ${testsPassed}`);
+    console.log(`   Failed: ${testsFailed}`);
+    console.log('==================================================');
+
+    if (testsFailed === 0) {
+        console.log('🎉 All storage schema tests passed!');
+    } else {
+        console.log(`❌ ${testsFailed} test(s) failed`);
+        process.exit(1);
+    }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    runTests();
+}
+
+module.exports = { runTests };
@@ -0,0 +1,219 @@
+/**
+ * Unit Tests for Subtasks
+ * Tests TodoModel checklists: adding, deleting and toggling subtasks,
+ * progress, auto-completing parents, indent/outdent and moving between lists
+ */
+
+// Mock browser globals for Node.js testing
+const { createStorage } = require('./test-helpers.js');
+
+/**
+ * Build a model with one parent holding three subtasks and a plain todo
+ * @returns {Object} { model, parent, subtasks, other }
+ */
+function createChecklist(storage = createStorage()) {
+    const model = new TodoModel(storage);
+    const other = model.addTodo('Water plants');
+    const parent = model.addTodo('Pack for trip');
+    const subtasks = ['Passport', 'Charger', 'Toothbrush'].map(text => model.addTodo(text, { parentId: parent.id }));
+    return { model, parent, subtasks, other };
+}
+
+function runTests() {
+    console.log('🧪 Running Subtask Tests...');
+    console.log();
+
+    let testsPassed = 0;
+    let testsFailed = 0;
+
+    function test(description, testFn) {
+        try {
+            testFn();
+            console.log(`✅ ${description}`);
+            testsPassed++;
+        } catch (error) {
+            console.log(`❌ ${description}`);
+            console.log(`   Error: ${error.message}`);
+            testsFailed++;
+        }
+    }
+
+    function assert(condition, message) {
+        if (!condition) {
+            throw new Error(message || 'Assertion failed');
+        }
+    }
+
+    function assertArrayEquals(actual, expected, message) {
+        if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+            throw new Error(message || `Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+        }
+    }
+
+    function assertThrows(fn, expectedMessage) {
+        let error = null;
+        try {
+            fn();
+        } catch (e) {
+            error = e;
+        }
+        assert(error, 'Expected function to throw');
+        if (expectedMessage) {
+            assert(error.message.includes(expectedMessage), `Unexpected error: ${error.message}`);
+        }
+    }
+
+    test('should add subtasks in order after their siblings', () => {
+        const { model, parent, subtasks } = createChecklist();
+        assertArrayEquals(model.getSubtasks(parent.id).map(t => t.text), ['Passport', 'Charger', 'Toothbrush']);
+        assert(subtasks.every(t => t.parentId === parent.id), 'Subtasks should point to their parent');
+        assert(parent.parentId === null, 'Top-level todos have a null parentId');
+    });
+
+    test('should keep checklists one level deep', () => {
+        const { model, subtasks } = createChecklist();
+        assertThrows(() => model.addTodo('Nested', { parentId: subtasks[0].id }), 'cannot have subtasks');
+        assertThrows(() => model.addTodo('Orphan', { parentId: 'missing' }), 'Parent todo not found');
+    });
+
+    test('should report progress', () => {
+        const { model, parent, subtasks, other } = createChecklist();
+        model.toggleTodo(subtasks[0].id);
+        assertArrayEquals(model.getSubtaskProgress(parent.id), { done: 1, total: 3 });
+        assertArrayEquals(model.getSubtaskProgress(other.id), { done: 0, total: 0 });
+    });
+
+    test('should complete the parent when every subtask is done', () => {
+        const { model, parent, subtasks } = createChecklist();
+        subtasks.forEach(t => model.toggleTodo(t.id));
+        assert(model.getTodo(parent.id).completed, 'Parent should be completed');
+
+        model.toggleTodo(subtasks[1].id);
+        assert(!model.getTodo(parent.id).completed, 'Unchecking a subtask should reopen the parent');
+    });
+
+    test('should leave the parent alone when auto-complete is off', () => {
+        const { model, parent, subtasks } = createChecklist();
+        subtasks.forEach(t => model.toggleTodo(t.id, { autoCompleteParent: false }));
+        assert(!model.getTodo(parent.id).completed, 'Parent should stay open');
+    });
+
+    test('should not reopen a completed parent when another subtask is checked', () => {
+        const { model, parent, subtasks } = createChecklist();
+        model.toggleTodo(parent.id);
+        model.toggleTodo(subtasks[0].id);
+        assert(model.getTodo(parent.id).completed, 'Checking a subtask should not reopen the parent');
+    });
+
+    test('should delete subtasks together with their parent', () => {
+        const { model, parent, subtasks } = createChecklist();
+        model.deleteTodo(subtasks[0].id);
+        assert(model.getAllTodos().length === 4, 'Deleting a subtask removes only it');
+
+        assert(model.deleteTodo(parent.id), 'Delete should succeed');
+        assertArrayEquals(model.getAllTodos().map(t => t.text), ['Water plants']);
+    });
+
+    test('should count only top-level todos in stats', () => {
+        const { model, subtasks } = createChecklist();
+        model.toggleTodo(subtasks[0].id);
+        const stats = model.getStats();
+        assert(stats.total === 2 && stats.completed === 0, `Unexpected stats ${JSON.stringify(stats)}`);
+    });
+
+    test('should map search matches to their top-level todo', () => {
+        const { model, parent, other } = createChecklist();
+        const roots = model.getRootTodos(model.filterTodos('charger'));
+        assertArrayEquals(roots.map(t => t.id), [parent.id]);
+        assertArrayEquals(model.getRootTodos(model.getAllTodos()).map(t => t.id), [parent.id, other.id]);
+    });
+
+    test('should reorder subtasks among their siblings only', () => {
+        const { model, parent, subtasks, other } = createChecklist();
+        assert(model.reorderTodo(subtasks[2].id, 0), 'Reorder should succeed');
+        assertArrayEquals(model.getSubtasks(parent.id).map(t => t.text), ['Toothbrush', 'Passport', 'Charger']);
+        assertArrayEquals(model.getRootTodos(model.getAllTodos()).map(t => t.id), [parent.id, other.id],
+            'Top-level order should be untouched');
+    });
+
+    test('should indent a todo as the last subtask of another', () => {
+        const { model, parent, other } = createChecklist();
+        model.toggleCollapsed(parent.id);
+        model.indentTodo(other.id, parent.id);
+        assertArrayEquals(model.getSubtasks(parent.id).map(t => t.text),
+            ['Passport', 'Charger', 'Toothbrush', 'Water plants']);
+        assert(!model.getTodo(parent.id).collapsed, 'Indenting should expand the parent');
+
+        assertThrows(() => model.indentTodo(parent.id, parent.id), 'own subtask');
+        const fresh = createChecklist();
+        assertThrows(() => fresh.model.indentTodo(fresh.parent.id, fresh.other.id), 'with subtasks');
+        assertThrows(() => fresh.model.indentTodo(fresh.other.id, fresh.subtasks[0].id), 'cannot have subtasks');
+    });
+
+    test('should outdent a subtask to just after its former parent', () => {
+        const { model, parent, subtasks, other } = createChecklist();
+        model.outdentTodo(subtasks[1].id);
+        assertArrayEquals(model.getRootTodos(model.getAllTodos()).map(t => t.text),
+            ['Pack for trip', 'Charger', 'Water plants']);
+        assertArrayEquals(model.getSubtasks(parent.id).map(t => t.text), ['Passport', 'Toothbrush']);
+        assert(model.getHistory().pop().type === 'outdentTodo', 'The outdent should be logged as one outdentTodo operation');
+        assert(model.outdentTodo(other.id) === null, 'Top-level todos cannot be outdented');
+
+        model.undo();
+        assertArrayEquals(model.getSubtasks(parent.id).map(t => t.text), ['Passport', 'Charger', 'Toothbrush']);
+    });
+
+    test('should persist subtasks and promote orphans on load', () => {
+        const storage = createStorage();
+        const { parent } = createChecklist(storage);
+        const reloaded = new TodoModel(storage);
+        assert(reloaded.getSubtasks(parent.id).length === 3, 'Subtasks should survive a reload');
+
+        storage.setItem('todos', JSON.stringify([
+            { id: 'a', text: 'Legacy', completed: false },
+            { id: 'b', text: 'Orphan', completed: false, parentId: 'gone' }
+        ]));
+        const legacy = new TodoModel(storage);
+        assert(legacy.getAllTodos().every(t => t.parentId === null), 'Unknown parents should be cleared');
+    });
+
+    test('should move a todo with its subtasks to another list', () => {
+        const lists = new ListManager(createStorage());
+        const source = lists.getActiveModel();
+        const parent = source.addTodo('Launch');
+        source.addTodo('Write notes', { parentId: parent.id });
+        source.addTodo('Tag release', { parentId: parent.id });
+        const target = lists.createList('Work');
+
+        lists.moveTodo(parent.id, ListManager.DEFAULT_LIST_ID, target.id);
+        const moved = lists.getModel(target.id);
+        assertArrayEquals(moved.getSubtasks(parent.id).map(t => t.text), ['Write notes', 'Tag release']);
+        assert(source.getAllTodos().length === 0, 'Source list should be empty');
+
+        const child = moved.getSubtasks(parent.id)[0];
+        lists.moveTodo(child.id, target.id, ListManager.DEFAULT_LIST_ID);
+        assert(source.getTodo(child.id).parentId === null, 'A subtask moved alone becomes top-level');
+    });
+
+    console.log();
+    console.log('==================================================');
+    console.log(`📊 Test Summary:`);
+    console.log(`   Total: ${testsPassed + testsFailed}`);
+    console.log(`   Passed: ${testsPassed}`);
+    console.log(`   Failed: ${testsFailed}`);
+    console.log('==================================================');
+
+    if (testsFailed === 0) {
+        console.log('🎉 All subtask tests passed!');
+    } else {
+        console.log(`❌ ${testsFailed} test(s) failed`);
+        process.exit(1);
+    }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    runTests();
+}
+
+module.exports = { runTests };
@@ -0,0 +1,294 @@
+/**
+ * Unit Tests for Cross-Tab Synchronization
+ * Tests TabSync (storage events, BroadcastChannel, duplicate notifications),
+ * TodoModel and ListManager taking over data saved by another tab, and
+ * TodoController handling changes that conflict with an edit in progress
+ */
+
+function createWebStorage() {
+    const store = {};
+    return {
+        getItem: (key) => store[key] === undefined ? null : store[key],
+        setItem: (key, value) => { store[key] = String(value); },
+        removeItem: (key) => { delete store[key]; },
+        clear: () => { Object.keys(store).forEach(key => delete store[key]); }
+    };
+}
+
+/**
+ * In-process BroadcastChannel: delivers each message to every other open
+ * channel with the same name, synchronously
+ */
+class MockBroadcastChannel {
+    static open = [];
+
+    constructor(name) {
+        this.name = name;
+        this.onmessage = null;
+        MockBroadcastChannel.open.push(this);
+    }
+
+    postMessage(data) {
+        MockBroadcastChannel.open
+            .filter(channel => channel !== this && channel.name === this.name && channel.onmessage)
+            .forEach(channel => channel.onmessage({ data: JSON.parse(JSON.stringify(data)) }));
+    }
+
+    close() {
+        MockBroadcastChannel.open = MockBroadcastChannel.open.filter(channel => channel !== this);
+    }
+}
+
+/**
+ * Stand-in for a tab's window, receiving storage events
+ */
+function createEventTarget() {
+    const listeners = [];
+    return {
+        listeners,
+        addEventListener: (type, fn) => listeners.push(fn),
+        removeEventListener: (type, fn) => listeners.splice(listeners.indexOf(fn), 1),
+        dispatch: (event) => listeners.slice().forEach(fn => fn(event))
+    };
+}
+
+// Mock browser globals for Node.js testing; the storage modules register themselves on window
+global.window = global;
+global.localStorage = createWebStorage();
+global.sessionStorage = createWebStorage();
+global.BroadcastChannel = MockBroadcastChannel;
+Object.defineProperty(global, 'navigator', {
+    value: { userAgent: 'Mozilla/5.0 (Node.js Test Environment)' },
+    configurable: true
+});
+global.crypto = {
+    randomUUID: () => 'test-uuid-' + Math.random().toString(36).substr(2, 9)
+};
+
+// Keep the storage modules' logging out of the test output
+const log = console.log;
+console.log = () => {};
+console.debug = () => {};
+console.info = () => {};
+console.warn = () => {};
+
+require('./js/StorageDetector.js');
+require('./js/StorageFallbackHandler.js');
+require('./js/StorageOperations.js');
+require('./js/SafariITPHandler.js');
+require('./js/StorageManager.js');
+const StorageManager = window.storageManager.constructor;
+require('./test-helpers.js');
+const TabSync = require('./js/TabSync.js');
+const TodoController = require('./js/TodoController.js');
+
+/**
+ * Open the app in a new tab: its own StorageManager, lists and controller on
+ * the shared localStorage
+ * @returns {Promise<Object>} { storage, lists, controller, view, sync, target }
+ */
+async function openTab() {
+    const storage = new StorageManager();
+    await storage.ready;
+    const lists = new ListManager(storage);
+
+    const view = {
+        editingId: null,
+        messages: [],
+        renders: 0,
+        isEditing() { return this.editingId !== null; },
+        getEditingId() { return this.editingId; },
+        startEdit(id) { this.editingId = id; },
+        cancelEdit() { this.editingId = null; },
+        showMessage(message, type) { this.messages.push({ message, type }); }
+    };
+    // The controller's constructor wires up the DOM, so only its state is set up here
+    const controller = Object.assign(Object.create(TodoController.prototype), {
+        model: lists.getActiveModel(), view, lists, draggedId: null
+    });
+    controller.render = () => { view.renders++; };
+
+    const target = createEventTarget();
+    const sync = new TabSync(storage, { target }).start((key, value) => controller.handleRemoteChange(key, value));
+    return { storage, lists, controller, view, sync, target };
+}
+
+function resetTabs() {
+    MockBroadcastChannel.open.slice().forEach(channel => channel.close());
+    localStorage.clear();
+    sessionStorage.clear();
+}
+
+const texts = (model) => model.getAllTodos().map(todo => todo.text);
+
+async function runTests() {
+    log('🧪 Running Cross-Tab Sync Tests...');
+    log();
+
+    let testsPassed = 0;
+    let testsFailed = 0;
+
+    async function test(description, testFn) {
+        try {
+            await testFn();
+            log(`✅ ${description}`);
+            testsPassed++;
+        } catch (error) {
+            log(`❌ ${description}`);
+            log(`   Error: ${error.message}`);
+            testsFailed++;
+        }
+    }
+
+    function assert(condition, message) {
+        if (!condition) {
+            throw new Error(message || 'Assertion failed');
+        }
+    }
+
+    function assertEquals(actual, expected, message) {
+        if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+            throw new Error(message || `Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+        }
+    }
+
+    await test('should pass on todo data changes from other tabs once', async () => {
+        resetTabs();
+        const received = [];
+        const target = createEventTarget();
+        const sync = new TabSync(null, { target }).start((key, value) => received.push([key, value]));
+
+        target.dispatch({ key: 'todos', newValue: '[]', storageArea: localStorage });
+        target.dispatch({ key: 'todo-theme', newValue: 'dark', storageArea: localStorage });
+        target.dispatch({ key: 'todos:work', newValue: '[]', storageArea: sessionStorage });
+        target.dispatch({ key: null, newValue: null, storageArea: localStorage });
+        new MockBroadcastChannel(TabSync.CHANNEL_NAME).postMessage({ source: 'other', key: 'todos', value: '[]' });
+        new MockBroadcastChannel(TabSync.CHANNEL_NAME).postMessage({ source: sync.tabId, key: 'todo-lists', value: '[]' });
+        assertEquals(received, [['todos', '[]']], 'Preferences, other storage areas, echoes and own messages are ignored');
+
+        sync.stop();
+        target.dispatch({ key: 'todos', newValue: 'later', storageArea: localStorage });
+        assertEquals(target.listeners.length, 0);
+        assertEquals(received.length, 1);
+    });
+
+    await test('should show todos saved in another tab and keep them on the next save', async () => {
+        resetTabs();
+        const tabA = await openTab();
+        const tabB = await openTab();
+
+        tabA.controller.model.addTodo('From A');
+        assertEquals(texts(tabB.controller.model), ['From A']);
+        assert(tabB.view.renders > 0, 'The other tab re-renders');
+
+        const todo = tabB.controller.model.getAllTodos()[0];
+        tabB.controller.model.toggleTodo(todo.id);
+        tabA.controller.model.addTodo('Also from A');
+
+        const saved = JSON.parse(localStorage.getItem('todos')).todos;
+        assertEquals(saved.map(t => [t.text, t.completed]), [['Also from A', false], ['From A', true]],
+            'The last tab to save no longer overwrites the other one');
+    });
+
+    await test('should apply localStorage events when BroadcastChannel is missing', async () => {
+        resetTabs();
+        global.BroadcastChannel = undefined;
+        try {
+            const tabA = await openTab();
+            const tabB = await openTab();
+            assertEquals(tabB.sync.channel, null);
+
+            tabA.controller.model.addTodo('Via storage event');
+            assertEquals(texts(tabB.controller.model), [], 'Nothing arrives without an event');
+            tabB.target.dispatch({ key: 'todos', newValue: localStorage.getItem('todos'), storageArea: localStorage });
+            assertEquals(texts(tabB.controller.model), ['Via storage event']);
+        } finally {
+            global.BroadcastChannel = MockBroadcastChannel;
+        }
+    });
+
+    await test('should report which todos another tab added, changed or removed', async () => {
+        resetTabs();
+        const model = new TodoModel(createWebStorage());
+        model.todos = [
+            { id: 'a', text: 'Keep', completed: false, order: 0, parentId: null },
+            { id: 'b', text: 'Change', completed: false, order: 1, parentId: null },
+            { id: 'c', text: 'Remove', completed: false, order: 2, parentId: null }
+        ];
+        const remote = StorageSchema.serialize([
+            { ...model.todos[0] },
+            { ...model.todos[1], completed: true },
+            { id: 'd', text: 'New', completed: false, order: 3 }
+        ]);
+
+        assertEquals(model.applyRemoteTodos(remote), { added: ['d'], updated: ['b'], removed: ['c'] });
+        assertEquals(texts(model), ['Keep', 'Change', 'New']);
+        assertEquals(model.applyRemoteTodos('{ not json'), null, 'Unreadable data is ignored');
+        assertEquals(texts(model), ['Keep', 'Change', 'New']);
+        assertEquals(model.applyRemoteTodos(null).removed, ['a', 'b', 'd'], 'A removed list is empty');
+    });
+
+    await test('should sync the list index and leave a list deleted in another tab', async () => {
+        resetTabs();
+        const tabA = await openTab();
+        const tabB = await openTab();
+        const work = tabA.lists.createList('Work');
+        assertEquals(tabB.lists.getLists().map(l => l.name), ['My Todos', 'Work']);
+
+        tabB.controller.handleSwitchList = TodoController.prototype.handleSwitchList;
+        tabB.controller.reportRecovery = () => {};
+        tabB.controller.handleSwitchList(work.id);
+        tabB.view.startEdit('some-todo');
+
+        tabA.lists.deleteList(work.id);
+        assertEquals(tabB.lists.activeListId, ListManager.DEFAULT_LIST_ID);
+        assert(tabB.controller.model === tabB.lists.getActiveModel(), 'The controller shows the remaining list');
+        assert(!tabB.lists.models.has(work.id), 'The deleted list is unloaded');
+        assertEquals(tabB.view.editingId, null);
+        assert(tabB.view.messages[0].message.includes('deleted in another tab, so your unsaved edit was discarded'));
+    });
+
+    await test('should end an edit when another tab deletes the todo being edited', async () => {
+        resetTabs();
+        const tabA = await openTab();
+        const tabB = await openTab();
+        const first = tabA.controller.model.addTodo('First');
+        const second = tabA.controller.model.addTodo('Second');
+
+        tabB.view.startEdit(first.id);
+        const renders = tabB.view.renders;
+        tabA.controller.model.updateTodo(first.id, 'First, renamed in A');
+        assertEquals(tabB.view.editingId, first.id, 'Changes to the edited todo keep the edit open');
+        assertEquals(tabB.view.renders, renders, 'The edit form is not re-rendered');
+        tabB.controller.model.updateTodo(first.id, 'First, saved in B');
+        assertEquals(texts(tabA.controller.model), ['Second', 'First, saved in B'], 'The saved edit wins');
+
+        tabB.view.startEdit(second.id);
+        tabA.controller.model.deleteTodo(second.id);
+        assertEquals(tabB.view.editingId, null);
+        assertEquals(tabB.view.messages, [{ message: 'The todo you were editing was deleted in another tab', type: 'error' }]);
+        assertEquals(tabB.view.renders, renders + 1);
+    });
+
+    log();
+    log('==================================================');
+    log(`📊 Test Summary:`);
+    log(`   Total: ${testsPassed + testsFailed}`);
+    log(`   Passed: ${testsPassed}`);
+    log(`   Failed: ${testsFailed}`);
+    log('==================================================');
+
+    if (testsFailed === 0) {
+        log('🎉 All cross-tab sync tests passed!');
+    } else {
+        log(`❌ ${testsFailed} test(s) failed`);
+        process.exit(1);
+    }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    runTests();
+}
+
+module.exports = { runTests };
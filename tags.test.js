@@ -0,0 +1,179 @@
+/**
+ * Unit Tests for Todo Tags
+ * Tests #hashtag parsing, structured tag storage and `tag:` filtering in TodoModel
+ */
+
+// Mock browser globals for Node.js testing
+const { createStorage } = require('./test-helpers.js');
+
+function runTests() {
+    console.log('🧪 Running Tag Tests...');
+    console.log();
+
+    let testsPassed = 0;
+    let testsFailed = 0;
+
+    function test(description, testFn) {
+        try {
+            testFn();
+            console.log(`✅ ${description}`);
+            testsPassed++;
+        } catch (error) {
+            console.log(`❌ ${description}`);
+            console.log(`   Error: ${error.message}`);
+            testsFailed++;
+        }
+    }
+
+    function assert(condition, message) {
+        if (!condition) {
+            throw new Error(message || 'Assertion failed');
+        }
+    }
+
+    function assertArrayEquals(actual, expected, message) {
+        if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+            throw new Error(message || `Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+        }
+    }
+
+    test('should extract #hashtags from todo text into tags', () => {
+        const model = new TodoModel(createStorage());
+        const todo = model.addTodo('Deploy API #backend #urgent');
+
+        assert(todo.text === 'Deploy API', `Expected hashtags stripped from text, got "${todo.text}"`);
+        assertArrayEquals(todo.tags, ['backend', 'urgent']);
+    });
+
+    test('should parse hashtags anywhere in the text', () => {
+        const model = new TodoModel(createStorage());
+        const todo = model.addTodo('#ops Rotate   keys #security before Friday');
+
+        assert(todo.text === 'Rotate keys before Friday', `Unexpected text "${todo.text}"`);
+        assertArrayEquals(todo.tags, ['ops', 'security']);
+    });
+
+    test('should normalize tag case and remove duplicates', () => {
+        const model = new TodoModel(createStorage());
+        const todo = model.addTodo('Refactor #Backend #backend', { tags: ['#BACKEND', 'api'] });
+
+        assertArrayEquals(todo.tags, ['backend', 'api']);
+    });
+
+    test('should keep text that consists only of hashtags', () => {
+        const model = new TodoModel(createStorage());
+        const todo = model.addTodo('#idea');
+
+        assert(todo.text === '#idea', 'Text should not become empty');
+        assertArrayEquals(todo.tags, ['idea']);
+    });
+
+    test('should not treat mid-word hashes or issue refs with punctuation as tags', () => {
+        const model = new TodoModel(createStorage());
+        const todo = model.addTodo('Use C# for issue#12');
+
+        assert(todo.text === 'Use C# for issue#12', 'Text without standalone hashtags should be unchanged');
+        assertArrayEquals(todo.tags, []);
+    });
+
+    test('should reject invalid tags passed explicitly', () => {
+        const model = new TodoModel(createStorage());
+        let threw = false;
+        try {
+            model.addTodo('Bad tag', { tags: ['has space'] });
+        } catch (error) {
+            threw = true;
+        }
+        assert(threw, 'Tags with spaces should be rejected');
+    });
+
+    test('should replace tags on edit and add new hashtags', () => {
+        const model = new TodoModel(createStorage());
+        const todo = model.addTodo('Write spec #docs #backend');
+
+        model.updateTodo(todo.id, 'Write spec #review');
+        assertArrayEquals(model.getTodo(todo.id).tags, ['docs', 'backend', 'review'],
+            'Editing text keeps existing tags and adds new hashtags');
+
+        model.updateTodo(todo.id, 'Write spec', { tags: ['docs'] });
+        assertArrayEquals(model.getTodo(todo.id).tags, ['docs'], 'An explicit tag list replaces the tags');
+    });
+
+    test('should add and remove tags individually', () => {
+        const model = new TodoModel(createStorage());
+        const todo = model.addTodo('Plan sprint');
+
+        model.addTag(todo.id, '#Planning');
+        model.addTag(todo.id, 'planning');
+        assertArrayEquals(model.getTodo(todo.id).tags, ['planning'], 'Duplicate tags should not be added');
+
+        model.removeTag(todo.id, '#planning');
+        assertArrayEquals(model.getTodo(todo.id).tags, []);
+        assert(model.addTag('missing-id', 'x') === null, 'Unknown id should return null');
+    });
+
+    test('should list all tags with counts', () => {
+        const model = new TodoModel(createStorage());
+        model.addTodo('A #backend');
+        model.addTodo('B #frontend #backend');
+
+        assertArrayEquals(model.getAllTags(), [
+            { tag: 'backend', count: 2 },
+            { tag: 'frontend', count: 1 }
+        ]);
+    });
+
+    test('should filter by tag: terms', () => {
+        const model = new TodoModel(createStorage());
+        const api = model.addTodo('Deploy API #backend');
+        model.addTodo('Polish button #frontend');
+        const backendDocs = model.addTodo('Document API #backend #docs');
+
+        assertArrayEquals(model.filterTodos('tag:backend').map(t => t.id), [backendDocs.id, api.id]);
+        assertArrayEquals(model.filterTodos('tag:backend tag:docs').map(t => t.id), [backendDocs.id],
+            'Multiple tag terms must all match');
+        assertArrayEquals(model.filterTodos('deploy tag:backend').map(t => t.id), [api.id],
+            'Tag terms combine with text words');
+        assertArrayEquals(model.filterTodos('tag:back').map(t => t.id), [], 'Tag terms match whole tags only');
+    });
+
+    test('should match plain search words against tags', () => {
+        const model = new TodoModel(createStorage());
+        const tagged = model.addTodo('Deploy #backend');
+        model.addTodo('Unrelated');
+
+        assertArrayEquals(model.filterTodos('#backend').map(t => t.id), [tagged.id]);
+        assertArrayEquals(model.filterTodos('backend').map(t => t.id), [tagged.id]);
+    });
+
+    test('should persist tags across reloads', () => {
+        const storage = createStorage();
+        const model = new TodoModel(storage);
+        const todo = model.addTodo('Book flights #travel');
+
+        const reloaded = new TodoModel(storage);
+        assertArrayEquals(reloaded.getTodo(todo.id).tags, ['travel']);
+    });
+
+    console.log();
+    console.log('==================================================');
+    console.log(`📊 Test Summary:`);
+    console.log(`   Total: ${testsPassed + testsFailed}`);
+    console.log(`   Passed: ${testsPassed}`);
+    console.log(`   Failed: ${testsFailed}`);
+    console.log('==================================================');
+
+    if (testsFailed === 0) {
+        console.log('🎉 All tag tests passed!');
+    } else {
+        console.log(`❌ ${testsFailed} test(s) failed`);
+        process.exit(1);
+    }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    runTests();
+}
+
+module.exports = { runTests };
@@ -0,0 +1,57 @@
+/**
+ * Shared setup for the Node.js unit tests of the todo model
+ * Loads the model modules as the globals the browser scripts share, and
+ * provides an in-memory stand-in for StorageManager. A model module that
+ * other modules rely on is added here once, not to every test file.
+ *
+ * Test files that need their own window (and crypto) set them up before
+ * requiring this file; the defaults below are only used when there is none.
+ */
+
+// Mock browser globals for Node.js testing
+if (typeof window === 'undefined') {
+    global.window = {};
+    global.crypto = {
+        randomUUID: () => 'test-uuid-' + Math.random().toString(36).substr(2, 9)
+    };
+}
+
+global.DateUtils = require('./js/DateUtils.js');
+global.SearchQuery = require('./js/SearchQuery.js');
+global.RecurrenceRule = require('./js/RecurrenceRule.js');
+global.StorageSchema = require('./js/StorageSchema.js');
+global.OperationLog = require('./js/OperationLog.js');
+global.TodoModel = require('./js/TodoModel.js');
+global.ListManager = require('./js/ListManager.js');
+
+/**
+ * In-memory stand-in for StorageManager
+ * @param {Object} [initial] - Items to start with, by key
+ * @returns {Object} Storage with the stored items in `data`, the number of
+ *   writes to each key in `writes`, and StorageManager's change listeners
+ */
+function createStorage(initial = {}) {
+    const data = { ...initial };
+    const writes = {};
+    const listeners = [];
+    const notify = (key, value) => listeners.forEach(listener => listener(key, value));
+    return {
+        data,
+        writes,
+        getItem: (key) => key in data ? data[key] : null,
+        setItem: (key, value) => {
+            data[key] = value;
+            writes[key] = (writes[key] || 0) + 1;
+            notify(key, value);
+            return true;
+        },
+        removeItem: (key) => { delete data[key]; notify(key, null); return true; },
+        getStorageType: () => 'localStorage',
+        addChangeListener: (listener) => {
+            listeners.push(listener);
+            return () => listeners.splice(listeners.indexOf(listener), 1);
+        }
+    };
+}
+
+module.exports = { createStorage };
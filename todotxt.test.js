@@ -0,0 +1,153 @@
+/**
+ * Unit Tests for todo.txt Support
+ * Tests the TodoTxt parser and serializer on their own (the module needs no
+ * browser globals) and importing todo.txt files into a TodoModel
+ */
+
+// TodoTxt is a plain module: require it before any globals are mocked
+const TodoTxt = require('./js/TodoTxt.js');
+
+// Mock browser globals for Node.js testing
+const { createStorage } = require('./test-helpers.js');
+
+global.DataExchange = require('./js/DataExchange.js');
+global.TodoTxt = TodoTxt;
+const TodoFormats = require('./js/TodoFormats.js');
+
+const SAMPLE = [
+    '(A) Thank Mom for the meatballs @phone',
+    '(B) 2026-03-01 Schedule Goodwill pickup +GarageSale @phone due:2026-03-12 time:0930',
+    'x 2026-03-10 2026-03-01 Post signs around the neighborhood +GarageSale pri:C',
+    'x 2026-03-09 Call the bank',
+    '(F) Read   the  manual  rec:1w http://example.com/a',
+    'Pick up milk @errands t:2026-03-05'
+].join('\n') + '\n';
+
+function runTests() {
+    console.log('🧪 Running todo.txt Tests...');
+    console.log();
+
+    let testsPassed = 0;
+    let testsFailed = 0;
+
+    function test(description, testFn) {
+        try {
+            testFn();
+            console.log(`✅ ${description}`);
+            testsPassed++;
+        } catch (error) {
+            console.log(`❌ ${description}`);
+            console.log(`   Error: ${error.message}`);
+            testsFailed++;
+        }
+    }
+
+    function assert(condition, message) {
+        if (!condition) {
+            throw new Error(message || 'Assertion failed');
+        }
+    }
+
+    function assertEquals(actual, expected, message) {
+        if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+            throw new Error(message || `Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+        }
+    }
+
+    const now = new Date(2026, 2, 15, 10, 0);
+
+    test('should map priority, completion, dates, projects and contexts', () => {
+        const [first, second, third, fourth] = TodoTxt.parse(SAMPLE, { now });
+
+        assertEquals([first.text, first.priority, first.tags, first.completed], ['Thank Mom for the meatballs', 'urgent', ['phone'], false]);
+        assertEquals(first.createdAt, now.toISOString(), 'Tasks without a creation date are created now');
+
+        assertEquals([second.text, second.priority, second.tags], ['Schedule Goodwill pickup', 'high', ['garagesale', 'phone']]);
+        assertEquals([second.dueDate, second.dueTime], ['2026-03-12', '09:30']);
+        assertEquals(second.createdAt, new Date(2026, 2, 1).toISOString());
+
+        assertEquals([third.completed, third.priority, third.todoTxt.completionDate, third.todoTxt.creationDate],
+            [true, 'medium', '2026-03-10', '2026-03-01']);
+        assertEquals([fourth.completed, fourth.todoTxt.completionDate, fourth.todoTxt.creationDate], [true, '2026-03-09', null],
+            'A single date after x is the completion date');
+    });
+
+    test('should keep unknown extensions, URLs and low priorities', () => {
+        const [, , , , manual, milk] = TodoTxt.parse(SAMPLE, { now });
+        assertEquals([manual.text, manual.priority], ['Read the manual http://example.com/a', 'low']);
+        assertEquals(manual.todoTxt.extensions, [['rec', '1w']]);
+        assertEquals(milk.todoTxt.extensions, [['t', '2026-03-05']]);
+        assertEquals(TodoTxt.parseLine('Meet at 10:30 +work').text, 'Meet at 10:30', 'Times in text are not extensions');
+    });
+
+    test('should write unchanged tasks back exactly as they were read', () => {
+        assertEquals(TodoTxt.serialize(TodoTxt.parse(SAMPLE, { now }), { now }), SAMPLE);
+    });
+
+    test('should write changed tasks in canonical form', () => {
+        const todos = TodoTxt.parse(SAMPLE, { now });
+        todos[0].completed = true;
+        todos[1].priority = 'medium';
+        todos[4].tags = ['books'];
+
+        const lines = TodoTxt.serialize(todos, { now }).split('\n');
+        assertEquals(lines[0], 'x 2026-03-15 2026-03-15 Thank Mom for the meatballs @phone pri:A',
+            'A completion date needs a creation date');
+        assertEquals(lines[1], '(C) 2026-03-01 Schedule Goodwill pickup +GarageSale @phone due:2026-03-12 time:0930');
+        assertEquals(lines[4], '(F) Read the manual http://example.com/a +books rec:1w', 'The original letter is kept while it maps to the same priority');
+    });
+
+    test('should round-trip AutoToDo todos through todo.txt', () => {
+        const model = new TodoModel(createStorage());
+        model.addTodo('Renew passport #travel', { dueDate: '2026-04-01', dueTime: '08:15', priority: 'high' });
+        const done = model.addTodo('File taxes #money', { priority: 'urgent' });
+        model.toggleTodo(done.id);
+        model.addTodo('Plain task');
+
+        const text = TodoTxt.serialize(model.getAllTodos(), { now });
+        const fields = (todo) => [todo.text, todo.completed, todo.priority, todo.tags, todo.dueDate, todo.dueTime,
+            DateUtils.toDateKey(new Date(todo.createdAt))];
+        assertEquals(TodoTxt.parse(text, { now }).map(fields), model.getAllTodos().map(fields));
+        assert(text.includes('x 2026-03-15 '), `Completed todos get a completion date: ${text}`);
+    });
+
+    test('should import a todo.txt file into a list without duplicating on re-import', () => {
+        const model = new TodoModel(createStorage());
+        const first = TodoFormats.importTodoTxt(model, SAMPLE, now);
+        assertEquals(first, { added: 6, updated: 0, kept: 0 });
+        assertEquals(model.getAllTodos().map(t => t.text)[1], 'Schedule Goodwill pickup', 'File order is kept');
+
+        const second = TodoFormats.importTodoTxt(model, SAMPLE, now);
+        assertEquals(second, { added: 0, updated: 6, kept: 0 });
+        assertEquals(model.getAllTodos().length, 6);
+        assertEquals(TodoTxt.serialize(model.getAllTodos()), SAMPLE, 'Exporting the imported list gives the same file');
+    });
+
+    test('should survive being stored and reloaded by TodoModel', () => {
+        const storage = createStorage();
+        TodoFormats.importTodoTxt(new TodoModel(storage), SAMPLE, now);
+        assertEquals(TodoTxt.serialize(new TodoModel(storage).getAllTodos()), SAMPLE);
+    });
+
+    console.log();
+    console.log('==================================================');
+    console.log(`📊 Test Summary:`);
+    console.log(`   Total: ${testsPassed + testsFailed}`);
+    console.log(`   Passed: ${testsPassed}`);
+    console.log(`   Failed: ${testsFailed}`);
+    console.log('==================================================');
+
+    if (testsFailed === 0) {
+        console.log('🎉 All todo.txt tests passed!');
+    } else {
+        console.log(`❌ ${testsFailed} test(s) failed`);
+        process.exit(1);
+    }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    runTests();
+}
+
+module.exports = { runTests };
@@ -0,0 +1,264 @@
+/**
+ * Unit Tests for Undo and Redo
+ * Tests that TodoModel undoes and redoes every kind of change exactly (ids,
+ * createdAt and positions included), and that the controller and the
+ * keyboard handlers use the model history
+ */
+
+// Mock browser globals for Node.js testing
+const { createStorage } = require('./test-helpers.js');
+
+const TodoController = require('./js/TodoController.js');
+const KeyboardHandlers = require('./js/KeyboardHandlers.js');
+
+/**
+ * Copy the todos without updatedAt, which every change (undo included) sets anew
+ * @param {TodoModel} model - Model
+ * @returns {Array<Object>} Todos in list order
+ */
+function state(model) {
+    return model.getAllTodos().map(({ updatedAt, ...todo }) => todo);
+}
+
+/**
+ * Set up a controller on a real model with a recording view
+ * @param {ListManager} [lists] - Lists whose active list the controller shows
+ * @returns {Object} { model, view, controller, handlers }
+ */
+function createApp(lists = null) {
+    const model = lists ? lists.getActiveModel() : new TodoModel(createStorage());
+    const view = {
+        editingId: null,
+        messages: [],
+        history: null,
+        isEditing() { return this.editingId !== null; },
+        getEditingId() { return this.editingId; },
+        startEdit(id) { this.editingId = id; },
+        cancelEdit() { this.editingId = null; },
+        showMessage(message, type) { this.messages.push({ message, type }); },
+        showConfirmation() { return true; },
+        renderHistoryControls(canUndo, canRedo) { this.history = { canUndo, canRedo }; }
+    };
+    // The controller's constructor wires up the DOM, so only its state is set up here
+    const controller = Object.assign(Object.create(TodoController.prototype), { model, view, lists });
+    controller.render = function () {
+        view.renderHistoryControls(this.model.canUndo(), this.model.canRedo());
+    };
+    const handlers = new KeyboardHandlers(controller);
+    return { model, view, controller, handlers };
+}
+
+async function runTests() {
+    console.log('🧪 Running Undo/Redo Tests...');
+    console.log();
+
+    let testsPassed = 0;
+    let testsFailed = 0;
+
+    async function test(description, testFn) {
+        try {
+            await testFn();
+            console.log(`✅ ${description}`);
+            testsPassed++;
+        } catch (error) {
+            console.log(`❌ ${description}`);
+            console.log(`   Error: ${error.message}`);
+            testsFailed++;
+        }
+    }
+
+    function assert(condition, message) {
+        if (!condition) {
+            throw new Error(message || 'Assertion failed');
+        }
+    }
+
+    function assertEquals(actual, expected, message) {
+        if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+            throw new Error(message || `Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+        }
+    }
+
+    await test('should undo and redo every kind of change exactly', () => {
+        const model = new TodoModel(createStorage());
+        const first = model.addTodo('First', { priority: 'low' });
+        const second = model.addTodo('Second');
+        model.addTodo('Third');
+
+        const changes = [
+            () => model.toggleTodo(first.id),
+            () => model.updateTodo(second.id, 'Second, edited #home', { notes: 'Some notes' }),
+            () => model.reorderTodo(first.id, 0),
+            () => model.setPriority(second.id, 'urgent'),
+            () => model.addTag(first.id, 'work'),
+            () => model.addTodo('Subtask', { parentId: second.id }),
+            () => model.indentTodo(first.id, second.id),
+            () => model.deleteTodo(second.id)
+        ];
+        const states = [state(model)];
+        changes.forEach(change => {
+            change();
+            states.push(state(model));
+        });
+
+        for (let i = changes.length - 1; i >= 0; i--) {
+            assert(model.undo(), 'There is a change to undo');
+            assertEquals(state(model), states[i], `Undoing change ${i + 1} restores the todos exactly`);
+        }
+
+        for (let i = 0; i < changes.length; i++) {
+            assert(model.redo(), 'There is a change to redo');
+            assertEquals(state(model), states[i + 1], `Redoing change ${i + 1} makes it again`);
+        }
+        assertEquals(model.redo(), null, 'Nothing is left to redo');
+    });
+
+    await test('should save undone changes and log them as their own operations', () => {
+        const storage = createStorage();
+        const model = new TodoModel(storage);
+        const todo = model.addTodo('Keep me');
+        model.deleteTodo(todo.id);
+        model.undo();
+
+        const reloaded = new TodoModel(storage);
+        assertEquals(state(reloaded), state(model), 'The undo is saved');
+        assertEquals(reloaded.getAllTodos()[0].createdAt, todo.createdAt);
+        assertEquals(model.getHistory().map(op => op.type), ['addTodo', 'deleteTodo', 'undo']);
+        assert(model.getAllTodos()[0].updatedAt >= todo.updatedAt, 'The undone todo gets a new updatedAt for sync');
+    });
+
+    await test('should drop the redo history when a new change is made', () => {
+        const model = new TodoModel(createStorage());
+        const todo = model.addTodo('Task');
+        model.toggleTodo(todo.id);
+        model.undo();
+        assert(model.canRedo());
+
+        model.setPriority(todo.id, 'high');
+        assertEquals([model.canUndo(), model.canRedo()], [true, false]);
+        assertEquals(model.redo(), null);
+    });
+
+    await test('should keep only the newest changes in the undo history', () => {
+        const model = new TodoModel(createStorage());
+        const todo = model.addTodo('Counter');
+        for (let i = 0; i < TodoModel.MAX_UNDO_STEPS + 5; i++) {
+            model.updateTodo(todo.id, `Counter ${i}`);
+        }
+        let undone = 0;
+        while (model.undo()) {
+            undone++;
+        }
+        assertEquals(undone, TodoModel.MAX_UNDO_STEPS);
+        assertEquals(model.getTodo(todo.id).text, 'Counter 4');
+    });
+
+    await test('should not put changes from other tabs in the undo history', () => {
+        const storage = createStorage();
+        const model = new TodoModel(storage);
+        model.addTodo('Mine');
+        const saved = JSON.parse(storage.getItem('todos'));
+        saved.todos.push({ ...saved.todos[0], id: 'other', text: 'From another tab', order: 1 });
+        model.applyRemoteTodos(JSON.stringify(saved));
+
+        model.undo();
+        assertEquals(model.getAllTodos().map(t => t.text), ['From another tab'], 'Only the local change is undone');
+        assertEquals(model.canUndo(), false);
+    });
+
+    await test('should not undo over a change another tab made to the same todo', () => {
+        const storage = createStorage();
+        const model = new TodoModel(storage);
+        const shared = model.addTodo('Draft');
+        const mine = model.addTodo('Only here');
+        model.updateTodo(shared.id, 'Edited here');
+        model.toggleTodo(mine.id);
+        model.undo();
+        assert(model.canRedo());
+
+        const saved = JSON.parse(storage.getItem('todos'));
+        saved.todos.find(todo => todo.id === shared.id).text = 'Edited in another tab';
+        model.applyRemoteTodos(JSON.stringify(saved));
+        assertEquals(model.canRedo(), true, 'The redo step for the other todo is kept');
+
+        while (model.undo()) {
+            // Undo everything that is still safe to undo
+        }
+        assertEquals(model.getAllTodos().map(t => t.text), ['Edited in another tab'],
+            'Only the steps for the other todo were undone');
+    });
+
+    await test('should undo and redo from the controller and close an edit the change affects', () => {
+        const { model, view, controller } = createApp();
+        const todo = model.addTodo('Original');
+        model.updateTodo(todo.id, 'Edited');
+        view.startEdit(todo.id);
+
+        assertEquals(controller.handleUndo(), true);
+        assertEquals(model.getTodo(todo.id).text, 'Original');
+        assertEquals(view.editingId, null, 'The edit form no longer matches the todo');
+        assertEquals(view.history, { canUndo: true, canRedo: true });
+
+        assertEquals(controller.handleRedo(), true);
+        assertEquals(model.getTodo(todo.id).text, 'Edited');
+        assertEquals(controller.handleRedo(), false);
+        assertEquals(view.messages.pop(), { message: 'Nothing to redo', type: 'info' });
+    });
+
+    await test('should undo saving an edit that moves the todo to another list in one step', () => {
+        const lists = new ListManager(createStorage());
+        const work = lists.createList('Work');
+        const { model, view, controller } = createApp(lists);
+        const todo = model.addTodo('Send report');
+        const fields = { '.edit-input': { value: 'Send final report' }, '.edit-list': { value: work.id } };
+        view.startEdit(todo.id);
+        controller.handleSaveEdit(todo.id, { querySelector: (selector) => fields[selector] || null });
+        assertEquals(lists.getModel(work.id).getTodo(todo.id).text, 'Send final report');
+
+        assertEquals(controller.handleUndo(), true);
+        assertEquals(model.getTodo(todo.id).text, 'Send report', 'The edit is undone with the move');
+        assertEquals(lists.getModel(work.id).getTodo(todo.id), null, 'The todo is only in its old list');
+        assertEquals(model.getLastChange().type, 'addTodo');
+    });
+
+    await test('should undo clearing completed todos in one step from the keyboard handlers', async () => {
+        const { model, handlers } = createApp();
+        const a = model.addTodo('A');
+        model.addTodo('B');
+        const c = model.addTodo('C');
+        model.toggleTodo(a.id);
+        model.toggleTodo(c.id);
+        const before = state(model);
+
+        const shortcuts = handlers.getAllHandlers();
+        await shortcuts.clearCompleted();
+        assertEquals(model.getAllTodos().map(t => t.text), ['B']);
+
+        shortcuts.undo();
+        assertEquals(state(model), before, 'Both todos are back in their places');
+        shortcuts.redo();
+        assertEquals(model.getAllTodos().map(t => t.text), ['B']);
+    });
+
+    console.log();
+    console.log('==================================================');
+    console.log(`📊 Test Summary:`);
+    console.log(`   Total: ${testsPassed + testsFailed}`);
+    console.log(`   Passed: ${testsPassed}`);
+    console.log(`   Failed: ${testsFailed}`);
+    console.log('==================================================');
+
+    if (testsFailed === 0) {
+        console.log('🎉 All undo/redo tests passed!');
+    } else {
+        console.log(`❌ ${testsFailed} test(s) failed`);
+        process.exit(1);
+    }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    runTests();
+}
+
+module.exports = { runTests };